@@ -46,7 +46,11 @@ class APIService {
             // Handle HTTP errors
             if (!response.ok) {
                 const errorData = await response.json().catch(() => ({}));
-                throw new Error(errorData.message || `HTTP ${response.status}: ${response.statusText}`);
+                const error = new Error(errorData.message || `HTTP ${response.status}: ${response.statusText}`);
+                // Keep the status and body for callers that handle specific errors
+                error.status = response.status;
+                error.data = errorData;
+                throw error;
             }
             
             // Handle different content types
@@ -102,12 +106,11 @@ class APIService {
             formData.append(key, additionalData[key]);
         });
         
+        // Don't set Content-Type for FormData - browser will set it with boundary.
+        // request() adds the Authorization header when we have a token.
         return this.request(endpoint, {
             method: 'POST',
-            headers: {
-                // Don't set Content-Type for FormData - browser will set it with boundary
-                'Authorization': this.authToken ? `Bearer ${this.authToken}` : undefined
-            },
+            headers: {},
             body: formData
         });
     }
@@ -160,9 +163,9 @@ class APIService {
     }
     
     // Posts API calls
+    // Pass the previous response's pagination.nextCursor as `after` to get the next page
     async getPosts(params = {}) {
         const defaultParams = {
-            page: 1,
             limit: 10,
             sort: 'hot'
         };
@@ -177,6 +180,34 @@ class APIService {
         return this.post('/posts', postData);
     }
     
+    // Drafts and scheduled posts
+    async getDrafts() {
+        return this.get('/posts/drafts');
+    }
+    
+    async createDraft(draftData) {
+        return this.post('/posts/drafts', draftData);
+    }
+    
+    async updateDraft(draftId, draftData) {
+        return this.put(`/posts/drafts/${draftId}`, draftData);
+    }
+    
+    async publishDraft(draftId, publishAt = null, acknowledgeDuplicates = false) {
+        return this.post(`/posts/drafts/${draftId}/publish`, {
+            publish_at: publishAt,
+            acknowledge_duplicates: acknowledgeDuplicates
+        });
+    }
+    
+    async unschedulePost(draftId) {
+        return this.post(`/posts/drafts/${draftId}/unschedule`);
+    }
+    
+    async deleteDraft(draftId) {
+        return this.delete(`/posts/drafts/${draftId}`);
+    }
+    
     async updatePost(postId, postData) {
         return this.put(`/posts/${postId}`, postData);
     }
@@ -185,29 +216,134 @@ class APIService {
         return this.delete(`/posts/${postId}`);
     }
     
+    async getTrash(params = {}) {
+        return this.get('/posts/trash', params);
+    }
+    
+    async restorePost(postId) {
+        return this.post(`/posts/${postId}/restore`);
+    }
+    
+    // Moderator controls (scope: 'global' or 'category')
+    async pinPost(postId, scope = 'global') {
+        return this.post(`/posts/${postId}/pin`, { scope });
+    }
+    
+    async unpinPost(postId) {
+        return this.delete(`/posts/${postId}/pin`);
+    }
+    
+    async lockPost(postId) {
+        return this.post(`/posts/${postId}/lock`);
+    }
+    
+    async unlockPost(postId) {
+        return this.delete(`/posts/${postId}/lock`);
+    }
+    
     async votePost(postId, voteType) {
-        return this.post(`/posts/${postId}/vote`, { type: voteType });
+        return this.post(`/posts/${postId}/vote`, { voteType });
+    }
+    
+    async getPostRevisions(postId) {
+        return this.get(`/posts/${postId}/revisions`);
     }
     
-    async savePost(postId) {
-        return this.post(`/posts/${postId}/save`);
+    async getPoll(postId) {
+        return this.get(`/posts/${postId}/poll`);
+    }
+    
+    async votePoll(postId, optionIds) {
+        return this.post(`/posts/${postId}/poll/vote`, { optionIds });
+    }
+    
+    async findSimilarPosts(category, title, content = '') {
+        return this.post('/posts/similar', { category, title, content });
+    }
+    
+    async mergePost(postId, originalPostId) {
+        return this.post(`/posts/${postId}/merge`, { into: originalPostId });
+    }
+    
+    async crosspostPost(postId, crosspostData) {
+        return this.post(`/posts/${postId}/crosspost`, crosspostData);
+    }
+    
+    // channel: native, copy_link, whatsapp, telegram, twitter, email
+    async recordShare(postId, channel) {
+        return this.post(`/posts/${postId}/share`, { channel });
+    }
+    
+    // Saved items (posts and comments), optionally filed into a collection.
+    // Leaving collectionId out keeps an existing save where it is; null
+    // moves it out of its collection.
+    async savePost(postId, collectionId) {
+        return this.post('/saved', { targetType: 'post', targetId: postId, collectionId });
     }
     
     async unsavePost(postId) {
-        return this.delete(`/posts/${postId}/save`);
+        return this.delete(`/saved/post/${postId}`);
+    }
+    
+    async saveComment(commentId, collectionId) {
+        return this.post('/saved', { targetType: 'comment', targetId: commentId, collectionId });
+    }
+    
+    async unsaveComment(commentId) {
+        return this.delete(`/saved/comment/${commentId}`);
+    }
+    
+    async getSavedCollections() {
+        return this.get('/saved/collections');
+    }
+    
+    async createSavedCollection(name) {
+        return this.post('/saved/collections', { name });
+    }
+    
+    async renameSavedCollection(collectionId, name) {
+        return this.put(`/saved/collections/${collectionId}`, { name });
+    }
+    
+    async deleteSavedCollection(collectionId) {
+        return this.delete(`/saved/collections/${collectionId}`);
+    }
+    
+    async previewMarkdown(content) {
+        return this.post('/posts/preview', { content });
+    }
+    
+    async getLinkPreview(url) {
+        return this.get('/posts/link-preview', { url });
     }
     
     async reportPost(postId, reason) {
         return this.post(`/posts/${postId}/report`, { reason });
     }
     
+    // Taxonomy
+    async getCategories() {
+        return this.get('/categories');
+    }
+    
     // Comments API calls
+    // params: sort (best|top|new|old|controversial), limit, cursor `after`
     async getComments(postId, params = {}) {
-        return this.get(`/posts/${postId}/comments`, params);
+        return this.get(`/comments/${postId}`, params);
+    }
+    
+    // params: sort, limit, `after` (a moreReplies cursor), level
+    async getCommentReplies(commentId, params = {}) {
+        return this.get(`/comments/replies/${commentId}`, params);
+    }
+    
+    // A comment and its replies, for "continue this thread"
+    async getCommentThread(commentId, params = {}) {
+        return this.get(`/comments/thread/${commentId}`, params);
     }
     
-    async createComment(postId, commentData) {
-        return this.post(`/posts/${postId}/comments`, commentData);
+    async createComment(postId, content, parentCommentId = null) {
+        return this.post('/comments', { postId, content, parentCommentId });
     }
     
     async updateComment(commentId, commentData) {
@@ -219,7 +355,7 @@ class APIService {
     }
     
     async voteComment(commentId, voteType) {
-        return this.post(`/comments/${commentId}/vote`, { type: voteType });
+        return this.post(`/comments/${commentId}/vote`, { voteType });
     }
     
     // User API calls
@@ -232,7 +368,11 @@ class APIService {
     }
     
     async uploadAvatar(file) {
-        return this.uploadFile('/users/avatar', file);
+        return this.uploadFile('/uploads/avatar', file);
+    }
+    
+    async uploadPostImage(file) {
+        return this.uploadFile('/uploads', file);
     }
     
     async getUserPosts(username, params = {}) {
@@ -243,8 +383,65 @@ class APIService {
         return this.get(`/users/${username}/comments`, params);
     }
     
-    async getSavedPosts(params = {}) {
-        return this.get('/users/saved', params);
+    async getUserEvents(username, params = {}) {
+        return this.get(`/users/${username}/events`, params);
+    }
+    
+    async getPrivacySettings() {
+        return this.get('/users/me/privacy');
+    }
+    
+    // settings: hideActivity, hideBranch (booleans; either may be omitted)
+    async updatePrivacySettings(settings) {
+        return this.put('/users/me/privacy', settings);
+    }
+    
+    async followUser(userId) {
+        return this.post(`/users/${userId}/follow`);
+    }
+    
+    async unfollowUser(userId) {
+        return this.delete(`/users/${userId}/follow`);
+    }
+    
+    // Blocked/muted users and muted categories
+    async getHiddenContent() {
+        return this.get('/users/me/hidden');
+    }
+    
+    async blockUser(userId) {
+        return this.post(`/users/${userId}/block`);
+    }
+    
+    async unblockUser(userId) {
+        return this.delete(`/users/${userId}/block`);
+    }
+    
+    async muteUser(userId) {
+        return this.post(`/users/${userId}/mute`);
+    }
+    
+    async unmuteUser(userId) {
+        return this.delete(`/users/${userId}/mute`);
+    }
+    
+    // params: limit, after
+    async getFollowers(username, params = {}) {
+        return this.get(`/users/${username}/followers`, params);
+    }
+    
+    async getFollowing(username, params = {}) {
+        return this.get(`/users/${username}/following`, params);
+    }
+    
+    // Posts by followed users and in subscribed categories (params: limit, after)
+    async getFollowingFeed(params = {}) {
+        return this.get('/users/me/feed', params);
+    }
+    
+    // params: type (post|comment), collection (id or 'none'), limit, after
+    async getSaved(params = {}) {
+        return this.get('/saved', params);
     }
     
     // Search API calls
@@ -257,7 +454,7 @@ class APIService {
     }
     
     async searchUsers(query, params = {}) {
-        return this.get('/search/users', { q: query, ...params });
+        return this.get('/users/search', { q: query, ...params });
     }
     
     // Categories and topics
@@ -265,6 +462,35 @@ class APIService {
         return this.get('/categories');
     }
     
+    async getSubscriptions() {
+        return this.get('/categories/subscriptions');
+    }
+    
+    // Replaces the whole set (onboarding); [] means every category
+    async updateSubscriptions(categories) {
+        return this.put('/categories/subscriptions', { categories });
+    }
+    
+    async getCategorySuggestions() {
+        return this.get('/categories/suggestions');
+    }
+    
+    async subscribeCategory(slug) {
+        return this.post(`/categories/${slug}/subscribe`);
+    }
+    
+    async unsubscribeCategory(slug) {
+        return this.delete(`/categories/${slug}/subscribe`);
+    }
+    
+    async muteCategory(slug) {
+        return this.post(`/categories/${slug}/mute`);
+    }
+    
+    async unmuteCategory(slug) {
+        return this.delete(`/categories/${slug}/mute`);
+    }
+    
     async getTrendingTopics() {
         return this.get('/trending');
     }
@@ -333,6 +559,18 @@ class APIService {
         return this.put('/notifications/read-all');
     }
     
+    async getUnreadNotificationCount() {
+        return this.get('/notifications/unread-count');
+    }
+    
+    async getNotificationSettings() {
+        return this.get('/notifications/settings');
+    }
+    
+    async updateNotificationSettings(mutedTypes) {
+        return this.put('/notifications/settings', { mutedTypes });
+    }
+    
     // Admin API calls (if user has admin privileges)
     async getReports(params = {}) {
         return this.get('/admin/reports', params);
@@ -6,8 +6,21 @@ class MITReddit {
         this.currentSort = 'hot';
         this.posts = [];
         this.loading = false;
-        this.page = 1;
+        this.nextCursor = null;
         this.hasMore = true;
+        this.categories = [];
+        this.savedCollections = [];
+        this.currentCollection = '';
+        this.newPostIds = new Set();
+        this.subscriptions = [];
+        // Home feed scope the user picked, and the one the server applied
+        // (users without subscriptions always get every category)
+        this.feedScope = 'subscribed';
+        this.activeFeed = 'all';
+        // Blocked/muted users and muted categories; the server already leaves
+        // them out of what it sends, these filter realtime updates
+        this.hiddenUserIds = new Set();
+        this.mutedCategories = [];
         
         // Initialize API service
         this.api = new APIService();
@@ -18,7 +31,14 @@ class MITReddit {
     init() {
         this.bindEvents();
         this.checkAuthStatus();
-        this.loadPosts();
+        if (this.currentUser) {
+            this.loadSubscriptions();
+            this.loadHiddenContent();
+        }
+        // Cards use the category list for icons and colours. Share links
+        // (/p/<id>) land on #post-<id> once the feed is in place.
+        this.loadCategories().finally(() => this.loadPosts().then(() => this.routePost()));
+        window.addEventListener('hashchange', () => this.routePost());
         this.initInfiniteScroll();
         
         // Initialize Authentication Manager
@@ -39,6 +59,17 @@ class MITReddit {
             });
         });
         
+        // Saved page collection controls
+        document.getElementById('savedCollectionSelect').addEventListener('change', (e) => {
+            this.currentCollection = e.target.value;
+            document.getElementById('deleteCollectionBtn').style.display =
+                this.currentCollection && this.currentCollection !== 'none' ? '' : 'none';
+            this.resetPosts();
+            this.loadPosts();
+        });
+        document.getElementById('newCollectionBtn').addEventListener('click', () => this.createSavedCollection());
+        document.getElementById('deleteCollectionBtn').addEventListener('click', () => this.deleteSavedCollection());
+        
         // Sort events
         document.querySelectorAll('.sort-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
@@ -55,6 +86,37 @@ class MITReddit {
             });
         });
         
+        // Home feed scope (subscribed categories or everything)
+        document.querySelectorAll('.feed-scope-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.switchFeedScope(btn.dataset.feed));
+        });
+        
+        // Category toolbar
+        document.getElementById('categorySubscribeBtn').addEventListener('click', () => {
+            this.toggleCategorySubscription(this.currentCategory);
+        });
+        document.getElementById('categoryMuteBtn').addEventListener('click', () => {
+            this.toggleCategoryMute(this.currentCategory);
+        });
+        document.getElementById('clearCategoryBtn').addEventListener('click', () => this.filterByCategory(null));
+        
+        // Category onboarding
+        document.getElementById('onboardingForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const checked = e.target.querySelectorAll('input[name="categories"]:checked');
+            this.saveOnboarding([...checked].map(input => input.value));
+        });
+        // Skipping keeps whatever the user already subscribed to
+        document.getElementById('skipOnboardingBtn').addEventListener('click', () => this.saveOnboarding(this.subscriptions));
+        document.getElementById('closeOnboardingModal').addEventListener('click', () => this.hideOnboardingModal());
+        
+        // "N new posts" banner reloads the feed
+        document.getElementById('newPostsBanner').addEventListener('click', () => {
+            this.resetPosts();
+            this.loadPosts();
+            window.scrollTo({ top: 0, behavior: 'smooth' });
+        });
+        
         // Modal events
         document.getElementById('createPostBtn').addEventListener('click', () => {
             if (!this.currentUser) {
@@ -106,6 +168,13 @@ class MITReddit {
     }
     
     switchPage(page) {
+        if ((page === 'saved' || page === 'following') && !this.currentUser) {
+            this.showLoginModal();
+            return;
+        }
+        
+        window.profileManager?.close();
+        
         // Update active nav link
         document.querySelectorAll('.nav-link').forEach(link => {
             link.classList.remove('active');
@@ -113,6 +182,16 @@ class MITReddit {
         document.querySelector(`[data-page="${page}"]`).classList.add('active');
         
         this.currentPage = page;
+        this.updateFeedScope();
+        
+        // The saved page is ordered by save time and the following feed is
+        // always hot-ranked, so sorting doesn't apply to either
+        document.querySelector('.sort-options').style.display = page === 'saved' || page === 'following' ? 'none' : '';
+        document.getElementById('savedToolbar').style.display = page === 'saved' ? '' : 'none';
+        if (page === 'saved') {
+            this.loadSavedCollections();
+        }
+        
         this.resetPosts();
         this.loadPosts();
         
@@ -122,7 +201,9 @@ class MITReddit {
             'events': 'Events - MIT Reddit',
             'parties': 'Parties - MIT Reddit',
             'restaurants': 'Food & Restaurants - MIT Reddit',
-            'news': 'Campus News - MIT Reddit'
+            'news': 'Campus News - MIT Reddit',
+            'saved': 'Saved - MIT Reddit',
+            'following': 'Following - MIT Reddit'
         };
         document.title = titles[page] || 'MIT Reddit';
     }
@@ -139,23 +220,375 @@ class MITReddit {
         this.loadPosts();
     }
     
+    async loadCategories() {
+        try {
+            const response = await this.api.getCategories();
+            this.categories = response.categories;
+            this.populateCategorySelect();
+        } catch (error) {
+            // The form keeps its built-in category list
+            console.error('Error loading categories:', error);
+        }
+    }
+    
+    getCategory(slug) {
+        return this.categories.find(category => category.slug === slug) || null;
+    }
+    
+    populateCategorySelect() {
+        const select = document.querySelector('#createPostForm .category-select');
+        if (!select || this.categories.length === 0) return;
+        
+        select.innerHTML = '<option value="">Choose a category</option>' + this.categories
+            .map(category => `<option value="${this.escapeHtml(category.slug)}">${this.escapeHtml(`${category.emoji || ''} ${category.name}`.trim())}</option>`)
+            .join('');
+    }
+    
+    filterByTag(tag) {
+        this.currentTag = this.currentTag === tag ? null : tag;
+        this.currentFlair = null;
+        this.showToast(this.currentTag ? `Showing posts tagged #${tag}` : 'Tag filter cleared', 'info');
+        this.resetPosts();
+        this.loadPosts();
+    }
+    
+    filterByFlair(flair) {
+        this.currentFlair = this.currentFlair === flair.id ? null : flair.id;
+        this.currentTag = null;
+        this.showToast(this.currentFlair ? `Showing ${flair.name} posts` : 'Flair filter cleared', 'info');
+        this.resetPosts();
+        this.loadPosts();
+    }
+    
     filterByCategory(category) {
+        // Picking the active category again clears the filter
+        if (category === this.currentCategory) {
+            category = null;
+        }
+        
         // Visual feedback
         document.querySelectorAll('[data-category]').forEach(link => {
             link.classList.remove('active');
         });
-        document.querySelector(`[data-category="${category}"]`).classList.add('active');
+        if (category) {
+            document.querySelector(`[data-category="${category}"]`)?.classList.add('active');
+        }
         
         this.currentCategory = category;
+        this.currentFlair = null;
+        this.currentTag = null;
+        this.updateCategoryToolbar();
+        this.updateFeedScope();
         this.resetPosts();
         this.loadPosts();
     }
     
+    updateCategoryToolbar() {
+        const toolbar = document.getElementById('categoryToolbar');
+        toolbar.style.display = this.currentCategory ? '' : 'none';
+        if (!this.currentCategory) return;
+        
+        const category = this.getCategory(this.currentCategory);
+        document.getElementById('categoryToolbarName').textContent = category
+            ? `${category.emoji || ''} ${category.name}`.trim()
+            : this.currentCategory;
+        
+        const subscribed = this.subscriptions.includes(this.currentCategory);
+        const button = document.getElementById('categorySubscribeBtn');
+        button.style.display = this.currentUser ? '' : 'none';
+        button.classList.toggle('subscribed', subscribed);
+        button.innerHTML = subscribed
+            ? '<i class="fas fa-check"></i> Subscribed'
+            : '<i class="fas fa-plus"></i> Subscribe';
+        
+        const muted = this.mutedCategories.includes(this.currentCategory);
+        const muteButton = document.getElementById('categoryMuteBtn');
+        muteButton.style.display = this.currentUser ? '' : 'none';
+        muteButton.innerHTML = muted
+            ? '<i class="fas fa-volume-up"></i> Unmute'
+            : '<i class="fas fa-volume-mute"></i> Mute';
+    }
+    
+    // The scope toggle only means something on the unfiltered home feed of a
+    // user with subscriptions
+    updateFeedScope() {
+        const visible = Boolean(this.currentUser) && this.currentPage === 'home' &&
+            !this.currentCategory && this.subscriptions.length > 0;
+        
+        document.getElementById('feedScope').style.display = visible ? '' : 'none';
+        document.querySelectorAll('.feed-scope-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.feed === this.feedScope);
+        });
+    }
+    
+    switchFeedScope(scope) {
+        if (scope === this.feedScope) return;
+        
+        this.feedScope = scope;
+        this.updateFeedScope();
+        this.resetPosts();
+        this.loadPosts();
+    }
+    
+    async loadSubscriptions({ reloadFeed = false } = {}) {
+        try {
+            const response = await this.api.getSubscriptions();
+            this.subscriptions = response.subscriptions;
+            
+            if (!response.onboarded) {
+                this.showOnboardingModal();
+            }
+        } catch (error) {
+            console.error('Error loading subscriptions:', error);
+            this.subscriptions = [];
+        }
+        
+        this.updateFeedScope();
+        this.updateCategoryToolbar();
+        
+        // The feed loaded before login wasn't scoped to the subscriptions
+        if (reloadFeed && this.currentPage === 'home') {
+            this.resetPosts();
+            this.loadPosts();
+        }
+    }
+    
+    async toggleCategorySubscription(slug) {
+        if (!this.currentUser) {
+            this.showLoginModal();
+            return;
+        }
+        
+        const subscribed = this.subscriptions.includes(slug);
+        const name = this.getCategory(slug)?.name || slug;
+        
+        try {
+            if (subscribed) {
+                await this.api.unsubscribeCategory(slug);
+                this.subscriptions = this.subscriptions.filter(subscription => subscription !== slug);
+            } else {
+                await this.api.subscribeCategory(slug);
+                this.subscriptions = [...this.subscriptions, slug];
+            }
+            
+            this.showToast(subscribed ? `Unsubscribed from ${name}` : `Subscribed to ${name}`, 'success');
+            this.updateCategoryToolbar();
+            this.updateFeedScope();
+        } catch (error) {
+            console.error('Error updating subscription:', error);
+            this.showToast(error.message || 'Could not update subscription', 'error');
+        }
+    }
+    
+    async loadHiddenContent() {
+        try {
+            const response = await this.api.getHiddenContent();
+            this.hiddenUserIds = new Set([...response.blocked, ...response.muted].map(user => user.id));
+            this.mutedCategories = response.mutedCategories;
+        } catch (error) {
+            console.error('Error loading blocked and muted users:', error);
+        }
+        
+        this.updateCategoryToolbar();
+    }
+    
+    // Muting only leaves the category out of feeds; it still shows when opened
+    async toggleCategoryMute(slug) {
+        if (!this.currentUser) {
+            this.showLoginModal();
+            return;
+        }
+        
+        const muted = this.mutedCategories.includes(slug);
+        const name = this.getCategory(slug)?.name || slug;
+        
+        try {
+            if (muted) {
+                await this.api.unmuteCategory(slug);
+                this.mutedCategories = this.mutedCategories.filter(mutedSlug => mutedSlug !== slug);
+            } else {
+                await this.api.muteCategory(slug);
+                this.mutedCategories = [...this.mutedCategories, slug];
+            }
+            
+            this.showToast(muted ? `Unmuted ${name}` : `Muted ${name}; it won't show in your feeds`, 'success');
+            this.updateCategoryToolbar();
+        } catch (error) {
+            console.error('Error updating category mute:', error);
+            this.showToast(error.message || 'Could not update mute', 'error');
+        }
+    }
+    
+    async showOnboardingModal() {
+        try {
+            const response = await this.api.getCategorySuggestions();
+            
+            // Suggested categories come first and start ticked
+            document.getElementById('onboardingCategories').innerHTML = response.categories.map(category => `
+                <label class="onboarding-category">
+                    <input type="checkbox" name="categories" value="${this.escapeHtml(category.slug)}"
+                        ${category.suggested || this.subscriptions.includes(category.slug) ? 'checked' : ''}>
+                    <span class="onboarding-category-name">${this.escapeHtml(`${category.emoji || ''} ${category.name}`.trim())}</span>
+                    ${category.description ? `<span class="onboarding-category-description">${this.escapeHtml(category.description)}</span>` : ''}
+                </label>
+            `).join('');
+            
+            document.getElementById('onboardingModal').classList.add('active');
+            document.body.style.overflow = 'hidden';
+        } catch (error) {
+            console.error('Error loading category suggestions:', error);
+        }
+    }
+    
+    hideOnboardingModal() {
+        document.getElementById('onboardingModal').classList.remove('active');
+        document.body.style.overflow = '';
+    }
+    
+    async saveOnboarding(categories) {
+        try {
+            const response = await this.api.updateSubscriptions(categories);
+            this.subscriptions = response.subscriptions;
+            this.hideOnboardingModal();
+            this.updateFeedScope();
+            this.updateCategoryToolbar();
+            
+            if (this.currentPage === 'home') {
+                this.resetPosts();
+                this.loadPosts();
+            }
+        } catch (error) {
+            console.error('Error saving subscriptions:', error);
+            this.showToast(error.message || 'Could not save your categories', 'error');
+        }
+    }
+    
+    // Saved posts in the same shape as a feed page
+    async fetchSavedPage() {
+        const params = { type: 'post' };
+        if (this.currentCollection) params.collection = this.currentCollection;
+        if (this.nextCursor) params.after = this.nextCursor;
+        
+        const response = await this.api.getSaved(params);
+        
+        return {
+            // Posts deleted since they were saved are skipped
+            posts: response.items
+                .filter(item => item.post)
+                .map(item => ({ ...item.post, saved_collection_id: item.collection_id })),
+            pagination: response.pagination
+        };
+    }
+    
+    async loadSavedCollections() {
+        try {
+            const response = await this.api.getSavedCollections();
+            this.savedCollections = response.collections;
+        } catch (error) {
+            console.error('Error loading collections:', error);
+            this.savedCollections = [];
+        }
+        
+        const select = document.getElementById('savedCollectionSelect');
+        select.innerHTML = `
+            <option value="">All saved posts</option>
+            <option value="none">Unsorted</option>
+            ${this.savedCollections.map(collection => `
+                <option value="${this.escapeHtml(collection.id)}">${this.escapeHtml(collection.name)} (${collection.item_count})</option>
+            `).join('')}
+        `;
+        
+        // Keep the current selection if it still exists
+        if (this.savedCollections.some(collection => collection.id === this.currentCollection) || this.currentCollection === 'none') {
+            select.value = this.currentCollection;
+        } else {
+            this.currentCollection = '';
+            select.value = '';
+        }
+        document.getElementById('deleteCollectionBtn').style.display =
+            this.currentCollection && this.currentCollection !== 'none' ? '' : 'none';
+    }
+    
+    async createSavedCollection() {
+        const name = prompt('Name your new collection');
+        if (!name || !name.trim()) return;
+        
+        try {
+            await this.api.createSavedCollection(name.trim());
+            this.showToast('Collection created', 'success');
+            await this.loadSavedCollections();
+            
+            // Cards offer the new collection as a destination
+            this.resetPosts();
+            this.loadPosts();
+        } catch (error) {
+            console.error('Error creating collection:', error);
+            this.showToast(error.message || 'Could not create collection', 'error');
+        }
+    }
+    
+    async deleteSavedCollection() {
+        const collection = this.savedCollections.find(c => c.id === this.currentCollection);
+        if (!collection || !confirm(`Delete "${collection.name}"? Its posts stay saved.`)) return;
+        
+        try {
+            await this.api.deleteSavedCollection(collection.id);
+            this.showToast('Collection deleted', 'info');
+            this.currentCollection = '';
+            await this.loadSavedCollections();
+            this.resetPosts();
+            this.loadPosts();
+        } catch (error) {
+            console.error('Error deleting collection:', error);
+            this.showToast(error.message || 'Could not delete collection', 'error');
+        }
+    }
+    
     resetPosts() {
         this.posts = [];
-        this.page = 1;
+        this.nextCursor = null;
         this.hasMore = true;
         document.getElementById('postsFeed').innerHTML = '';
+        
+        // A fresh load includes anything the banner was counting
+        this.newPostIds.clear();
+        this.updateNewPostsBanner();
+    }
+    
+    // Realtime: a post was published. The home feed counts the ones that
+    // match its filters instead of reshuffling under the reader.
+    handleNewPost(post) {
+        if (this.currentPage !== 'home' || this.currentSearch || this.currentTag || this.currentFlair) return;
+        if (this.currentCategory && post.category !== this.currentCategory) return;
+        if (!this.currentCategory && this.activeFeed === 'subscribed' && !this.subscriptions.includes(post.category)) return;
+        if (!this.currentCategory && this.mutedCategories.includes(post.category)) return;
+        if (this.hiddenUserIds.has(post.authorId)) return;
+        if (post.authorId === this.currentUser?.id) return;
+        if (this.posts.some(loaded => loaded.id === post.id)) return;
+        
+        this.newPostIds.add(post.id);
+        this.updateNewPostsBanner();
+    }
+    
+    updateNewPostsBanner() {
+        const banner = document.getElementById('newPostsBanner');
+        const count = this.newPostIds.size;
+        
+        banner.textContent = `${count} new ${count === 1 ? 'post' : 'posts'}`;
+        banner.style.display = count > 0 ? '' : 'none';
+    }
+    
+    // Realtime: someone voted on a post
+    applyPostVote({ id, upvotes, downvotes }) {
+        const post = this.posts.find(loaded => loaded.id === id);
+        if (post) {
+            post.upvotes = upvotes;
+            post.downvotes = downvotes;
+        }
+        
+        document.querySelectorAll(`.post-card[data-post-id="${id}"] .vote-count`).forEach(count => {
+            count.textContent = upvotes - downvotes;
+        });
     }
     
     async loadPosts() {
@@ -164,167 +597,112 @@ class MITReddit {
         this.loading = true;
         this.showLoading();
         
+        let restartFeed = false;
+        
         try {
-            // Simulate API call with mock data
-            await this.delay(800); // Simulate network delay
-            const newPosts = this.generateMockPosts();
+            const params = { sort: this.currentSort };
+            const category = this.currentCategory || (this.currentPage === 'home' ? null : this.currentPage);
+            
+            if (category) params.category = category;
+            if (this.currentFlair) params.flair = this.currentFlair;
+            if (this.currentTag) params.tag = this.currentTag;
+            if (this.currentSearch) params.search = this.currentSearch;
+            if (this.currentPage === 'home' && this.feedScope === 'all') params.feed = 'all';
+            if (this.nextCursor) params.after = this.nextCursor;
+            
+            let response;
+            if (this.currentPage === 'saved') {
+                response = await this.fetchSavedPage();
+            } else if (this.currentPage === 'following') {
+                response = await this.api.getFollowingFeed(this.nextCursor ? { after: this.nextCursor } : {});
+            } else {
+                response = await this.api.getPosts(params);
+            }
+            
+            // Guard against rendering a post twice if a page is retried
+            const loadedIds = new Set(this.posts.map(post => post.id));
+            const newPosts = response.posts
+                .filter(post => !loadedIds.has(post.id))
+                .map(post => this.normalizePost(post));
+            
+            // First pages of the home feed say whether subscriptions applied
+            if (response.feed) {
+                this.activeFeed = response.feed;
+            }
             
             this.posts = [...this.posts, ...newPosts];
             this.renderPosts(newPosts);
-            this.page++;
             
-            // Simulate end of data after 3 pages
-            if (this.page > 3) {
-                this.hasMore = false;
-            }
+            this.nextCursor = response.pagination.nextCursor;
+            this.hasMore = response.pagination.hasNext;
         } catch (error) {
             console.error('Error loading posts:', error);
-            this.showToast('Error loading posts. Please try again.', 'error');
+            
+            if (this.nextCursor && error.message.includes('cursor')) {
+                // The cursor no longer fits the feed - start over
+                restartFeed = true;
+            } else {
+                this.showToast('Error loading posts. Please try again.', 'error');
+            }
         } finally {
             this.loading = false;
             this.hideLoading();
         }
-    }
-    
-    generateMockPosts() {
-        const categories = ['academics', 'events', 'parties', 'restaurants', 'news', 'placements', 'hostels', 'clubs', 'sports', 'tech', 'general'];
-        const titles = {
-            academics: [
-                'Anyone know when CS204 assignment is due?',
-                'Study group for Data Structures exam',
-                'Best resources for Machine Learning course',
-                'Professor Kumar\'s notes available?',
-                'Midterm results discussion thread'
-            ],
-            events: [
-                'TechFest 2024 registrations are open!',
-                'Guest lecture by Google engineer tomorrow',
-                'Annual Sports Meet starting next week',
-                'Cultural fest auditions this Friday',
-                'Hackathon team formation thread'
-            ],
-            parties: [
-                'Freshers party at Student Center tonight!',
-                'End semester celebration plans?',
-                'Birthday bash invitation - all welcome',
-                'Hostel DJ night this Saturday',
-                'Rooftop party location suggestions'
-            ],
-            restaurants: [
-                'New pizza place near MIT gate - reviews?',
-                'Best late night food delivery options',
-                'Manipal Food Court vs Outside eateries',
-                'Healthy food options discussion',
-                'Budget-friendly restaurants recommendation'
-            ],
-            news: [
-                'MIT Manipal ranks in top 10 engineering colleges',
-                'New computer lab inaugurated in Block 5',
-                'Placement statistics for 2024 batch',
-                'Campus wifi upgrade completed',
-                'New library timing announced'
-            ],
-            placements: [
-                'Microsoft interview experience',
-                'Tips for technical interviews',
-                'Placement statistics discussion',
-                'Resume review request',
-                'Internship opportunities thread'
-            ],
-            hostels: [
-                'Block 22 vs Block 24 - which is better?',
-                'Hostel room decoration ideas',
-                'Mess food review thread',
-                'Room allotment queries',
-                'Hostel night out stories'
-            ],
-            clubs: [
-                'IEEE club recruitment drive',
-                'Photography club exhibition',
-                'Debate society meetup',
-                'Music club jam session',
-                'Robotics club workshop'
-            ],
-            sports: [
-                'Basketball court booking system',
-                'Inter-hostel cricket tournament',
-                'Gym workout partner needed',
-                'Swimming pool timings',
-                'Football team selection'
-            ],
-            tech: [
-                'Flutter vs React Native discussion',
-                'AI/ML project collaboration',
-                'Open source contributions',
-                'Tech internship experiences',
-                'Coding competition announcements'
-            ],
-            general: [
-                'How to make friends in MIT?',
-                'Weekend trip plans from Manipal',
-                'Auto/bus rates negotiation tips',
-                'Local SIM card recommendations',
-                'Weather update and preparation'
-            ]
-        };
-        
-        const users = [
-            'tech_enthusiast_21', 'manipal_foodie', 'cs_student_22', 'party_planner_20',
-            'book_worm_23', 'sports_captain', 'music_lover_21', 'future_engineer',
-            'coding_ninja_22', 'campus_explorer', 'study_buddy_23', 'hostel_life_21'
-        ];
-        
-        const posts = [];
-        const currentCategory = this.currentCategory || (this.currentPage === 'home' ? null : this.currentPage);
         
-        for (let i = 0; i < 5; i++) {
-            const category = currentCategory || categories[Math.floor(Math.random() * categories.length)];
-            const categoryTitles = titles[category] || titles.general;
-            
-            const post = {
-                id: Date.now() + i,
-                title: categoryTitles[Math.floor(Math.random() * categoryTitles.length)],
-                category: category,
-                author: users[Math.floor(Math.random() * users.length)],
-                content: this.generatePostContent(),
-                timestamp: this.generateTimestamp(),
-                upvotes: Math.floor(Math.random() * 500) + 1,
-                downvotes: Math.floor(Math.random() * 50),
-                comments: Math.floor(Math.random() * 100) + 1,
-                hasImage: Math.random() > 0.7,
-                imageUrl: Math.random() > 0.7 ? `https://picsum.photos/600/300?random=${Date.now() + i}` : null,
-                isUpvoted: false,
-                isDownvoted: false,
-                badges: this.generateBadges()
-            };
-            
-            posts.push(post);
+        if (restartFeed) {
+            this.resetPosts();
+            this.loadPosts();
         }
-        
-        return posts;
     }
     
-    generatePostContent() {
-        const contents = [
-            'Looking for suggestions and experiences from fellow students. Any advice would be appreciated!',
-            'Has anyone else experienced this? Would love to hear your thoughts and opinions.',
-            'Just wanted to share this with the community. Hope it helps someone!',
-            'Need some quick help with this. Thanks in advance for your responses!',
-            'Thought this might be interesting for everyone here. What do you all think?',
-            'Can someone please help me out with this? I\'m really confused.',
-            'Sharing my experience so others can benefit from it. Feel free to ask questions!',
-            'Is it just me or does anyone else feel the same way about this?',
-            'Found this really helpful and wanted to share with everyone here.',
-            'Need urgent help with this. Any assistance would be greatly appreciated!'
-        ];
+    // Map an API post onto the shape used by the feed cards
+    normalizePost(post) {
+        const badges = [];
+        if (post.is_pinned) badges.push('pinned');
+        if (post.is_locked) badges.push('locked');
         
-        return contents[Math.floor(Math.random() * contents.length)];
+        return {
+            id: post.id,
+            title: post.title,
+            category: post.category,
+            flair: post.flair || null,
+            tags: post.tags || [],
+            author: post.users?.username || '[deleted]',
+            content: post.content || '',
+            contentHtml: post.content_html || '',
+            timestamp: this.formatTimestamp(post.created_at),
+            isEdited: Boolean(post.is_edited),
+            isLocked: Boolean(post.is_locked),
+            upvotes: post.upvotes || 0,
+            downvotes: post.downvotes || 0,
+            comments: post.comment_count || 0,
+            shares: post.share_count || 0,
+            original: post.original ? {
+                id: post.original.id,
+                title: post.original.title || '',
+                category: post.original.category || '',
+                author: post.original.users?.username || '[deleted]',
+                isDeleted: Boolean(post.original.is_deleted)
+            } : null,
+            imageUrl: post.image_url || null,
+            link: post.type === 'link' && post.link_url ? {
+                url: post.link_url,
+                title: post.link_metadata?.title || post.link_url,
+                description: post.link_metadata?.description || '',
+                image: post.link_metadata?.image || null,
+                domain: post.link_metadata?.siteName || post.link_metadata?.domain || new URL(post.link_url).hostname
+            } : null,
+            poll: post.type === 'poll' ? post.poll || null : null,
+            isSaved: Boolean(post.is_saved),
+            collectionId: post.saved_collection_id || null,
+            isUpvoted: post.user_vote === 1,
+            isDownvoted: post.user_vote === -1,
+            badges
+        };
     }
     
-    generateTimestamp() {
-        const now = new Date();
-        const past = new Date(now - Math.random() * 7 * 24 * 60 * 60 * 1000); // Within last week
-        const diff = now - past;
+    formatTimestamp(dateString) {
+        const diff = Date.now() - new Date(dateString).getTime();
         
         const minutes = Math.floor(diff / (1000 * 60));
         const hours = Math.floor(diff / (1000 * 60 * 60));
@@ -336,18 +714,6 @@ class MITReddit {
         return `${days}d ago`;
     }
     
-    generateBadges() {
-        const badges = [];
-        const random = Math.random();
-        
-        if (random > 0.9) badges.push('hot');
-        if (random > 0.85) badges.push('trending');
-        if (random > 0.95) badges.push('pinned');
-        if (this.page === 1 && Math.random() > 0.8) badges.push('new');
-        
-        return badges;
-    }
-    
     renderPosts(posts) {
         const feed = document.getElementById('postsFeed');
         
@@ -366,31 +732,50 @@ class MITReddit {
             `<span class="badge badge-${badge}">${badge}</span>`
         ).join('');
         
-        const categoryEmojis = {
-            academics: '📚', events: '📅', parties: '🎉', restaurants: '🍕',
-            news: '📰', placements: '💼', hostels: '🏠', clubs: '👥',
-            sports: '⚽', tech: '💻', general: '💬'
-        };
+        const category = this.getCategory(post.category);
+        const categoryStyle = category ? `style="background-color: ${this.escapeHtml(category.colour)}"` : '';
+        
+        const flair = post.flair
+            ? `<button class="post-flair" style="background-color: ${this.escapeHtml(post.flair.colour)}">${this.escapeHtml(post.flair.name)}</button>`
+            : '';
+        
+        const crosspost = post.original
+            ? `<a class="post-crosspost" href="/p/${this.escapeHtml(post.original.id)}">
+                    <i class="fas fa-random"></i>
+                    ${post.original.isDeleted
+                        ? 'Crossposted from a deleted post'
+                        : `Crossposted from ${this.escapeHtml(this.getCategory(post.original.category)?.name || post.original.category)} by u/${this.escapeHtml(post.original.author)}`}
+                </a>`
+            : '';
+        
+        const tags = post.tags.length > 0
+            ? `<div class="post-tags">${post.tags.map(tag => `<button class="post-tag" data-tag="${this.escapeHtml(tag)}">#${this.escapeHtml(tag)}</button>`).join('')}</div>`
+            : '';
         
         article.innerHTML = `
             <div class="post-content">
                 <div class="post-header">
-                    <span class="post-category">${categoryEmojis[post.category]} ${post.category}</span>
+                    <span class="post-category" ${categoryStyle}>${this.escapeHtml(category ? `${category.emoji || ''} ${category.name}`.trim() : post.category)}</span>
+                    ${flair}
                     <span class="post-meta">
-                        Posted by u/${post.author} • ${post.timestamp}
+                        Posted by ${post.author === '[deleted]' ? 'u/[deleted]' : `<a class="post-author" href="#user-${encodeURIComponent(post.author)}">u/${this.escapeHtml(post.author)}</a>`} • ${post.timestamp}${post.isEdited ? ' • edited' : ''}
                     </span>
                     ${badges}
                 </div>
-                <h2 class="post-title">${post.title}</h2>
-                <p class="post-text">${post.content}</p>
-                ${post.imageUrl ? `<img src="${post.imageUrl}" alt="Post image" class="post-image">` : ''}
+                ${crosspost}
+                <h2 class="post-title">${this.escapeHtml(post.title)}</h2>
+                ${tags}
+                ${post.contentHtml ? `<div class="post-text markdown-body">${post.contentHtml}</div>` : ''}
+                ${post.imageUrl ? `<img src="${this.escapeHtml(post.imageUrl)}" alt="Post image" class="post-image">` : ''}
+                ${post.link ? this.createLinkCard(post.link) : ''}
+                ${post.poll ? `<div class="post-poll">${this.createPollCard(post.poll)}</div>` : ''}
                 <div class="post-actions">
                     <div class="vote-buttons" style="display: flex; align-items: center; margin-right: 16px;">
-                        <button class="vote-btn upvote-btn" data-action="upvote">
+                        <button class="vote-btn upvote-btn ${post.isUpvoted ? 'upvoted' : ''}" data-action="upvote">
                             <i class="fas fa-arrow-up"></i>
                         </button>
                         <span class="vote-count">${post.upvotes - post.downvotes}</span>
-                        <button class="vote-btn downvote-btn" data-action="downvote">
+                        <button class="vote-btn downvote-btn ${post.isDownvoted ? 'downvoted' : ''}" data-action="downvote">
                             <i class="fas fa-arrow-down"></i>
                         </button>
                     </div>
@@ -400,12 +785,19 @@ class MITReddit {
                     </button>
                     <button class="action-btn share-btn">
                         <i class="fas fa-share"></i>
-                        Share
+                        <span class="share-count">${post.shares || ''}</span> Share
                     </button>
+                    ${post.poll ? '' : `
+                        <button class="action-btn crosspost-btn">
+                            <i class="fas fa-random"></i>
+                            Crosspost
+                        </button>
+                    `}
                     <button class="action-btn save-btn">
-                        <i class="fas fa-bookmark"></i>
-                        Save
+                        <i class="${post.isSaved ? 'fas' : 'far'} fa-bookmark"></i>
+                        <span>${post.isSaved ? 'Saved' : 'Save'}</span>
                     </button>
+                    ${this.currentPage === 'saved' && post.isSaved ? this.createCollectionPicker(post) : ''}
                     <button class="action-btn more-btn">
                         <i class="fas fa-ellipsis-h"></i>
                     </button>
@@ -419,81 +811,174 @@ class MITReddit {
         return article;
     }
     
-    bindPostEvents(postElement, post) {
-        // Vote buttons
-        const upvoteBtn = postElement.querySelector('.upvote-btn');
-        const downvoteBtn = postElement.querySelector('.downvote-btn');
-        const voteCount = postElement.querySelector('.vote-count');
+    // Link preview metadata comes from third-party pages, so escape everything
+    createLinkCard(link) {
+        return `
+            <a class="post-link-card" href="${this.escapeHtml(link.url)}" target="_blank" rel="noopener noreferrer nofollow">
+                ${link.image ? `<img class="post-link-image" src="${this.escapeHtml(link.image)}" alt="" loading="lazy" referrerpolicy="no-referrer">` : ''}
+                <div class="post-link-text">
+                    <span class="post-link-title">${this.escapeHtml(link.title)}</span>
+                    ${link.description ? `<span class="post-link-description">${this.escapeHtml(link.description)}</span>` : ''}
+                    <span class="post-link-domain"><i class="fas fa-external-link-alt"></i> ${this.escapeHtml(link.domain)}</span>
+                </div>
+            </a>
+        `;
+    }
+    
+    // Ballot form until the user has voted or the poll closes, then a bar chart
+    createPollCard(poll) {
+        const status = poll.isClosed
+            ? 'Poll closed'
+            : poll.closesAt ? `Closes ${new Date(poll.closesAt).toLocaleString()}` : 'Open poll';
+        
+        if (!poll.resultsVisible) {
+            const inputType = poll.allowsMultiple ? 'checkbox' : 'radio';
+            
+            return `
+                <form class="poll-ballot">
+                    ${poll.options.map(option => `
+                        <label class="poll-choice">
+                            <input type="${inputType}" name="poll-option" value="${this.escapeHtml(option.id)}">
+                            <span>${this.escapeHtml(option.label)}</span>
+                        </label>
+                    `).join('')}
+                    <div class="poll-footer">
+                        <button type="submit" class="btn-primary poll-vote-btn">Vote</button>
+                        <span class="poll-status">${poll.allowsMultiple ? 'Choose one or more • ' : ''}${status}</span>
+                    </div>
+                </form>
+            `;
+        }
+        
+        const totalVotes = poll.options.reduce((sum, option) => sum + option.votes, 0);
+        const topVotes = Math.max(...poll.options.map(option => option.votes));
+        
+        return `
+            <div class="poll-results">
+                ${poll.options.map(option => {
+                    const percent = totalVotes ? Math.round((option.votes / totalVotes) * 100) : 0;
+                    const classes = [
+                        'poll-result',
+                        option.votes > 0 && option.votes === topVotes ? 'leading' : '',
+                        poll.userChoices.includes(option.id) ? 'chosen' : ''
+                    ].filter(Boolean).join(' ');
+                    
+                    return `
+                        <div class="${classes}">
+                            <div class="poll-result-bar" style="width: ${percent}%"></div>
+                            <span class="poll-result-label">
+                                ${poll.userChoices.includes(option.id) ? '<i class="fas fa-check-circle"></i>' : ''}
+                                ${this.escapeHtml(option.label)}
+                            </span>
+                            <span class="poll-result-percent">${percent}%</span>
+                        </div>
+                    `;
+                }).join('')}
+                <div class="poll-footer">
+                    <span class="poll-status">${poll.totalVoters} ${poll.totalVoters === 1 ? 'vote' : 'votes'} • ${status}</span>
+                </div>
+            </div>
+        `;
+    }
+    
+    bindPollEvents(postElement, post) {
+        const container = postElement.querySelector('.post-poll');
+        const ballot = container?.querySelector('.poll-ballot');
+        if (!ballot) return;
         
-        upvoteBtn.addEventListener('click', () => {
+        ballot.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            
             if (!this.currentUser) {
                 this.showLoginModal();
                 return;
             }
             
-            if (post.isUpvoted) {
-                // Remove upvote
-                post.isUpvoted = false;
-                post.upvotes--;
-                upvoteBtn.classList.remove('upvoted');
-            } else {
-                // Add upvote, remove downvote if exists
-                if (post.isDownvoted) {
-                    post.isDownvoted = false;
-                    post.downvotes--;
-                    downvoteBtn.classList.remove('downvoted');
-                }
-                post.isUpvoted = true;
-                post.upvotes++;
-                upvoteBtn.classList.add('upvoted');
-            }
-            
-            voteCount.textContent = post.upvotes - post.downvotes;
-        });
-        
-        downvoteBtn.addEventListener('click', () => {
-            if (!this.currentUser) {
-                this.showLoginModal();
+            const optionIds = Array.from(ballot.querySelectorAll('input:checked')).map(input => input.value);
+            if (optionIds.length === 0) {
+                this.showToast('Pick an option first', 'error');
                 return;
             }
             
-            if (post.isDownvoted) {
-                // Remove downvote
-                post.isDownvoted = false;
-                post.downvotes--;
-                downvoteBtn.classList.remove('downvoted');
-            } else {
-                // Add downvote, remove upvote if exists
-                if (post.isUpvoted) {
-                    post.isUpvoted = false;
-                    post.upvotes--;
-                    upvoteBtn.classList.remove('upvoted');
+            const voteBtn = ballot.querySelector('.poll-vote-btn');
+            voteBtn.disabled = true;
+            
+            try {
+                const response = await this.api.votePoll(post.id, optionIds);
+                post.poll = response.poll;
+            } catch (error) {
+                console.error('Error voting in poll:', error);
+                this.showToast(error.message || 'Failed to record your vote', 'error');
+                
+                // Already voted or closed: show the current state instead
+                try {
+                    const response = await this.api.getPoll(post.id);
+                    post.poll = response.poll;
+                } catch (refreshError) {
+                    voteBtn.disabled = false;
+                    return;
                 }
-                post.isDownvoted = true;
-                post.downvotes++;
-                downvoteBtn.classList.add('downvoted');
             }
             
-            voteCount.textContent = post.upvotes - post.downvotes;
+            container.innerHTML = this.createPollCard(post.poll);
+            this.bindPollEvents(postElement, post);
+        });
+    }
+    
+    // Spoilers stay blurred until clicked
+    bindSpoilers(container) {
+        container.querySelectorAll('.md-spoiler').forEach(spoiler => {
+            spoiler.addEventListener('click', () => spoiler.classList.add('revealed'));
+        });
+    }
+    
+    bindPostEvents(postElement, post) {
+        // Vote buttons
+        const upvoteBtn = postElement.querySelector('.upvote-btn');
+        const downvoteBtn = postElement.querySelector('.downvote-btn');
+        
+        // Locked posts take no new votes
+        if (post.isLocked) {
+            upvoteBtn.disabled = true;
+            downvoteBtn.disabled = true;
+        }
+        
+        upvoteBtn.addEventListener('click', () => this.votePost(post, postElement, 1));
+        downvoteBtn.addEventListener('click', () => this.votePost(post, postElement, -1));
+        
+        this.bindPollEvents(postElement, post);
+        this.bindSpoilers(postElement);
+        
+        // Flair and tag filters
+        postElement.querySelector('.post-flair')?.addEventListener('click', () => {
+            this.filterByFlair(post.flair);
+        });
+        postElement.querySelectorAll('.post-tag').forEach(tagBtn => {
+            tagBtn.addEventListener('click', () => this.filterByTag(tagBtn.dataset.tag));
         });
         
         // Post title click
         postElement.querySelector('.post-title').addEventListener('click', () => {
-            this.showPostDetail(post);
+            this.showPostDetail(post, postElement);
         });
         
         // Comment button
         postElement.querySelector('.comment-btn').addEventListener('click', () => {
-            if (!this.currentUser) {
-                this.showLoginModal();
-                return;
-            }
-            this.showPostDetail(post);
+            this.showPostDetail(post, postElement);
         });
         
         // Share button
         postElement.querySelector('.share-btn').addEventListener('click', () => {
-            this.sharePost(post);
+            this.sharePost(post, postElement);
+        });
+        
+        // Crosspost button
+        postElement.querySelector('.crosspost-btn')?.addEventListener('click', () => {
+            if (!this.currentUser) {
+                this.showLoginModal();
+                return;
+            }
+            this.toggleCrosspostForm(post, postElement);
         });
         
         // Save button
@@ -502,45 +987,283 @@ class MITReddit {
                 this.showLoginModal();
                 return;
             }
-            this.toggleSavePost(post, postElement.querySelector('.save-btn'));
+            this.toggleSavePost(post, postElement.querySelector('.save-btn'), postElement);
+        });
+        
+        postElement.querySelector('.collection-move')?.addEventListener('change', (e) => {
+            this.moveSavedPost(post, e.target.value, postElement);
         });
     }
     
-    showPostDetail(post) {
-        // This would typically open a detailed post view
-        // For now, just scroll to comments section
-        console.log('Show post detail for:', post.title);
-        this.showToast('Post detail view coming soon!', 'info');
+    // Clicking the active arrow again clears the vote
+    async votePost(post, postElement, vote) {
+        if (!this.currentUser) {
+            this.showLoginModal();
+            return;
+        }
+        
+        const currentVote = post.isUpvoted ? 1 : post.isDownvoted ? -1 : 0;
+        const voteType = currentVote === vote ? 0 : vote;
+        const upvoteBtn = postElement.querySelector('.upvote-btn');
+        const downvoteBtn = postElement.querySelector('.downvote-btn');
+        upvoteBtn.disabled = true;
+        downvoteBtn.disabled = true;
+        
+        try {
+            const { upvotes, downvotes } = await this.api.votePost(post.id, voteType);
+            
+            post.isUpvoted = voteType === 1;
+            post.isDownvoted = voteType === -1;
+            upvoteBtn.classList.toggle('upvoted', post.isUpvoted);
+            downvoteBtn.classList.toggle('downvoted', post.isDownvoted);
+            
+            post.upvotes = upvotes;
+            post.downvotes = downvotes;
+            postElement.querySelector('.vote-count').textContent = upvotes - downvotes;
+        } catch (error) {
+            console.error('Error voting on post:', error);
+            this.showToast(error.message || 'Failed to vote', 'error');
+        } finally {
+            upvoteBtn.disabled = post.isLocked;
+            downvoteBtn.disabled = post.isLocked;
+        }
+    }
+    
+    showPostDetail(post, postElement) {
+        window.commentsManager.toggleComments(post, postElement);
+    }
+    
+    // Open a post's comments by id, e.g. from a notification. Posts that
+    // aren't in the loaded feed are fetched and shown at the top of it.
+    async openPost(postId) {
+        let postElement = document.querySelector(`.post-card[data-post-id="${postId}"]`);
+        let post = this.posts.find(loaded => loaded.id === postId);
+        
+        if (!postElement || !post) {
+            try {
+                const response = await this.api.getPost(postId);
+                post = this.normalizePost(response.post);
+            } catch (error) {
+                this.showToast(error.status === 404 ? 'This post is no longer available' : 'Failed to open post', 'error');
+                return;
+            }
+            
+            postElement = this.createPostElement(post);
+            document.getElementById('postsFeed').prepend(postElement);
+        }
+        
+        postElement.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        if (!postElement.querySelector('.comments-section')) {
+            this.showPostDetail(post, postElement);
+        }
+    }
+    
+    // Open the post a #post-<id> link points to. The hash is cleared so the
+    // same link works again later.
+    routePost() {
+        const match = /^#post-([0-9a-f-]{36})$/i.exec(window.location.hash);
+        if (!match) return;
+        
+        history.replaceState(null, '', window.location.pathname + window.location.search);
+        window.profileManager?.close();
+        this.openPost(match[1]);
+    }
+    
+    // Canonical link; the server renders OpenGraph tags for it
+    getShareUrl(post) {
+        return `${window.location.origin}/p/${post.id}`;
     }
     
-    sharePost(post) {
+    sharePost(post, postElement) {
+        const url = this.getShareUrl(post);
+        
         if (navigator.share) {
             navigator.share({
                 title: post.title,
-                text: post.content,
-                url: window.location.href + '#post-' + post.id
-            }).catch(console.error);
-        } else {
-            // Fallback to clipboard
-            const url = window.location.href + '#post-' + post.id;
-            navigator.clipboard.writeText(url).then(() => {
-                this.showToast('Link copied to clipboard!', 'success');
+                url
+            }).then(() => {
+                this.recordShare(post, postElement, 'native');
             }).catch(() => {
-                this.showToast('Could not copy link', 'error');
+                // Share sheet dismissed
             });
+            return;
         }
+        
+        this.toggleShareMenu(post, postElement, url);
     }
     
-    toggleSavePost(post, button) {
-        const icon = button.querySelector('i');
-        if (icon.classList.contains('fas')) {
-            icon.classList.remove('fas');
-            icon.classList.add('far');
-            this.showToast('Post removed from saved', 'info');
-        } else {
-            icon.classList.remove('far');
-            icon.classList.add('fas');
-            this.showToast('Post saved!', 'success');
+    toggleShareMenu(post, postElement, url) {
+        const existing = postElement.querySelector('.share-menu');
+        if (existing) {
+            existing.remove();
+            return;
+        }
+        
+        const text = encodeURIComponent(post.title);
+        const encodedUrl = encodeURIComponent(url);
+        const targets = [
+            { channel: 'whatsapp', icon: 'fab fa-whatsapp', label: 'WhatsApp', href: `https://wa.me/?text=${text}%20${encodedUrl}` },
+            { channel: 'telegram', icon: 'fab fa-telegram-plane', label: 'Telegram', href: `https://t.me/share/url?url=${encodedUrl}&text=${text}` },
+            { channel: 'twitter', icon: 'fab fa-twitter', label: 'Twitter', href: `https://twitter.com/intent/tweet?url=${encodedUrl}&text=${text}` },
+            { channel: 'email', icon: 'fas fa-envelope', label: 'Email', href: `mailto:?subject=${text}&body=${encodedUrl}` }
+        ];
+        
+        const menu = document.createElement('div');
+        menu.className = 'share-menu';
+        menu.innerHTML = `
+            <button type="button" class="share-option" data-channel="copy_link">
+                <i class="fas fa-link"></i> Copy link
+            </button>
+            ${targets.map(target => `
+                <a class="share-option" data-channel="${target.channel}" href="${this.escapeHtml(target.href)}" target="_blank" rel="noopener noreferrer">
+                    <i class="${target.icon}"></i> ${target.label}
+                </a>
+            `).join('')}
+        `;
+        
+        menu.querySelectorAll('.share-option').forEach(option => {
+            option.addEventListener('click', () => {
+                const channel = option.dataset.channel;
+                
+                if (channel === 'copy_link') {
+                    navigator.clipboard.writeText(url).then(() => {
+                        this.showToast('Link copied to clipboard!', 'success');
+                        this.recordShare(post, postElement, channel);
+                    }).catch(() => {
+                        this.showToast('Could not copy link', 'error');
+                    });
+                } else {
+                    this.recordShare(post, postElement, channel);
+                }
+                
+                menu.remove();
+            });
+        });
+        
+        postElement.querySelector('.post-actions').after(menu);
+    }
+    
+    // Share counts are best-effort; a failed request never blocks sharing
+    async recordShare(post, postElement, channel) {
+        try {
+            const response = await this.api.recordShare(post.id, channel);
+            post.shares = response.shareCount;
+            postElement.querySelector('.share-count').textContent = post.shares;
+        } catch (error) {
+            console.error('Error recording share:', error);
+        }
+    }
+    
+    toggleCrosspostForm(post, postElement) {
+        const existing = postElement.querySelector('.crosspost-form');
+        if (existing) {
+            existing.remove();
+            return;
+        }
+        
+        // Crossposts always point at the first original, which can't be its own target
+        const originCategory = post.original?.category || post.category;
+        const options = this.categories
+            .filter(category => category.slug !== originCategory)
+            .map(category => `<option value="${this.escapeHtml(category.slug)}">${this.escapeHtml(`${category.emoji || ''} ${category.name}`.trim())}</option>`)
+            .join('');
+        
+        const form = document.createElement('form');
+        form.className = 'crosspost-form';
+        form.innerHTML = `
+            <select class="crosspost-category" required>
+                <option value="">Crosspost to...</option>
+                ${options}
+            </select>
+            <input type="text" class="crosspost-title" maxlength="300" placeholder="Title (optional)" value="${this.escapeHtml(post.title)}">
+            <button type="submit" class="btn-primary">Crosspost</button>
+        `;
+        
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            
+            const submitBtn = form.querySelector('button[type="submit"]');
+            submitBtn.disabled = true;
+            
+            try {
+                await this.api.crosspostPost(post.id, {
+                    category: form.querySelector('.crosspost-category').value,
+                    title: form.querySelector('.crosspost-title').value.trim()
+                });
+                
+                this.showToast('Crossposted!', 'success');
+                form.remove();
+                
+                this.resetPosts();
+                this.loadPosts();
+            } catch (error) {
+                console.error('Error crossposting:', error);
+                this.showToast(error.message || 'Failed to crosspost', 'error');
+                submitBtn.disabled = false;
+            }
+        });
+        
+        postElement.querySelector('.post-actions').after(form);
+    }
+    
+    // Collection picker shown on cards in the Saved page
+    createCollectionPicker(post) {
+        return `
+            <select class="collection-move" title="Move to collection">
+                <option value="">Unsorted</option>
+                ${this.savedCollections.map(collection => `
+                    <option value="${this.escapeHtml(collection.id)}" ${collection.id === post.collectionId ? 'selected' : ''}>${this.escapeHtml(collection.name)}</option>
+                `).join('')}
+            </select>
+        `;
+    }
+    
+    async toggleSavePost(post, button, postElement) {
+        const wasSaved = post.isSaved;
+        
+        const render = () => {
+            button.querySelector('i').className = `${post.isSaved ? 'fas' : 'far'} fa-bookmark`;
+            button.querySelector('span').textContent = post.isSaved ? 'Saved' : 'Save';
+        };
+        
+        // Optimistic update, rolled back if the request fails
+        post.isSaved = !wasSaved;
+        render();
+        
+        try {
+            if (wasSaved) {
+                await this.api.unsavePost(post.id);
+                this.showToast('Post removed from saved', 'info');
+                
+                if (this.currentPage === 'saved') {
+                    postElement.remove();
+                }
+            } else {
+                await this.api.savePost(post.id);
+                this.showToast('Post saved!', 'success');
+            }
+        } catch (error) {
+            console.error('Error saving post:', error);
+            post.isSaved = wasSaved;
+            render();
+            this.showToast(error.message || 'Could not update saved posts', 'error');
+        }
+    }
+    
+    async moveSavedPost(post, collectionId, postElement) {
+        try {
+            await this.api.savePost(post.id, collectionId || null);
+            post.collectionId = collectionId || null;
+            this.showToast('Moved', 'success');
+            
+            // Drop the card if it no longer belongs to the collection being viewed
+            if (this.currentCollection && this.currentCollection !== (collectionId || 'none')) {
+                postElement.remove();
+            }
+            this.loadSavedCollections();
+        } catch (error) {
+            console.error('Error moving saved post:', error);
+            this.showToast(error.message || 'Could not move post', 'error');
         }
     }
     
@@ -672,6 +1395,15 @@ class MITReddit {
     }
     
     // Utility functions
+    escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+    
     delay(ms) {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
@@ -131,6 +131,8 @@ class AuthManager {
             window.mitReddit.currentUser = user;
             window.mitReddit.hideLoginModal();
             window.mitReddit.showToast(`Welcome back, ${user.name}!`, 'success');
+            window.mitReddit.loadSubscriptions({ reloadFeed: true });
+            window.mitReddit.loadHiddenContent();
             
         } catch (error) {
             console.error('Login error:', error);
@@ -184,6 +186,8 @@ class AuthManager {
             window.mitReddit.currentUser = user;
             window.mitReddit.hideLoginModal();
             window.mitReddit.showToast(`Welcome to MIT Reddit, ${user.name}!`, 'success');
+            window.mitReddit.loadSubscriptions({ reloadFeed: true });
+            window.mitReddit.loadHiddenContent();
             
         } catch (error) {
             console.error('Signup error:', error);
@@ -476,6 +480,10 @@ class AuthManager {
         avatar.addEventListener('click', () => {
             this.showUserDropdown(user);
         });
+        
+        window.notificationsManager?.start();
+        // Reopen the event stream with the new token
+        window.realtimeManager?.connect();
     }
     
     showUserDropdown(user) {
@@ -530,7 +538,7 @@ class AuthManager {
         
         dropdown.querySelector('#profileLink').addEventListener('click', (e) => {
             e.preventDefault();
-            window.mitReddit.showToast('Profile page coming soon!', 'info');
+            window.profileManager.show(user.username);
             dropdown.remove();
         });
         
@@ -0,0 +1,254 @@
+// Notification centre: navbar bell, unread badge and notification dropdown.
+// The badge is refreshed when the realtime stream reports a new notification.
+class NotificationsManager {
+    constructor() {
+        this.nextCursor = null;
+        this.loading = false;
+        
+        this.icons = {
+            comment_reply: 'fas fa-reply',
+            post_reply: 'fas fa-comment',
+            mention: 'fas fa-at',
+            event_reminder: 'fas fa-calendar-alt',
+            study_buddy_response: 'fas fa-user-friends',
+            moderation: 'fas fa-shield-alt'
+        };
+        
+        this.bindEvents();
+        
+        if (window.mitReddit?.currentUser) {
+            this.start();
+        }
+    }
+    
+    get api() {
+        return window.mitReddit.api;
+    }
+    
+    bindEvents() {
+        document.getElementById('notificationBellBtn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.togglePanel();
+        });
+        
+        document.addEventListener('click', (e) => {
+            const bell = document.getElementById('notificationBell');
+            if (!bell.contains(e.target)) {
+                this.closePanel();
+            }
+        });
+    }
+    
+    start() {
+        document.getElementById('notificationBell').style.display = '';
+        this.refreshUnreadCount();
+    }
+    
+    async refreshUnreadCount() {
+        try {
+            const response = await this.api.getUnreadNotificationCount();
+            this.updateBadge(response.count);
+        } catch (error) {
+            console.error('Error loading unread notifications:', error);
+        }
+    }
+    
+    updateBadge(count) {
+        const badge = document.getElementById('notificationBadge');
+        badge.textContent = count > 99 ? '99+' : String(count);
+        badge.style.display = count > 0 ? '' : 'none';
+    }
+    
+    togglePanel() {
+        if (document.querySelector('.notifications-panel')) {
+            this.closePanel();
+            return;
+        }
+        
+        const panel = document.createElement('div');
+        panel.className = 'notifications-panel';
+        panel.innerHTML = `
+            <div class="notifications-header">
+                <span class="notifications-title">Notifications</span>
+                <div class="notifications-header-actions">
+                    <button type="button" class="notifications-read-all">Mark all read</button>
+                    <button type="button" class="notifications-settings-btn" title="Notification settings">
+                        <i class="fas fa-cog"></i>
+                    </button>
+                </div>
+            </div>
+            <div class="notifications-body">
+                <div class="notifications-list"></div>
+            </div>
+        `;
+        
+        panel.querySelector('.notifications-read-all').addEventListener('click', () => this.markAllRead(panel));
+        panel.querySelector('.notifications-settings-btn').addEventListener('click', () => this.showSettings(panel));
+        
+        document.getElementById('notificationBell').appendChild(panel);
+        this.loadNotifications(panel, true);
+    }
+    
+    closePanel() {
+        document.querySelector('.notifications-panel')?.remove();
+    }
+    
+    async loadNotifications(panel, reset = false) {
+        if (this.loading) return;
+        this.loading = true;
+        
+        const list = panel.querySelector('.notifications-list');
+        if (reset) {
+            this.nextCursor = null;
+            list.innerHTML = '<div class="notifications-empty">Loading...</div>';
+        }
+        
+        try {
+            const params = { limit: 15 };
+            if (this.nextCursor) {
+                params.after = this.nextCursor;
+            }
+            
+            const response = await this.api.getNotifications(params);
+            
+            if (reset) {
+                list.innerHTML = '';
+            }
+            list.querySelector('.notifications-more')?.remove();
+            
+            response.notifications.forEach(notification => {
+                list.appendChild(this.createNotificationElement(notification, panel));
+            });
+            
+            if (!list.children.length) {
+                list.innerHTML = '<div class="notifications-empty">You\'re all caught up</div>';
+            }
+            
+            this.nextCursor = response.pagination.nextCursor;
+            if (response.pagination.hasNext) {
+                const more = document.createElement('button');
+                more.type = 'button';
+                more.className = 'notifications-more';
+                more.textContent = 'Load more';
+                more.addEventListener('click', () => this.loadNotifications(panel));
+                list.appendChild(more);
+            }
+        } catch (error) {
+            console.error('Error loading notifications:', error);
+            list.innerHTML = '<div class="notifications-empty">Failed to load notifications</div>';
+        } finally {
+            this.loading = false;
+        }
+    }
+    
+    createNotificationElement(notification, panel) {
+        const app = window.mitReddit;
+        const item = document.createElement('div');
+        item.className = `notification-item${notification.is_read ? '' : ' unread'}`;
+        item.dataset.notificationId = notification.id;
+        
+        item.innerHTML = `
+            <i class="notification-icon ${this.icons[notification.type] || 'fas fa-bell'}"></i>
+            <div class="notification-content">
+                <div class="notification-message">${app.escapeHtml(notification.message)}</div>
+                ${notification.post ? `<div class="notification-post">${app.escapeHtml(notification.post.title)}</div>` : ''}
+                <div class="notification-time">${app.formatTimestamp(notification.created_at)}</div>
+            </div>
+        `;
+        
+        item.addEventListener('click', () => this.openNotification(notification, item, panel));
+        
+        return item;
+    }
+    
+    async openNotification(notification, item, panel) {
+        if (!notification.is_read) {
+            try {
+                await this.api.markNotificationRead(notification.id);
+                notification.is_read = true;
+                item.classList.remove('unread');
+                this.refreshUnreadCount();
+            } catch (error) {
+                console.error('Error marking notification read:', error);
+            }
+        }
+        
+        if (notification.post) {
+            panel.remove();
+            window.mitReddit.openPost(notification.post.id);
+        }
+    }
+    
+    async markAllRead(panel) {
+        try {
+            await this.api.markAllNotificationsRead();
+            panel.querySelectorAll('.notification-item.unread').forEach(item => item.classList.remove('unread'));
+            this.updateBadge(0);
+        } catch (error) {
+            console.error('Error marking notifications read:', error);
+            window.mitReddit.showToast(error.message || 'Failed to mark notifications read', 'error');
+        }
+    }
+    
+    async showSettings(panel) {
+        const body = panel.querySelector('.notifications-body');
+        body.innerHTML = '<div class="notifications-empty">Loading...</div>';
+        
+        try {
+            const response = await this.api.getNotificationSettings();
+            const app = window.mitReddit;
+            
+            body.innerHTML = `
+                <form class="notification-settings">
+                    <p class="notification-settings-hint">Choose what you get notified about</p>
+                    ${response.types.map(type => `
+                        <label class="notification-setting">
+                            <input type="checkbox" value="${app.escapeHtml(type.type)}" ${type.muted ? '' : 'checked'}>
+                            ${app.escapeHtml(type.label)}
+                        </label>
+                    `).join('')}
+                    <div class="notification-settings-actions">
+                        <button type="button" class="notification-settings-cancel">Back</button>
+                        <button type="submit" class="notification-settings-save">Save</button>
+                    </div>
+                </form>
+            `;
+            
+            const form = body.querySelector('.notification-settings');
+            form.querySelector('.notification-settings-cancel').addEventListener('click', (e) => {
+                // The button is gone by the time the click reaches the outside-click handler
+                e.stopPropagation();
+                this.closePanel();
+                this.togglePanel();
+            });
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.saveSettings(form);
+            });
+        } catch (error) {
+            console.error('Error loading notification settings:', error);
+            body.innerHTML = '<div class="notifications-empty">Failed to load settings</div>';
+        }
+    }
+    
+    async saveSettings(form) {
+        // Unchecked types are the muted ones
+        const mutedTypes = [...form.querySelectorAll('input[type="checkbox"]')]
+            .filter(input => !input.checked)
+            .map(input => input.value);
+        
+        try {
+            await this.api.updateNotificationSettings(mutedTypes);
+            window.mitReddit.showToast('Notification settings saved', 'success');
+            this.closePanel();
+        } catch (error) {
+            console.error('Error saving notification settings:', error);
+            window.mitReddit.showToast(error.message || 'Failed to save settings', 'error');
+        }
+    }
+}
+
+// Initialize when DOM is loaded (after app.js, which sets up the API client)
+document.addEventListener('DOMContentLoaded', () => {
+    window.notificationsManager = new NotificationsManager();
+});
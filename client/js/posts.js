@@ -1,8 +1,14 @@
 // Posts Management Module
 class PostsManager {
     constructor() {
+        this.draftId = null;
+        this.draftImageAssetId = null;
+        this.draftSaving = Promise.resolve();
+        this.duplicatesAcknowledged = false;
+        
         this.bindPostFormEvents();
         this.bindTabEvents();
+        this.bindDraftEvents();
     }
     
     bindPostFormEvents() {
@@ -11,6 +17,30 @@ class PostsManager {
             createPostForm.addEventListener('submit', (e) => this.handleCreatePost(e));
         }
         
+        // Flairs depend on the chosen category
+        const categorySelect = document.querySelector('#createPostForm .category-select');
+        if (categorySelect) {
+            categorySelect.addEventListener('change', (e) => this.updateFlairOptions(e.target.value));
+            createPostForm.addEventListener('reset', () => this.updateFlairOptions(''));
+        }
+        
+        // Warn about similar recent posts while the title is being written
+        const titleInput = document.querySelector('#createPostForm .title-input');
+        if (titleInput && categorySelect) {
+            const checkSimilar = this.debounce(() => this.checkSimilarPosts(), 800);
+            titleInput.addEventListener('input', checkSimilar);
+            categorySelect.addEventListener('change', checkSimilar);
+            createPostForm.addEventListener('reset', () => this.renderSimilarPosts([]));
+        }
+        
+        // Live markdown preview, rendered by the same server-side renderer as posts
+        const contentInput = document.querySelector('#createPostForm .content-input');
+        if (contentInput) {
+            const updatePreview = this.debounce((content) => this.updateMarkdownPreview(content), 400);
+            contentInput.addEventListener('input', (e) => updatePreview(e.target.value));
+            createPostForm.addEventListener('reset', () => this.updateMarkdownPreview(''));
+        }
+        
         const cancelBtn = document.getElementById('cancelPost');
         if (cancelBtn) {
             cancelBtn.addEventListener('click', () => {
@@ -19,6 +49,214 @@ class PostsManager {
         }
     }
     
+    bindDraftEvents() {
+        const form = document.getElementById('createPostForm');
+        if (!form) return;
+        
+        // Autosave a couple of seconds after the user stops typing
+        const autosave = this.debounce(() => this.autosaveDraft(), 2000);
+        form.addEventListener('input', (e) => {
+            if (e.target.type !== 'file') autosave();
+        });
+        form.addEventListener('change', (e) => {
+            if (e.target.type !== 'file') autosave();
+        });
+        
+        form.addEventListener('reset', () => {
+            this.draftId = null;
+            this.draftImageAssetId = null;
+            this.duplicatesAcknowledged = false;
+            this.setAutosaveStatus('');
+        });
+        
+        const toggleBtn = document.getElementById('toggleDrafts');
+        if (toggleBtn) {
+            toggleBtn.addEventListener('click', () => this.toggleDraftsPanel());
+        }
+    }
+    
+    // Read the create-post form into the shape the posts API expects
+    collectFormData(form) {
+        const type = document.querySelector('.post-type-tabs .tab-btn.active').dataset.type;
+        const data = {
+            category: form.querySelector('.category-select').value,
+            title: form.querySelector('.title-input').value.trim(),
+            content: form.querySelector('.content-input').value.trim(),
+            type,
+            flair_id: form.querySelector('.flair-select').value || null,
+            tags: form.querySelector('.tags-input').value
+                .split(',')
+                .map(tag => tag.trim())
+                .filter(Boolean)
+        };
+        
+        const linkInput = form.querySelector('.link-input');
+        if (type === 'link' && linkInput) {
+            data.link_url = linkInput.value.trim();
+        }
+        
+        if (type === 'poll' && form.querySelector('.poll-builder')) {
+            data.poll = this.getPollData(form);
+        }
+        
+        const publishAt = form.querySelector('.publish-at-input').value;
+        data.publish_at = publishAt ? new Date(publishAt).toISOString() : null;
+        
+        return data;
+    }
+    
+    autosaveDraft() {
+        const form = document.getElementById('createPostForm');
+        if (!window.mitReddit.currentUser || this.submitting) return;
+        
+        const { publish_at, ...draftData } = this.collectFormData(form);
+        
+        // Nothing worth keeping yet
+        if (!this.draftId && !draftData.title && !draftData.content) return;
+        
+        // Queue saves so a slow request can't create the draft twice
+        this.draftSaving = this.draftSaving
+            .then(() => this.saveDraft(draftData))
+            .catch(error => {
+                console.error('Error autosaving draft:', error);
+                this.setAutosaveStatus('Draft not saved');
+            });
+        
+        return this.draftSaving;
+    }
+    
+    async saveDraft(draftData) {
+        this.setAutosaveStatus('Saving...');
+        
+        if (this.draftId) {
+            await window.mitReddit.api.updateDraft(this.draftId, draftData);
+        } else {
+            const { draft } = await window.mitReddit.api.createDraft(draftData);
+            this.draftId = draft.id;
+        }
+        
+        this.setAutosaveStatus(`Draft saved ${new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`);
+    }
+    
+    setAutosaveStatus(text) {
+        const status = document.querySelector('#createPostForm .autosave-status');
+        if (status) status.textContent = text;
+    }
+    
+    async toggleDraftsPanel() {
+        const panel = document.getElementById('draftsPanel');
+        
+        if (panel.style.display !== 'none') {
+            panel.style.display = 'none';
+            return;
+        }
+        
+        panel.style.display = 'block';
+        await this.renderDrafts();
+    }
+    
+    async renderDrafts() {
+        const list = document.querySelector('#draftsPanel .drafts-list');
+        const escapeHtml = (value) => window.mitReddit.escapeHtml(value);
+        
+        list.innerHTML = '<li class="drafts-empty">Loading...</li>';
+        
+        try {
+            const { drafts } = await window.mitReddit.api.getDrafts();
+            
+            if (drafts.length === 0) {
+                list.innerHTML = '<li class="drafts-empty">No drafts yet. Drafts are saved automatically as you write.</li>';
+                return;
+            }
+            
+            list.innerHTML = drafts.map(draft => `
+                <li class="draft-item" data-draft-id="${escapeHtml(draft.id)}">
+                    <div class="draft-info">
+                        <span class="draft-title">${escapeHtml(draft.title || 'Untitled draft')}</span>
+                        <span class="draft-meta">
+                            ${draft.status === 'scheduled'
+                                ? `<i class="fas fa-clock"></i> Scheduled for ${new Date(draft.publish_at).toLocaleString()}`
+                                : `Edited ${window.mitReddit.formatTimestamp(draft.updated_at)}`}
+                        </span>
+                    </div>
+                    ${draft.status === 'scheduled'
+                        ? '<button type="button" class="btn-secondary draft-unschedule">Unschedule</button>'
+                        : '<button type="button" class="btn-secondary draft-open">Open</button>'}
+                    <button type="button" class="draft-delete" title="Delete draft"><i class="fas fa-trash"></i></button>
+                </li>
+            `).join('');
+            
+            list.querySelectorAll('.draft-item').forEach(item => {
+                const draft = drafts.find(d => d.id === item.dataset.draftId);
+                
+                item.querySelector('.draft-open')?.addEventListener('click', () => this.openDraft(draft));
+                item.querySelector('.draft-unschedule')?.addEventListener('click', async () => {
+                    await window.mitReddit.api.unschedulePost(draft.id);
+                    window.mitReddit.showToast('Post moved back to drafts', 'info');
+                    this.renderDrafts();
+                });
+                item.querySelector('.draft-delete').addEventListener('click', async () => {
+                    if (!confirm('Delete this draft?')) return;
+                    await window.mitReddit.api.deleteDraft(draft.id);
+                    if (this.draftId === draft.id) this.draftId = null;
+                    this.renderDrafts();
+                });
+            });
+        } catch (error) {
+            console.error('Error loading drafts:', error);
+            list.innerHTML = '<li class="drafts-empty">Could not load drafts</li>';
+        }
+    }
+    
+    // Load a draft into the create-post form and keep autosaving into it
+    openDraft(draft) {
+        const form = document.getElementById('createPostForm');
+        form.reset();
+        
+        this.draftId = draft.id;
+        this.draftImageAssetId = draft.image_asset_id || null;
+        
+        this.switchPostType(draft.type || 'text');
+        
+        form.querySelector('.category-select').value = draft.category || '';
+        this.updateFlairOptions(draft.category || '');
+        form.querySelector('.flair-select').value = draft.flair_id || '';
+        form.querySelector('.title-input').value = draft.title || '';
+        form.querySelector('.content-input').value = draft.content || '';
+        form.querySelector('.tags-input').value = (draft.tags || []).join(', ');
+        this.updateMarkdownPreview(draft.content || '');
+        
+        const linkInput = form.querySelector('.link-input');
+        if (linkInput && draft.link_url) {
+            linkInput.value = draft.link_url;
+            this.generateLinkPreview(draft.link_url, linkInput.closest('.dynamic-field'));
+        }
+        
+        const pollBuilder = form.querySelector('.poll-builder');
+        if (pollBuilder && draft.poll_draft) {
+            const options = draft.poll_draft.options || [];
+            while (pollBuilder.querySelectorAll('.poll-option-input').length < Math.min(options.length, 10)) {
+                this.addPollOptionInput(pollBuilder);
+            }
+            pollBuilder.querySelectorAll('.poll-option-input').forEach((input, index) => {
+                input.value = options[index] || '';
+            });
+            pollBuilder.querySelector('.poll-allow-multiple').checked = Boolean(draft.poll_draft.allowMultiple);
+        }
+        
+        if (this.draftImageAssetId) {
+            const preview = form.querySelector('.image-preview-container');
+            if (preview && draft.image_url) {
+                preview.querySelector('.image-preview').src = draft.image_url;
+                preview.style.display = 'block';
+                form.querySelector('.image-upload').style.display = 'none';
+            }
+        }
+        
+        document.getElementById('draftsPanel').style.display = 'none';
+        this.setAutosaveStatus('Editing draft');
+    }
+    
     bindTabEvents() {
         document.querySelectorAll('.post-type-tabs .tab-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
@@ -63,6 +301,12 @@ class PostsManager {
                 contentInput.style.display = 'block';
                 this.addLinkField();
                 break;
+                
+            case 'poll':
+                contentInput.placeholder = 'Description (optional)';
+                contentInput.style.display = 'block';
+                this.addPollFields();
+                break;
         }
     }
     
@@ -73,8 +317,8 @@ class PostsManager {
             <div class="image-upload" onclick="this.querySelector('input').click()">
                 <i class="fas fa-cloud-upload-alt"></i>
                 <p>Click to upload an image</p>
-                <small>JPG, PNG, GIF up to 10MB</small>
-                <input type="file" accept="image/*" style="display: none;">
+                <small>JPG, PNG, GIF or WebP up to 10MB</small>
+                <input type="file" accept="image/jpeg,image/png,image/gif,image/webp" style="display: none;">
             </div>
             <div class="image-preview-container" style="display: none;">
                 <img class="image-preview" alt="Preview">
@@ -118,9 +362,91 @@ class PostsManager {
         
         // Handle link preview
         const linkInput = formGroup.querySelector('.link-input');
-        linkInput.addEventListener('input', (e) => {
-            this.debounce(() => this.generateLinkPreview(e.target.value, formGroup), 500)();
+        const updatePreview = this.debounce((url) => this.generateLinkPreview(url, formGroup), 500);
+        linkInput.addEventListener('input', (e) => updatePreview(e.target.value.trim()));
+    }
+    
+    addPollFields() {
+        const formGroup = document.createElement('div');
+        formGroup.className = 'form-group dynamic-field poll-builder';
+        formGroup.innerHTML = `
+            <div class="poll-option-inputs"></div>
+            <button type="button" class="btn-secondary add-poll-option">
+                <i class="fas fa-plus"></i> Add option
+            </button>
+            <div class="poll-settings">
+                <label class="poll-multi-select">
+                    <input type="checkbox" class="poll-allow-multiple"> Allow multiple choices
+                </label>
+                <label>
+                    Closes
+                    <select class="poll-duration">
+                        <option value="">Never</option>
+                        <option value="1">In 1 day</option>
+                        <option value="3">In 3 days</option>
+                        <option value="7" selected>In 1 week</option>
+                        <option value="30">In 30 days</option>
+                    </select>
+                </label>
+            </div>
+        `;
+        
+        const contentGroup = document.querySelector('.content-input').parentElement;
+        contentGroup.parentElement.insertBefore(formGroup, contentGroup.nextSibling);
+        
+        const addBtn = formGroup.querySelector('.add-poll-option');
+        addBtn.addEventListener('click', () => this.addPollOptionInput(formGroup));
+        
+        // Polls start with the minimum of two options
+        this.addPollOptionInput(formGroup);
+        this.addPollOptionInput(formGroup);
+    }
+    
+    addPollOptionInput(container) {
+        const list = container.querySelector('.poll-option-inputs');
+        if (list.children.length >= 10) return;
+        
+        const row = document.createElement('div');
+        row.className = 'poll-option-row';
+        row.innerHTML = `
+            <input type="text" class="poll-option-input" maxlength="100" placeholder="Option ${list.children.length + 1}">
+            <button type="button" class="remove-poll-option" title="Remove option">
+                <i class="fas fa-times"></i>
+            </button>
+        `;
+        
+        row.querySelector('.remove-poll-option').addEventListener('click', () => {
+            if (list.children.length <= 2) return;
+            row.remove();
+            this.updatePollOptionControls(container);
+        });
+        
+        list.appendChild(row);
+        this.updatePollOptionControls(container);
+    }
+    
+    updatePollOptionControls(container) {
+        const rows = container.querySelectorAll('.poll-option-row');
+        
+        rows.forEach((row, index) => {
+            row.querySelector('.poll-option-input').placeholder = `Option ${index + 1}`;
+            row.querySelector('.remove-poll-option').disabled = rows.length <= 2;
         });
+        
+        container.querySelector('.add-poll-option').disabled = rows.length >= 10;
+    }
+    
+    getPollData(form) {
+        const options = Array.from(form.querySelectorAll('.poll-option-input'))
+            .map(input => input.value.trim())
+            .filter(Boolean);
+        const days = parseInt(form.querySelector('.poll-duration').value);
+        
+        return {
+            options,
+            allowMultiple: form.querySelector('.poll-allow-multiple').checked,
+            closesAt: days ? new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString() : null
+        };
     }
     
     handleImageUpload(event, container) {
@@ -139,6 +465,9 @@ class PostsManager {
             return;
         }
         
+        // A newly chosen file replaces any image uploaded earlier
+        this.draftImageAssetId = null;
+        
         const reader = new FileReader();
         reader.onload = (e) => {
             const preview = container.querySelector('.image-preview');
@@ -161,44 +490,81 @@ class PostsManager {
         
         preview.src = '';
         fileInput.value = '';
+        this.draftImageAssetId = null;
         previewContainer.style.display = 'none';
         uploadArea.style.display = 'block';
     }
     
     async generateLinkPreview(url, container) {
-        if (!this.isValidUrl(url)) return;
-        
         const preview = container.querySelector('.link-preview');
         
+        if (!this.isValidUrl(url)) {
+            preview.style.display = 'none';
+            return;
+        }
+        
         try {
-            // In a real app, this would fetch metadata from the URL
-            // For demo purposes, we'll generate mock preview data
-            const mockPreview = this.generateMockLinkPreview(url);
+            const { preview: metadata } = await window.mitReddit.api.getLinkPreview(url);
+            
+            // Ignore responses for a URL the user has since changed
+            if (container.querySelector('.link-input').value.trim() !== url) return;
             
             const image = preview.querySelector('.link-preview-image');
             const title = preview.querySelector('.link-preview-title');
             const description = preview.querySelector('.link-preview-description');
             const domain = preview.querySelector('.link-preview-domain');
             
-            image.src = mockPreview.image;
-            title.textContent = mockPreview.title;
-            description.textContent = mockPreview.description;
-            domain.textContent = mockPreview.domain;
+            image.style.display = metadata.image ? 'block' : 'none';
+            image.src = metadata.image || '';
+            title.textContent = metadata.title || url;
+            description.textContent = metadata.description || '';
+            domain.textContent = metadata.siteName || metadata.domain;
             
             preview.style.display = 'block';
         } catch (error) {
             console.error('Error generating link preview:', error);
+            preview.style.display = 'none';
         }
     }
     
-    generateMockLinkPreview(url) {
-        const domain = new URL(url).hostname;
-        return {
-            title: `Link Preview for ${domain}`,
-            description: `This is a preview of the linked content from ${domain}. In a real application, this would show the actual page metadata.`,
-            image: `https://picsum.photos/200/100?random=${Date.now()}`,
-            domain: domain
-        };
+    updateFlairOptions(categorySlug) {
+        const flairSelect = document.querySelector('#createPostForm .flair-select');
+        if (!flairSelect) return;
+        
+        const category = window.mitReddit.getCategory(categorySlug);
+        const flairs = category?.flairs || [];
+        const escapeHtml = (value) => window.mitReddit.escapeHtml(value);
+        
+        flairSelect.innerHTML = '<option value="">No flair</option>' + flairs
+            .map(flair => `<option value="${escapeHtml(flair.id)}">${escapeHtml(flair.name)}</option>`)
+            .join('');
+        flairSelect.style.display = flairs.length > 0 ? 'block' : 'none';
+    }
+    
+    async updateMarkdownPreview(content) {
+        const preview = document.querySelector('#createPostForm .markdown-preview');
+        if (!preview) return;
+        
+        this.previewContent = content;
+        
+        if (!content.trim() || !window.mitReddit.currentUser) {
+            preview.style.display = 'none';
+            preview.innerHTML = '';
+            return;
+        }
+        
+        try {
+            const { html } = await window.mitReddit.api.previewMarkdown(content);
+            
+            // Ignore responses for text that has since changed
+            if (this.previewContent !== content) return;
+            
+            preview.innerHTML = html;
+            preview.style.display = html ? 'block' : 'none';
+            window.mitReddit.bindSpoilers(preview);
+        } catch (error) {
+            console.error('Error rendering preview:', error);
+        }
     }
     
     isValidUrl(string) {
@@ -210,6 +576,66 @@ class PostsManager {
         }
     }
     
+    async checkSimilarPosts() {
+        const form = document.getElementById('createPostForm');
+        const category = form.querySelector('.category-select').value;
+        const title = form.querySelector('.title-input').value.trim();
+        
+        // The user changed what they're posting, so ask again
+        this.duplicatesAcknowledged = false;
+        
+        if (!window.mitReddit.currentUser || !category || title.length < 5) {
+            this.renderSimilarPosts([]);
+            return;
+        }
+        
+        try {
+            const { similarPosts } = await window.mitReddit.api.findSimilarPosts(
+                category,
+                title,
+                form.querySelector('.content-input').value.trim()
+            );
+            this.renderSimilarPosts(similarPosts);
+        } catch (error) {
+            // Only a hint; never block writing
+            console.error('Error checking similar posts:', error);
+        }
+    }
+    
+    // List likely duplicates above the form. After a rejected submit the list
+    // also offers to post anyway.
+    renderSimilarPosts(similarPosts, blocking = false) {
+        const container = document.querySelector('#createPostForm .similar-posts');
+        if (!container) return;
+        
+        if (similarPosts.length === 0) {
+            container.style.display = 'none';
+            container.innerHTML = '';
+            return;
+        }
+        
+        const escapeHtml = (value) => window.mitReddit.escapeHtml(value);
+        
+        container.innerHTML = `
+            <p class="similar-posts-title"><i class="fas fa-clone"></i> Similar posts already exist</p>
+            <ul>
+                ${similarPosts.map(post => `
+                    <li>
+                        <a href="/p/${escapeHtml(post.id)}" target="_blank" rel="noopener">${escapeHtml(post.title)}</a>
+                        <span class="similar-post-meta">${post.comment_count || 0} comments • ${window.mitReddit.formatTimestamp(post.created_at)}</span>
+                    </li>
+                `).join('')}
+            </ul>
+            ${blocking ? '<button type="button" class="btn-secondary post-anyway-btn">Post anyway</button>' : ''}
+        `;
+        container.style.display = 'block';
+        
+        container.querySelector('.post-anyway-btn')?.addEventListener('click', () => {
+            this.duplicatesAcknowledged = true;
+            document.getElementById('createPostForm').requestSubmit();
+        });
+    }
+    
     async handleCreatePost(event) {
         event.preventDefault();
         
@@ -218,13 +644,8 @@ class PostsManager {
             return;
         }
         
-        const formData = new FormData(event.target);
-        const postData = {
-            category: event.target.querySelector('.category-select').value,
-            title: event.target.querySelector('.title-input').value.trim(),
-            content: event.target.querySelector('.content-input').value.trim(),
-            type: document.querySelector('.post-type-tabs .tab-btn.active').dataset.type
-        };
+        const postData = this.collectFormData(event.target);
+        postData.acknowledge_duplicates = this.duplicatesAcknowledged;
         
         // Validate required fields
         if (!postData.category) {
@@ -247,20 +668,38 @@ class PostsManager {
             return;
         }
         
+        if (postData.tags.length > 5) {
+            window.mitReddit.showToast('Posts can have at most 5 tags', 'error');
+            return;
+        }
+        
         // Handle different post types
+        let imageFile = null;
+        
         if (postData.type === 'image') {
             const imageInput = event.target.querySelector('input[type="file"]');
-            if (imageInput && imageInput.files[0]) {
-                postData.image = imageInput.files[0];
+            imageFile = imageInput && imageInput.files[0];
+            
+            // A draft may already carry an uploaded image
+            if (!imageFile && !this.draftImageAssetId) {
+                window.mitReddit.showToast('Please choose an image to upload', 'error');
+                return;
             }
         } else if (postData.type === 'link') {
-            const linkInput = event.target.querySelector('.link-input');
-            if (linkInput && linkInput.value) {
-                if (!this.isValidUrl(linkInput.value)) {
-                    window.mitReddit.showToast('Please enter a valid URL', 'error');
-                    return;
-                }
-                postData.link = linkInput.value;
+            if (postData.link_url && !this.isValidUrl(postData.link_url)) {
+                window.mitReddit.showToast('Please enter a valid URL', 'error');
+                return;
+            }
+        } else if (postData.type === 'poll') {
+            if (postData.poll.options.length < 2) {
+                window.mitReddit.showToast('Polls need at least two options', 'error');
+                return;
+            }
+            
+            const labels = postData.poll.options.map(option => option.toLowerCase());
+            if (new Set(labels).size !== labels.length) {
+                window.mitReddit.showToast('Poll options must be unique', 'error');
+                return;
             }
         }
         
@@ -271,11 +710,33 @@ class PostsManager {
             submitBtn.disabled = true;
             submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Posting...';
             
-            // Simulate API call
-            await this.submitPost(postData);
+            this.submitting = true;
+            
+            // Images are uploaded first; the post references the stored asset.
+            // The asset is kept so a retried submit doesn't upload it again.
+            if (imageFile && !this.draftImageAssetId) {
+                const { asset } = await window.mitReddit.api.uploadPostImage(imageFile);
+                this.draftImageAssetId = asset.id;
+            }
+            if (postData.type === 'image') {
+                postData.image_asset_id = this.draftImageAssetId;
+            }
+            
+            if (this.draftId) {
+                // Bring the draft up to date, then publish or schedule it
+                const { publish_at, acknowledge_duplicates, ...draftData } = postData;
+                await this.draftSaving;
+                await window.mitReddit.api.updateDraft(this.draftId, draftData);
+                await window.mitReddit.api.publishDraft(this.draftId, publish_at, acknowledge_duplicates);
+            } else {
+                await this.submitPost(postData);
+            }
             
             // Success
-            window.mitReddit.showToast('Post created successfully!', 'success');
+            window.mitReddit.showToast(
+                postData.publish_at ? 'Post scheduled!' : 'Post created successfully!',
+                'success'
+            );
             window.mitReddit.hideCreatePostModal();
             
             // Refresh feed
@@ -283,9 +744,17 @@ class PostsManager {
             window.mitReddit.loadPosts();
             
         } catch (error) {
+            if (error.data?.code === 'SIMILAR_POSTS') {
+                this.renderSimilarPosts(error.data.similarPosts, true);
+                window.mitReddit.showToast('Similar posts already exist - take a look before posting', 'info');
+                return;
+            }
+            
             console.error('Error creating post:', error);
-            window.mitReddit.showToast('Failed to create post. Please try again.', 'error');
+            window.mitReddit.showToast(error.message || 'Failed to create post. Please try again.', 'error');
         } finally {
+            this.submitting = false;
+            
             // Reset button state
             const submitBtn = event.target.querySelector('button[type="submit"]');
             submitBtn.disabled = false;
@@ -321,130 +790,527 @@ class PostsManager {
 // Comment Management
 class CommentsManager {
     constructor() {
-        this.comments = new Map(); // postId -> comments array
+        this.sorts = [
+            { value: 'best', label: 'Best' },
+            { value: 'top', label: 'Top' },
+            { value: 'new', label: 'New' },
+            { value: 'old', label: 'Old' },
+            { value: 'controversial', label: 'Controversial' }
+        ];
+        
+        // Open comment sections by post id, kept current by the realtime stream
+        this.openPosts = new Map();
+    }
+    
+    get api() {
+        return window.mitReddit.api;
+    }
+    
+    escapeHtml(value) {
+        return window.mitReddit.escapeHtml(value);
+    }
+    
+    // Comments open inline under the post card
+    toggleComments(post, postElement) {
+        const existing = postElement.querySelector('.comments-section');
+        if (existing) {
+            existing.remove();
+            this.openPosts.delete(post.id);
+            window.realtimeManager?.unwatchPost(post.id);
+            return;
+        }
+        
+        const section = document.createElement('section');
+        section.className = 'comments-section';
+        section.innerHTML = `
+            <div class="comments-toolbar">
+                <label>
+                    Sort by
+                    <select class="comments-sort">
+                        ${this.sorts.map(sort => `<option value="${sort.value}">${sort.label}</option>`).join('')}
+                    </select>
+                </label>
+            </div>
+            ${post.isLocked
+                ? '<p class="comments-notice"><i class="fas fa-lock"></i> Comments are locked</p>'
+                : this.createReplyForm('What are your thoughts?')}
+            <div class="comments-list"></div>
+        `;
+        
+        section.querySelector('.comments-sort').addEventListener('change', () => {
+            this.loadComments(post, section);
+        });
+        
+        section.querySelector('.comment-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitComment(post, section, e.target, null);
+        });
+        
+        postElement.querySelector('.post-content').appendChild(section);
+        this.loadComments(post, section);
+        
+        this.openPosts.set(post.id, { post, section });
+        window.realtimeManager?.watchPost(post.id);
+    }
+    
+    // The open comment section for a post, if it's still on the page
+    getOpenPost(postId) {
+        const open = this.openPosts.get(postId);
+        if (open && !open.section.isConnected) {
+            this.openPosts.delete(postId);
+            window.realtimeManager?.unwatchPost(postId);
+            return null;
+        }
+        
+        return open || null;
+    }
+    
+    // Realtime: a comment was posted on an open post
+    handleNewComment(comment) {
+        const open = this.getOpenPost(comment.post_id);
+        if (!open) return;
+        
+        const { post, section } = open;
+        if (section.querySelector(`.comment[data-comment-id="${comment.id}"]`)) return;
+        
+        // Blocked and muted users' comments only move the count
+        if (window.mitReddit.hiddenUserIds.has(comment.author_id)) {
+            this.updateCommentCount(post, 1);
+            return;
+        }
+        
+        if (comment.parent_id) {
+            // Replies in threads that aren't expanded only move the count
+            const parentElement = section.querySelector(`.comment[data-comment-id="${comment.parent_id}"]`);
+            const replies = parentElement?.querySelector(':scope > .comment-replies');
+            
+            if (replies && !replies.querySelector(':scope > .comment-continue')) {
+                const level = Number(parentElement.dataset.level) + 1;
+                replies.append(this.createCommentElement(comment, post, section, level));
+            }
+        } else {
+            const list = section.querySelector('.comments-list');
+            list.querySelector(':scope > .comments-notice')?.remove();
+            list.prepend(this.createCommentElement(comment, post, section));
+        }
+        
+        this.updateCommentCount(post, 1);
+    }
+    
+    // Realtime: someone voted on a comment in an open post
+    applyCommentVote({ id, score }) {
+        document.querySelectorAll(`.comment[data-comment-id="${id}"] > .comment-header .comment-score`).forEach(element => {
+            element.textContent = `${score} points`;
+        });
     }
     
-    async loadComments(postId) {
+    // After a gap in the realtime stream, reload what may have missed updates
+    reloadOpenComments() {
+        [...this.openPosts.keys()].forEach(postId => {
+            const open = this.getOpenPost(postId);
+            if (open) {
+                this.loadComments(open.post, open.section);
+            }
+        });
+    }
+    
+    async loadComments(post, section) {
+        const list = section.querySelector('.comments-list');
+        const sort = section.querySelector('.comments-sort').value;
+        
+        list.innerHTML = '<p class="comments-notice">Loading comments...</p>';
+        
         try {
-            // Simulate API call
-            await new Promise(resolve => setTimeout(resolve, 500));
+            const { comments, pagination } = await this.api.getComments(post.id, { sort });
             
-            // Generate mock comments
-            const comments = this.generateMockComments(postId);
-            this.comments.set(postId, comments);
+            list.innerHTML = '';
             
-            return comments;
+            if (comments.length === 0) {
+                list.innerHTML = '<p class="comments-notice">No comments yet. Start the conversation!</p>';
+                return;
+            }
+            
+            comments.forEach(comment => {
+                list.appendChild(this.createCommentElement(comment, post, section));
+            });
+            
+            if (pagination.hasNext) {
+                list.appendChild(this.createMoreCommentsButton(post, section, pagination));
+            }
         } catch (error) {
             console.error('Error loading comments:', error);
-            throw error;
+            list.innerHTML = '<p class="comments-notice">Could not load comments.</p>';
         }
     }
     
-    generateMockComments(postId) {
-        const users = [
-            'study_buddy_23', 'tech_geek_21', 'manipal_senior', 'freshman_2024',
-            'coding_enthusiast', 'sports_fan_22', 'music_lover', 'bookworm_21'
-        ];
+    // Next page of top-level comments
+    createMoreCommentsButton(post, section, pagination) {
+        return this.createLoadMoreButton(`Load more comments (${pagination.remaining})`, async (button) => {
+            const sort = section.querySelector('.comments-sort').value;
+            const { comments, pagination: next } = await this.api.getComments(post.id, {
+                sort,
+                after: pagination.nextCursor
+            });
+            
+            comments.forEach(comment => {
+                button.before(this.createCommentElement(comment, post, section));
+            });
+            
+            if (next.hasNext) {
+                button.replaceWith(this.createMoreCommentsButton(post, section, next));
+            } else {
+                button.remove();
+            }
+        });
+    }
+    
+    // "Load 12 more replies" stub under a comment
+    createMoreRepliesButton(parentId, moreReplies, level, post, section) {
+        const { count, cursor } = moreReplies;
+        const label = `Load ${count} more ${count === 1 ? 'reply' : 'replies'}`;
         
-        const comments = [];
-        const numComments = Math.floor(Math.random() * 10) + 3;
-        
-        for (let i = 0; i < numComments; i++) {
-            comments.push({
-                id: `comment_${postId}_${i}`,
-                author: users[Math.floor(Math.random() * users.length)],
-                content: this.generateCommentContent(),
-                timestamp: this.generateCommentTimestamp(),
-                upvotes: Math.floor(Math.random() * 50),
-                downvotes: Math.floor(Math.random() * 5),
-                replies: Math.random() > 0.7 ? this.generateReplies(postId, i) : []
+        return this.createLoadMoreButton(label, async (button) => {
+            const sort = section.querySelector('.comments-sort').value;
+            const { replies, moreReplies: next } = await this.api.getCommentReplies(parentId, {
+                sort,
+                after: cursor,
+                level
             });
-        }
+            
+            replies.forEach(reply => {
+                button.before(this.createCommentElement(reply, post, section, level));
+            });
+            
+            if (next) {
+                button.replaceWith(this.createMoreRepliesButton(parentId, next, level, post, section));
+            } else {
+                button.remove();
+            }
+        });
+    }
+    
+    createLoadMoreButton(label, load) {
+        const button = document.createElement('button');
+        button.className = 'comment-continue comments-more';
+        button.textContent = label;
+        button.addEventListener('click', async () => {
+            button.disabled = true;
+            
+            try {
+                await load(button);
+            } catch (error) {
+                console.error('Error loading comments:', error);
+                window.mitReddit.showToast('Could not load more comments', 'error');
+                button.disabled = false;
+            }
+        });
         
-        return comments;
+        return button;
     }
     
-    generateCommentContent() {
-        const contents = [
-            'Great point! I completely agree with your perspective on this.',
-            'Thanks for sharing this. Really helpful information.',
-            'Has anyone else tried this approach? I\'d love to hear experiences.',
-            'This is exactly what I was looking for. Much appreciated!',
-            'I had a similar experience. Here\'s what worked for me...',
-            'Can you provide more details about this? I\'m curious to learn more.',
-            'Disagree with this. Here\'s why I think differently...',
-            'Adding to what you said, I think we should also consider...',
-            'This reminds me of something that happened last semester.',
-            'Bookmarking this for future reference. Super useful!'
-        ];
+    createReplyForm(placeholder) {
+        return `
+            <form class="comment-form">
+                <textarea class="comment-input" rows="3" maxlength="10000" placeholder="${this.escapeHtml(placeholder)}" required></textarea>
+                <div class="comment-form-actions">
+                    <button type="submit" class="btn-primary">Comment</button>
+                </div>
+            </form>
+        `;
+    }
+    
+    // level: how deep the comment sits in the tree the server built (0 = top)
+    createCommentElement(comment, post, section, level = 0) {
+        const currentUser = window.mitReddit.currentUser;
+        const isAuthor = Boolean(currentUser) && comment.author_id === currentUser.id;
+        const element = document.createElement('div');
+        element.className = `comment${comment.is_deleted ? ' comment-deleted' : ''}`;
+        element.dataset.commentId = comment.id;
+        element.dataset.level = level;
+        
+        // Hidden comments (by users the reader blocked or muted) arrive
+        // redacted like deleted ones
+        const placeholder = comment.is_hidden ? '[hidden]' : '[deleted]';
+        const author = comment.is_deleted ? placeholder : `u/${comment.users?.username || '[deleted]'}`;
+        const body = comment.is_deleted
+            ? `<p><em>${comment.is_hidden ? 'Comment from a user you blocked or muted' : '[deleted]'}</em></p>`
+            : comment.content_html || `<p>${this.escapeHtml(comment.content)}</p>`;
+        
+        element.innerHTML = `
+            <div class="comment-header">
+                ${comment.is_deleted || !comment.users?.username
+                    ? `<span class="comment-author">${this.escapeHtml(author)}</span>`
+                    : `<a class="comment-author" href="#user-${encodeURIComponent(comment.users.username)}">${this.escapeHtml(author)}</a>`}
+                <span class="comment-meta">
+                    <span class="comment-score">${comment.score || 0} points</span> • ${window.mitReddit.formatTimestamp(comment.created_at)}${comment.is_edited ? ' • edited' : ''}
+                </span>
+            </div>
+            <div class="comment-body markdown-body">${body}</div>
+            ${comment.is_deleted ? '' : `
+                <div class="comment-actions">
+                    <button class="comment-action comment-vote ${comment.user_vote === 1 ? 'upvoted' : ''}" data-vote="1" title="Upvote" ${post.isLocked ? 'disabled' : ''}>
+                        <i class="fas fa-arrow-up"></i>
+                    </button>
+                    <button class="comment-action comment-vote ${comment.user_vote === -1 ? 'downvoted' : ''}" data-vote="-1" title="Downvote" ${post.isLocked ? 'disabled' : ''}>
+                        <i class="fas fa-arrow-down"></i>
+                    </button>
+                    ${post.isLocked ? '' : '<button class="comment-action reply-btn"><i class="fas fa-reply"></i> Reply</button>'}
+                    ${isAuthor ? '<button class="comment-action edit-btn">Edit</button>' : ''}
+                    ${isAuthor ? '<button class="comment-action delete-btn">Delete</button>' : ''}
+                </div>
+            `}
+            <div class="comment-replies"></div>
+        `;
+        
+        const replies = element.querySelector('.comment-replies');
+        this.renderReplies(replies, comment, post, section, level);
+        
+        window.mitReddit.bindSpoilers(element.querySelector('.comment-body'));
+        this.bindCommentEvents(element, comment, post, section);
         
-        return contents[Math.floor(Math.random() * contents.length)];
+        return element;
     }
     
-    generateCommentTimestamp() {
-        const now = new Date();
-        const past = new Date(now - Math.random() * 24 * 60 * 60 * 1000); // Within last day
-        const diff = now - past;
+    renderReplies(container, comment, post, section, level) {
+        (comment.replies || []).forEach(reply => {
+            container.appendChild(this.createCommentElement(reply, post, section, level + 1));
+        });
         
-        const minutes = Math.floor(diff / (1000 * 60));
-        const hours = Math.floor(diff / (1000 * 60 * 60));
+        if (comment.moreReplies) {
+            container.appendChild(this.createMoreRepliesButton(comment.id, comment.moreReplies, level + 1, post, section));
+        }
         
-        if (minutes < 1) return 'just now';
-        if (minutes < 60) return `${minutes}m ago`;
-        return `${hours}h ago`;
+        if (comment.continueThread) {
+            const { commentId, replyCount } = comment.continueThread;
+            const link = document.createElement('button');
+            link.className = 'comment-continue';
+            link.textContent = `Continue this thread (${replyCount} ${replyCount === 1 ? 'reply' : 'replies'}) →`;
+            link.addEventListener('click', () => this.continueThread(commentId, link, post, section));
+            container.appendChild(link);
+        }
     }
     
-    generateReplies(postId, commentIndex) {
-        const numReplies = Math.floor(Math.random() * 3) + 1;
-        const replies = [];
+    // Swap the link for the next levels of the thread
+    async continueThread(commentId, link, post, section) {
+        link.disabled = true;
         
-        for (let i = 0; i < numReplies; i++) {
-            replies.push({
-                id: `reply_${postId}_${commentIndex}_${i}`,
-                author: 'reply_user_' + (i + 1),
-                content: 'Thanks for the clarification! This helps a lot.',
-                timestamp: this.generateCommentTimestamp(),
-                upvotes: Math.floor(Math.random() * 20),
-                downvotes: Math.floor(Math.random() * 2)
-            });
+        try {
+            const sort = section.querySelector('.comments-sort').value;
+            const { comment } = await this.api.getCommentThread(commentId, { sort });
+            const container = link.parentElement;
+            
+            // The thread comes back rooted at this comment
+            link.remove();
+            this.renderReplies(container, comment, post, section, 0);
+        } catch (error) {
+            console.error('Error loading thread:', error);
+            window.mitReddit.showToast('Could not load this thread', 'error');
+            link.disabled = false;
         }
+    }
+    
+    bindCommentEvents(element, comment, post, section) {
+        const actions = element.querySelector(':scope > .comment-actions');
+        if (!actions) return;
+        
+        actions.querySelectorAll('.comment-vote').forEach(button => {
+            button.addEventListener('click', () => this.voteComment(element, comment, Number(button.dataset.vote)));
+        });
+        
+        actions.querySelector('.reply-btn')?.addEventListener('click', () => {
+            if (!window.mitReddit.currentUser) {
+                window.mitReddit.showLoginModal();
+                return;
+            }
+            
+            const existing = element.querySelector(':scope > .comment-form');
+            if (existing) {
+                existing.remove();
+                return;
+            }
+            
+            actions.insertAdjacentHTML('afterend', this.createReplyForm('Write a reply...'));
+            const form = element.querySelector(':scope > .comment-form');
+            form.querySelector('.comment-input').focus();
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.submitComment(post, section, form, comment);
+            });
+        });
         
-        return replies;
+        actions.querySelector('.edit-btn')?.addEventListener('click', () => {
+            this.toggleEditForm(element, comment);
+        });
+        
+        actions.querySelector('.delete-btn')?.addEventListener('click', () => {
+            this.deleteComment(element, comment, post);
+        });
     }
     
-    async addComment(postId, content) {
+    // Clicking the active arrow again clears the vote
+    async voteComment(element, comment, vote) {
         if (!window.mitReddit.currentUser) {
-            throw new Error('User not authenticated');
+            window.mitReddit.showLoginModal();
+            return;
+        }
+        
+        const voteType = comment.user_vote === vote ? 0 : vote;
+        const buttons = element.querySelectorAll(':scope > .comment-actions .comment-vote');
+        buttons.forEach(button => { button.disabled = true; });
+        
+        try {
+            const { score } = await this.api.voteComment(comment.id, voteType);
+            
+            comment.user_vote = voteType;
+            comment.score = score;
+            
+            buttons.forEach(button => {
+                button.classList.toggle('upvoted', voteType === 1 && button.dataset.vote === '1');
+                button.classList.toggle('downvoted', voteType === -1 && button.dataset.vote === '-1');
+            });
+            element.querySelector(':scope > .comment-header .comment-score').textContent = `${score} points`;
+        } catch (error) {
+            console.error('Error voting on comment:', error);
+            window.mitReddit.showToast(error.message || 'Failed to vote', 'error');
+        } finally {
+            buttons.forEach(button => { button.disabled = false; });
         }
+    }
+    
+    async submitComment(post, section, form, parent) {
+        const input = form.querySelector('.comment-input');
+        const submitBtn = form.querySelector('button[type="submit"]');
         
-        if (!content.trim()) {
-            throw new Error('Comment content is required');
+        if (!window.mitReddit.currentUser) {
+            window.mitReddit.showLoginModal();
+            return;
         }
         
+        if (!input.value.trim()) return;
+        
+        submitBtn.disabled = true;
+        
         try {
-            // Simulate API call
-            await new Promise(resolve => setTimeout(resolve, 800));
-            
-            const newComment = {
-                id: `comment_${postId}_${Date.now()}`,
-                author: window.mitReddit.currentUser.username,
-                content: content.trim(),
-                timestamp: 'just now',
-                upvotes: 0,
-                downvotes: 0,
-                replies: []
-            };
+            const { comment } = await this.api.createComment(post.id, input.value.trim(), parent?.id || null);
+            const parentElement = parent ? form.closest('.comment') : null;
+            const level = parentElement ? Number(parentElement.dataset.level) + 1 : 0;
+            const element = this.createCommentElement(comment, post, section, level);
+            
+            // The realtime stream may have delivered (and counted) it already
+            const delivered = section.querySelector(`.comment[data-comment-id="${comment.id}"]`);
             
-            // Add to local comments
-            if (!this.comments.has(postId)) {
-                this.comments.set(postId, []);
+            if (delivered) {
+                delivered.replaceWith(element);
+            } else if (parent) {
+                parentElement.querySelector(':scope > .comment-replies').prepend(element);
+            } else {
+                const list = section.querySelector('.comments-list');
+                list.querySelector(':scope > .comments-notice')?.remove();
+                list.prepend(element);
             }
-            this.comments.get(postId).unshift(newComment);
             
-            return newComment;
+            if (parent) {
+                form.remove();
+            } else {
+                form.reset();
+            }
+            
+            if (!delivered) {
+                this.updateCommentCount(post, 1);
+            }
         } catch (error) {
             console.error('Error adding comment:', error);
-            throw error;
+            window.mitReddit.showToast(error.message || 'Failed to post comment', 'error');
+        } finally {
+            submitBtn.disabled = false;
+        }
+    }
+    
+    toggleEditForm(element, comment) {
+        const body = element.querySelector(':scope > .comment-body');
+        const existing = element.querySelector(':scope > .comment-edit-form');
+        if (existing) {
+            existing.remove();
+            body.hidden = false;
+            return;
+        }
+        
+        const form = document.createElement('form');
+        form.className = 'comment-form comment-edit-form';
+        form.innerHTML = `
+            <textarea class="comment-input" rows="3" maxlength="10000" required>${this.escapeHtml(comment.content)}</textarea>
+            <div class="comment-form-actions">
+                <button type="button" class="btn-secondary cancel-edit-btn">Cancel</button>
+                <button type="submit" class="btn-primary">Save</button>
+            </div>
+        `;
+        
+        form.querySelector('.cancel-edit-btn').addEventListener('click', () => {
+            form.remove();
+            body.hidden = false;
+        });
+        
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const submitBtn = form.querySelector('button[type="submit"]');
+            submitBtn.disabled = true;
+            
+            try {
+                const { comment: updated } = await this.api.updateComment(comment.id, {
+                    content: form.querySelector('.comment-input').value.trim()
+                });
+                
+                Object.assign(comment, updated);
+                body.innerHTML = updated.content_html || `<p>${this.escapeHtml(updated.content)}</p>`;
+                window.mitReddit.bindSpoilers(body);
+                
+                const meta = element.querySelector(':scope > .comment-header .comment-meta');
+                if (!meta.textContent.includes('edited')) {
+                    meta.textContent = `${meta.textContent.trim()} • edited`;
+                }
+                
+                form.remove();
+                body.hidden = false;
+            } catch (error) {
+                console.error('Error editing comment:', error);
+                window.mitReddit.showToast(error.message || 'Failed to edit comment', 'error');
+                submitBtn.disabled = false;
+            }
+        });
+        
+        body.hidden = true;
+        body.after(form);
+    }
+    
+    async deleteComment(element, comment, post) {
+        if (!confirm('Delete this comment?')) return;
+        
+        try {
+            await this.api.deleteComment(comment.id);
+            
+            // Replies stay visible under a placeholder
+            if (element.querySelector(':scope > .comment-replies').children.length > 0) {
+                element.classList.add('comment-deleted');
+                element.querySelector(':scope > .comment-header .comment-author').textContent = '[deleted]';
+                element.querySelector(':scope > .comment-body').innerHTML = '<p><em>[deleted]</em></p>';
+                element.querySelector(':scope > .comment-actions').remove();
+            } else {
+                element.remove();
+            }
+            
+            this.updateCommentCount(post, -1);
+        } catch (error) {
+            console.error('Error deleting comment:', error);
+            window.mitReddit.showToast(error.message || 'Failed to delete comment', 'error');
+        }
+    }
+    
+    updateCommentCount(post, change) {
+        post.comments = Math.max(0, post.comments + change);
+        
+        const button = document.querySelector(`.post-card[data-post-id="${post.id}"] .comment-btn`);
+        if (button) {
+            button.innerHTML = `<i class="fas fa-comment"></i> ${post.comments} Comments`;
         }
     }
 }
@@ -0,0 +1,412 @@
+// Public profile page: opened from #user-<username> links (post and comment
+// authors, @mentions, the user menu). Replaces the feed until the reader
+// navigates elsewhere.
+class ProfileManager {
+    constructor() {
+        this.profile = null;
+        this.openUsername = null;
+        this.tab = 'posts';
+        this.nextCursor = null;
+        this.loading = false;
+        
+        this.tabs = {
+            posts: { label: 'Posts', empty: 'No posts yet' },
+            comments: { label: 'Comments', empty: 'No comments yet' },
+            events: { label: 'Events attended', empty: 'No events attended yet' }
+        };
+        
+        window.addEventListener('hashchange', () => this.route());
+        this.route();
+    }
+    
+    get api() {
+        return window.mitReddit.api;
+    }
+    
+    get page() {
+        return document.getElementById('profilePage');
+    }
+    
+    route() {
+        const match = /^#user-(.+)$/.exec(window.location.hash);
+        
+        if (match) {
+            this.open(decodeURIComponent(match[1]));
+        } else if (this.profile || this.page.style.display !== 'none') {
+            this.close();
+        }
+    }
+    
+    // Navigate to a profile (goes through the hash so Back works)
+    show(username) {
+        const hash = `#user-${encodeURIComponent(username)}`;
+        
+        if (window.location.hash === hash) {
+            this.open(username);
+        } else {
+            window.location.hash = hash;
+        }
+    }
+    
+    close() {
+        this.profile = null;
+        this.openUsername = null;
+        this.page.style.display = 'none';
+        this.page.innerHTML = '';
+        document.querySelector('.feed-container').classList.remove('showing-profile');
+        
+        if (window.location.hash.startsWith('#user-')) {
+            history.replaceState(null, '', window.location.pathname + window.location.search);
+        }
+    }
+    
+    async open(username) {
+        const app = window.mitReddit;
+        this.openUsername = username;
+        
+        document.querySelector('.feed-container').classList.add('showing-profile');
+        this.page.style.display = '';
+        this.page.innerHTML = '<div class="profile-loading"><i class="fas fa-spinner fa-spin"></i> Loading profile...</div>';
+        window.scrollTo({ top: 0 });
+        
+        let response;
+        try {
+            response = await this.api.getUserProfile(username);
+        } catch (error) {
+            if (this.openUsername !== username) return;
+            
+            console.error('Error loading profile:', error);
+            this.profile = null;
+            this.page.innerHTML = `
+                <div class="empty-state">
+                    <p>${error.status === 404 ? `u/${app.escapeHtml(username)} doesn't exist` : 'Could not load this profile'}</p>
+                </div>
+            `;
+            return;
+        }
+        
+        // The reader moved on while the profile loaded
+        if (this.openUsername !== username) return;
+        
+        this.profile = response.profile;
+        document.title = `u/${this.profile.username} - MIT Reddit`;
+        this.render();
+        this.switchTab('posts');
+    }
+    
+    render() {
+        const app = window.mitReddit;
+        const profile = this.profile;
+        const avatar = profile.avatar_url ||
+            `https://api.dicebear.com/7.x/initials/svg?seed=${encodeURIComponent(profile.name)}&backgroundColor=ff4500`;
+        const cakeDay = new Date(profile.cake_day).toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' });
+        
+        const badges = [
+            profile.branch ? `<span class="profile-badge"><i class="fas fa-graduation-cap"></i> ${app.escapeHtml(profile.branch)}</span>` : '',
+            profile.year_label ? `<span class="profile-badge"><i class="fas fa-layer-group"></i> ${app.escapeHtml(profile.year_label)}</span>` : '',
+            profile.is_cake_day ? '<span class="profile-badge profile-badge-cake"><i class="fas fa-birthday-cake"></i> Cake day!</span>' : ''
+        ].join('');
+        
+        // Blocking unfollows, so there's nothing to follow until unblocked
+        const actions = profile.is_self ? '' : `
+            <div class="profile-actions">
+                ${profile.is_blocked ? '' : `
+                    <button type="button" class="${profile.is_following ? 'btn-secondary' : 'btn-primary'} profile-follow-btn">
+                        ${profile.is_following ? 'Following' : 'Follow'}
+                    </button>
+                `}
+                <button type="button" class="btn-secondary profile-mute-btn" title="Hide their posts and comments">
+                    <i class="fas ${profile.is_muted ? 'fa-volume-up' : 'fa-volume-mute'}"></i> ${profile.is_muted ? 'Unmute' : 'Mute'}
+                </button>
+                <button type="button" class="btn-secondary profile-block-btn" title="Hide their content and stop them replying to you">
+                    <i class="fas fa-ban"></i> ${profile.is_blocked ? 'Unblock' : 'Block'}
+                </button>
+            </div>
+        `;
+        
+        const blockedNotice = profile.is_blocked ? `
+            <p class="profile-blocked-notice">
+                <i class="fas fa-ban"></i> You blocked u/${app.escapeHtml(profile.username)}. Their posts, comments and
+                mentions are hidden from you, and neither of you can reply to the other.
+            </p>
+        ` : '';
+        
+        const privacy = profile.privacy ? `
+            <div class="profile-privacy">
+                <h4><i class="fas fa-lock"></i> Privacy</h4>
+                <label>
+                    <input type="checkbox" data-privacy="hideActivity" ${profile.privacy.hideActivity ? 'checked' : ''}>
+                    Hide my posts, comments and events from other users
+                </label>
+                <label>
+                    <input type="checkbox" data-privacy="hideBranch" ${profile.privacy.hideBranch ? 'checked' : ''}>
+                    Hide my branch and year
+                </label>
+            </div>
+        ` : '';
+        
+        this.page.innerHTML = `
+            <div class="profile-card">
+                <div class="profile-header">
+                    <img class="profile-avatar" src="${app.escapeHtml(avatar)}" alt="${app.escapeHtml(profile.name)}">
+                    <div class="profile-identity">
+                        <h2 class="profile-name">
+                            ${app.escapeHtml(profile.name)}
+                            ${profile.is_verified ? '<i class="fas fa-check-circle profile-verified" title="Verified"></i>' : ''}
+                        </h2>
+                        <div class="profile-username">u/${app.escapeHtml(profile.username)}</div>
+                        <div class="profile-badges">${badges}</div>
+                    </div>
+                    ${actions}
+                </div>
+                ${blockedNotice}
+                ${profile.bio ? `<p class="profile-bio">${app.escapeHtml(profile.bio)}</p>` : ''}
+                <div class="profile-stats">
+                    <div class="profile-stat">
+                        <span class="profile-stat-value">${profile.karma.post}</span>
+                        <span class="profile-stat-label">Post karma</span>
+                    </div>
+                    <div class="profile-stat">
+                        <span class="profile-stat-value">${profile.karma.comment}</span>
+                        <span class="profile-stat-label">Comment karma</span>
+                    </div>
+                    <div class="profile-stat">
+                        <span class="profile-stat-value profile-follower-count">${profile.follower_count}</span>
+                        <span class="profile-stat-label">Followers</span>
+                    </div>
+                    <div class="profile-stat">
+                        <span class="profile-stat-value">${profile.following_count}</span>
+                        <span class="profile-stat-label">Following</span>
+                    </div>
+                    <div class="profile-stat">
+                        <span class="profile-stat-value"><i class="fas fa-birthday-cake"></i></span>
+                        <span class="profile-stat-label">Cake day ${app.escapeHtml(cakeDay)}</span>
+                    </div>
+                </div>
+                ${privacy}
+            </div>
+            <div class="profile-tabs">
+                ${Object.entries(this.tabs).map(([tab, { label }]) => `
+                    <button type="button" class="profile-tab" data-tab="${tab}">${label}</button>
+                `).join('')}
+            </div>
+            <div class="profile-tab-body"></div>
+            <button type="button" class="btn-secondary profile-load-more" style="display: none;">Load more</button>
+        `;
+        
+        this.page.querySelectorAll('.profile-tab').forEach(button => {
+            button.addEventListener('click', () => this.switchTab(button.dataset.tab));
+        });
+        this.page.querySelector('.profile-load-more').addEventListener('click', () => this.loadTab());
+        this.page.querySelector('.profile-follow-btn')?.addEventListener('click', () => this.toggleFollow());
+        this.page.querySelector('.profile-mute-btn')?.addEventListener('click', () => this.toggleHidden('mute'));
+        this.page.querySelector('.profile-block-btn')?.addEventListener('click', () => this.toggleHidden('block'));
+        this.page.querySelectorAll('[data-privacy]').forEach(input => {
+            input.addEventListener('change', () => this.updatePrivacy(input));
+        });
+    }
+    
+    switchTab(tab) {
+        this.tab = tab;
+        this.nextCursor = null;
+        
+        this.page.querySelectorAll('.profile-tab').forEach(button => {
+            button.classList.toggle('active', button.dataset.tab === tab);
+        });
+        
+        const body = this.page.querySelector('.profile-tab-body');
+        body.innerHTML = '';
+        
+        if (this.profile.activity_hidden) {
+            body.innerHTML = `<div class="empty-state"><p>u/${window.mitReddit.escapeHtml(this.profile.username)} keeps their activity private</p></div>`;
+            return;
+        }
+        
+        this.loadTab();
+    }
+    
+    async loadTab() {
+        if (this.loading || !this.profile) return;
+        
+        const app = window.mitReddit;
+        const { username } = this.profile;
+        const tab = this.tab;
+        const params = this.nextCursor ? { after: this.nextCursor } : {};
+        const loadMore = this.page.querySelector('.profile-load-more');
+        
+        this.loading = true;
+        loadMore.disabled = true;
+        
+        try {
+            const loaders = {
+                posts: () => this.api.getUserPosts(username, params),
+                comments: () => this.api.getUserComments(username, params),
+                events: () => this.api.getUserEvents(username, params)
+            };
+            const response = await loaders[tab]();
+            
+            // The reader switched tabs or profiles while this page loaded
+            if (tab !== this.tab || username !== this.profile?.username) return;
+            
+            const body = this.page.querySelector('.profile-tab-body');
+            const items = response[tab];
+            
+            if (items.length === 0 && !this.nextCursor) {
+                body.innerHTML = `<div class="empty-state"><p>${this.tabs[tab].empty}</p></div>`;
+            }
+            
+            items.forEach(item => {
+                if (tab === 'posts') {
+                    body.appendChild(app.createPostElement(app.normalizePost(item)));
+                } else if (tab === 'comments') {
+                    body.appendChild(this.createCommentElement(item));
+                } else {
+                    body.appendChild(this.createEventElement(item));
+                }
+            });
+            
+            this.nextCursor = response.pagination.nextCursor;
+            loadMore.style.display = response.pagination.hasNext ? '' : 'none';
+        } catch (error) {
+            console.error(`Error loading profile ${tab}:`, error);
+            app.showToast(error.message || `Could not load ${this.tabs[tab].label.toLowerCase()}`, 'error');
+        } finally {
+            this.loading = false;
+            loadMore.disabled = false;
+        }
+    }
+    
+    createCommentElement(comment) {
+        const app = window.mitReddit;
+        const category = app.getCategory(comment.post.category);
+        const element = document.createElement('div');
+        element.className = 'profile-comment';
+        
+        element.innerHTML = `
+            <div class="profile-comment-meta">
+                <a href="#" class="profile-comment-post">${app.escapeHtml(comment.post.title)}</a>
+                in ${app.escapeHtml(category?.name || comment.post.category)} •
+                ${comment.score || 0} points • ${app.formatTimestamp(comment.created_at)}
+            </div>
+            <div class="markdown-body">${comment.content_html}</div>
+        `;
+        
+        app.bindSpoilers(element);
+        element.querySelector('.profile-comment-post').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.close();
+            app.openPost(comment.post.id);
+        });
+        
+        return element;
+    }
+    
+    createEventElement(event) {
+        const app = window.mitReddit;
+        const element = document.createElement('div');
+        element.className = 'profile-event';
+        
+        element.innerHTML = `
+            <div class="profile-event-title">${app.escapeHtml(event.title)}</div>
+            <div class="profile-event-meta">
+                <i class="fas fa-calendar"></i> ${new Date(event.date).toLocaleDateString()}
+                ${event.location ? `• <i class="fas fa-map-marker-alt"></i> ${app.escapeHtml(event.location)}` : ''}
+            </div>
+        `;
+        
+        return element;
+    }
+    
+    async toggleFollow() {
+        const app = window.mitReddit;
+        
+        if (!app.currentUser) {
+            app.showLoginModal();
+            return;
+        }
+        
+        const profile = this.profile;
+        
+        try {
+            const response = profile.is_following
+                ? await this.api.unfollowUser(profile.id)
+                : await this.api.followUser(profile.id);
+            
+            profile.is_following = response.following;
+            profile.follower_count = response.followerCount;
+            
+            const button = this.page.querySelector('.profile-follow-btn');
+            button.className = `${profile.is_following ? 'btn-secondary' : 'btn-primary'} profile-follow-btn`;
+            button.textContent = profile.is_following ? 'Following' : 'Follow';
+            this.page.querySelector('.profile-follower-count').textContent = profile.follower_count;
+        } catch (error) {
+            console.error('Error updating follow:', error);
+            app.showToast(error.message || 'Could not update follow', 'error');
+        }
+    }
+    
+    // Block or mute the profile's user, or undo it
+    async toggleHidden(action) {
+        const app = window.mitReddit;
+        
+        if (!app.currentUser) {
+            app.showLoginModal();
+            return;
+        }
+        
+        const profile = this.profile;
+        const flag = action === 'block' ? 'is_blocked' : 'is_muted';
+        const undo = profile[flag];
+        
+        if (action === 'block' && !undo &&
+            !confirm(`Block u/${profile.username}? You'll stop seeing their posts and comments, and neither of you will be able to reply to the other.`)) {
+            return;
+        }
+        
+        try {
+            const calls = {
+                block: () => (undo ? this.api.unblockUser(profile.id) : this.api.blockUser(profile.id)),
+                mute: () => (undo ? this.api.unmuteUser(profile.id) : this.api.muteUser(profile.id))
+            };
+            await calls[action]();
+            
+            profile[flag] = !undo;
+            if (action === 'block' && !undo && profile.is_following) {
+                profile.is_following = false;
+                profile.follower_count = Math.max(profile.follower_count - 1, 0);
+            }
+            
+            // Still hidden if the other of block/mute is on
+            if (profile.is_blocked || profile.is_muted) {
+                app.hiddenUserIds.add(profile.id);
+            } else {
+                app.hiddenUserIds.delete(profile.id);
+            }
+            
+            const done = { block: ['Blocked', 'Unblocked'], mute: ['Muted', 'Unmuted'] }[action][undo ? 1 : 0];
+            app.showToast(`${done} u/${profile.username}`, 'success');
+            this.render();
+            this.switchTab(this.tab);
+        } catch (error) {
+            console.error(`Error updating ${action}:`, error);
+            app.showToast(error.message || `Could not ${undo ? 'un' : ''}${action} this user`, 'error');
+        }
+    }
+    
+    async updatePrivacy(input) {
+        try {
+            const response = await this.api.updatePrivacySettings({ [input.dataset.privacy]: input.checked });
+            this.profile.privacy = response.privacy;
+            window.mitReddit.showToast('Privacy settings saved', 'success');
+        } catch (error) {
+            console.error('Error updating privacy settings:', error);
+            input.checked = !input.checked;
+            window.mitReddit.showToast(error.message || 'Could not save privacy settings', 'error');
+        }
+    }
+}
+
+// Initialize when DOM is loaded (after app.js, which sets up the API client)
+document.addEventListener('DOMContentLoaded', () => {
+    window.profileManager = new ProfileManager();
+});
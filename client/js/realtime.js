@@ -0,0 +1,117 @@
+// Realtime updates over the /api/realtime event stream (server-sent events):
+// new posts and vote counts for the feed, new comments on open posts, and
+// notifications for the logged-in user.
+
+// Backoff for streams the server refused (e.g. too many connections); the
+// browser retries dropped streams on its own
+const REALTIME_RECONNECT_MIN = 5 * 1000;
+const REALTIME_RECONNECT_MAX = 60 * 1000;
+
+// The server watches at most this many posts per stream
+const REALTIME_MAX_WATCHED_POSTS = 20;
+
+class RealtimeManager {
+    constructor() {
+        this.source = null;
+        this.lastEventId = null;
+        this.watchedPosts = new Set();
+        this.reconnectDelay = REALTIME_RECONNECT_MIN;
+        this.reconnectTimer = null;
+        this.restartTimer = null;
+        
+        if (window.EventSource) {
+            this.connect();
+        }
+    }
+    
+    buildUrl() {
+        const params = new URLSearchParams();
+        const token = window.mitReddit.api.getAuthToken();
+        
+        if (token) params.set('access_token', token);
+        if (this.watchedPosts.size > 0) params.set('posts', [...this.watchedPosts].join(','));
+        // A new stream picks up where the previous one stopped
+        if (this.lastEventId) params.set('lastEventId', this.lastEventId);
+        
+        return `/api/realtime?${params.toString()}`;
+    }
+    
+    connect() {
+        if (!window.EventSource) return;
+        
+        clearTimeout(this.reconnectTimer);
+        this.source?.close();
+        
+        const source = new EventSource(this.buildUrl());
+        this.source = source;
+        
+        const handlers = {
+            ready: () => {
+                this.reconnectDelay = REALTIME_RECONNECT_MIN;
+            },
+            resync: () => this.resync(),
+            post: (post) => window.mitReddit.handleNewPost(post),
+            post_vote: (vote) => window.mitReddit.applyPostVote(vote),
+            comment: ({ comment }) => window.commentsManager.handleNewComment(comment),
+            comment_vote: (vote) => window.commentsManager.applyCommentVote(vote),
+            notification: () => window.notificationsManager?.refreshUnreadCount()
+        };
+        
+        Object.entries(handlers).forEach(([event, handle]) => {
+            source.addEventListener(event, (e) => {
+                if (e.lastEventId) {
+                    this.lastEventId = e.lastEventId;
+                }
+                
+                try {
+                    handle(JSON.parse(e.data));
+                } catch (error) {
+                    console.error(`Error handling realtime ${event} event:`, error);
+                }
+            });
+        });
+        
+        source.addEventListener('error', () => {
+            if (source.readyState === EventSource.CLOSED && this.source === source) {
+                this.reconnectTimer = setTimeout(() => this.connect(), this.reconnectDelay);
+                this.reconnectDelay = Math.min(this.reconnectDelay * 2, REALTIME_RECONNECT_MAX);
+            }
+        });
+    }
+    
+    // Posts with open comments get their comment events; the stream is
+    // reopened (batched) when the set changes
+    watchPost(postId) {
+        if (this.watchedPosts.has(postId)) return;
+        
+        // Drop the longest-watched post when over the limit
+        if (this.watchedPosts.size >= REALTIME_MAX_WATCHED_POSTS) {
+            this.watchedPosts.delete(this.watchedPosts.values().next().value);
+        }
+        
+        this.watchedPosts.add(postId);
+        this.restart();
+    }
+    
+    unwatchPost(postId) {
+        if (this.watchedPosts.delete(postId)) {
+            this.restart();
+        }
+    }
+    
+    restart() {
+        clearTimeout(this.restartTimer);
+        this.restartTimer = setTimeout(() => this.connect(), 300);
+    }
+    
+    // Events were missed (server restart or a long disconnect)
+    resync() {
+        window.notificationsManager?.refreshUnreadCount();
+        window.commentsManager.reloadOpenComments();
+    }
+}
+
+// Initialize when DOM is loaded (after app.js, which sets up the API client)
+document.addEventListener('DOMContentLoaded', () => {
+    window.realtimeManager = new RealtimeManager();
+});
@@ -350,7 +350,7 @@ class SupabaseAuthManager {
         
         dropdown.querySelector('#profileLink').addEventListener('click', (e) => {
             e.preventDefault();
-            window.mitReddit?.showToast('Profile page coming soon!', 'info');
+            window.profileManager.show(user.username);
             dropdown.remove();
         });
         
@@ -0,0 +1,33 @@
+// Admin job: rebuild post/comment vote counters and user reputation from the votes ledger
+require('dotenv').config();
+const supabase = require('./src/config/supabaseClient');
+
+async function recountVotes() {
+    try {
+        console.log('🔄 Recalculating vote counters from the votes ledger...');
+
+        const { data: fixed, error } = await supabase.rpc('recalculate_vote_counters');
+
+        if (error) {
+            throw error;
+        }
+
+        console.log('✅ Vote counters recalculated');
+        console.log('📝 Posts corrected:', fixed.posts);
+        console.log('💬 Comments corrected:', fixed.comments);
+        console.log('👤 Users corrected:', fixed.users);
+
+        process.exit(0);
+
+    } catch (error) {
+        console.error('❌ Error recalculating vote counters:', error);
+        process.exit(1);
+    }
+}
+
+// Run the job if this file is executed directly
+if (require.main === module) {
+    recountVotes();
+}
+
+module.exports = recountVotes;
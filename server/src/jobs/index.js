@@ -0,0 +1,68 @@
+// In-process job scheduler
+// Jobs run on a fixed interval inside the API server. A job never overlaps
+// with itself, and failures are logged and retried on the next tick.
+const { purgeDeletedPosts } = require('./purgeDeletedPosts');
+const { publishScheduledPosts } = require('./publishScheduledPosts');
+const { sendEventReminders } = require('./sendEventReminders');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const JOBS = [
+    { name: 'publish-scheduled-posts', run: publishScheduledPosts, intervalMs: MINUTE },
+    { name: 'send-event-reminders', run: sendEventReminders, intervalMs: 15 * MINUTE },
+    { name: 'purge-deleted-posts', run: purgeDeletedPosts, intervalMs: 6 * HOUR }
+];
+
+// Give the server a moment to start before the first run
+const STARTUP_DELAY_MS = 30 * 1000;
+
+const timers = [];
+
+const schedule = (job) => {
+    let running = false;
+
+    const tick = async () => {
+        if (running) return;
+        running = true;
+
+        try {
+            await job.run();
+        } catch (error) {
+            console.error(`Job ${job.name} failed:`, error);
+        } finally {
+            running = false;
+        }
+    };
+
+    const startup = setTimeout(() => {
+        tick();
+        const interval = setInterval(tick, job.intervalMs);
+        interval.unref();
+        timers.push(interval);
+    }, STARTUP_DELAY_MS);
+
+    // Timers must not keep the process alive during shutdown
+    startup.unref();
+    timers.push(startup);
+};
+
+const startJobs = () => {
+    if (process.env.DISABLE_JOBS === 'true') {
+        console.log('⏸️ Scheduled jobs disabled');
+        return;
+    }
+
+    JOBS.forEach(schedule);
+    console.log(`⏰ Scheduled jobs started: ${JOBS.map(job => job.name).join(', ')}`);
+};
+
+const stopJobs = () => {
+    timers.forEach(timer => clearTimeout(timer));
+    timers.length = 0;
+};
+
+module.exports = {
+    startJobs,
+    stopJobs
+};
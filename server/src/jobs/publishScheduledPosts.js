@@ -0,0 +1,27 @@
+// Scheduled job: publish scheduled posts whose publish_at has passed
+const supabase = require('../config/supabaseClient');
+const { notifyPendingMentions } = require('../utils/mentions');
+const { publishNewPosts } = require('../utils/realtime');
+
+const publishScheduledPosts = async () => {
+    const { data: published, error } = await supabase.rpc('publish_scheduled_posts');
+
+    if (error) {
+        throw error;
+    }
+
+    if (published.length > 0) {
+        console.log(`📣 Published ${published.length} scheduled posts`);
+        publishNewPosts(published);
+    }
+
+    // People mentioned in scheduled posts hear about it once they go live
+    // (runs every tick so a failed run is retried)
+    await notifyPendingMentions();
+
+    return published.length;
+};
+
+module.exports = {
+    publishScheduledPosts
+};
@@ -0,0 +1,53 @@
+// Scheduled job: hard-delete posts that have been in the trash too long
+const supabase = require('../config/supabaseClient');
+const { getStorage } = require('../storage');
+
+// Authors can restore their deleted posts within this window
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// Remove image uploads that belonged to purged posts
+const removeImageAssets = async (assetIds) => {
+    if (assetIds.length === 0) return;
+
+    const { data: assets } = await supabase
+        .from('media_assets')
+        .select('id, variants')
+        .in('id', assetIds);
+
+    const storage = getStorage();
+
+    for (const asset of assets || []) {
+        // Fails (and is skipped) if something else still references the asset
+        const { error } = await supabase
+            .from('media_assets')
+            .delete()
+            .eq('id', asset.id);
+
+        if (!error) {
+            await Promise.allSettled(Object.values(asset.variants).map(variant => storage.remove(variant.key)));
+        }
+    }
+};
+
+const purgeDeletedPosts = async () => {
+    const { data: purged, error } = await supabase.rpc('purge_deleted_posts', {
+        p_retention_days: TRASH_RETENTION_DAYS
+    });
+
+    if (error) {
+        throw error;
+    }
+
+    await removeImageAssets(purged.image_asset_ids || []);
+
+    if (purged.posts > 0) {
+        console.log(`🗑️ Purged ${purged.posts} deleted posts (${purged.comments} comments, ${purged.votes} votes)`);
+    }
+
+    return purged;
+};
+
+module.exports = {
+    TRASH_RETENTION_DAYS,
+    purgeDeletedPosts
+};
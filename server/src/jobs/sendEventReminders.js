@@ -0,0 +1,65 @@
+// Scheduled job: remind registered users of events starting within a day
+const supabase = require('../config/supabaseClient');
+const { createNotifications } = require('../utils/notifications');
+
+const REMINDER_WINDOW_MS = 24 * 60 * 60 * 1000;
+const BATCH_SIZE = 500;
+
+const sendEventReminders = async () => {
+    const now = new Date();
+
+    const { data: registrations, error } = await supabase
+        .from('event_registrations')
+        .select('event_id, user_id, events!inner(id, title, date)')
+        .is('reminded_at', null)
+        .gt('events.date', now.toISOString())
+        .lte('events.date', new Date(now.getTime() + REMINDER_WINDOW_MS).toISOString())
+        .limit(BATCH_SIZE);
+
+    if (error) {
+        throw error;
+    }
+
+    if (registrations.length === 0) return 0;
+
+    await createNotifications(registrations.map(registration => ({
+        user_id: registration.user_id,
+        actor_id: null,
+        type: 'event_reminder',
+        data: {
+            event_id: registration.event_id,
+            title: registration.events.title,
+            date: registration.events.date
+        }
+    })));
+
+    // Mark each event's batch reminded, so nobody is reminded twice (a muted
+    // type counts as reminded too)
+    const usersByEvent = new Map();
+    registrations.forEach(registration => {
+        if (!usersByEvent.has(registration.event_id)) {
+            usersByEvent.set(registration.event_id, []);
+        }
+        usersByEvent.get(registration.event_id).push(registration.user_id);
+    });
+
+    for (const [eventId, userIds] of usersByEvent) {
+        const { error: updateError } = await supabase
+            .from('event_registrations')
+            .update({ reminded_at: now.toISOString() })
+            .eq('event_id', eventId)
+            .in('user_id', userIds);
+
+        if (updateError) {
+            throw updateError;
+        }
+    }
+
+    console.log(`📅 Sent ${registrations.length} event reminders`);
+
+    return registrations.length;
+};
+
+module.exports = {
+    sendEventReminders
+};
@@ -18,6 +18,30 @@ const verifyToken = (token) => {
     return jwt.verify(token, JWT_SECRET);
 };
 
+// Load the user a token belongs to, shaped like req.user. Resolves to null
+// when the user no longer exists; throws when the token itself is invalid.
+const getTokenUser = async (token) => {
+    const decoded = verifyToken(token);
+    
+    const { data: user, error } = await supabase
+        .from('users')
+        .select('id, name, email, username, is_verified')
+        .eq('id', decoded.userId)
+        .single();
+    
+    if (error || !user) {
+        return null;
+    }
+    
+    return {
+        userId: user.id,
+        name: user.name,
+        email: user.email,
+        username: user.username,
+        isVerified: user.is_verified
+    };
+};
+
 // Authentication middleware
 const authenticateToken = async (req, res, next) => {
     try {
@@ -31,31 +55,17 @@ const authenticateToken = async (req, res, next) => {
             });
         }
         
-        // Verify token
-        const decoded = verifyToken(token);
+        // Verify token and add user to request object
+        const user = await getTokenUser(token);
         
-        // Get user from database
-        const { data: user, error } = await supabase
-            .from('users')
-            .select('id, name, email, username, is_verified')
-            .eq('id', decoded.userId)
-            .single();
-        
-        if (error || !user) {
+        if (!user) {
             return res.status(401).json({
                 success: false,
                 message: 'Invalid token - user not found'
             });
         }
         
-        // Add user to request object
-        req.user = {
-            userId: user.id,
-            name: user.name,
-            email: user.email,
-            username: user.username,
-            isVerified: user.is_verified
-        };
+        req.user = user;
         
         next();
         
@@ -94,26 +104,7 @@ const optionalAuth = async (req, res, next) => {
             return next();
         }
         
-        const decoded = verifyToken(token);
-        
-        const { data: user, error } = await supabase
-            .from('users')
-            .select('id, name, email, username, is_verified')
-            .eq('id', decoded.userId)
-            .single();
-        
-        if (error || !user) {
-            req.user = null;
-            return next();
-        }
-        
-        req.user = {
-            userId: user.id,
-            name: user.name,
-            email: user.email,
-            username: user.username,
-            isVerified: user.is_verified
-        };
+        req.user = await getTokenUser(token);
         
         next();
         
@@ -223,6 +214,20 @@ const requireOwnershipOrAdmin = async (req, res, next) => {
     }
 };
 
+// Check moderator status for routes that are open to authors and moderators
+const isModerator = async (userId) => {
+    if (!userId) return false;
+    
+    const { data: user } = await supabase
+        .from('users')
+        .select('is_verified')
+        .eq('id', userId)
+        .single();
+    
+    // Same moderator flag as requireModerator
+    return Boolean(user?.is_verified);
+};
+
 // Admin/Moderator requirement middleware
 const requireModerator = async (req, res, next) => {
     try {
@@ -271,10 +276,12 @@ const requireModerator = async (req, res, next) => {
 module.exports = {
     generateToken,
     verifyToken,
+    getTokenUser,
     authenticateToken,
     optionalAuth,
     validateEmailFormat,
     userRateLimit,
     requireOwnershipOrAdmin,
-    requireModerator
+    requireModerator,
+    isModerator
 };
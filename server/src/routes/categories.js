@@ -0,0 +1,653 @@
+const express = require('express');
+const supabase = require('../config/supabaseClient');
+const { authenticateToken, requireModerator } = require('../middleware/auth');
+const { SLUG_PATTERN, COLOUR_PATTERN } = require('../utils/taxonomy');
+const { getSubscribedCategories, suggestCategories } = require('../utils/subscriptions');
+
+const router = express.Router();
+
+const CATEGORY_FIELDS = 'slug, name, description, colour, icon, emoji, position, is_active';
+const FLAIR_FIELDS = 'id, category_slug, name, colour, position';
+
+// Slugs of the active categories among `slugs`
+const findActiveCategories = async (slugs) => {
+    if (slugs.length === 0) return [];
+
+    const { data: categories } = await supabase
+        .from('categories')
+        .select('slug')
+        .in('slug', slugs)
+        .eq('is_active', true);
+
+    return (categories || []).map(category => category.slug);
+};
+
+// Pick the editable category fields out of a request body.
+// Returns { values } or { error }
+const readCategoryFields = (body) => {
+    const values = {};
+
+    if (body.name !== undefined) {
+        if (!String(body.name).trim() || String(body.name).length > 50) {
+            return { error: 'Category name must be 1-50 characters' };
+        }
+        values.name = String(body.name).trim();
+    }
+
+    if (body.description !== undefined) values.description = String(body.description).trim();
+
+    if (body.colour !== undefined) {
+        if (!COLOUR_PATTERN.test(body.colour)) {
+            return { error: 'Colour must be a hex value like #0079d3' };
+        }
+        values.colour = body.colour;
+    }
+
+    if (body.icon !== undefined) {
+        if (!/^fa-[a-z0-9-]+$/.test(body.icon)) {
+            return { error: 'Icon must be a Font Awesome class like fa-book' };
+        }
+        values.icon = body.icon;
+    }
+
+    if (body.emoji !== undefined) values.emoji = String(body.emoji).slice(0, 16);
+    if (body.position !== undefined) values.position = parseInt(body.position) || 0;
+    if (body.is_active !== undefined) values.is_active = Boolean(body.is_active);
+
+    return { values };
+};
+
+// @route   GET /api/categories
+// @desc    Get all active categories with their flairs
+// @access  Public
+router.get('/', async (req, res) => {
+    try {
+        const { data: categories, error } = await supabase
+            .from('categories')
+            .select(`${CATEGORY_FIELDS}, flairs(${FLAIR_FIELDS})`)
+            .eq('is_active', true)
+            .order('position', { ascending: true });
+
+        if (error) {
+            console.error('Categories fetch error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error fetching categories'
+            });
+        }
+
+        categories.forEach(category => {
+            category.flairs.sort((a, b) => a.position - b.position);
+        });
+
+        res.json({
+            success: true,
+            categories
+        });
+
+    } catch (error) {
+        console.error('Categories fetch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching categories'
+        });
+    }
+});
+
+// @route   GET /api/categories/subscriptions
+// @desc    The categories the current user is subscribed to, and whether
+//          they've been through onboarding
+// @access  Private
+router.get('/subscriptions', authenticateToken, async (req, res) => {
+    try {
+        const [subscriptions, { data: user }] = await Promise.all([
+            getSubscribedCategories(req.user.userId),
+            supabase
+                .from('users')
+                .select('categories_onboarded_at')
+                .eq('id', req.user.userId)
+                .single()
+        ]);
+
+        res.json({
+            success: true,
+            subscriptions,
+            onboarded: Boolean(user?.categories_onboarded_at)
+        });
+
+    } catch (error) {
+        console.error('Subscriptions fetch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching subscriptions'
+        });
+    }
+});
+
+// @route   PUT /api/categories/subscriptions
+// @desc    Replace the current user's subscriptions (onboarding); an empty
+//          list means the home feed shows every category
+// @access  Private
+router.put('/subscriptions', authenticateToken, async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { categories } = req.body;
+
+        if (!Array.isArray(categories) || categories.some(slug => typeof slug !== 'string')) {
+            return res.status(400).json({
+                success: false,
+                message: 'categories must be a list of category slugs'
+            });
+        }
+
+        const slugs = [...new Set(categories)];
+        const activeSlugs = await findActiveCategories(slugs);
+
+        if (activeSlugs.length !== slugs.length) {
+            return res.status(400).json({
+                success: false,
+                message: 'Unknown category'
+            });
+        }
+
+        const { error: deleteError } = await supabase
+            .from('category_subscriptions')
+            .delete()
+            .eq('user_id', userId);
+
+        if (deleteError) {
+            console.error('Subscriptions update error:', deleteError);
+            return res.status(500).json({
+                success: false,
+                message: 'Error updating subscriptions'
+            });
+        }
+
+        if (slugs.length > 0) {
+            const { error: insertError } = await supabase
+                .from('category_subscriptions')
+                .insert(slugs.map(slug => ({ user_id: userId, category_slug: slug })));
+
+            if (insertError) {
+                console.error('Subscriptions update error:', insertError);
+                return res.status(500).json({
+                    success: false,
+                    message: 'Error updating subscriptions'
+                });
+            }
+        }
+
+        await supabase
+            .from('users')
+            .update({ categories_onboarded_at: new Date().toISOString() })
+            .eq('id', userId)
+            .is('categories_onboarded_at', null);
+
+        res.json({
+            success: true,
+            message: 'Subscriptions updated',
+            subscriptions: slugs
+        });
+
+    } catch (error) {
+        console.error('Subscriptions update error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error updating subscriptions'
+        });
+    }
+});
+
+// @route   GET /api/categories/suggestions
+// @desc    Active categories for onboarding, those suggested for the user's
+//          branch and year first
+// @access  Private
+router.get('/suggestions', authenticateToken, async (req, res) => {
+    try {
+        const [{ data: user }, { data: categories, error }] = await Promise.all([
+            supabase
+                .from('users')
+                .select('branch, year')
+                .eq('id', req.user.userId)
+                .single(),
+            supabase
+                .from('categories')
+                .select(CATEGORY_FIELDS)
+                .eq('is_active', true)
+                .order('position', { ascending: true })
+        ]);
+
+        if (error) {
+            console.error('Category suggestions error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error fetching suggestions'
+            });
+        }
+
+        const suggested = suggestCategories(user || {});
+        const rank = (category) => {
+            const index = suggested.indexOf(category.slug);
+            return index === -1 ? suggested.length : index;
+        };
+
+        res.json({
+            success: true,
+            categories: categories
+                .map(category => ({ ...category, suggested: suggested.includes(category.slug) }))
+                .sort((a, b) => rank(a) - rank(b) || a.position - b.position)
+        });
+
+    } catch (error) {
+        console.error('Category suggestions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching suggestions'
+        });
+    }
+});
+
+// @route   GET /api/categories/:slug
+// @desc    Get a single category with its flairs
+// @access  Public
+router.get('/:slug', async (req, res) => {
+    try {
+        const { data: category, error } = await supabase
+            .from('categories')
+            .select(`${CATEGORY_FIELDS}, flairs(${FLAIR_FIELDS})`)
+            .eq('slug', req.params.slug)
+            .single();
+
+        if (error || !category) {
+            return res.status(404).json({
+                success: false,
+                message: 'Category not found'
+            });
+        }
+
+        category.flairs.sort((a, b) => a.position - b.position);
+
+        res.json({
+            success: true,
+            category
+        });
+
+    } catch (error) {
+        console.error('Category fetch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching category'
+        });
+    }
+});
+
+// @route   POST /api/categories
+// @desc    Create a category
+// @access  Private (moderator)
+router.post('/', authenticateToken, requireModerator, async (req, res) => {
+    try {
+        const { slug } = req.body;
+
+        if (!slug || !SLUG_PATTERN.test(slug) || slug.length > 50) {
+            return res.status(400).json({
+                success: false,
+                message: 'Slug must be lowercase letters, numbers and dashes'
+            });
+        }
+
+        if (!req.body.name) {
+            return res.status(400).json({
+                success: false,
+                message: 'Category name is required'
+            });
+        }
+
+        const { values, error: validationError } = readCategoryFields(req.body);
+
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        const { data: category, error } = await supabase
+            .from('categories')
+            .insert({ slug, ...values })
+            .select(CATEGORY_FIELDS)
+            .single();
+
+        if (error) {
+            if (error.code === '23505') {
+                return res.status(409).json({
+                    success: false,
+                    message: 'A category with that slug already exists'
+                });
+            }
+
+            console.error('Category creation error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error creating category'
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Category created successfully',
+            category
+        });
+
+    } catch (error) {
+        console.error('Category creation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error creating category'
+        });
+    }
+});
+
+// @route   PUT /api/categories/:slug
+// @desc    Update a category (set is_active: false to retire it)
+// @access  Private (moderator)
+router.put('/:slug', authenticateToken, requireModerator, async (req, res) => {
+    try {
+        const { values, error: validationError } = readCategoryFields(req.body);
+
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        const { data: category, error } = await supabase
+            .from('categories')
+            .update(values)
+            .eq('slug', req.params.slug)
+            .select(CATEGORY_FIELDS)
+            .single();
+
+        if (error || !category) {
+            return res.status(404).json({
+                success: false,
+                message: 'Category not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Category updated successfully',
+            category
+        });
+
+    } catch (error) {
+        console.error('Category update error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error updating category'
+        });
+    }
+});
+
+// @route   POST /api/categories/:slug/flairs
+// @desc    Add a flair to a category
+// @access  Private (moderator)
+router.post('/:slug/flairs', authenticateToken, requireModerator, async (req, res) => {
+    try {
+        const { name, colour = '#0079d3', position = 0 } = req.body;
+
+        if (!name?.trim() || name.length > 50) {
+            return res.status(400).json({
+                success: false,
+                message: 'Flair name must be 1-50 characters'
+            });
+        }
+
+        if (!COLOUR_PATTERN.test(colour)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Colour must be a hex value like #0079d3'
+            });
+        }
+
+        const { data: flair, error } = await supabase
+            .from('flairs')
+            .insert({
+                category_slug: req.params.slug,
+                name: name.trim(),
+                colour,
+                position: parseInt(position) || 0
+            })
+            .select(FLAIR_FIELDS)
+            .single();
+
+        if (error) {
+            if (error.code === '23505') {
+                return res.status(409).json({
+                    success: false,
+                    message: 'That flair already exists in this category'
+                });
+            }
+
+            if (error.code === '23503') {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Category not found'
+                });
+            }
+
+            console.error('Flair creation error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error creating flair'
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Flair created successfully',
+            flair
+        });
+
+    } catch (error) {
+        console.error('Flair creation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error creating flair'
+        });
+    }
+});
+
+// @route   DELETE /api/categories/:slug/flairs/:flairId
+// @desc    Remove a flair (posts using it lose their flair)
+// @access  Private (moderator)
+router.delete('/:slug/flairs/:flairId', authenticateToken, requireModerator, async (req, res) => {
+    try {
+        const { data: flair, error } = await supabase
+            .from('flairs')
+            .delete()
+            .eq('id', req.params.flairId)
+            .eq('category_slug', req.params.slug)
+            .select('id')
+            .single();
+
+        if (error || !flair) {
+            return res.status(404).json({
+                success: false,
+                message: 'Flair not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Flair deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('Flair deletion error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error deleting flair'
+        });
+    }
+});
+
+// @route   POST /api/categories/:slug/subscribe
+// @desc    Subscribe to a category (subscribing twice is a no-op)
+// @access  Private
+router.post('/:slug/subscribe', authenticateToken, async (req, res) => {
+    try {
+        const [slug] = await findActiveCategories([req.params.slug]);
+
+        if (!slug) {
+            return res.status(404).json({
+                success: false,
+                message: 'Category not found'
+            });
+        }
+
+        const { error } = await supabase
+            .from('category_subscriptions')
+            .upsert({
+                user_id: req.user.userId,
+                category_slug: slug
+            }, { onConflict: 'user_id,category_slug', ignoreDuplicates: true });
+
+        if (error) {
+            console.error('Category subscribe error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error subscribing to category'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Subscribed',
+            subscribed: true
+        });
+
+    } catch (error) {
+        console.error('Category subscribe error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error subscribing to category'
+        });
+    }
+});
+
+// @route   DELETE /api/categories/:slug/subscribe
+// @desc    Unsubscribe from a category
+// @access  Private
+router.delete('/:slug/subscribe', authenticateToken, async (req, res) => {
+    try {
+        const { error } = await supabase
+            .from('category_subscriptions')
+            .delete()
+            .eq('user_id', req.user.userId)
+            .eq('category_slug', req.params.slug);
+
+        if (error) {
+            console.error('Category unsubscribe error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error unsubscribing from category'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Unsubscribed',
+            subscribed: false
+        });
+
+    } catch (error) {
+        console.error('Category unsubscribe error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error unsubscribing from category'
+        });
+    }
+});
+
+// @route   POST /api/categories/:slug/mute
+// @desc    Mute a category: its posts leave the viewer's feeds (but still
+//          show when the category is opened)
+// @access  Private
+router.post('/:slug/mute', authenticateToken, async (req, res) => {
+    try {
+        const [slug] = await findActiveCategories([req.params.slug]);
+
+        if (!slug) {
+            return res.status(404).json({
+                success: false,
+                message: 'Category not found'
+            });
+        }
+
+        const { error } = await supabase
+            .from('category_mutes')
+            .upsert({
+                user_id: req.user.userId,
+                category_slug: slug
+            }, { onConflict: 'user_id,category_slug', ignoreDuplicates: true });
+
+        if (error) {
+            console.error('Category mute error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error muting category'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Muted',
+            muted: true
+        });
+
+    } catch (error) {
+        console.error('Category mute error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error muting category'
+        });
+    }
+});
+
+// @route   DELETE /api/categories/:slug/mute
+// @desc    Unmute a category
+// @access  Private
+router.delete('/:slug/mute', authenticateToken, async (req, res) => {
+    try {
+        const { error } = await supabase
+            .from('category_mutes')
+            .delete()
+            .eq('user_id', req.user.userId)
+            .eq('category_slug', req.params.slug);
+
+        if (error) {
+            console.error('Category unmute error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error unmuting category'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Unmuted',
+            muted: false
+        });
+
+    } catch (error) {
+        console.error('Category unmute error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error unmuting category'
+        });
+    }
+});
+
+module.exports = router;
@@ -1,221 +1,298 @@
 const express = require('express');
-const Comment = require('../models/Comment');
-const Post = require('../models/Post');
-const User = require('../models/User');
-const { authenticateToken, optionalAuth, requireOwnershipOrAdmin, userRateLimit } = require('../middleware/auth');
+const supabase = require('../config/supabaseClient');
+const {
+    authenticateToken,
+    optionalAuth,
+    userRateLimit,
+    isModerator
+} = require('../middleware/auth');
+const { renderMarkdown } = require('../utils/markdown');
+const { attachSavedState } = require('../utils/saved');
+const { resolveMentions, recordMentions } = require('../utils/mentions');
+const { createNotification } = require('../utils/notifications');
+const { getHiddenContent, isBlockedBetween } = require('../utils/blocks');
+const { publish } = require('../utils/realtime');
+const {
+    COMMENT_SORTS,
+    MAX_DEPTH,
+    REPLY_PAGE_SIZE,
+    parseCommentCursor,
+    maskComment,
+    buildCommentTree,
+    flattenTree
+} = require('../utils/commentTree');
 
 const router = express.Router();
 
-// @route   GET /api/comments/:postId
-// @desc    Get comments for a specific post
+const MAX_COMMENT_LENGTH = 10000;
+const LOOKUP_CHUNK_SIZE = 200;    // keeps `in.(...)` filters within URL limits
+const DEFAULT_PAGE_SIZE = 20;
+const DEFAULT_REPLIES_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 100;
+
+const COMMENT_FIELDS = `
+    id, post_id, parent_id, author_id, content, content_html,
+    upvotes, downvotes, score, depth, is_deleted, is_edited, edited_at,
+    created_at, updated_at,
+    users!comments_author_id_fkey(id, name, username, avatar_url, reputation)
+`;
+
+const chunk = (list, size) => {
+    const chunks = [];
+    for (let i = 0; i < list.length; i += size) {
+        chunks.push(list.slice(i, i + size));
+    }
+    return chunks;
+};
+
+const validateContent = (content) => {
+    if (typeof content !== 'string' || !content.trim()) {
+        return 'Comment content is required';
+    }
+
+    if (content.trim().length > MAX_COMMENT_LENGTH) {
+        return 'Comment must be between 1 and 10,000 characters';
+    }
+
+    return null;
+};
+
+const getPublishedPost = async (postId) => {
+    const { data: post } = await supabase
+        .from('posts')
+        .select('id, author_id, comment_count, is_locked')
+        .eq('id', postId)
+        .eq('is_deleted', false)
+        .eq('status', 'published')
+        .single();
+
+    return post;
+};
+
+// Comment rows by id, looked up in URL-sized batches
+const fetchCommentsById = async (ids) => {
+    const comments = new Map();
+
+    for (const batch of chunk(ids, LOOKUP_CHUNK_SIZE)) {
+        const { data, error } = await supabase
+            .from('comments')
+            .select(COMMENT_FIELDS)
+            .in('id', batch);
+
+        if (error) throw error;
+
+        data.forEach(comment => comments.set(comment.id, comment));
+    }
+
+    return comments;
+};
+
+// One page of rootId's children (null = top-level comments) and the first
+// replies under them, a level per query, down to maxDepth levels
+const loadCommentTree = async (postId, {
+    rootId = null,
+    sort,
+    limit,
+    after = null,
+    maxDepth = MAX_DEPTH,
+    viewerId = null
+}) => {
+    const levels = [];
+    let parentIds = rootId ? [rootId] : null;
+    let pageLimit = limit;
+    let cursor = after;
+
+    while (levels.length < maxDepth && (!parentIds || parentIds.length > 0)) {
+        const { data: rows, error } = await supabase.rpc('get_comment_page', {
+            p_post_id: postId,
+            p_parent_ids: parentIds,
+            p_sort: sort,
+            p_limit: pageLimit,
+            p_after_key: cursor?.k ?? null,
+            p_after_at: cursor?.t ?? null,
+            p_after_id: cursor?.i ?? null,
+            p_viewer_id: viewerId
+        });
+
+        if (error) throw error;
+
+        levels.push(rows);
+        parentIds = rows.filter(row => row.reply_count > 0).map(row => row.id);
+        pageLimit = REPLY_PAGE_SIZE;
+        cursor = null;
+    }
+
+    const commentsById = await fetchCommentsById(levels.flat().map(row => row.id));
+
+    return buildCommentTree(levels, commentsById, { sort, rootId, maxDepth });
+};
+
+// Set `user_vote` (1, -1 or 0) on every comment in the list (in place)
+const attachUserVotes = async (comments, userId = null) => {
+    comments.forEach(comment => {
+        comment.user_vote = 0;
+    });
+
+    if (!userId || comments.length === 0) return comments;
+
+    const { data: votes } = await supabase
+        .from('votes')
+        .select('target_id, vote_type')
+        .eq('user_id', userId)
+        .eq('target_type', 'comment')
+        .in('target_id', comments.map(comment => comment.id));
+
+    const voteMap = new Map((votes || []).map(vote => [vote.target_id, vote.vote_type]));
+
+    comments.forEach(comment => {
+        comment.user_vote = voteMap.get(comment.id) || 0;
+    });
+
+    return comments;
+};
+
+// Per-user state for the comments that are actually returned
+const attachViewerState = async (nodes, userId) => {
+    const comments = flattenTree(nodes).filter(comment => !comment.is_deleted);
+
+    for (const batch of chunk(comments, LOOKUP_CHUNK_SIZE)) {
+        await attachUserVotes(batch, userId);
+        await attachSavedState(batch, 'comment', userId);
+    }
+
+    return nodes;
+};
+
+// Authors whose comments the viewer blocked or muted
+const getHiddenAuthorIds = async (userId) => new Set((await getHiddenContent(userId)).userIds);
+
+const parseSort = (sort) => (COMMENT_SORTS.includes(sort) ? sort : 'best');
+
+const parseLimit = (limit, fallback) => Math.min(Math.max(parseInt(limit) || fallback, 1), MAX_PAGE_SIZE);
+
+// @route   GET /api/comments/thread/:commentId
+// @desc    A comment and its replies, for "continue this thread" links
 // @access  Public
-router.get('/:postId', optionalAuth, async (req, res) => {
+router.get('/thread/:commentId', optionalAuth, async (req, res) => {
     try {
-        const { postId } = req.params;
-        const { sort = 'best', limit = 50 } = req.query;
-        
-        // Check if post exists
-        const post = await Post.findById(postId);
-        if (!post || post.isDeleted) {
+        const sort = parseSort(req.query.sort);
+
+        const { data: comment } = await supabase
+            .from('comments')
+            .select(COMMENT_FIELDS)
+            .eq('id', req.params.commentId)
+            .single();
+
+        const post = comment && await getPublishedPost(comment.post_id);
+
+        if (!post) {
             return res.status(404).json({
                 success: false,
-                message: 'Post not found'
+                message: 'Comment not found'
             });
         }
-        
-        let sortQuery = {};
-        
-        switch (sort) {
-            case 'new':
-                sortQuery = { createdAt: -1 };
-                break;
-            case 'old':
-                sortQuery = { createdAt: 1 };
-                break;
-            case 'top':
-                sortQuery = { 'votes.score': -1, createdAt: -1 };
-                break;
-            case 'controversial':
-                // Will handle this with aggregation
-                break;
-            case 'best':
-            default:
-                // Best is a combination of score and time
-                sortQuery = { 
-                    $expr: {
-                        $add: [
-                            '$votes.score',
-                            {
-                                $multiply: [
-                                    -0.0001,
-                                    { $subtract: [new Date(), '$createdAt'] }
-                                ]
-                            }
-                        ]
-                    }
-                };
+
+        // The comment itself takes the first level of the depth cap
+        const [{ nodes: replies, more }, hiddenAuthorIds] = await Promise.all([
+            loadCommentTree(post.id, {
+                rootId: comment.id,
+                sort,
+                limit: REPLY_PAGE_SIZE,
+                maxDepth: MAX_DEPTH - 1,
+                viewerId: req.user?.userId
+            }),
+            getHiddenAuthorIds(req.user?.userId)
+        ]);
+
+        const isHidden = !comment.is_deleted && hiddenAuthorIds.has(comment.author_id);
+
+        if ((comment.is_deleted || isHidden) && replies.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Comment not found'
+            });
         }
-        
-        let comments;
-        
-        if (sort === 'controversial') {
-            comments = await Comment.aggregate([
-                { 
-                    $match: { 
-                        post: post._id,
-                        isDeleted: false,
-                        parentComment: null // Only top-level comments
-                    }
-                },
-                {
-                    $addFields: {
-                        controversyScore: {
-                            $cond: [
-                                { $or: [
-                                    { $eq: [{ $size: '$votes.upvotes' }, 0] },
-                                    { $eq: [{ $size: '$votes.downvotes' }, 0] }
-                                ]},
-                                0,
-                                {
-                                    $multiply: [
-                                        {
-                                            $min: [
-                                                { $divide: [{ $size: '$votes.downvotes' }, { $size: '$votes.upvotes' }] },
-                                                { $divide: [{ $size: '$votes.upvotes' }, { $size: '$votes.downvotes' }] }
-                                            ]
-                                        },
-                                        { $add: [{ $size: '$votes.upvotes' }, { $size: '$votes.downvotes' }] }
-                                    ]
-                                }
-                            ]
-                        }
-                    }
-                },
-                { $sort: { controversyScore: -1, createdAt: -1 } },
-                { $limit: parseInt(limit) },
-                {
-                    $lookup: {
-                        from: 'users',
-                        localField: 'author',
-                        foreignField: '_id',
-                        as: 'author',
-                        pipeline: [
-                            { $project: { name: 1, username: 1, avatar: 1, branch: 1, year: 1 } }
-                        ]
-                    }
-                },
-                { $unwind: '$author' }
-            ]);
-        } else {
-            comments = await Comment.find({
-                post: postId,
-                isDeleted: false,
-                parentComment: null // Only top-level comments for now
-            })
-            .populate('author', 'name username avatar branch year')
-            .sort(sortQuery)
-            .limit(parseInt(limit));
+
+        const thread = { ...maskComment(comment, isHidden), replies };
+        if (more) {
+            thread.moreReplies = more;
         }
-        
-        // Get replies for each comment
-        const commentsWithReplies = await Promise.all(
-            comments.map(async (comment) => {
-                const commentObj = comment.toObject ? comment.toObject() : comment;
-                
-                // Get replies
-                const replies = await Comment.find({
-                    parentComment: commentObj._id,
-                    isDeleted: false
-                })
-                .populate('author', 'name username avatar branch year')
-                .sort({ createdAt: 1 })
-                .limit(10); // Limit initial replies, load more on demand
-                
-                commentObj.replies = replies;
-                commentObj.hasMoreReplies = await Comment.countDocuments({
-                    parentComment: commentObj._id,
-                    isDeleted: false
-                }) > 10;
-                
-                // Add user vote info if authenticated
-                if (req.user) {
-                    commentObj.userVote = comment.getUserVote ? comment.getUserVote(req.user._id) : null;
-                    commentObj.replies = commentObj.replies.map(reply => {
-                        const replyObj = reply.toObject();
-                        replyObj.userVote = reply.getUserVote ? reply.getUserVote(req.user._id) : null;
-                        return replyObj;
-                    });
-                }
-                
-                return commentObj;
-            })
-        );
-        
+
+        await attachViewerState([thread], req.user?.userId);
+
         res.json({
             success: true,
-            data: {
-                comments: commentsWithReplies,
-                hasMore: commentsWithReplies.length === parseInt(limit)
-            }
+            comment: thread,
+            postId: post.id,
+            parentId: comment.parent_id,
+            sort
         });
-        
+
     } catch (error) {
-        console.error('Get comments error:', error);
+        console.error('Get comment thread error:', error);
         res.status(500).json({
             success: false,
-            message: 'Error fetching comments'
+            message: 'Error fetching comment thread'
         });
     }
 });
 
 // @route   GET /api/comments/replies/:commentId
-// @desc    Get replies for a specific comment
+// @desc    Next page of replies to a comment (?sort, limit, after = a
+//          moreReplies cursor, level = how deep the replies are shown)
 // @access  Public
 router.get('/replies/:commentId', optionalAuth, async (req, res) => {
     try {
-        const { commentId } = req.params;
-        const { page = 1, limit = 10 } = req.query;
-        
-        const pageNum = parseInt(page);
-        const limitNum = parseInt(limit);
-        const skip = (pageNum - 1) * limitNum;
-        
-        const replies = await Comment.find({
-            parentComment: commentId,
-            isDeleted: false
-        })
-        .populate('author', 'name username avatar branch year')
-        .sort({ createdAt: 1 })
-        .skip(skip)
-        .limit(limitNum);
-        
-        // Add user vote info if authenticated
-        const repliesWithVotes = replies.map(reply => {
-            const replyObj = reply.toObject();
-            if (req.user) {
-                replyObj.userVote = reply.getUserVote(req.user._id);
+        const sort = parseSort(req.query.sort);
+        const limit = parseLimit(req.query.limit, DEFAULT_REPLIES_PAGE_SIZE);
+        const level = Math.min(Math.max(parseInt(req.query.level) || 1, 1), MAX_DEPTH - 1);
+        let after = null;
+
+        if (req.query.after) {
+            after = parseCommentCursor(req.query.after, { sort, parentId: req.params.commentId });
+
+            if (!after) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid cursor'
+                });
             }
-            return replyObj;
-        });
-        
-        const total = await Comment.countDocuments({
-            parentComment: commentId,
-            isDeleted: false
+        }
+
+        const { data: comment } = await supabase
+            .from('comments')
+            .select('id, post_id')
+            .eq('id', req.params.commentId)
+            .single();
+
+        const post = comment && await getPublishedPost(comment.post_id);
+
+        if (!post) {
+            return res.status(404).json({
+                success: false,
+                message: 'Comment not found'
+            });
+        }
+
+        // Keep the depth cap where it would have been in the full tree
+        const { nodes: replies, more } = await loadCommentTree(post.id, {
+            rootId: comment.id,
+            sort,
+            limit,
+            after,
+            maxDepth: MAX_DEPTH - level,
+            viewerId: req.user?.userId
         });
-        
+
+        await attachViewerState(replies, req.user?.userId);
+
         res.json({
             success: true,
-            data: {
-                replies: repliesWithVotes,
-                pagination: {
-                    page: pageNum,
-                    limit: limitNum,
-                    total,
-                    hasMore: pageNum * limitNum < total
-                }
-            }
+            replies,
+            moreReplies: more,
+            sort
         });
-        
+
     } catch (error) {
         console.error('Get replies error:', error);
         res.status(500).json({
@@ -225,112 +302,208 @@ router.get('/replies/:commentId', optionalAuth, async (req, res) => {
     }
 });
 
+// @route   GET /api/comments/:postId
+// @desc    Comment tree for a post (?sort=best|top|new|old|controversial).
+//          Top-level comments are cursor-paged (limit, after); replies come
+//          a few at a time with a moreReplies stub for the rest.
+// @access  Public
+router.get('/:postId', optionalAuth, async (req, res) => {
+    try {
+        const sort = parseSort(req.query.sort);
+        const limit = parseLimit(req.query.limit, DEFAULT_PAGE_SIZE);
+        let after = null;
+
+        if (req.query.after) {
+            after = parseCommentCursor(req.query.after, { sort });
+
+            if (!after) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid cursor'
+                });
+            }
+        }
+        const post = await getPublishedPost(req.params.postId);
+
+        if (!post) {
+            return res.status(404).json({
+                success: false,
+                message: 'Post not found'
+            });
+        }
+
+        const { nodes: comments, more } = await loadCommentTree(post.id, {
+            sort,
+            limit,
+            after,
+            viewerId: req.user?.userId
+        });
+
+        await attachViewerState(comments, req.user?.userId);
+
+        res.json({
+            success: true,
+            comments,
+            commentCount: post.comment_count,
+            isLocked: post.is_locked,
+            sort,
+            pagination: {
+                nextCursor: more?.cursor || null,
+                hasNext: more !== null,
+                remaining: more?.count || 0
+            }
+        });
+
+    } catch (error) {
+        console.error('Get comments error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching comments'
+        });
+    }
+});
+
 // @route   POST /api/comments
-// @desc    Create a new comment
+// @desc    Comment on a post or reply to a comment
 // @access  Private
 router.post('/', authenticateToken, userRateLimit(10, 60 * 1000), async (req, res) => {
     try {
         const { content, postId, parentCommentId } = req.body;
-        
-        // Validation
-        if (!content || !content.trim()) {
-            return res.status(400).json({
-                success: false,
-                message: 'Comment content is required'
-            });
-        }
-        
-        if (content.trim().length < 1 || content.trim().length > 10000) {
+
+        const contentError = validateContent(content);
+        if (contentError) {
             return res.status(400).json({
                 success: false,
-                message: 'Comment must be between 1 and 10,000 characters'
+                message: contentError
             });
         }
-        
+
         if (!postId) {
             return res.status(400).json({
                 success: false,
                 message: 'Post ID is required'
             });
         }
-        
-        // Check if post exists and is not deleted
-        const post = await Post.findById(postId);
-        if (!post || post.isDeleted) {
+
+        const post = await getPublishedPost(postId);
+
+        if (!post) {
             return res.status(404).json({
                 success: false,
                 message: 'Post not found'
             });
         }
-        
-        // Check if post is locked
-        if (post.isLocked) {
+
+        if (post.is_locked) {
             return res.status(403).json({
                 success: false,
-                message: 'Cannot comment on a locked post'
+                message: 'This post is locked'
             });
         }
-        
-        // If replying to a comment, check if parent comment exists
-        let parentComment = null;
+
+        let parent = null;
         if (parentCommentId) {
-            parentComment = await Comment.findById(parentCommentId);
-            if (!parentComment || parentComment.isDeleted) {
+            ({ data: parent } = await supabase
+                .from('comments')
+                .select('id, author_id')
+                .eq('id', parentCommentId)
+                .eq('post_id', post.id)
+                .eq('is_deleted', false)
+                .single());
+
+            if (!parent) {
                 return res.status(404).json({
                     success: false,
                     message: 'Parent comment not found'
                 });
             }
         }
-        
-        // Create comment
-        const comment = new Comment({
-            content: content.trim(),
-            author: req.user._id,
-            post: postId,
-            parentComment: parentCommentId || null,
-            depth: parentComment ? parentComment.depth + 1 : 0
-        });
-        
-        await comment.save();
-        
-        // Populate author information
-        await comment.populate('author', 'name username avatar branch year');
-        
-        // Update post comment count
-        await Post.findByIdAndUpdate(postId, {
-            $inc: { commentsCount: 1 }
-        });
-        
-        // Update user stats
-        await User.findByIdAndUpdate(req.user._id, {
-            $inc: { 'stats.commentsCount': 1 }
+
+        // No replying across a block, in either direction
+        const replyTo = parent ? parent.author_id : post.author_id;
+        if (await isBlockedBetween(req.user.userId, replyTo)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You cannot reply to this user'
+            });
+        }
+
+        const mentions = await resolveMentions(content, req.user.userId);
+
+        const { data: comment, error } = await supabase
+            .from('comments')
+            .insert({
+                content: content.trim(),
+                content_html: renderMarkdown(content.trim(), { mentions: mentions.map(user => user.username) }),
+                author_id: req.user.userId,
+                post_id: post.id,
+                parent_id: parentCommentId || null
+            })
+            .select(COMMENT_FIELDS)
+            .single();
+
+        if (error) {
+            // The post may have been locked or removed since the checks above
+            if (error.message?.includes('POST_LOCKED')) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'This post is locked'
+                });
+            }
+
+            if (error.message?.includes('TARGET_NOT_FOUND')) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Post not found'
+                });
+            }
+
+            if (error.message?.includes('PARENT_NOT_FOUND')) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Parent comment not found'
+                });
+            }
+
+            console.error('Create comment error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error creating comment'
+            });
+        }
+
+        await recordMentions({
+            sourceType: 'comment',
+            sourceId: comment.id,
+            postId: post.id,
+            authorId: req.user.userId,
+            users: mentions
         });
-        
-        // If this is a reply, update parent comment reply count
-        if (parentComment) {
-            await Comment.findByIdAndUpdate(parentCommentId, {
-                $inc: { repliesCount: 1 }
+
+        // Replies notify the parent comment's author, top-level comments the
+        // post author; anyone mentioned already got a mention instead
+        if (!mentions.some(user => user.id === replyTo)) {
+            await createNotification({
+                user_id: replyTo,
+                type: parent ? 'comment_reply' : 'post_reply',
+                actor_id: req.user.userId,
+                post_id: post.id,
+                comment_id: comment.id,
+                data: parent ? { parent_comment_id: parent.id } : {}
             });
         }
-        
+
+        const created = { ...comment, user_vote: 0, is_saved: false, replies: [] };
+        publish(`post:${post.id}`, 'comment', { comment: created });
+
         res.status(201).json({
             success: true,
             message: 'Comment created successfully',
-            data: comment
+            comment: created
         });
-        
+
     } catch (error) {
         console.error('Create comment error:', error);
-        
-        if (error.name === 'ValidationError') {
-            const errors = Object.values(error.errors).map(err => err.message);
-            return res.status(400).json({
-                success: false,
-                message: errors[0]
-            });
-        }
-        
         res.status(500).json({
             success: false,
             message: 'Error creating comment'
@@ -338,254 +511,249 @@ router.post('/', authenticateToken, userRateLimit(10, 60 * 1000), async (req, re
     }
 });
 
-// @route   PUT /api/comments/:id
-// @desc    Update a comment
-// @access  Private (Author only)
-router.put('/:id', authenticateToken, requireOwnershipOrAdmin(), async (req, res) => {
+// @route   POST /api/comments/:id/vote
+// @desc    Vote on a comment
+// @access  Private
+router.post('/:id/vote', authenticateToken, async (req, res) => {
     try {
-        const { content } = req.body;
-        
-        if (!content || !content.trim()) {
-            return res.status(400).json({
-                success: false,
-                message: 'Comment content is required'
-            });
-        }
-        
-        if (content.trim().length < 1 || content.trim().length > 10000) {
+        const { voteType } = req.body; // 1 for upvote, -1 for downvote, 0 to remove vote
+
+        if (![1, -1, 0].includes(voteType)) {
             return res.status(400).json({
                 success: false,
-                message: 'Comment must be between 1 and 10,000 characters'
+                message: 'Invalid vote type'
             });
         }
-        
-        const comment = await Comment.findById(req.params.id);
-        
-        if (!comment || comment.isDeleted) {
+
+        // Comments on trashed posts take no votes
+        const { data: comment } = await supabase
+            .from('comments')
+            .select('post_id')
+            .eq('id', req.params.id)
+            .eq('is_deleted', false)
+            .single();
+
+        if (!comment || !(await getPublishedPost(comment.post_id))) {
             return res.status(404).json({
                 success: false,
                 message: 'Comment not found'
             });
         }
-        
-        // Store previous content for edit history
-        const previousContent = comment.content;
-        
-        // Update comment
-        comment.content = content.trim();
-        comment.isEdited = true;
-        comment.editedAt = new Date();
-        
-        // Add to edit history
-        comment.editHistory.push({
-            editedBy: req.user._id,
-            previousContent,
-            editedAt: new Date(),
-            reason: req.body.editReason || 'Content updated'
-        });
-        
-        await comment.save();
-        await comment.populate('author', 'name username avatar branch year');
-        
-        res.json({
-            success: true,
-            message: 'Comment updated successfully',
-            data: comment
-        });
-        
-    } catch (error) {
-        console.error('Update comment error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Error updating comment'
+
+        // Same ledger write as post votes; the comment author's reputation
+        // moves with the vote
+        const { data: counts, error } = await supabase.rpc('cast_vote', {
+            p_user_id: req.user.userId,
+            p_target_type: 'comment',
+            p_target_id: req.params.id,
+            p_vote_type: voteType
         });
-    }
-});
 
-// @route   DELETE /api/comments/:id
-// @desc    Delete a comment (soft delete)
-// @access  Private (Author or Admin)
-router.delete('/:id', authenticateToken, requireOwnershipOrAdmin(), async (req, res) => {
-    try {
-        const comment = await Comment.findById(req.params.id);
-        
-        if (!comment || comment.isDeleted) {
-            return res.status(404).json({
+        if (error) {
+            if (error.message?.includes('TARGET_NOT_FOUND')) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Comment not found'
+                });
+            }
+
+            if (error.message?.includes('POST_LOCKED')) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'This post is locked'
+                });
+            }
+
+            if (error.message?.includes('SELF_VOTE')) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'You cannot vote on your own comment'
+                });
+            }
+
+            console.error('Comment vote error:', error);
+            return res.status(500).json({
                 success: false,
-                message: 'Comment not found'
+                message: 'Error recording vote'
             });
         }
-        
-        // Soft delete
-        await comment.softDelete(req.user._id);
-        
-        // Update post comment count
-        await Post.findByIdAndUpdate(comment.post, {
-            $inc: { commentsCount: -1 }
-        });
-        
-        // Update user stats
-        await User.findByIdAndUpdate(comment.author, {
-            $inc: { 'stats.commentsCount': -1 }
+
+        publish(`post:${comment.post_id}`, 'comment_vote', {
+            id: req.params.id,
+            upvotes: counts.upvotes,
+            downvotes: counts.downvotes,
+            score: counts.score
         });
-        
-        // If this was a reply, update parent comment reply count
-        if (comment.parentComment) {
-            await Comment.findByIdAndUpdate(comment.parentComment, {
-                $inc: { repliesCount: -1 }
-            });
-        }
-        
+
         res.json({
             success: true,
-            message: 'Comment deleted successfully'
+            message: 'Vote recorded successfully',
+            voteType,
+            upvotes: counts.upvotes,
+            downvotes: counts.downvotes,
+            score: counts.score
         });
-        
+
     } catch (error) {
-        console.error('Delete comment error:', error);
+        console.error('Comment vote error:', error);
         res.status(500).json({
             success: false,
-            message: 'Error deleting comment'
+            message: 'Server error recording vote'
         });
     }
 });
 
-// @route   POST /api/comments/:id/vote
-// @desc    Vote on a comment (upvote/downvote)
-// @access  Private
-router.post('/:id/vote', authenticateToken, userRateLimit(30, 60 * 1000), async (req, res) => {
+// @route   PUT /api/comments/:id
+// @desc    Edit a comment
+// @access  Private (Author only)
+router.put('/:id', authenticateToken, async (req, res) => {
     try {
-        const { type } = req.body; // 'upvote' or 'downvote'
-        
-        if (!['upvote', 'downvote'].includes(type)) {
+        const { content } = req.body;
+
+        const contentError = validateContent(content);
+        if (contentError) {
             return res.status(400).json({
                 success: false,
-                message: 'Invalid vote type. Must be "upvote" or "downvote"'
+                message: contentError
             });
         }
-        
-        const comment = await Comment.findById(req.params.id);
-        
-        if (!comment || comment.isDeleted) {
+
+        const { data: existing } = await supabase
+            .from('comments')
+            .select('author_id, post_id')
+            .eq('id', req.params.id)
+            .eq('is_deleted', false)
+            .single();
+
+        if (!existing) {
             return res.status(404).json({
                 success: false,
                 message: 'Comment not found'
             });
         }
-        
-        // Prevent voting on own comments
-        if (comment.author.toString() === req.user._id.toString()) {
-            return res.status(400).json({
+
+        if (existing.author_id !== req.user.userId) {
+            return res.status(403).json({
                 success: false,
-                message: 'You cannot vote on your own comment'
+                message: 'You can only edit your own comments'
             });
         }
-        
-        const previousVote = comment.getUserVote(req.user._id);
-        
-        // Apply vote
-        if (type === 'upvote') {
-            await comment.upvote(req.user._id);
-        } else {
-            await comment.downvote(req.user._id);
-        }
-        
-        // Update author karma
-        const author = await User.findById(comment.author);
-        if (author) {
-            // Adjust karma based on vote change
-            if (previousVote === null && type === 'upvote') {
-                author.stats.upvotesReceived += 1;
-            } else if (previousVote === null && type === 'downvote') {
-                author.stats.downvotesReceived += 1;
-            } else if (previousVote === 'upvote' && type === 'downvote') {
-                author.stats.upvotesReceived -= 1;
-                author.stats.downvotesReceived += 1;
-            } else if (previousVote === 'downvote' && type === 'upvote') {
-                author.stats.downvotesReceived -= 1;
-                author.stats.upvotesReceived += 1;
-            } else if (previousVote === 'upvote' && type === 'upvote') {
-                author.stats.upvotesReceived -= 1; // Remove upvote
-            } else if (previousVote === 'downvote' && type === 'downvote') {
-                author.stats.downvotesReceived -= 1; // Remove downvote
-            }
-            
-            await author.updateKarmaScore();
+
+        const mentions = await resolveMentions(content, req.user.userId);
+        const now = new Date().toISOString();
+        const { data: comment, error } = await supabase
+            .from('comments')
+            .update({
+                content: content.trim(),
+                content_html: renderMarkdown(content.trim(), { mentions: mentions.map(user => user.username) }),
+                is_edited: true,
+                edited_at: now,
+                updated_at: now
+            })
+            .eq('id', req.params.id)
+            .select(COMMENT_FIELDS)
+            .single();
+
+        if (error) {
+            console.error('Update comment error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error updating comment'
+            });
         }
-        
-        const currentVote = comment.getUserVote(req.user._id);
-        
+
+        // Only people newly mentioned by the edit are notified
+        await recordMentions({
+            sourceType: 'comment',
+            sourceId: comment.id,
+            postId: existing.post_id,
+            authorId: req.user.userId,
+            users: mentions
+        });
+
         res.json({
             success: true,
-            message: `${currentVote === type ? 'Vote added' : currentVote === null ? 'Vote removed' : 'Vote changed'}`,
-            data: {
-                score: comment.votes.score,
-                upvotesCount: comment.votes.upvotes.length,
-                downvotesCount: comment.votes.downvotes.length,
-                userVote: currentVote
-            }
+            message: 'Comment updated successfully',
+            comment
         });
-        
+
     } catch (error) {
-        console.error('Vote on comment error:', error);
+        console.error('Update comment error:', error);
         res.status(500).json({
             success: false,
-            message: 'Error processing vote'
+            message: 'Error updating comment'
         });
     }
 });
 
-// @route   POST /api/comments/:id/report
-// @desc    Report a comment
-// @access  Private
-router.post('/:id/report', authenticateToken, userRateLimit(5, 24 * 60 * 60 * 1000), async (req, res) => {
+// @route   DELETE /api/comments/:id
+// @desc    Delete a comment (soft delete; replies stay under a [deleted] placeholder)
+// @access  Private (Author or moderator)
+router.delete('/:id', authenticateToken, async (req, res) => {
     try {
-        const { reason, description } = req.body;
-        
-        if (!reason) {
-            return res.status(400).json({
+        const userId = req.user.userId;
+
+        const { data: existing } = await supabase
+            .from('comments')
+            .select('author_id, post_id')
+            .eq('id', req.params.id)
+            .eq('is_deleted', false)
+            .single();
+
+        if (!existing) {
+            return res.status(404).json({
                 success: false,
-                message: 'Report reason is required'
+                message: 'Comment not found'
             });
         }
-        
-        const comment = await Comment.findById(req.params.id);
-        
-        if (!comment || comment.isDeleted) {
-            return res.status(404).json({
+
+        const isAuthor = existing.author_id === userId;
+        if (!isAuthor && !(await isModerator(userId))) {
+            return res.status(403).json({
                 success: false,
-                message: 'Comment not found'
+                message: 'You can only delete your own comments'
             });
         }
-        
-        // Prevent reporting own comments
-        if (comment.author.toString() === req.user._id.toString()) {
-            return res.status(400).json({
+
+        const now = new Date().toISOString();
+        const { error } = await supabase
+            .from('comments')
+            .update({
+                is_deleted: true,
+                deleted_at: now,
+                updated_at: now
+            })
+            .eq('id', req.params.id);
+
+        if (error) {
+            console.error('Delete comment error:', error);
+            return res.status(500).json({
                 success: false,
-                message: 'You cannot report your own comment'
+                message: 'Error deleting comment'
             });
         }
-        
-        await comment.addReport(req.user._id, reason, description);
-        
+
+        if (!isAuthor) {
+            await createNotification({
+                user_id: existing.author_id,
+                type: 'moderation',
+                actor_id: userId,
+                post_id: existing.post_id,
+                comment_id: req.params.id,
+                data: { action: 'comment_removed' }
+            });
+        }
+
         res.json({
             success: true,
-            message: 'Comment reported successfully. Our moderators will review it.'
+            message: 'Comment deleted successfully'
         });
-        
+
     } catch (error) {
-        console.error('Report comment error:', error);
-        
-        if (error.message.includes('already reported')) {
-            return res.status(400).json({
-                success: false,
-                message: error.message
-            });
-        }
-        
+        console.error('Delete comment error:', error);
         res.status(500).json({
             success: false,
-            message: 'Error reporting comment'
+            message: 'Error deleting comment'
         });
     }
 });
@@ -0,0 +1,454 @@
+const express = require('express');
+const supabase = require('../config/supabaseClient');
+const { authenticateToken, userRateLimit } = require('../middleware/auth');
+const { createPoll, attachPolls } = require('../utils/polls');
+const { findSimilarPosts } = require('../utils/duplicates');
+const { recordMentions } = require('../utils/mentions');
+const { publishNewPosts } = require('../utils/realtime');
+const { preparePost, prepareDraft, parsePublishAt } = require('../utils/postInput');
+
+const router = express.Router();
+
+// Drafts and scheduled posts are posts rows with status 'draft' / 'scheduled'.
+// They are private to their author until published.
+const DRAFT_FIELDS = `
+    id, title, content, content_html, category, flair_id, tags, type,
+    image_asset_id, image_url, link_url, poll_draft, status, publish_at,
+    created_at, updated_at,
+    flair:flairs(id, name, colour)
+`;
+
+// Load one of the current user's unpublished posts
+const findDraft = async (id, userId) => {
+    const { data: draft } = await supabase
+        .from('posts')
+        .select(DRAFT_FIELDS)
+        .eq('id', id)
+        .eq('author_id', userId)
+        .eq('is_deleted', false)
+        .neq('status', 'published')
+        .single();
+
+    return draft;
+};
+
+// @route   GET /api/posts/drafts
+// @desc    List the current user's drafts and scheduled posts
+// @access  Private
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        const { data: drafts, error } = await supabase
+            .from('posts')
+            .select(DRAFT_FIELDS)
+            .eq('author_id', req.user.userId)
+            .eq('is_deleted', false)
+            .neq('status', 'published')
+            .order('updated_at', { ascending: false })
+            .limit(100);
+
+        if (error) {
+            console.error('Drafts fetch error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error fetching drafts'
+            });
+        }
+
+        res.json({
+            success: true,
+            drafts
+        });
+
+    } catch (error) {
+        console.error('Drafts fetch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching drafts'
+        });
+    }
+});
+
+// @route   GET /api/posts/drafts/:id
+// @desc    Get one of your drafts or scheduled posts
+// @access  Private (author only)
+router.get('/:id', authenticateToken, async (req, res) => {
+    try {
+        const draft = await findDraft(req.params.id, req.user.userId);
+
+        if (!draft) {
+            return res.status(404).json({
+                success: false,
+                message: 'Draft not found'
+            });
+        }
+
+        // Scheduled polls already have their poll rows
+        await attachPolls([draft], req.user.userId);
+
+        res.json({
+            success: true,
+            draft
+        });
+
+    } catch (error) {
+        console.error('Draft fetch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching draft'
+        });
+    }
+});
+
+// @route   POST /api/posts/drafts
+// @desc    Save a new draft
+// @access  Private
+router.post('/', authenticateToken, userRateLimit(30, 60 * 1000), async (req, res) => {
+    try {
+        const { fields, error: validationError } = await prepareDraft(req.body, req.user.userId);
+
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        const { data: draft, error } = await supabase
+            .from('posts')
+            .insert({
+                title: '',
+                ...fields,
+                author_id: req.user.userId,
+                status: 'draft',
+                created_at: new Date().toISOString(),
+                updated_at: new Date().toISOString()
+            })
+            .select(DRAFT_FIELDS)
+            .single();
+
+        if (error) {
+            console.error('Draft creation error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error saving draft'
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Draft saved',
+            draft
+        });
+
+    } catch (error) {
+        console.error('Draft creation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error saving draft'
+        });
+    }
+});
+
+// @route   PUT /api/posts/drafts/:id
+// @desc    Autosave changes to a draft (only the fields sent are updated)
+// @access  Private (author only)
+router.put('/:id', authenticateToken, userRateLimit(120, 60 * 1000), async (req, res) => {
+    try {
+        const existing = await findDraft(req.params.id, req.user.userId);
+
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                message: 'Draft not found'
+            });
+        }
+
+        if (existing.status === 'scheduled') {
+            return res.status(409).json({
+                success: false,
+                message: 'Unschedule this post before editing it'
+            });
+        }
+
+        const { fields, error: validationError } = await prepareDraft(req.body, req.user.userId);
+
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        const { data: draft, error } = await supabase
+            .from('posts')
+            .update({
+                ...fields,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', existing.id)
+            .eq('status', 'draft')
+            .select(DRAFT_FIELDS)
+            .single();
+
+        if (error || !draft) {
+            console.error('Draft update error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error saving draft'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Draft saved',
+            draft
+        });
+
+    } catch (error) {
+        console.error('Draft update error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error saving draft'
+        });
+    }
+});
+
+// @route   POST /api/posts/drafts/:id/publish
+// @desc    Publish a draft now, or schedule it with a future publish_at
+// @access  Private (author only)
+router.post('/:id/publish', authenticateToken, userRateLimit(5, 60 * 60 * 1000), async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const existing = await findDraft(req.params.id, userId);
+
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                message: 'Draft not found'
+            });
+        }
+
+        if (existing.status === 'scheduled') {
+            return res.status(409).json({
+                success: false,
+                message: 'This post is already scheduled'
+            });
+        }
+
+        // Drafts get the same checks as posts created directly
+        const { fields, pollInput, mentions, error: validationError } = await preparePost({
+            ...existing,
+            poll: existing.poll_draft
+        }, userId);
+
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        const { publishAt, error: scheduleError } = parsePublishAt(req.body.publish_at);
+        if (scheduleError) {
+            return res.status(400).json({
+                success: false,
+                message: scheduleError
+            });
+        }
+
+        if (publishAt && pollInput?.closesAt && pollInput.closesAt <= publishAt) {
+            return res.status(400).json({
+                success: false,
+                message: 'Poll closing time must be after the publish time'
+            });
+        }
+
+        // Same duplicate check as POST /api/posts
+        if (!req.body.acknowledge_duplicates) {
+            const similarPosts = await findSimilarPosts(fields);
+
+            if (similarPosts.length > 0) {
+                return res.status(409).json({
+                    success: false,
+                    code: 'SIMILAR_POSTS',
+                    message: 'Similar posts already exist',
+                    similarPosts
+                });
+            }
+        }
+
+        // Poll rows must exist before the post becomes visible
+        if (pollInput) {
+            try {
+                await createPoll(existing.id, pollInput);
+            } catch (pollError) {
+                console.error('Poll creation error:', pollError);
+                await supabase.from('polls').delete().eq('post_id', existing.id);
+
+                return res.status(500).json({
+                    success: false,
+                    message: 'Error creating poll'
+                });
+            }
+        }
+
+        const { data: post, error } = await supabase
+            .from('posts')
+            .update({
+                ...fields,
+                poll_draft: null,
+                status: publishAt ? 'scheduled' : 'published',
+                publish_at: publishAt,
+                created_at: new Date().toISOString(),
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', existing.id)
+            .eq('status', 'draft')
+            .select(`
+                *,
+                users!posts_author_id_fkey(id, name, username, avatar_url, reputation),
+                flair:flairs(id, name, colour)
+            `)
+            .single();
+
+        if (error || !post) {
+            console.error('Draft publish error:', error);
+            if (pollInput) {
+                await supabase.from('polls').delete().eq('post_id', existing.id);
+            }
+
+            return res.status(500).json({
+                success: false,
+                message: 'Error publishing draft'
+            });
+        }
+
+        await attachPolls([post], userId);
+
+        await recordMentions({
+            sourceType: 'post',
+            sourceId: post.id,
+            postId: post.id,
+            authorId: userId,
+            users: mentions,
+            published: !publishAt
+        });
+
+        if (!publishAt) {
+            publishNewPosts([post]);
+        }
+
+        res.json({
+            success: true,
+            message: publishAt ? 'Post scheduled successfully' : 'Post published successfully',
+            post
+        });
+
+    } catch (error) {
+        console.error('Draft publish error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error publishing draft'
+        });
+    }
+});
+
+// @route   POST /api/posts/drafts/:id/unschedule
+// @desc    Turn a scheduled post back into an editable draft
+// @access  Private (author only)
+router.post('/:id/unschedule', authenticateToken, async (req, res) => {
+    try {
+        const existing = await findDraft(req.params.id, req.user.userId);
+
+        if (!existing || existing.status !== 'scheduled') {
+            return res.status(404).json({
+                success: false,
+                message: 'Scheduled post not found'
+            });
+        }
+
+        // Poll rows go back into poll_draft so the poll can still be edited
+        const post = { id: existing.id, type: existing.type };
+        await attachPolls([post]);
+
+        const { data: draft, error } = await supabase
+            .from('posts')
+            .update({
+                status: 'draft',
+                publish_at: null,
+                poll_draft: post.poll ? {
+                    options: post.poll.options.map(option => option.label),
+                    allowMultiple: post.poll.allowsMultiple,
+                    closesAt: post.poll.closesAt
+                } : null,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', existing.id)
+            .eq('status', 'scheduled')
+            .select(DRAFT_FIELDS)
+            .single();
+
+        if (error || !draft) {
+            // The scheduler may have just published it
+            return res.status(409).json({
+                success: false,
+                message: 'This post has already been published'
+            });
+        }
+
+        if (post.poll) {
+            await supabase.from('polls').delete().eq('post_id', existing.id);
+        }
+
+        res.json({
+            success: true,
+            message: 'Post moved back to drafts',
+            draft
+        });
+
+    } catch (error) {
+        console.error('Unschedule error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error unscheduling post'
+        });
+    }
+});
+
+// @route   DELETE /api/posts/drafts/:id
+// @desc    Discard a draft or cancel a scheduled post
+// @access  Private (author only)
+router.delete('/:id', authenticateToken, async (req, res) => {
+    try {
+        // Never-published posts are removed outright rather than trashed
+        const { data: draft, error } = await supabase
+            .from('posts')
+            .delete()
+            .eq('id', req.params.id)
+            .eq('author_id', req.user.userId)
+            .neq('status', 'published')
+            .select('id')
+            .single();
+
+        if (error || !draft) {
+            return res.status(404).json({
+                success: false,
+                message: 'Draft not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Draft deleted'
+        });
+
+    } catch (error) {
+        console.error('Draft deletion error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error deleting draft'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,346 @@
+const express = require('express');
+const supabase = require('../config/supabaseClient');
+const { authenticateToken } = require('../middleware/auth');
+const {
+    UUID_PATTERN,
+    TIMESTAMP_PATTERN,
+    encodeCursor,
+    decodeCursor
+} = require('../utils/cursor');
+const { NOTIFICATION_TYPES, describeNotification } = require('../utils/notifications');
+
+const router = express.Router();
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+// Most recent actors returned with each group, for avatars
+const ACTORS_SHOWN = 3;
+
+// Load actors and post titles for a page of notification groups
+const hydrateGroups = async (groups) => {
+    const actorIds = [...new Set(groups.flatMap(group => (
+        [...new Set((group.actor_ids || []).filter(Boolean))].slice(0, ACTORS_SHOWN)
+    )))];
+    const postIds = [...new Set(groups.map(group => group.post_id).filter(Boolean))];
+
+    const [{ data: actors }, { data: posts }] = await Promise.all([
+        actorIds.length > 0
+            ? supabase
+                .from('users')
+                .select('id, name, username, avatar_url')
+                .in('id', actorIds)
+            : Promise.resolve({ data: [] }),
+        postIds.length > 0
+            ? supabase
+                .from('posts')
+                .select('id, title, category')
+                .in('id', postIds)
+            : Promise.resolve({ data: [] })
+    ]);
+
+    const actorsById = new Map((actors || []).map(actor => [actor.id, actor]));
+    const postsById = new Map((posts || []).map(post => [post.id, post]));
+
+    return groups.map(group => {
+        const groupActors = [...new Set((group.actor_ids || []).filter(Boolean))]
+            .slice(0, ACTORS_SHOWN)
+            .map(id => actorsById.get(id))
+            .filter(Boolean);
+
+        return {
+            id: group.id,
+            group_key: group.group_key,
+            type: group.type,
+            message: describeNotification(group, groupActors),
+            actors: groupActors,
+            actor_count: group.actor_count,
+            count: group.total,
+            post: postsById.get(group.post_id) || null,
+            comment_id: group.comment_id,
+            data: group.data,
+            is_read: group.is_read,
+            created_at: group.latest_at
+        };
+    });
+};
+
+// @route   GET /api/notifications
+// @desc    List the current user's notifications, similar ones grouped, newest first (cursor paginated)
+// @access  Private
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        const { after, unread } = req.query;
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+        let cursor = null;
+        if (after) {
+            cursor = decodeCursor(after);
+
+            if (!cursor || !TIMESTAMP_PATTERN.test(String(cursor.t)) || typeof cursor.k !== 'string') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid cursor'
+                });
+            }
+        }
+
+        const { data: groups, error } = await supabase.rpc('get_notification_groups', {
+            p_user_id: req.user.userId,
+            p_limit: limit + 1,
+            p_before_at: cursor ? cursor.t : null,
+            p_before_key: cursor ? cursor.k : null,
+            p_unread_only: unread === 'true'
+        });
+
+        if (error) {
+            console.error('Notifications fetch error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error fetching notifications'
+            });
+        }
+
+        const hasNext = groups.length > limit;
+        const pageGroups = groups.slice(0, limit);
+        const lastGroup = pageGroups[pageGroups.length - 1];
+
+        res.json({
+            success: true,
+            notifications: await hydrateGroups(pageGroups),
+            pagination: {
+                nextCursor: hasNext ? encodeCursor({ t: lastGroup.latest_at, k: lastGroup.group_key }) : null,
+                hasNext
+            }
+        });
+
+    } catch (error) {
+        console.error('Notifications fetch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching notifications'
+        });
+    }
+});
+
+// @route   GET /api/notifications/unread-count
+// @desc    Number of unread notification groups, for the navbar badge
+// @access  Private
+router.get('/unread-count', authenticateToken, async (req, res) => {
+    try {
+        const { data: count, error } = await supabase.rpc('count_unread_notifications', {
+            p_user_id: req.user.userId
+        });
+
+        if (error) {
+            console.error('Unread count error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error fetching unread count'
+            });
+        }
+
+        res.json({
+            success: true,
+            count
+        });
+
+    } catch (error) {
+        console.error('Unread count error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching unread count'
+        });
+    }
+});
+
+// @route   GET /api/notifications/settings
+// @desc    Notification types and which of them the user has muted
+// @access  Private
+router.get('/settings', authenticateToken, async (req, res) => {
+    try {
+        const { data: mutes, error } = await supabase
+            .from('notification_mutes')
+            .select('type')
+            .eq('user_id', req.user.userId);
+
+        if (error) {
+            console.error('Notification settings error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error fetching notification settings'
+            });
+        }
+
+        const muted = new Set(mutes.map(mute => mute.type));
+
+        res.json({
+            success: true,
+            types: Object.entries(NOTIFICATION_TYPES).map(([type, { label }]) => ({
+                type,
+                label,
+                muted: muted.has(type)
+            }))
+        });
+
+    } catch (error) {
+        console.error('Notification settings error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching notification settings'
+        });
+    }
+});
+
+// @route   PUT /api/notifications/settings
+// @desc    Replace the user's muted notification types (body: { mutedTypes })
+// @access  Private
+router.put('/settings', authenticateToken, async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { mutedTypes } = req.body;
+
+        if (!Array.isArray(mutedTypes) || mutedTypes.some(type => !Object.keys(NOTIFICATION_TYPES).includes(type))) {
+            return res.status(400).json({
+                success: false,
+                message: 'mutedTypes must be a list of notification types'
+            });
+        }
+
+        const { error: deleteError } = await supabase
+            .from('notification_mutes')
+            .delete()
+            .eq('user_id', userId);
+
+        if (deleteError) {
+            console.error('Notification settings update error:', deleteError);
+            return res.status(500).json({
+                success: false,
+                message: 'Error updating notification settings'
+            });
+        }
+
+        const types = [...new Set(mutedTypes)];
+        if (types.length > 0) {
+            const { error } = await supabase
+                .from('notification_mutes')
+                .insert(types.map(type => ({ user_id: userId, type })));
+
+            if (error) {
+                console.error('Notification settings update error:', error);
+                return res.status(500).json({
+                    success: false,
+                    message: 'Error updating notification settings'
+                });
+            }
+        }
+
+        res.json({
+            success: true,
+            message: 'Notification settings updated',
+            mutedTypes: types
+        });
+
+    } catch (error) {
+        console.error('Notification settings update error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error updating notification settings'
+        });
+    }
+});
+
+// @route   PUT /api/notifications/read-all
+// @desc    Mark all of the user's notifications as read
+// @access  Private
+router.put('/read-all', authenticateToken, async (req, res) => {
+    try {
+        const { error } = await supabase
+            .from('notifications')
+            .update({ is_read: true })
+            .eq('user_id', req.user.userId)
+            .eq('is_read', false);
+
+        if (error) {
+            console.error('Mark all read error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error marking notifications as read'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'All notifications marked as read'
+        });
+
+    } catch (error) {
+        console.error('Mark all read error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error marking notifications as read'
+        });
+    }
+});
+
+// @route   PUT /api/notifications/:id/read
+// @desc    Mark a notification, and the rest of its group, as read
+// @access  Private
+router.put('/:id/read', authenticateToken, async (req, res) => {
+    try {
+        const userId = req.user.userId;
+
+        if (!UUID_PATTERN.test(req.params.id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Notification not found'
+            });
+        }
+
+        const { data: notification } = await supabase
+            .from('notifications')
+            .select('id, group_key')
+            .eq('id', req.params.id)
+            .eq('user_id', userId)
+            .single();
+
+        if (!notification) {
+            return res.status(404).json({
+                success: false,
+                message: 'Notification not found'
+            });
+        }
+
+        let query = supabase
+            .from('notifications')
+            .update({ is_read: true })
+            .eq('user_id', userId);
+
+        query = notification.group_key
+            ? query.eq('group_key', notification.group_key)
+            : query.eq('id', notification.id);
+
+        const { error } = await query;
+
+        if (error) {
+            console.error('Mark read error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error marking notification as read'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Notification marked as read'
+        });
+
+    } catch (error) {
+        console.error('Mark read error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error marking notification as read'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,106 @@
+const express = require('express');
+const supabase = require('../config/supabaseClient');
+const { toPlainText } = require('../utils/markdown');
+
+const router = express.Router();
+
+const SITE_NAME = 'MIT Manipal Reddit';
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// PUBLIC_URL pins the canonical host when the app sits behind a proxy
+const getBaseUrl = (req) => (process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+
+// Minimal page for link unfurlers (WhatsApp, Telegram, Slack...). They read the
+// meta tags; browsers follow the refresh into the app.
+const renderPage = ({ title, description, url, image, appUrl }) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)} · ${SITE_NAME}</title>
+    <meta name="description" content="${escapeHtml(description)}">
+    <link rel="canonical" href="${escapeHtml(url)}">
+    <meta property="og:site_name" content="${SITE_NAME}">
+    <meta property="og:type" content="article">
+    <meta property="og:title" content="${escapeHtml(title)}">
+    <meta property="og:description" content="${escapeHtml(description)}">
+    <meta property="og:url" content="${escapeHtml(url)}">
+    ${image ? `<meta property="og:image" content="${escapeHtml(image)}">` : ''}
+    <meta name="twitter:card" content="${image ? 'summary_large_image' : 'summary'}">
+    <meta http-equiv="refresh" content="0; url=${escapeHtml(appUrl)}">
+</head>
+<body>
+    <p><a href="${escapeHtml(appUrl)}">Continue to ${escapeHtml(title)}</a></p>
+</body>
+</html>`;
+
+// @route   GET /p/:id
+// @desc    Canonical share URL for a post, with OpenGraph tags for link previews
+// @access  Public
+router.get('/:id', async (req, res) => {
+    const baseUrl = getBaseUrl(req);
+
+    try {
+        const { data: post } = await supabase
+            .from('posts')
+            .select(`
+                id, title, content, category, image_url, link_metadata,
+                users!posts_author_id_fkey(username)
+            `)
+            .eq('id', req.params.id)
+            .eq('is_deleted', false)
+            .eq('status', 'published')
+            .single();
+
+        if (!post) {
+            // Duplicates merged by a moderator forward to the original thread
+            const { data: merged } = await supabase
+                .from('posts')
+                .select('merged_into')
+                .eq('id', req.params.id)
+                .not('merged_into', 'is', null)
+                .single();
+
+            if (merged) {
+                return res.redirect(301, `/p/${merged.merged_into}`);
+            }
+
+            return res.status(404).send(renderPage({
+                title: 'Post not found',
+                description: 'This post may have been deleted.',
+                url: `${baseUrl}/p/${encodeURIComponent(req.params.id)}`,
+                appUrl: '/'
+            }));
+        }
+
+        const description = toPlainText(post.content)
+            || `Posted in ${post.category} by u/${post.users?.username || '[deleted]'}`;
+
+        // Local uploads are stored with a relative URL
+        let image = post.image_url || post.link_metadata?.image || null;
+        if (image && image.startsWith('/')) {
+            image = `${baseUrl}${image}`;
+        }
+
+        res.set('Cache-Control', 'public, max-age=300');
+        res.send(renderPage({
+            title: post.title,
+            description,
+            url: `${baseUrl}/p/${post.id}`,
+            image,
+            appUrl: `/#post-${post.id}`
+        }));
+
+    } catch (error) {
+        console.error('Share page error:', error);
+        res.redirect('/');
+    }
+});
+
+module.exports = router;
@@ -5,11 +5,92 @@ const {
     optionalAuth, 
     requireOwnershipOrAdmin,
     userRateLimit,
-    requireModerator
+    requireModerator,
+    isModerator
 } = require('../middleware/auth');
+const {
+    ORIGINAL_POST_FIELDS,
+    withOriginal,
+    withContentHtml,
+    applyFeedPosition,
+    parseFeedCursor,
+    paginateKeyset,
+    loadFeedPosts
+} = require('../utils/feed');
+const { UUID_PATTERN } = require('../utils/cursor');
+const { getLinkPreview, parseLinkUrl } = require('../utils/linkPreview');
+const { createPoll, attachPolls } = require('../utils/polls');
+const { attachSavedState } = require('../utils/saved');
+const { findSimilarPosts } = require('../utils/duplicates');
+const { diffLines } = require('../utils/diff');
+const { renderMarkdown } = require('../utils/markdown');
+const { resolveMentions, recordMentions } = require('../utils/mentions');
+const { createNotification } = require('../utils/notifications');
+const { publish, publishNewPosts } = require('../utils/realtime');
+const { normalizeTags, resolveTaxonomy } = require('../utils/taxonomy');
+const { getSubscribedCategories } = require('../utils/subscriptions');
+const { getHiddenContent, getBlockedByIds, toFilterList } = require('../utils/blocks');
+const { MAX_CONTENT_LENGTH, preparePost, parsePublishAt } = require('../utils/postInput');
+const { TRASH_RETENTION_DAYS } = require('../jobs/purgeDeletedPosts');
 
 const router = express.Router();
 
+// Feed sort -> stored ranking column (see migrations/*_post_ranking.sql)
+const SORT_COLUMNS = {
+    hot: 'hot_score',
+    new: 'created_at',
+    top: 'score',
+    rising: 'rising_score',
+    controversial: 'controversy_score'
+};
+
+const TIMEFRAME_HOURS = {
+    '1h': 1,
+    '24h': 24,
+    '7d': 168,
+    '30d': 720,
+    all: null
+};
+
+const RISING_WINDOW_HOURS = 24;
+
+// How many posts can be pinned at once, per scope (globally / per category)
+const MAX_PINNED_POSTS = 3;
+const PIN_SCOPES = ['global', 'category'];
+
+// Ids of the posts pinned to a feed: global pins first, then pins for the
+// category being viewed, newest pin first within each scope. Pins by hidden
+// authors are left out, and so are pins in muted categories unless the feed is
+// filtered to that category.
+const getPinnedPostIds = async (category = null, hiddenAuthorIds = [], mutedCategories = []) => {
+    // At most MAX_PINNED_POSTS per scope, so this is always a short list
+    const { data: pinned, error } = await supabase
+        .from('posts')
+        .select('id, author_id, category, pinned_scope, pinned_at')
+        .eq('is_pinned', true)
+        .eq('is_deleted', false)
+        .eq('status', 'published')
+        .order('pinned_at', { ascending: false });
+    
+    if (error) {
+        console.error('Pinned posts fetch error:', error);
+        return [];
+    }
+    
+    const globalPins = pinned.filter(post => post.pinned_scope === 'global');
+    const categoryPins = category
+        ? pinned.filter(post => post.pinned_scope === 'category' && post.category === category)
+        : [];
+    
+    return [...globalPins, ...categoryPins]
+        .filter(post => !hiddenAuthorIds.includes(post.author_id))
+        .filter(post => category || !mutedCategories.includes(post.category))
+        .map(post => post.id);
+};
+
+// Ways a post can be shared; counted per channel by record_post_share()
+const SHARE_CHANNELS = ['native', 'copy_link', 'whatsapp', 'telegram', 'twitter', 'email', 'other'];
+
 // Helper function to track analytics
 const trackAnalytics = async (eventType, userId = null, metadata = {}) => {
     try {
@@ -30,91 +111,178 @@ const trackAnalytics = async (eventType, userId = null, metadata = {}) => {
     }
 };
 
+// The ranked query behind GET /api/posts: ids and sort columns of the posts
+// matching the filters, in feed order. Returns { query, sortColumn, feedScope,
+// hiddenAuthorIds, hiddenCategories }, or { status, message } for bad input.
+const buildFeedQuery = async (filters, userId = null) => {
+    const { sort, category, flair, tag, author, search, feed, timeframe } = filters;
+    const sortColumn = SORT_COLUMNS[sort] || SORT_COLUMNS.hot;
+    let feedScope = 'all';
+    
+    let query = supabase
+        .from('posts')
+        .select(sortColumn === 'created_at' ? 'id, created_at' : `id, created_at, ${sortColumn}`)
+        .eq('is_deleted', false)
+        .eq('status', 'published');
+    
+    // Apply filters
+    if (category) {
+        query = query.eq('category', category);
+    }
+    
+    if (flair) {
+        // A malformed id would make Postgres raise
+        if (!UUID_PATTERN.test(String(flair))) {
+            return { status: 400, message: 'Invalid flair' };
+        }
+        
+        query = query.eq('flair_id', flair);
+    }
+    
+    if (tag) {
+        query = query.contains('tags', [String(tag).toLowerCase().replace(/^#/, '')]);
+    }
+    
+    if (author) {
+        // Find author by username first
+        const { data: authorUser } = await supabase
+            .from('users')
+            .select('id')
+            .eq('username', author)
+            .single();
+        
+        if (authorUser) {
+            query = query.eq('author_id', authorUser.id);
+        }
+    }
+    
+    // Apply search (PostgreSQL full-text search)
+    if (search) {
+        query = query.or(`title.ilike.%${search}%, content.ilike.%${search}%`);
+    }
+    
+    // Subscriptions scope the home feed (users without any see everything)
+    if (userId && feed !== 'all' && !category && !flair && !tag && !author && !search) {
+        const subscriptions = await getSubscribedCategories(userId);
+        
+        if (subscriptions.length > 0) {
+            query = query.in('category', subscriptions);
+            feedScope = 'subscribed';
+        }
+    }
+    
+    // Blocked and muted users never show; a muted category still does
+    // when it's picked on purpose. Search also leaves out anyone who
+    // blocked the viewer.
+    const hidden = await getHiddenContent(userId);
+    const hiddenAuthorIds = search
+        ? [...hidden.userIds, ...await getBlockedByIds(userId)]
+        : hidden.userIds;
+    
+    if (hiddenAuthorIds.length > 0) {
+        query = query.not('author_id', 'in', toFilterList(hiddenAuthorIds));
+    }
+    
+    if (!category && hidden.categories.length > 0) {
+        query = query.not('category', 'in', toFilterList(hidden.categories));
+    }
+    
+    // Apply timeframe filter (rising only ever looks at recent posts)
+    const hours = sort === 'rising'
+        ? RISING_WINDOW_HOURS
+        : TIMEFRAME_HOURS[timeframe];
+    
+    if (hours) {
+        const cutoffTime = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+        query = query.gte('created_at', cutoffTime);
+    }
+    
+    // Apply sorting (stored ranking columns, with created_at and id as
+    // tie-breakers so equal scores keep a stable order)
+    if (sortColumn !== 'created_at') {
+        query = query.order(sortColumn, { ascending: false });
+    }
+    query = query
+        .order('created_at', { ascending: false })
+        .order('id', { ascending: false });
+    
+    return { query, sortColumn, feedScope, hiddenAuthorIds, hiddenCategories: hidden.categories };
+};
+
 // @route   GET /api/posts
-// @desc    Get posts with pagination and filtering
+// @desc    Get posts with cursor pagination and filtering. Logged-in users'
+//          unfiltered feed only shows their subscribed categories unless
+//          feed=all; the first page reports which one it used. Users and
+//          categories the viewer blocked or muted are left out.
 // @access  Public
 router.get('/', optionalAuth, async (req, res) => {
     try {
         const {
-            page = 1,
             limit = 10,
+            after,
             sort = 'hot',
             category,
+            flair,
+            tag,
             author,
             search,
-            timeframe = '24h'
+            feed,
+            timeframe = sort === 'top' || sort === 'controversial' ? '24h' : 'all'
         } = req.query;
         
-        const pageNum = parseInt(page);
-        const limitNum = Math.min(parseInt(limit), 50); // Cap at 50
-        const offset = (pageNum - 1) * limitNum;
+        const limitNum = Math.min(parseInt(limit) || 10, 50); // Cap at 50
         
-        // Build query
-        let query = supabase
-            .from('posts')
-            .select(`
-                *,
-                users!posts_author_id_fkey(id, name, username, avatar_url, reputation)
-            `)
-            .eq('is_deleted', false);
+        const filters = { sort, category, flair, tag, author, search, feed, timeframe };
+        const ranking = await buildFeedQuery(filters, req.user?.userId);
         
-        // Apply filters
-        if (category) {
-            query = query.eq('category', category);
+        if (ranking.status) {
+            return res.status(ranking.status).json({
+                success: false,
+                message: ranking.message
+            });
         }
         
-        if (author) {
-            // Find author by username first
-            const { data: authorUser } = await supabase
-                .from('users')
-                .select('id')
-                .eq('username', author)
-                .single();
+        let query = ranking.query;
+        let pinnedIds = [];
+        let pageSize = limitNum;
+        
+        if (after) {
+            // Later pages carry on after the last post of the page before,
+            // leaving out the pins the first page put ahead of the ranking
+            const cursor = parseFeedCursor(after);
             
-            if (authorUser) {
-                query = query.eq('author_id', authorUser.id);
+            if (!cursor || (cursor.position.v === null) !== (ranking.sortColumn === 'created_at')) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid feed cursor'
+                });
             }
+            
+            pinnedIds = cursor.exclude;
+            query = applyFeedPosition(query, ranking.sortColumn, cursor.position);
+        } else if (!flair && !tag && !author && !search) {
+            // Pinned posts lead the first page whatever the sort or timeframe
+            // (filtered flair/tag/author/search listings are left as they are)
+            pinnedIds = await getPinnedPostIds(category, ranking.hiddenAuthorIds, ranking.hiddenCategories);
+            pageSize = Math.max(limitNum - pinnedIds.length, 1);
         }
         
-        // Apply search (PostgreSQL full-text search)
-        if (search) {
-            query = query.or(`title.ilike.%${search}%, content.ilike.%${search}%`);
+        if (pinnedIds.length > 0) {
+            query = query.not('id', 'in', toFilterList(pinnedIds));
         }
         
-        // Apply timeframe filter
-        if (timeframe !== 'all') {
-            let hours;
-            switch (timeframe) {
-                case '1h': hours = 1; break;
-                case '24h': hours = 24; break;
-                case '7d': hours = 168; break;
-                case '30d': hours = 720; break;
-                default: hours = 24;
-            }
-            
-            const cutoffTime = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
-            query = query.gte('created_at', cutoffTime);
-        }
+        const { data: rows, error: rankingError } = await query.limit(pageSize + 1);
         
-        // Apply sorting
-        switch (sort) {
-            case 'new':
-                query = query.order('created_at', { ascending: false });
-                break;
-            case 'top':
-                query = query.order('score', { ascending: false }).order('created_at', { ascending: false });
-                break;
-            case 'hot':
-            default:
-                // Hot algorithm: combines score and recency
-                query = query.order('score', { ascending: false }).order('created_at', { ascending: false });
-                break;
+        if (rankingError) {
+            console.error('Posts fetch error:', rankingError);
+            return res.status(500).json({
+                success: false,
+                message: 'Error fetching posts'
+            });
         }
         
-        // Apply pagination
-        query = query.range(offset, offset + limitNum - 1);
-        
-        const { data: posts, error } = await query;
+        const { pageIds, nextCursor } = paginateKeyset(rows, pageSize, ranking.sortColumn, pinnedIds);
+        const { posts, error } = await loadFeedPosts(after ? pageIds : [...pinnedIds, ...pageIds], req.user?.userId);
         
         if (error) {
             console.error('Posts fetch error:', error);
@@ -124,57 +292,172 @@ router.get('/', optionalAuth, async (req, res) => {
             });
         }
         
-        // Get total count for pagination
-        let countQuery = supabase
-            .from('posts')
-            .select('*', { count: 'exact', head: true })
-            .eq('is_deleted', false);
+        res.json({
+            success: true,
+            posts,
+            ...(!after && { feed: ranking.feedScope }),
+            pagination: {
+                nextCursor,
+                hasNext: nextCursor !== null
+            }
+        });
+        
+    } catch (error) {
+        console.error('Posts fetch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching posts'
+        });
+    }
+});
+
+// @route   GET /api/posts/link-preview
+// @desc    Unfurl a URL for the create-post link preview
+// @access  Private
+router.get('/link-preview', authenticateToken, userRateLimit(30, 60 * 1000), async (req, res) => {
+    try {
+        const { url } = req.query;
         
-        if (category) countQuery = countQuery.eq('category', category);
-        if (search) countQuery = countQuery.or(`title.ilike.%${search}%, content.ilike.%${search}%`);
+        if (!url || !parseLinkUrl(url)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide a valid http(s) URL'
+            });
+        }
         
-        const { count: totalPosts } = await countQuery;
+        const preview = await getLinkPreview(url);
         
-        // If user is authenticated, get their votes
-        if (req.user?.userId) {
-            const postIds = posts.map(post => post.id);
-            const { data: userVotes } = await supabase
-                .from('votes')
-                .select('target_id, vote_type')
-                .eq('user_id', req.user.userId)
-                .eq('target_type', 'post')
-                .in('target_id', postIds);
-            
-            // Add user vote information to posts
-            const voteMap = userVotes?.reduce((acc, vote) => {
-                acc[vote.target_id] = vote.vote_type;
-                return acc;
-            }, {}) || {};
-            
-            posts.forEach(post => {
-                post.user_vote = voteMap[post.id] || 0;
+        if (!preview) {
+            return res.status(422).json({
+                success: false,
+                message: 'Could not generate a preview for this link'
+            });
+        }
+        
+        res.json({
+            success: true,
+            preview
+        });
+        
+    } catch (error) {
+        console.error('Link preview error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error generating link preview'
+        });
+    }
+});
+
+// @route   POST /api/posts/preview
+// @desc    Render markdown for the create-post live preview
+// @access  Private
+router.post('/preview', authenticateToken, userRateLimit(60, 60 * 1000), async (req, res) => {
+    const { content = '' } = req.body;
+    
+    if (typeof content !== 'string' || content.length > MAX_CONTENT_LENGTH) {
+        return res.status(400).json({
+            success: false,
+            message: `Content must be less than ${MAX_CONTENT_LENGTH} characters`
+        });
+    }
+    
+    const mentions = await resolveMentions(content, req.user.userId);
+    
+    res.json({
+        success: true,
+        html: renderMarkdown(content, { mentions: mentions.map(user => user.username) })
+    });
+});
+
+// @route   POST /api/posts/similar
+// @desc    Find recent posts in a category that look like a post being written
+// @access  Private
+router.post('/similar', authenticateToken, userRateLimit(30, 60 * 1000), async (req, res) => {
+    try {
+        const { category, title, content } = req.body;
+        
+        if (!category || typeof title !== 'string' || !title.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Category and title are required'
             });
         }
         
-        const totalPages = Math.ceil(totalPosts / limitNum);
+        const similarPosts = await findSimilarPosts({
+            category,
+            title: title.slice(0, 300),
+            content: typeof content === 'string' ? content.slice(0, MAX_CONTENT_LENGTH) : ''
+        });
         
         res.json({
             success: true,
-            posts: posts || [],
-            pagination: {
-                currentPage: pageNum,
-                totalPages,
-                totalPosts,
-                hasNext: pageNum < totalPages,
-                hasPrev: pageNum > 1
-            }
+            similarPosts
         });
         
     } catch (error) {
-        console.error('Posts fetch error:', error);
+        console.error('Similar posts error:', error);
         res.status(500).json({
             success: false,
-            message: 'Server error fetching posts'
+            message: 'Server error finding similar posts'
+        });
+    }
+});
+
+// @route   GET /api/posts/trash
+// @desc    List deleted posts that can still be restored
+// @access  Private (own posts; moderators can pass scope=all)
+router.get('/trash', authenticateToken, async (req, res) => {
+    try {
+        const { scope } = req.query;
+        const userId = req.user.userId;
+        const retentionMs = TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+        
+        if (scope === 'all' && !(await isModerator(userId))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Moderator privileges required'
+            });
+        }
+        
+        let query = supabase
+            .from('posts')
+            .select(`
+                id, title, content, content_html, category, type, created_at, deleted_at, deleted_by,
+                users!posts_author_id_fkey(id, name, username, avatar_url)
+            `)
+            .eq('is_deleted', true)
+            .gte('deleted_at', new Date(Date.now() - retentionMs).toISOString())
+            .order('deleted_at', { ascending: false })
+            .limit(100);
+        
+        if (scope !== 'all') {
+            query = query.eq('author_id', userId);
+        }
+        
+        const { data: posts, error } = await query;
+        
+        if (error) {
+            console.error('Trash fetch error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error fetching deleted posts'
+            });
+        }
+        
+        res.json({
+            success: true,
+            retentionDays: TRASH_RETENTION_DAYS,
+            posts: posts.map(withContentHtml).map(post => ({
+                ...post,
+                purge_at: new Date(new Date(post.deleted_at).getTime() + retentionMs).toISOString()
+            }))
+        });
+        
+    } catch (error) {
+        console.error('Trash fetch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching deleted posts'
         });
     }
 });
@@ -191,16 +474,28 @@ router.get('/:id', optionalAuth, async (req, res) => {
             .from('posts')
             .select(`
                 *,
-                users!posts_author_id_fkey(id, name, username, avatar_url, reputation)
+                users!posts_author_id_fkey(id, name, username, avatar_url, reputation),
+                flair:flairs(id, name, colour),
+                ${ORIGINAL_POST_FIELDS}
             `)
             .eq('id', id)
             .eq('is_deleted', false)
+            .eq('status', 'published')
             .single();
         
         if (error || !post) {
+            // Point clients at the thread a merged duplicate now lives in
+            const { data: merged } = await supabase
+                .from('posts')
+                .select('merged_into')
+                .eq('id', id)
+                .not('merged_into', 'is', null)
+                .single();
+            
             return res.status(404).json({
                 success: false,
-                message: 'Post not found'
+                message: merged ? 'This post was merged into another thread' : 'Post not found',
+                ...(merged && { mergedInto: merged.merged_into })
             });
         }
         
@@ -217,9 +512,12 @@ router.get('/:id', optionalAuth, async (req, res) => {
             post.user_vote = userVote?.vote_type || 0;
         }
         
+        await attachPolls([post], req.user?.userId);
+        await attachSavedState([post], 'post', req.user?.userId);
+        
         res.json({
             success: true,
-            post
+            post: withOriginal(withContentHtml(post))
         });
         
     } catch (error) {
@@ -236,46 +534,63 @@ router.get('/:id', optionalAuth, async (req, res) => {
 // @access  Private
 router.post('/', authenticateToken, userRateLimit(5, 60 * 60 * 1000), async (req, res) => {
     try {
-        const { title, content, category, image_url } = req.body;
         const userId = req.user.userId;
         
         // Validation
-        if (!title?.trim()) {
+        const { fields, pollInput, mentions, error: validationError } = await preparePost(req.body, userId);
+        if (validationError) {
             return res.status(400).json({
                 success: false,
-                message: 'Title is required'
+                message: validationError
             });
         }
         
-        if (!category) {
+        // A future publish_at schedules the post instead of publishing it now
+        const { publishAt, error: scheduleError } = parsePublishAt(req.body.publish_at);
+        if (scheduleError) {
             return res.status(400).json({
                 success: false,
-                message: 'Category is required'
+                message: scheduleError
             });
         }
         
-        if (title.length > 300) {
+        if (publishAt && pollInput?.closesAt && pollInput.closesAt <= publishAt) {
             return res.status(400).json({
                 success: false,
-                message: 'Title must be less than 300 characters'
+                message: 'Poll closing time must be after the publish time'
             });
         }
         
+        // Likely duplicates are sent back first; the client resubmits with
+        // acknowledge_duplicates once the user has seen them
+        if (!req.body.acknowledge_duplicates) {
+            const similarPosts = await findSimilarPosts(fields);
+            
+            if (similarPosts.length > 0) {
+                return res.status(409).json({
+                    success: false,
+                    code: 'SIMILAR_POSTS',
+                    message: 'Similar posts already exist',
+                    similarPosts
+                });
+            }
+        }
+        
         // Create post
         const { data: newPost, error } = await supabase
             .from('posts')
             .insert({
-                title: title.trim(),
-                content: content?.trim() || '',
+                ...fields,
                 author_id: userId,
-                category: category,
-                image_url: image_url || '',
+                status: publishAt ? 'scheduled' : 'published',
+                publish_at: publishAt,
                 created_at: new Date().toISOString(),
                 updated_at: new Date().toISOString()
             })
             .select(`
                 *,
-                users!posts_author_id_fkey(id, name, username, avatar_url, reputation)
+                users!posts_author_id_fkey(id, name, username, avatar_url, reputation),
+                flair:flairs(id, name, colour)
             `)
             .single();
         
@@ -287,15 +602,46 @@ router.post('/', authenticateToken, userRateLimit(5, 60 * 60 * 1000), async (req
             });
         }
         
+        if (pollInput) {
+            try {
+                await createPoll(newPost.id, pollInput);
+            } catch (pollError) {
+                // A poll post without its options is useless, so roll the post back
+                console.error('Poll creation error:', pollError);
+                await supabase.from('posts').delete().eq('id', newPost.id);
+                
+                return res.status(500).json({
+                    success: false,
+                    message: 'Error creating poll'
+                });
+            }
+            
+            await attachPolls([newPost], userId);
+        }
+        
+        await recordMentions({
+            sourceType: 'post',
+            sourceId: newPost.id,
+            postId: newPost.id,
+            authorId: userId,
+            users: mentions,
+            published: !publishAt
+        });
+        
+        if (!publishAt) {
+            publishNewPosts([newPost]);
+        }
+        
         // Track analytics
-        await trackAnalytics('post_created', userId, {
+        await trackAnalytics(publishAt ? 'post_scheduled' : 'post_created', userId, {
             post_id: newPost.id,
-            category: category
+            category: fields.category,
+            type: fields.type
         });
         
         res.status(201).json({
             success: true,
-            message: 'Post created successfully',
+            message: publishAt ? 'Post scheduled successfully' : 'Post created successfully',
             post: newPost
         });
         
@@ -314,15 +660,16 @@ router.post('/', authenticateToken, userRateLimit(5, 60 * 60 * 1000), async (req
 router.put('/:id', authenticateToken, async (req, res) => {
     try {
         const { id } = req.params;
-        const { title, content, category } = req.body;
+        const { title, content, category, flair_id, tags } = req.body;
         const userId = req.user.userId;
         
         // Check if post exists and user owns it
         const { data: existingPost, error: fetchError } = await supabase
             .from('posts')
-            .select('author_id')
+            .select('author_id, category, flair_id')
             .eq('id', id)
             .eq('is_deleted', false)
+            .eq('status', 'published')
             .single();
         
         if (fetchError || !existingPost) {
@@ -340,6 +687,13 @@ router.put('/:id', authenticateToken, async (req, res) => {
         }
         
         // Validation
+        if ((title != null && typeof title !== 'string') || (content !== undefined && typeof content !== 'string')) {
+            return res.status(400).json({
+                success: false,
+                message: 'Title and content must be text'
+            });
+        }
+        
         if (title && title.length > 300) {
             return res.status(400).json({
                 success: false,
@@ -347,11 +701,58 @@ router.put('/:id', authenticateToken, async (req, res) => {
             });
         }
         
-        // Update post
-        const updateData = { updated_at: new Date().toISOString() };
+        if (content && content.length > MAX_CONTENT_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                message: `Content must be less than ${MAX_CONTENT_LENGTH} characters`
+            });
+        }
+        
+        let taxonomy = null;
+        if (category !== undefined || flair_id !== undefined) {
+            const nextCategory = category || existingPost.category;
+            // Moving to another category drops a flair that only existed in the old one
+            const nextFlair = flair_id !== undefined
+                ? flair_id
+                : (nextCategory === existingPost.category ? existingPost.flair_id : null);
+            
+            taxonomy = await resolveTaxonomy(nextCategory, nextFlair);
+            if (taxonomy.error) {
+                return res.status(400).json({
+                    success: false,
+                    message: taxonomy.error
+                });
+            }
+        }
+        
+        const { tags: postTags, error: tagsError } = normalizeTags(tags);
+        if (tagsError) {
+            return res.status(400).json({
+                success: false,
+                message: tagsError
+            });
+        }
+        
+        // Update post (the previous title/content is archived by the
+        // record_post_revision trigger)
+        const updateData = {
+            updated_at: new Date().toISOString(),
+            edited_by: userId
+        };
         if (title) updateData.title = title.trim();
-        if (content !== undefined) updateData.content = content.trim();
-        if (category) updateData.category = category;
+        let mentions = [];
+        if (content !== undefined) {
+            mentions = await resolveMentions(content, userId);
+            updateData.content = content.trim();
+            updateData.content_html = renderMarkdown(updateData.content, {
+                mentions: mentions.map(user => user.username)
+            });
+        }
+        if (taxonomy) {
+            updateData.category = taxonomy.category.slug;
+            updateData.flair_id = taxonomy.flair?.id || null;
+        }
+        if (tags !== undefined) updateData.tags = postTags;
         
         const { data: updatedPost, error } = await supabase
             .from('posts')
@@ -359,7 +760,8 @@ router.put('/:id', authenticateToken, async (req, res) => {
             .eq('id', id)
             .select(`
                 *,
-                users!posts_author_id_fkey(id, name, username, avatar_url, reputation)
+                users!posts_author_id_fkey(id, name, username, avatar_url, reputation),
+                flair:flairs(id, name, colour)
             `)
             .single();
         
@@ -371,6 +773,15 @@ router.put('/:id', authenticateToken, async (req, res) => {
             });
         }
         
+        // Only people newly mentioned by the edit are notified
+        await recordMentions({
+            sourceType: 'post',
+            sourceId: id,
+            postId: id,
+            authorId: userId,
+            users: mentions
+        });
+        
         res.json({
             success: true,
             message: 'Post updated successfully',
@@ -416,11 +827,13 @@ router.delete('/:id', authenticateToken, async (req, res) => {
             });
         }
         
-        // Soft delete the post
+        // Soft delete the post; it stays in the trash until purged
         const { error } = await supabase
             .from('posts')
             .update({ 
                 is_deleted: true,
+                deleted_at: new Date().toISOString(),
+                deleted_by: userId,
                 updated_at: new Date().toISOString()
             })
             .eq('id', id);
@@ -435,7 +848,7 @@ router.delete('/:id', authenticateToken, async (req, res) => {
         
         res.json({
             success: true,
-            message: 'Post deleted successfully'
+            message: `Post moved to trash. You can restore it within ${TRASH_RETENTION_DAYS} days`
         });
         
     } catch (error) {
@@ -447,138 +860,926 @@ router.delete('/:id', authenticateToken, async (req, res) => {
     }
 });
 
-// @route   POST /api/posts/:id/vote
-// @desc    Vote on a post
-// @access  Private
-router.post('/:id/vote', authenticateToken, async (req, res) => {
+// @route   POST /api/posts/:id/restore
+// @desc    Restore a deleted post
+// @access  Private (author within the retention window, or moderator)
+router.post('/:id/restore', authenticateToken, async (req, res) => {
     try {
         const { id } = req.params;
-        const { voteType } = req.body; // 1 for upvote, -1 for downvote, 0 to remove vote
         const userId = req.user.userId;
         
-        // Validation
-        if (![1, -1, 0].includes(voteType)) {
-            return res.status(400).json({
+        // Malformed ids would make Postgres raise instead of matching nothing
+        if (!UUID_PATTERN.test(id)) {
+            return res.status(404).json({
                 success: false,
-                message: 'Invalid vote type'
+                message: 'Deleted post not found'
             });
         }
         
-        // Check if post exists
-        const { data: post, error: postError } = await supabase
+        const { data: post, error: fetchError } = await supabase
             .from('posts')
-            .select('id, author_id')
+            .select('id, author_id, deleted_at, deleted_by, merged_into')
             .eq('id', id)
-            .eq('is_deleted', false)
+            .eq('is_deleted', true)
             .single();
         
-        if (postError || !post) {
+        if (fetchError || !post) {
             return res.status(404).json({
                 success: false,
-                message: 'Post not found'
+                message: 'Deleted post not found'
             });
         }
         
-        // Users cannot vote on their own posts
-        if (post.author_id === userId) {
-            return res.status(400).json({
+        // Its comments now live in the original thread
+        if (post.merged_into) {
+            return res.status(409).json({
                 success: false,
-                message: 'You cannot vote on your own post'
+                message: 'Merged posts cannot be restored'
             });
         }
         
-        // Get existing vote
-        const { data: existingVote } = await supabase
-            .from('votes')
-            .select('vote_type')
-            .eq('user_id', userId)
-            .eq('target_id', id)
-            .eq('target_type', 'post')
-            .single();
-        
-        let scoreChange = 0;
-        
-        if (voteType === 0) {
-            // Remove vote
-            if (existingVote) {
-                await supabase
-                    .from('votes')
-                    .delete()
-                    .eq('user_id', userId)
-                    .eq('target_id', id)
-                    .eq('target_type', 'post');
-                
-                scoreChange = -existingVote.vote_type;
-            }
-        } else {
-            // Add or update vote
-            if (existingVote) {
-                // Update existing vote
-                scoreChange = voteType - existingVote.vote_type;
-                
-                await supabase
-                    .from('votes')
-                    .update({ vote_type: voteType })
-                    .eq('user_id', userId)
-                    .eq('target_id', id)
-                    .eq('target_type', 'post');
-            } else {
-                // Create new vote
-                scoreChange = voteType;
-                
-                await supabase
-                    .from('votes')
-                    .insert({
-                        user_id: userId,
-                        target_id: id,
-                        target_type: 'post',
-                        vote_type: voteType,
-                        created_at: new Date().toISOString()
-                    });
+        if (!(await isModerator(userId))) {
+            if (post.author_id !== userId) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'You can only restore your own posts'
+                });
             }
-        }
-        
-        // Update post score and vote counts
-        if (scoreChange !== 0) {
-            const { data: currentPost } = await supabase
-                .from('posts')
-                .select('upvotes, downvotes, score')
-                .eq('id', id)
-                .single();
             
-            let newUpvotes = currentPost.upvotes;
-            let newDownvotes = currentPost.downvotes;
-            
-            if (scoreChange > 0) {
-                newUpvotes += scoreChange;
-            } else {
-                newDownvotes += Math.abs(scoreChange);
+            // Posts removed by a moderator stay removed
+            if (post.deleted_by && post.deleted_by !== post.author_id) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'This post was removed by a moderator'
+                });
             }
             
-            const newScore = newUpvotes - newDownvotes;
-            
-            await supabase
-                .from('posts')
-                .update({
-                    upvotes: Math.max(0, newUpvotes),
-                    downvotes: Math.max(0, newDownvotes),
-                    score: newScore,
-                    updated_at: new Date().toISOString()
-                })
-                .eq('id', id);
+            const deletedFor = Date.now() - new Date(post.deleted_at).getTime();
+            if (deletedFor > TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000) {
+                return res.status(410).json({
+                    success: false,
+                    message: `Posts can only be restored within ${TRASH_RETENTION_DAYS} days of deletion`
+                });
+            }
+        }
+        
+        const { data: restoredPost, error } = await supabase
+            .from('posts')
+            .update({
+                is_deleted: false,
+                deleted_at: null,
+                deleted_by: null,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', id)
+            .eq('is_deleted', true)
+            .select(`
+                *,
+                users!posts_author_id_fkey(id, name, username, avatar_url, reputation),
+                flair:flairs(id, name, colour)
+            `)
+            .single();
+        
+        if (error || !restoredPost) {
+            console.error('Post restore error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error restoring post'
+            });
         }
         
         res.json({
             success: true,
-            message: 'Vote recorded successfully',
-            voteType: voteType
+            message: 'Post restored successfully',
+            post: restoredPost
         });
         
     } catch (error) {
-        console.error('Vote error:', error);
+        console.error('Post restore error:', error);
         res.status(500).json({
             success: false,
-            message: 'Server error recording vote'
+            message: 'Server error restoring post'
+        });
+    }
+});
+
+// @route   POST /api/posts/:id/vote
+// @desc    Vote on a post
+// @access  Private
+router.post('/:id/vote', authenticateToken, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { voteType } = req.body; // 1 for upvote, -1 for downvote, 0 to remove vote
+        const userId = req.user.userId;
+        
+        // Validation
+        if (![1, -1, 0].includes(voteType)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid vote type'
+            });
+        }
+        
+        // Malformed ids would make Postgres raise instead of matching nothing
+        if (!UUID_PATTERN.test(id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Post not found'
+            });
+        }
+        
+        // Ledger write, counters and author reputation in one transaction
+        const { data: counts, error } = await supabase.rpc('cast_vote', {
+            p_user_id: userId,
+            p_target_type: 'post',
+            p_target_id: id,
+            p_vote_type: voteType
+        });
+        
+        if (error) {
+            if (error.message?.includes('TARGET_NOT_FOUND')) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Post not found'
+                });
+            }
+            
+            if (error.message?.includes('POST_LOCKED')) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'This post is locked'
+                });
+            }
+            
+            // Users cannot vote on their own posts
+            if (error.message?.includes('SELF_VOTE')) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'You cannot vote on your own post'
+                });
+            }
+            
+            console.error('Vote error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error recording vote'
+            });
+        }
+        
+        publish('feed', 'post_vote', {
+            id,
+            upvotes: counts.upvotes,
+            downvotes: counts.downvotes,
+            score: counts.score
+        });
+        
+        res.json({
+            success: true,
+            message: 'Vote recorded successfully',
+            voteType: voteType,
+            upvotes: counts.upvotes,
+            downvotes: counts.downvotes,
+            score: counts.score
+        });
+        
+    } catch (error) {
+        console.error('Vote error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error recording vote'
+        });
+    }
+});
+
+// @route   POST /api/posts/:id/crosspost
+// @desc    Crosspost a post into another category
+// @access  Private
+router.post('/:id/crosspost', authenticateToken, userRateLimit(5, 60 * 60 * 1000), async (req, res) => {
+    try {
+        const { category, flair_id, title } = req.body;
+        const userId = req.user.userId;
+        
+        const fetchPublished = async (postId) => {
+            const { data } = await supabase
+                .from('posts')
+                .select('*')
+                .eq('id', postId)
+                .eq('is_deleted', false)
+                .eq('status', 'published')
+                .single();
+            
+            return data;
+        };
+        
+        let source = await fetchPublished(req.params.id);
+        
+        // Crossposting a crosspost links back to the first original
+        if (source?.crosspost_of) {
+            source = await fetchPublished(source.crosspost_of);
+        }
+        
+        if (!source) {
+            return res.status(404).json({
+                success: false,
+                message: 'Post not found'
+            });
+        }
+        
+        // Poll ballots live on the original, so a copy would have nothing to vote on
+        if (source.type === 'poll') {
+            return res.status(400).json({
+                success: false,
+                message: 'Polls cannot be crossposted; share the link instead'
+            });
+        }
+        
+        if (!category) {
+            return res.status(400).json({
+                success: false,
+                message: 'Category is required'
+            });
+        }
+        
+        if (category === source.category) {
+            return res.status(400).json({
+                success: false,
+                message: 'The post is already in that category'
+            });
+        }
+        
+        const taxonomy = await resolveTaxonomy(category, flair_id);
+        if (taxonomy.error) {
+            return res.status(400).json({
+                success: false,
+                message: taxonomy.error
+            });
+        }
+        
+        const crosspostTitle = title?.trim() || source.title;
+        if (crosspostTitle.length > 300) {
+            return res.status(400).json({
+                success: false,
+                message: 'Title must be less than 300 characters'
+            });
+        }
+        
+        const { data: crosspost, error } = await supabase
+            .from('posts')
+            .insert({
+                title: crosspostTitle,
+                content: source.content,
+                content_html: source.content_html,
+                category: taxonomy.category.slug,
+                flair_id: taxonomy.flair?.id || null,
+                tags: source.tags,
+                type: source.type,
+                image_asset_id: source.image_asset_id,
+                image_url: source.image_url,
+                link_url: source.link_url,
+                link_metadata: source.link_metadata,
+                crosspost_of: source.id,
+                author_id: userId,
+                created_at: new Date().toISOString(),
+                updated_at: new Date().toISOString()
+            })
+            .select(`
+                *,
+                users!posts_author_id_fkey(id, name, username, avatar_url, reputation),
+                flair:flairs(id, name, colour),
+                ${ORIGINAL_POST_FIELDS}
+            `)
+            .single();
+        
+        if (error) {
+            if (error.code === '23505') {
+                return res.status(409).json({
+                    success: false,
+                    message: 'This post has already been crossposted to that category'
+                });
+            }
+            
+            console.error('Crosspost error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error crossposting post'
+            });
+        }
+        
+        publishNewPosts([crosspost]);
+        
+        await trackAnalytics('post_crossposted', userId, {
+            post_id: crosspost.id,
+            original_id: source.id,
+            category: crosspost.category
+        });
+        
+        res.status(201).json({
+            success: true,
+            message: 'Post crossposted successfully',
+            post: withContentHtml(crosspost)
+        });
+        
+    } catch (error) {
+        console.error('Crosspost error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error crossposting post'
+        });
+    }
+});
+
+// @route   POST /api/posts/:id/share
+// @desc    Record that a post was shared (channel: native, copy_link, whatsapp, ...)
+// @access  Public
+router.post('/:id/share', optionalAuth, userRateLimit(30, 60 * 1000), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const channel = req.body.channel || 'other';
+        
+        if (!SHARE_CHANNELS.includes(channel)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid share channel'
+            });
+        }
+        
+        // Malformed ids would make Postgres raise instead of matching nothing
+        if (!UUID_PATTERN.test(id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Post not found'
+            });
+        }
+        
+        const { data: shareCount, error } = await supabase.rpc('record_post_share', {
+            p_post_id: id,
+            p_channel: channel
+        });
+        
+        if (error) {
+            if (error.message?.includes('TARGET_NOT_FOUND')) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Post not found'
+                });
+            }
+            
+            console.error('Share tracking error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error recording share'
+            });
+        }
+        
+        await trackAnalytics('post_shared', req.user?.userId, {
+            post_id: id,
+            channel
+        });
+        
+        res.json({
+            success: true,
+            message: 'Share recorded',
+            shareCount
+        });
+        
+    } catch (error) {
+        console.error('Share tracking error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error recording share'
+        });
+    }
+});
+
+// @route   POST /api/posts/:id/pin
+// @desc    Pin a post globally or within its category
+// @access  Private (moderator)
+router.post('/:id/pin', authenticateToken, requireModerator, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { scope = 'global' } = req.body;
+        
+        if (!PIN_SCOPES.includes(scope)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Pin scope must be global or category'
+            });
+        }
+        
+        // Malformed ids would make Postgres raise instead of matching nothing
+        if (!UUID_PATTERN.test(id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Post not found'
+            });
+        }
+        
+        const { error } = await supabase.rpc('pin_post', {
+            p_post_id: id,
+            p_scope: scope,
+            p_moderator_id: req.user.userId,
+            p_max: MAX_PINNED_POSTS
+        });
+        
+        if (error) {
+            if (error.message?.includes('POST_NOT_FOUND')) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Post not found'
+                });
+            }
+            
+            if (error.message?.includes('PIN_LIMIT_REACHED')) {
+                return res.status(409).json({
+                    success: false,
+                    message: `Only ${MAX_PINNED_POSTS} posts can be pinned ${scope === 'global' ? 'globally' : 'per category'}. Unpin one first`
+                });
+            }
+            
+            console.error('Post pin error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error pinning post'
+            });
+        }
+        
+        res.json({
+            success: true,
+            message: 'Post pinned successfully',
+            scope
+        });
+        
+    } catch (error) {
+        console.error('Post pin error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error pinning post'
+        });
+    }
+});
+
+// @route   DELETE /api/posts/:id/pin
+// @desc    Unpin a post
+// @access  Private (moderator)
+router.delete('/:id/pin', authenticateToken, requireModerator, async (req, res) => {
+    try {
+        // Malformed ids would make Postgres raise instead of matching nothing
+        if (!UUID_PATTERN.test(req.params.id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Post not found'
+            });
+        }
+        
+        const { data: post, error } = await supabase
+            .from('posts')
+            .update({
+                is_pinned: false,
+                pinned_scope: null,
+                pinned_at: null,
+                pinned_by: null
+            })
+            .eq('id', req.params.id)
+            .select('id')
+            .single();
+        
+        if (error || !post) {
+            return res.status(404).json({
+                success: false,
+                message: 'Post not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            message: 'Post unpinned successfully'
+        });
+        
+    } catch (error) {
+        console.error('Post unpin error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error unpinning post'
+        });
+    }
+});
+
+// @route   POST /api/posts/:id/lock
+// @desc    Lock a post so it takes no new comments or votes
+// @access  Private (moderator)
+router.post('/:id/lock', authenticateToken, requireModerator, async (req, res) => {
+    try {
+        // Malformed ids would make Postgres raise instead of matching nothing
+        if (!UUID_PATTERN.test(req.params.id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Post not found'
+            });
+        }
+        
+        const { data: post, error } = await supabase
+            .from('posts')
+            .update({
+                is_locked: true,
+                locked_at: new Date().toISOString(),
+                locked_by: req.user.userId
+            })
+            .eq('id', req.params.id)
+            .eq('is_deleted', false)
+            .select('id, author_id')
+            .single();
+        
+        if (error || !post) {
+            return res.status(404).json({
+                success: false,
+                message: 'Post not found'
+            });
+        }
+        
+        await createNotification({
+            user_id: post.author_id,
+            type: 'moderation',
+            actor_id: req.user.userId,
+            post_id: post.id,
+            data: { action: 'locked' }
+        });
+        
+        res.json({
+            success: true,
+            message: 'Post locked successfully'
+        });
+        
+    } catch (error) {
+        console.error('Post lock error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error locking post'
+        });
+    }
+});
+
+// @route   DELETE /api/posts/:id/lock
+// @desc    Unlock a post
+// @access  Private (moderator)
+router.delete('/:id/lock', authenticateToken, requireModerator, async (req, res) => {
+    try {
+        // Malformed ids would make Postgres raise instead of matching nothing
+        if (!UUID_PATTERN.test(req.params.id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Post not found'
+            });
+        }
+        
+        const { data: post, error } = await supabase
+            .from('posts')
+            .update({
+                is_locked: false,
+                locked_at: null,
+                locked_by: null
+            })
+            .eq('id', req.params.id)
+            .select('id, author_id')
+            .single();
+        
+        if (error || !post) {
+            return res.status(404).json({
+                success: false,
+                message: 'Post not found'
+            });
+        }
+        
+        await createNotification({
+            user_id: post.author_id,
+            type: 'moderation',
+            actor_id: req.user.userId,
+            post_id: post.id,
+            data: { action: 'unlocked' }
+        });
+        
+        res.json({
+            success: true,
+            message: 'Post unlocked successfully'
+        });
+        
+    } catch (error) {
+        console.error('Post unlock error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error unlocking post'
+        });
+    }
+});
+
+// @route   POST /api/posts/:id/merge
+// @desc    Merge a duplicate post into the original thread (body: { into })
+// @access  Private (moderator)
+router.post('/:id/merge', authenticateToken, requireModerator, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { into } = req.body;
+        
+        if (!into) {
+            return res.status(400).json({
+                success: false,
+                message: 'The original post id (into) is required'
+            });
+        }
+        
+        // Malformed ids would make Postgres raise instead of matching nothing
+        if (!UUID_PATTERN.test(String(into)) || !UUID_PATTERN.test(id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Post not found'
+            });
+        }
+        
+        const { data: result, error } = await supabase.rpc('merge_posts', {
+            p_duplicate_id: id,
+            p_original_id: into,
+            p_moderator_id: req.user.userId
+        });
+        
+        if (error) {
+            if (error.message?.includes('SAME_POST')) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'A post cannot be merged into itself'
+                });
+            }
+            
+            if (error.message?.includes('POST_NOT_FOUND')) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Post not found'
+                });
+            }
+            
+            console.error('Post merge error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error merging posts'
+            });
+        }
+        
+        await trackAnalytics('post_merged', req.user.userId, {
+            post_id: id,
+            merged_into: into,
+            comments_moved: result.comments_moved
+        });
+        
+        // The duplicate is gone from listings, so point its author at the
+        // thread it was merged into
+        const { data: duplicate } = await supabase
+            .from('posts')
+            .select('author_id')
+            .eq('id', id)
+            .single();
+        
+        if (duplicate) {
+            await createNotification({
+                user_id: duplicate.author_id,
+                type: 'moderation',
+                actor_id: req.user.userId,
+                post_id: into,
+                data: { action: 'merged', merged_post_id: id }
+            });
+        }
+        
+        res.json({
+            success: true,
+            message: 'Post merged successfully',
+            mergedInto: into,
+            commentsMoved: result.comments_moved
+        });
+        
+    } catch (error) {
+        console.error('Post merge error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error merging posts'
+        });
+    }
+});
+
+// @route   GET /api/posts/:id/revisions
+// @desc    Get a post's edit history with line diffs between versions
+// @access  Private (author or moderator)
+router.get('/:id/revisions', authenticateToken, async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        // Malformed ids would make Postgres raise instead of matching nothing
+        if (!UUID_PATTERN.test(id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Post not found'
+            });
+        }
+        
+        const { data: post, error: fetchError } = await supabase
+            .from('posts')
+            .select('id, title, content, author_id, created_at, is_edited, edited_at, edited_by')
+            .eq('id', id)
+            .single();
+        
+        if (fetchError || !post) {
+            return res.status(404).json({
+                success: false,
+                message: 'Post not found'
+            });
+        }
+        
+        if (post.author_id !== req.user.userId && !(await isModerator(req.user.userId))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the author or a moderator can view edit history'
+            });
+        }
+        
+        const { data: revisions, error } = await supabase
+            .from('post_revisions')
+            .select('revision, title, content, edited_by, created_at')
+            .eq('post_id', id)
+            .order('revision', { ascending: true });
+        
+        if (error) {
+            console.error('Revisions fetch error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error fetching revisions'
+            });
+        }
+        
+        // The live post is the newest version
+        const versions = [
+            ...revisions,
+            {
+                revision: revisions.length + 1,
+                title: post.title,
+                content: post.content,
+                edited_by: post.edited_by || post.author_id,
+                created_at: post.edited_at || post.created_at,
+                current: true
+            }
+        ];
+        
+        const editorIds = [...new Set(versions.map(version => version.edited_by).filter(Boolean))];
+        const { data: editors } = await supabase
+            .from('users')
+            .select('id, username')
+            .in('id', editorIds);
+        
+        const history = versions.map((version, index) => {
+            const previous = versions[index - 1];
+            
+            return {
+                revision: version.revision,
+                title: version.title,
+                content: version.content,
+                editedBy: editors?.find(editor => editor.id === version.edited_by) || null,
+                editedAt: version.created_at,
+                current: Boolean(version.current),
+                diff: previous ? {
+                    title: diffLines(previous.title, version.title),
+                    content: diffLines(previous.content, version.content)
+                } : null
+            };
+        });
+        
+        res.json({
+            success: true,
+            isEdited: Boolean(post.is_edited),
+            revisions: history
+        });
+        
+    } catch (error) {
+        console.error('Revisions fetch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching revisions'
+        });
+    }
+});
+
+// @route   GET /api/posts/:id/poll
+// @desc    Get a poll's options, and its results once visible to the user
+//          (published posts only)
+// @access  Public
+router.get('/:id/poll', optionalAuth, async (req, res) => {
+    try {
+        const { data: post } = await supabase
+            .from('posts')
+            .select('id, type')
+            .eq('id', req.params.id)
+            .eq('is_deleted', false)
+            .eq('status', 'published')
+            .single();
+        
+        if (post) {
+            await attachPolls([post], req.user?.userId);
+        }
+        
+        if (!post?.poll) {
+            return res.status(404).json({
+                success: false,
+                message: 'Poll not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            poll: post.poll
+        });
+        
+    } catch (error) {
+        console.error('Poll fetch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching poll'
+        });
+    }
+});
+
+// @route   POST /api/posts/:id/poll/vote
+// @desc    Cast the user's ballot on a poll
+// @access  Private
+router.post('/:id/poll/vote', authenticateToken, userRateLimit(30, 60 * 1000), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { optionIds } = req.body;
+        const userId = req.user.userId;
+        
+        if (!Array.isArray(optionIds) || optionIds.length === 0 || optionIds.some(optionId => typeof optionId !== 'string')) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please choose at least one option'
+            });
+        }
+        
+        // Malformed ids would make Postgres raise instead of matching nothing
+        if (!UUID_PATTERN.test(id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Poll not found'
+            });
+        }
+        
+        if (optionIds.some(optionId => !UUID_PATTERN.test(optionId))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid poll option'
+            });
+        }
+        
+        // One ballot per user is enforced by the poll_ballots primary key
+        const { error } = await supabase.rpc('cast_poll_ballot', {
+            p_user_id: userId,
+            p_post_id: id,
+            p_option_ids: optionIds
+        });
+        
+        if (error) {
+            const pollErrors = {
+                POLL_NOT_FOUND: [404, 'Poll not found'],
+                TARGET_NOT_FOUND: [404, 'Poll not found'],
+                POLL_CLOSED: [400, 'This poll has closed'],
+                POST_LOCKED: [403, 'This post is locked'],
+                ALREADY_VOTED: [409, 'You have already voted in this poll'],
+                SINGLE_CHOICE_ONLY: [400, 'This poll only allows one choice'],
+                INVALID_OPTIONS: [400, 'Invalid poll option']
+            };
+            const code = Object.keys(pollErrors).find(key => error.message?.includes(key));
+            
+            if (code) {
+                const [status, message] = pollErrors[code];
+                return res.status(status).json({
+                    success: false,
+                    message
+                });
+            }
+            
+            console.error('Poll vote error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error recording poll vote'
+            });
+        }
+        
+        const post = { id, type: 'poll' };
+        await attachPolls([post], userId);
+        
+        res.json({
+            success: true,
+            message: 'Vote recorded successfully',
+            poll: post.poll
+        });
+        
+    } catch (error) {
+        console.error('Poll vote error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error recording poll vote'
         });
     }
 });
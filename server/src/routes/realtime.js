@@ -0,0 +1,172 @@
+const express = require('express');
+const { getTokenUser } = require('../middleware/auth');
+const { UUID_PATTERN } = require('../utils/cursor');
+const {
+    currentEventId,
+    subscribe,
+    eventsSince,
+    connectionCount
+} = require('../utils/realtime');
+
+const router = express.Router();
+
+const MAX_WATCHED_POSTS = 20;
+const MAX_CONNECTIONS_PER_USER = 5;
+// Logged-out streams are counted per IP, and a campus network puts many
+// visitors behind one NAT address
+const MAX_CONNECTIONS_PER_IP = 100;
+const MAX_CONNECTIONS = 2000;
+const HEARTBEAT_MS = 25 * 1000;         // keeps proxies from closing idle streams
+const AUTH_RECHECK_MS = 5 * 60 * 1000;  // ends streams whose token expired or user is gone
+const RETRY_MS = 5000;
+
+const openConnections = new Map();
+// { res, timers } for every open stream, so shutdown can end them
+const openStreams = new Set();
+
+const writeEvent = (res, { id, event, data }) => {
+    res.write(`id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// @route   GET /api/realtime
+// @desc    Server-sent event stream: new posts and post votes, plus new comments
+//          and comment votes on the watched posts (posts=<id>,<id>) and, when
+//          logged in, new notifications. Resumes from Last-Event-ID.
+// @access  Public (notifications need the same token as the rest of the API)
+router.get('/', async (req, res) => {
+    try {
+        // EventSource can't set headers, so the token may come as ?access_token=
+        const authHeader = req.headers.authorization;
+        const token = (authHeader && authHeader.split(' ')[1]) || req.query.access_token;
+
+        let user = null;
+        if (token) {
+            try {
+                user = await getTokenUser(token);
+            } catch (error) {
+                user = null;
+            }
+
+            if (!user) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Invalid or expired token'
+                });
+            }
+        }
+
+        const postIds = String(req.query.posts || '')
+            .split(',')
+            .filter(id => UUID_PATTERN.test(id));
+
+        if (postIds.length > MAX_WATCHED_POSTS) {
+            return res.status(400).json({
+                success: false,
+                message: `At most ${MAX_WATCHED_POSTS} posts can be watched`
+            });
+        }
+
+        const clientKey = user ? `user:${user.userId}` : `ip:${req.ip}`;
+        const clientConnections = openConnections.get(clientKey) || 0;
+        const clientLimit = user ? MAX_CONNECTIONS_PER_USER : MAX_CONNECTIONS_PER_IP;
+
+        if (clientConnections >= clientLimit || connectionCount() >= MAX_CONNECTIONS) {
+            return res.status(429).json({
+                success: false,
+                message: 'Too many open connections',
+                retryAfter: RETRY_MS / 1000
+            });
+        }
+
+        const channels = new Set(['feed', ...postIds.map(id => `post:${id}`)]);
+        if (user) {
+            channels.add(`user:${user.userId}`);
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.write(`retry: ${RETRY_MS}\n\n`);
+
+        // Browsers resend the last id on reconnect; clients that open a new
+        // stream (e.g. to watch other posts) pass it as ?lastEventId=
+        const lastEventId = req.headers['last-event-id'] || req.query.lastEventId;
+        if (lastEventId) {
+            const missed = eventsSince(lastEventId, channels);
+
+            if (missed) {
+                missed.forEach(entry => writeEvent(res, entry));
+            } else {
+                writeEvent(res, { id: currentEventId(), event: 'resync', data: {} });
+            }
+        }
+
+        // Gives the client a resume point even if nothing happens
+        writeEvent(res, { id: currentEventId(), event: 'ready', data: { userId: user ? user.userId : null } });
+
+        openConnections.set(clientKey, clientConnections + 1);
+        const unsubscribe = subscribe(channels, entry => writeEvent(res, entry));
+        const stream = { res, timers: [setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS)] };
+        openStreams.add(stream);
+
+        // The token is only checked on connect, so check it again now and
+        // then; a revoked user's stream ends and its reconnect gets a 401
+        if (user) {
+            stream.timers.push(setInterval(async () => {
+                let current = null;
+                try {
+                    current = await getTokenUser(token);
+                } catch (error) {
+                    current = null;
+                }
+
+                if (current?.userId !== user.userId) {
+                    res.end();
+                }
+            }, AUTH_RECHECK_MS));
+        }
+
+        req.on('close', () => {
+            stream.timers.forEach(timer => clearInterval(timer));
+            openStreams.delete(stream);
+            unsubscribe();
+
+            const remaining = (openConnections.get(clientKey) || 1) - 1;
+            if (remaining > 0) {
+                openConnections.set(clientKey, remaining);
+            } else {
+                openConnections.delete(clientKey);
+            }
+        });
+
+    } catch (error) {
+        console.error('Realtime stream error:', error);
+        if (!res.headersSent) {
+            res.status(500).json({
+                success: false,
+                message: 'Server error opening event stream'
+            });
+        } else {
+            res.end();
+        }
+    }
+});
+
+// End every open stream so server.close() can finish on shutdown; clients
+// reconnect after the retry delay
+const closeStreams = () => {
+    openStreams.forEach(({ res, timers }) => {
+        timers.forEach(timer => clearInterval(timer));
+        res.write(`retry: ${RETRY_MS}\n\n`);
+        res.end();
+    });
+    openStreams.clear();
+};
+
+module.exports = {
+    router,
+    closeStreams
+};
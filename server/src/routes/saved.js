@@ -0,0 +1,528 @@
+const express = require('express');
+const supabase = require('../config/supabaseClient');
+const { authenticateToken, userRateLimit } = require('../middleware/auth');
+const {
+    UUID_PATTERN,
+    TIMESTAMP_PATTERN,
+    encodeCursor,
+    decodeCursor
+} = require('../utils/cursor');
+const { renderMarkdown } = require('../utils/markdown');
+const { SAVE_TARGETS } = require('../utils/saved');
+
+const router = express.Router();
+
+const MAX_COLLECTIONS = 50;
+const MAX_COLLECTION_NAME_LENGTH = 50;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+// The collection must exist and belong to the user
+const findCollection = async (collectionId, userId) => {
+    if (!UUID_PATTERN.test(String(collectionId))) return null;
+
+    const { data: collection } = await supabase
+        .from('saved_collections')
+        .select('id, name, created_at, updated_at')
+        .eq('id', collectionId)
+        .eq('user_id', userId)
+        .single();
+
+    return collection;
+};
+
+// Only live content can be saved
+const targetExists = async (targetType, targetId) => {
+    if (!UUID_PATTERN.test(String(targetId))) return false;
+
+    if (targetType === 'post') {
+        const { data: post } = await supabase
+            .from('posts')
+            .select('id')
+            .eq('id', targetId)
+            .eq('is_deleted', false)
+            .eq('status', 'published')
+            .single();
+
+        return Boolean(post);
+    }
+
+    const { data: comment } = await supabase
+        .from('comments')
+        .select('id')
+        .eq('id', targetId)
+        .eq('is_deleted', false)
+        .single();
+
+    return Boolean(comment);
+};
+
+// Load the saved posts and comments for a page of saved_items rows.
+// Targets deleted since they were saved come back as null.
+const hydrateSavedItems = async (rows) => {
+    const idsOf = (type) => rows.filter(row => row.target_type === type).map(row => row.target_id);
+    const postIds = idsOf('post');
+    const commentIds = idsOf('comment');
+
+    const [{ data: posts }, { data: comments }] = await Promise.all([
+        postIds.length > 0
+            ? supabase
+                .from('posts')
+                .select(`
+                    *,
+                    users!posts_author_id_fkey(id, name, username, avatar_url, reputation),
+                    flair:flairs(id, name, colour)
+                `)
+                .in('id', postIds)
+                .eq('is_deleted', false)
+                .eq('status', 'published')
+            : Promise.resolve({ data: [] }),
+        commentIds.length > 0
+            ? supabase
+                .from('comments')
+                .select(`
+                    id, content, content_html, post_id, upvotes, downvotes, score, created_at,
+                    users!comments_author_id_fkey(id, name, username, avatar_url),
+                    post:posts(id, title, category)
+                `)
+                .in('id', commentIds)
+                .eq('is_deleted', false)
+            : Promise.resolve({ data: [] })
+    ]);
+
+    const postsById = new Map((posts || []).map(post => [post.id, post]));
+    const commentsById = new Map((comments || []).map(comment => [comment.id, comment]));
+
+    return rows.map(row => {
+        const target = row.target_type === 'post'
+            ? postsById.get(row.target_id)
+            : commentsById.get(row.target_id);
+
+        if (target && target.content_html == null) {
+            target.content_html = renderMarkdown(target.content);
+        }
+
+        return {
+            id: row.id,
+            target_type: row.target_type,
+            target_id: row.target_id,
+            collection_id: row.collection_id,
+            saved_at: row.created_at,
+            [row.target_type]: target ? { ...target, is_saved: true } : null
+        };
+    });
+};
+
+// @route   GET /api/saved
+// @desc    List the current user's saved items, newest first (cursor paginated)
+// @access  Private
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { type, collection, after } = req.query;
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+        if (type && !SAVE_TARGETS.includes(type)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid type'
+            });
+        }
+
+        let query = supabase
+            .from('saved_items')
+            .select('id, target_type, target_id, collection_id, created_at')
+            .eq('user_id', userId)
+            .order('created_at', { ascending: false })
+            .order('id', { ascending: false })
+            .limit(limit + 1);
+
+        if (type) {
+            query = query.eq('target_type', type);
+        }
+
+        // collection=none lists saves that aren't in any collection
+        if (collection === 'none') {
+            query = query.is('collection_id', null);
+        } else if (collection) {
+            if (!await findCollection(collection, userId)) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Collection not found'
+                });
+            }
+            query = query.eq('collection_id', collection);
+        }
+
+        if (after) {
+            const cursor = decodeCursor(after);
+
+            if (!cursor || !TIMESTAMP_PATTERN.test(String(cursor.t)) || !UUID_PATTERN.test(String(cursor.i))) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid cursor'
+                });
+            }
+
+            query = query.or(`created_at.lt."${cursor.t}",and(created_at.eq."${cursor.t}",id.lt.${cursor.i})`);
+        }
+
+        const { data: rows, error } = await query;
+
+        if (error) {
+            console.error('Saved items fetch error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error fetching saved items'
+            });
+        }
+
+        const hasNext = rows.length > limit;
+        const pageRows = rows.slice(0, limit);
+        const lastRow = pageRows[pageRows.length - 1];
+
+        res.json({
+            success: true,
+            items: await hydrateSavedItems(pageRows),
+            pagination: {
+                nextCursor: hasNext ? encodeCursor({ t: lastRow.created_at, i: lastRow.id }) : null,
+                hasNext
+            }
+        });
+
+    } catch (error) {
+        console.error('Saved items fetch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching saved items'
+        });
+    }
+});
+
+// @route   GET /api/saved/collections
+// @desc    List the current user's collections with item counts
+// @access  Private
+router.get('/collections', authenticateToken, async (req, res) => {
+    try {
+        const { data: collections, error } = await supabase
+            .from('saved_collections')
+            .select('id, name, created_at, updated_at, saved_items(count)')
+            .eq('user_id', req.user.userId)
+            .order('name', { ascending: true });
+
+        if (error) {
+            console.error('Collections fetch error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error fetching collections'
+            });
+        }
+
+        res.json({
+            success: true,
+            collections: collections.map(({ saved_items, ...collection }) => ({
+                ...collection,
+                item_count: saved_items?.[0]?.count || 0
+            }))
+        });
+
+    } catch (error) {
+        console.error('Collections fetch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching collections'
+        });
+    }
+});
+
+// @route   POST /api/saved/collections
+// @desc    Create a collection
+// @access  Private
+router.post('/collections', authenticateToken, userRateLimit(20, 60 * 1000), async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const name = String(req.body.name ?? '').trim();
+
+        if (!name || name.length > MAX_COLLECTION_NAME_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                message: `Collection name must be 1-${MAX_COLLECTION_NAME_LENGTH} characters`
+            });
+        }
+
+        const { count } = await supabase
+            .from('saved_collections')
+            .select('id', { count: 'exact', head: true })
+            .eq('user_id', userId);
+
+        if (count >= MAX_COLLECTIONS) {
+            return res.status(400).json({
+                success: false,
+                message: `You can have at most ${MAX_COLLECTIONS} collections`
+            });
+        }
+
+        const { data: collection, error } = await supabase
+            .from('saved_collections')
+            .insert({
+                user_id: userId,
+                name
+            })
+            .select('id, name, created_at, updated_at')
+            .single();
+
+        if (error) {
+            if (error.code === '23505') {
+                return res.status(409).json({
+                    success: false,
+                    message: 'You already have a collection with that name'
+                });
+            }
+
+            console.error('Collection creation error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error creating collection'
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Collection created',
+            collection: { ...collection, item_count: 0 }
+        });
+
+    } catch (error) {
+        console.error('Collection creation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error creating collection'
+        });
+    }
+});
+
+// @route   PUT /api/saved/collections/:id
+// @desc    Rename a collection
+// @access  Private (owner only)
+router.put('/collections/:id', authenticateToken, async (req, res) => {
+    try {
+        const name = String(req.body.name ?? '').trim();
+
+        if (!name || name.length > MAX_COLLECTION_NAME_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                message: `Collection name must be 1-${MAX_COLLECTION_NAME_LENGTH} characters`
+            });
+        }
+
+        if (!await findCollection(req.params.id, req.user.userId)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Collection not found'
+            });
+        }
+
+        const { data: collection, error } = await supabase
+            .from('saved_collections')
+            .update({
+                name,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', req.params.id)
+            .eq('user_id', req.user.userId)
+            .select('id, name, created_at, updated_at')
+            .single();
+
+        if (error) {
+            if (error.code === '23505') {
+                return res.status(409).json({
+                    success: false,
+                    message: 'You already have a collection with that name'
+                });
+            }
+
+            console.error('Collection update error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error renaming collection'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Collection renamed',
+            collection
+        });
+
+    } catch (error) {
+        console.error('Collection update error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error renaming collection'
+        });
+    }
+});
+
+// @route   DELETE /api/saved/collections/:id
+// @desc    Delete a collection (its saved items are kept, unsorted)
+// @access  Private (owner only)
+router.delete('/collections/:id', authenticateToken, async (req, res) => {
+    try {
+        if (!UUID_PATTERN.test(req.params.id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Collection not found'
+            });
+        }
+
+        const { data: collection, error } = await supabase
+            .from('saved_collections')
+            .delete()
+            .eq('id', req.params.id)
+            .eq('user_id', req.user.userId)
+            .select('id')
+            .single();
+
+        if (error || !collection) {
+            return res.status(404).json({
+                success: false,
+                message: 'Collection not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Collection deleted'
+        });
+
+    } catch (error) {
+        console.error('Collection deletion error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error deleting collection'
+        });
+    }
+});
+
+// @route   POST /api/saved
+// @desc    Save a post or comment, or move an existing save to another
+//          collection (collectionId: null for none). Re-saving without a
+//          collectionId leaves the save in its collection.
+// @access  Private
+router.post('/', authenticateToken, userRateLimit(60, 60 * 1000), async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { targetType, targetId, collectionId } = req.body;
+
+        if (!SAVE_TARGETS.includes(targetType)) {
+            return res.status(400).json({
+                success: false,
+                message: 'targetType must be post or comment'
+            });
+        }
+
+        if (!await targetExists(targetType, targetId)) {
+            return res.status(404).json({
+                success: false,
+                message: targetType === 'post' ? 'Post not found' : 'Comment not found'
+            });
+        }
+
+        if (collectionId && !await findCollection(collectionId, userId)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Collection not found'
+            });
+        }
+
+        const saveData = {
+            user_id: userId,
+            target_type: targetType,
+            target_id: targetId
+        };
+
+        // Columns left out of the upsert keep their value on an existing save
+        if (collectionId !== undefined) {
+            saveData.collection_id = collectionId || null;
+        }
+
+        const { data: savedItem, error } = await supabase
+            .from('saved_items')
+            .upsert(saveData, { onConflict: 'user_id,target_type,target_id' })
+            .select('id, target_type, target_id, collection_id, created_at')
+            .single();
+
+        if (error) {
+            console.error('Save error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error saving item'
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Saved',
+            savedItem
+        });
+
+    } catch (error) {
+        console.error('Save error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error saving item'
+        });
+    }
+});
+
+// @route   DELETE /api/saved/:targetType/:targetId
+// @desc    Unsave a post or comment
+// @access  Private
+router.delete('/:targetType/:targetId', authenticateToken, async (req, res) => {
+    try {
+        const { targetType, targetId } = req.params;
+
+        if (!SAVE_TARGETS.includes(targetType)) {
+            return res.status(400).json({
+                success: false,
+                message: 'targetType must be post or comment'
+            });
+        }
+
+        if (!UUID_PATTERN.test(targetId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid id'
+            });
+        }
+
+        const { error } = await supabase
+            .from('saved_items')
+            .delete()
+            .eq('user_id', req.user.userId)
+            .eq('target_type', targetType)
+            .eq('target_id', targetId);
+
+        if (error) {
+            console.error('Unsave error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error removing saved item'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Removed from saved'
+        });
+
+    } catch (error) {
+        console.error('Unsave error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error removing saved item'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,262 @@
+const express = require('express');
+const crypto = require('crypto');
+const multer = require('multer');
+const supabase = require('../config/supabaseClient');
+const { authenticateToken, userRateLimit } = require('../middleware/auth');
+const { getStorage } = require('../storage');
+const { detectImageType, isAllowedType, processImage } = require('../utils/imageProcessing');
+
+const router = express.Router();
+
+const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024;
+
+// Files are kept in memory only long enough to be checked and re-encoded.
+// Size/field errors (LIMIT_FILE_SIZE, LIMIT_UNEXPECTED_FILE) go to errorHandler.
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: MAX_FILE_SIZE,
+        files: 1
+    }
+});
+
+// Validate, process and store an uploaded image, then record it in media_assets
+const storeImage = async (file, ownerId, kind) => {
+    const mimeType = detectImageType(file.buffer);
+
+    if (!mimeType || !isAllowedType(mimeType)) {
+        const error = new Error('Unsupported file type. Please upload a JPG, PNG, GIF or WebP image');
+        error.statusCode = 400;
+        throw error;
+    }
+
+    let variants;
+    try {
+        variants = await processImage(file.buffer, mimeType, kind);
+    } catch (processingError) {
+        console.error('Image processing error:', processingError);
+        const error = new Error('The uploaded image could not be processed');
+        error.statusCode = 400;
+        throw error;
+    }
+
+    const storage = getStorage();
+    const assetId = crypto.randomUUID();
+    const stored = {};
+
+    try {
+        for (const variant of variants) {
+            const key = `${kind}/${assetId}/${variant.name}.${variant.extension}`;
+            const { url } = await storage.save(key, variant.buffer, variant.mimeType);
+
+            stored[variant.name] = {
+                key,
+                url,
+                mime_type: variant.mimeType,
+                width: variant.width,
+                height: variant.height,
+                size: variant.size
+            };
+        }
+    } catch (storageError) {
+        // Don't leave half an asset behind
+        await Promise.allSettled(Object.values(stored).map(variant => storage.remove(variant.key)));
+        throw storageError;
+    }
+
+    const { data: asset, error } = await supabase
+        .from('media_assets')
+        .insert({
+            id: assetId,
+            owner_id: ownerId,
+            kind,
+            mime_type: mimeType,
+            width: stored.original.width,
+            height: stored.original.height,
+            size_bytes: file.size,
+            storage_driver: storage.name,
+            variants: stored
+        })
+        .select()
+        .single();
+
+    if (error) {
+        await Promise.allSettled(Object.values(stored).map(variant => storage.remove(variant.key)));
+        throw error;
+    }
+
+    return asset;
+};
+
+const sendUploadError = (res, error, fallbackMessage) => {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    console.error('Upload error:', error);
+    res.status(500).json({
+        success: false,
+        message: fallbackMessage
+    });
+};
+
+// @route   POST /api/uploads
+// @desc    Upload an image for a post
+// @access  Private
+router.post('/', authenticateToken, userRateLimit(20, 60 * 60 * 1000), upload.single('file'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please attach an image in the "file" field'
+            });
+        }
+
+        const asset = await storeImage(req.file, req.user.userId, 'post');
+
+        res.status(201).json({
+            success: true,
+            message: 'Image uploaded successfully',
+            asset
+        });
+
+    } catch (error) {
+        sendUploadError(res, error, 'Server error uploading image');
+    }
+});
+
+// @route   POST /api/uploads/avatar
+// @desc    Upload and set the current user's avatar
+// @access  Private
+router.post('/avatar', authenticateToken, userRateLimit(10, 60 * 60 * 1000), upload.single('file'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please attach an image in the "file" field'
+            });
+        }
+
+        const asset = await storeImage(req.file, req.user.userId, 'avatar');
+
+        const { data: user, error } = await supabase
+            .from('users')
+            .update({
+                avatar_asset_id: asset.id,
+                avatar_url: asset.variants.webp.url
+            })
+            .eq('id', req.user.userId)
+            .select('id, username, avatar_url, avatar_asset_id')
+            .single();
+
+        if (error) {
+            console.error('Avatar update error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error updating avatar'
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Avatar updated successfully',
+            asset,
+            user
+        });
+
+    } catch (error) {
+        sendUploadError(res, error, 'Server error uploading avatar');
+    }
+});
+
+// @route   GET /api/uploads/:id
+// @desc    Get a stored asset and its variant URLs
+// @access  Public
+router.get('/:id', async (req, res) => {
+    try {
+        const { data: asset, error } = await supabase
+            .from('media_assets')
+            .select('id, kind, mime_type, width, height, variants, created_at')
+            .eq('id', req.params.id)
+            .single();
+
+        if (error || !asset) {
+            return res.status(404).json({
+                success: false,
+                message: 'Asset not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            asset
+        });
+
+    } catch (error) {
+        console.error('Asset fetch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching asset'
+        });
+    }
+});
+
+// @route   DELETE /api/uploads/:id
+// @desc    Delete an asset that is not attached to anything
+// @access  Private (owner only)
+router.delete('/:id', authenticateToken, async (req, res) => {
+    try {
+        const { data: asset, error: fetchError } = await supabase
+            .from('media_assets')
+            .select('id, owner_id, variants')
+            .eq('id', req.params.id)
+            .single();
+
+        if (fetchError || !asset) {
+            return res.status(404).json({
+                success: false,
+                message: 'Asset not found'
+            });
+        }
+
+        if (asset.owner_id !== req.user.userId) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only delete your own uploads'
+            });
+        }
+
+        // Posts and profiles reference assets with ON DELETE RESTRICT
+        const { error } = await supabase
+            .from('media_assets')
+            .delete()
+            .eq('id', asset.id);
+
+        if (error) {
+            return res.status(409).json({
+                success: false,
+                message: 'This image is still in use'
+            });
+        }
+
+        const storage = getStorage();
+        await Promise.allSettled(Object.values(asset.variants).map(variant => storage.remove(variant.key)));
+
+        res.json({
+            success: true,
+            message: 'Asset deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('Asset deletion error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error deleting asset'
+        });
+    }
+});
+
+module.exports = router;
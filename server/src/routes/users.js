@@ -1,687 +1,984 @@
 const express = require('express');
-const User = require('../models/User');
-const Post = require('../models/Post');
-const Comment = require('../models/Comment');
-const { authenticateToken, requireOwnershipOrAdmin, userRateLimit } = require('../middleware/auth');
+const supabase = require('../config/supabaseClient');
+const { authenticateToken, optionalAuth, userRateLimit } = require('../middleware/auth');
+const {
+    UUID_PATTERN,
+    TIMESTAMP_PATTERN,
+    encodeCursor,
+    decodeCursor
+} = require('../utils/cursor');
+const { renderMarkdown } = require('../utils/markdown');
+const { yearOfStudy } = require('../utils/subscriptions');
+const { getBlockedByIds, isBlockedBetween, toFilterList } = require('../utils/blocks');
+const { parseFeedCursor, paginateKeyset, loadFeedPosts } = require('../utils/feed');
 
 const router = express.Router();
 
-// @route   GET /api/users/me
-// @desc    Get current user profile
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+const SEARCH_LIMIT = 10;
+
+const PUBLIC_USER_FIELDS = 'id, name, username, avatar_url, reputation';
+const PROFILE_FIELDS = `
+    id, name, username, avatar_url, bio, branch, year, is_verified, reputation,
+    follower_count, following_count, hide_activity, hide_branch, created_at
+`;
+
+const YEAR_LABELS = {
+    1: '1st year',
+    2: '2nd year',
+    3: '3rd year',
+    4: '4th year',
+    5: 'Postgraduate'
+};
+
+// Tables behind block/mute (ownColumn is the user acting), and the words
+// used in their responses
+const USER_ACTIONS = {
+    block: { table: 'user_blocks', ownColumn: 'blocker_id', otherColumn: 'blocked_id', done: 'blocked', doing: 'blocking' },
+    mute: { table: 'user_mutes', ownColumn: 'muter_id', otherColumn: 'muted_id', done: 'muted', doing: 'muting' }
+};
+
+// Which side of the follows table a list reads: the followers of a user are
+// the rows where they are following_id, and the other user is follower_id
+const FOLLOW_LISTS = {
+    followers: { ownColumn: 'following_id', otherColumn: 'follower_id' },
+    following: { ownColumn: 'follower_id', otherColumn: 'following_id' }
+};
+
+// Continue a newest-first list after an { t: created_at, i: id } cursor.
+// Returns { query } or { error } for a malformed cursor.
+const applyKeysetCursor = (query, after, idColumn) => {
+    if (!after) return { query };
+
+    const cursor = decodeCursor(after);
+
+    if (!cursor || !TIMESTAMP_PATTERN.test(String(cursor.t)) || !UUID_PATTERN.test(String(cursor.i))) {
+        return { error: 'Invalid cursor' };
+    }
+
+    return {
+        query: query.or(`created_at.lt."${cursor.t}",and(created_at.eq."${cursor.t}",${idColumn}.lt.${cursor.i})`)
+    };
+};
+
+const pageSize = (req) => Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+// Split a limit + 1 result into the page and the next cursor
+const toPage = (rows, limit, idOf) => {
+    const hasNext = rows.length > limit;
+    const pageRows = rows.slice(0, limit);
+    const lastRow = pageRows[pageRows.length - 1];
+
+    return {
+        pageRows,
+        pagination: {
+            nextCursor: hasNext ? encodeCursor({ t: lastRow.created_at, i: idOf(lastRow) }) : null,
+            hasNext
+        }
+    };
+};
+
+// The user whose posts/comments/events are being listed. Sends 404 for an
+// unknown user and 403 when they've hidden their activity from others.
+const findActivityOwner = async (req, res) => {
+    const { data: user } = await supabase
+        .from('users')
+        .select('id, hide_activity')
+        .eq('username', req.params.username)
+        .single();
+
+    if (!user) {
+        res.status(404).json({
+            success: false,
+            message: 'User not found'
+        });
+        return null;
+    }
+
+    if (user.hide_activity && user.id !== req.user?.userId) {
+        res.status(403).json({
+            success: false,
+            message: 'This user has hidden their activity'
+        });
+        return null;
+    }
+
+    return user;
+};
+
+// The user being followed must exist
+const findUserById = async (userId) => {
+    if (!UUID_PATTERN.test(String(userId))) return null;
+
+    const { data: user } = await supabase
+        .from('users')
+        .select('id, follower_count')
+        .eq('id', userId)
+        .single();
+
+    return user;
+};
+
+// Which of `userIds` the viewer follows
+const getFollowedIds = async (viewerId, userIds) => {
+    if (!viewerId || userIds.length === 0) return new Set();
+
+    const { data: follows } = await supabase
+        .from('follows')
+        .select('following_id')
+        .eq('follower_id', viewerId)
+        .in('following_id', userIds);
+
+    return new Set((follows || []).map(follow => follow.following_id));
+};
+
+// Shared by the follow, block and mute routes
+const checkTargetUser = async (req, res, action) => {
+    const { userId } = req.params;
+
+    if (userId === req.user.userId) {
+        res.status(400).json({
+            success: false,
+            message: `You cannot ${action} yourself`
+        });
+        return null;
+    }
+
+    const user = await findUserById(userId);
+
+    if (!user) {
+        res.status(404).json({
+            success: false,
+            message: 'User not found'
+        });
+        return null;
+    }
+
+    return user;
+};
+
+// Whether the viewer blocked and/or muted the user
+const getViewerRelation = async (viewerId, userId) => {
+    if (!viewerId || viewerId === userId) return { isBlocked: false, isMuted: false };
+
+    const [{ data: blocks }, { data: mutes }] = await Promise.all(['block', 'mute'].map(action => {
+        const { table, ownColumn, otherColumn } = USER_ACTIONS[action];
+        return supabase
+            .from(table)
+            .select(otherColumn)
+            .eq(ownColumn, viewerId)
+            .eq(otherColumn, userId);
+    }));
+
+    return {
+        isBlocked: (blocks || []).length > 0,
+        isMuted: (mutes || []).length > 0
+    };
+};
+
+// Follower count after a follow/unfollow (kept up to date by a trigger)
+const getFollowerCount = async (userId) => {
+    const { data: user } = await supabase
+        .from('users')
+        .select('follower_count')
+        .eq('id', userId)
+        .single();
+
+    return user?.follower_count || 0;
+};
+
+// @route   GET /api/users/me/feed
+// @desc    Posts by followed users and in subscribed categories, hot-ranked
+//          like the home feed (cursor paginated)
 // @access  Private
-router.get('/me', authenticateToken, async (req, res) => {
+router.get('/me/feed', authenticateToken, async (req, res) => {
     try {
-        const user = await User.findById(req.user._id)
-            .select('-password -emailVerificationToken -passwordResetToken -passwordResetExpires')
-            .populate('savedPosts', 'title createdAt')
-            .populate('following', 'name username avatar')
-            .populate('followers', 'name username avatar');
-        
-        if (!user) {
-            return res.status(404).json({
+        const userId = req.user.userId;
+        const { after } = req.query;
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), MAX_PAGE_SIZE);
+
+        let position = null;
+
+        if (after) {
+            const cursor = parseFeedCursor(after);
+
+            if (!cursor || cursor.position.v === null) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid feed cursor'
+                });
+            }
+
+            position = cursor.position;
+        }
+
+        const { data: rows, error: rankingError } = await supabase.rpc('get_following_feed', {
+            p_user_id: userId,
+            p_limit: limit + 1,
+            p_after_score: position?.v ?? null,
+            p_after_at: position?.t ?? null,
+            p_after_id: position?.i ?? null
+        });
+
+        if (rankingError) {
+            console.error('Following feed error:', rankingError);
+            return res.status(500).json({
                 success: false,
-                message: 'User not found'
+                message: 'Error fetching feed'
+            });
+        }
+
+        const { pageIds, nextCursor } = paginateKeyset(rows, limit, 'hot_score');
+        const { posts, error } = await loadFeedPosts(pageIds, userId);
+
+        if (error) {
+            console.error('Following feed error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error fetching feed'
             });
         }
-        
+
         res.json({
             success: true,
-            data: user
+            posts,
+            pagination: {
+                nextCursor,
+                hasNext: nextCursor !== null
+            }
         });
-        
+
     } catch (error) {
-        console.error('Get current user error:', error);
+        console.error('Following feed error:', error);
         res.status(500).json({
             success: false,
-            message: 'Error fetching user profile'
+            message: 'Server error fetching feed'
         });
     }
 });
 
-// @route   GET /api/users/:username
-// @desc    Get user profile by username
-// @access  Public
-router.get('/:username', async (req, res) => {
+// @route   GET /api/users/me/privacy
+// @desc    The current user's privacy settings
+// @access  Private
+router.get('/me/privacy', authenticateToken, async (req, res) => {
     try {
-        const { username } = req.params;
-        
-        const user = await User.findOne({ username })
-            .select('-password -email -emailVerificationToken -passwordResetToken -passwordResetExpires -isEmailVerified')
-            .populate('followers', 'name username avatar')
-            .populate('following', 'name username avatar');
-        
-        if (!user || user.isDeleted) {
+        const { data: user, error } = await supabase
+            .from('users')
+            .select('hide_activity, hide_branch')
+            .eq('id', req.user.userId)
+            .single();
+
+        if (error || !user) {
             return res.status(404).json({
                 success: false,
                 message: 'User not found'
             });
         }
-        
-        // Get user's recent posts
-        const recentPosts = await Post.find({
-            author: user._id,
-            isDeleted: false
-        })
-        .select('title category createdAt votes.score commentsCount')
-        .sort({ createdAt: -1 })
-        .limit(5);
-        
-        // Get user's recent comments
-        const recentComments = await Comment.find({
-            author: user._id,
-            isDeleted: false
-        })
-        .populate('post', 'title')
-        .select('content createdAt votes.score post')
-        .sort({ createdAt: -1 })
-        .limit(5);
-        
-        const userData = user.toObject();
-        userData.recentPosts = recentPosts;
-        userData.recentComments = recentComments;
-        
+
         res.json({
             success: true,
-            data: userData
+            privacy: {
+                hideActivity: user.hide_activity,
+                hideBranch: user.hide_branch
+            }
         });
-        
+
     } catch (error) {
-        console.error('Get user profile error:', error);
+        console.error('Privacy settings fetch error:', error);
         res.status(500).json({
             success: false,
-            message: 'Error fetching user profile'
+            message: 'Server error fetching privacy settings'
         });
     }
 });
 
-// @route   PUT /api/users/me
-// @desc    Update current user profile
+// @route   PUT /api/users/me/privacy
+// @desc    Hide your activity tabs (hideActivity) and/or your branch and year
+//          (hideBranch) from other users
 // @access  Private
-router.put('/me', authenticateToken, userRateLimit(10, 60 * 60 * 1000), async (req, res) => {
+router.put('/me/privacy', authenticateToken, async (req, res) => {
     try {
-        const {
-            name,
-            bio,
-            avatar,
-            branch,
-            year,
-            interests,
-            socialLinks,
-            preferences
-        } = req.body;
-        
-        const user = await User.findById(req.user._id);
-        
-        if (!user) {
-            return res.status(404).json({
+        const { hideActivity, hideBranch } = req.body;
+        const updateData = {};
+
+        if (hideActivity !== undefined) updateData.hide_activity = hideActivity;
+        if (hideBranch !== undefined) updateData.hide_branch = hideBranch;
+
+        if (Object.keys(updateData).length === 0 || Object.values(updateData).some(value => typeof value !== 'boolean')) {
+            return res.status(400).json({
                 success: false,
-                message: 'User not found'
+                message: 'Send hideActivity and/or hideBranch as true or false'
             });
         }
-        
-        // Update allowed fields
-        if (name && name.trim()) {
-            user.name = name.trim();
-        }
-        
-        if (bio !== undefined) {
-            user.bio = bio ? bio.trim() : '';
-        }
-        
-        if (avatar) {
-            user.avatar = avatar;
-        }
-        
-        if (branch) {
-            user.branch = branch;
-        }
-        
-        if (year && year >= 1 && year <= 4) {
-            user.year = year;
-        }
-        
-        if (interests && Array.isArray(interests)) {
-            user.interests = interests.map(interest => interest.toString().trim()).filter(i => i.length > 0);
-        }
-        
-        if (socialLinks && typeof socialLinks === 'object') {
-            user.socialLinks = {
-                ...user.socialLinks,
-                ...socialLinks
-            };
+
+        const { data: user, error } = await supabase
+            .from('users')
+            .update(updateData)
+            .eq('id', req.user.userId)
+            .select('hide_activity, hide_branch')
+            .single();
+
+        if (error) {
+            console.error('Privacy settings update error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error updating privacy settings'
+            });
         }
-        
-        if (preferences && typeof preferences === 'object') {
-            user.preferences = {
-                ...user.preferences,
-                ...preferences
-            };
+
+        res.json({
+            success: true,
+            message: 'Privacy settings updated',
+            privacy: {
+                hideActivity: user.hide_activity,
+                hideBranch: user.hide_branch
+            }
+        });
+
+    } catch (error) {
+        console.error('Privacy settings update error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error updating privacy settings'
+        });
+    }
+});
+
+// @route   GET /api/users/me/hidden
+// @desc    The users the current user blocked or muted and the categories
+//          they muted
+// @access  Private
+router.get('/me/hidden', authenticateToken, async (req, res) => {
+    try {
+        const userId = req.user.userId;
+
+        const [
+            { data: blocks, error: blocksError },
+            { data: mutes, error: mutesError },
+            { data: categoryMutes, error: categoriesError }
+        ] = await Promise.all([
+            supabase
+                .from('user_blocks')
+                .select(`created_at, user:users!user_blocks_blocked_id_fkey(${PUBLIC_USER_FIELDS})`)
+                .eq('blocker_id', userId)
+                .order('created_at', { ascending: false }),
+            supabase
+                .from('user_mutes')
+                .select(`created_at, user:users!user_mutes_muted_id_fkey(${PUBLIC_USER_FIELDS})`)
+                .eq('muter_id', userId)
+                .order('created_at', { ascending: false }),
+            supabase
+                .from('category_mutes')
+                .select('category_slug')
+                .eq('user_id', userId)
+        ]);
+
+        const error = blocksError || mutesError || categoriesError;
+
+        if (error) {
+            console.error('Hidden content fetch error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error fetching blocked and muted users'
+            });
         }
-        
-        await user.save();
-        
-        // Return user without sensitive data
-        const updatedUser = await User.findById(user._id)
-            .select('-password -emailVerificationToken -passwordResetToken -passwordResetExpires');
-        
+
         res.json({
             success: true,
-            message: 'Profile updated successfully',
-            data: updatedUser
+            blocked: blocks.map(row => ({ ...row.user, blocked_at: row.created_at })),
+            muted: mutes.map(row => ({ ...row.user, muted_at: row.created_at })),
+            mutedCategories: categoryMutes.map(row => row.category_slug)
         });
-        
+
     } catch (error) {
-        console.error('Update profile error:', error);
-        
-        if (error.name === 'ValidationError') {
-            const errors = Object.values(error.errors).map(err => err.message);
+        console.error('Hidden content fetch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching blocked and muted users'
+        });
+    }
+});
+
+// @route   GET /api/users/search
+// @desc    Find users by username or name (?q). Users who blocked the
+//          searcher are left out.
+// @access  Public
+router.get('/search', optionalAuth, async (req, res) => {
+    try {
+        // Characters that would break out of the PostgREST filter
+        const term = String(req.query.q || '').replace(/[,()%*\\"]/g, ' ').trim();
+
+        if (term.length < 2) {
             return res.status(400).json({
                 success: false,
-                message: errors[0]
+                message: 'Search query must be at least 2 characters'
+            });
+        }
+
+        let query = supabase
+            .from('users')
+            .select(PUBLIC_USER_FIELDS)
+            .or(`username.ilike.%${term}%,name.ilike.%${term}%`)
+            .order('reputation', { ascending: false })
+            .limit(SEARCH_LIMIT);
+
+        const blockedByIds = await getBlockedByIds(req.user?.userId);
+
+        if (blockedByIds.length > 0) {
+            query = query.not('id', 'in', toFilterList(blockedByIds));
+        }
+
+        const { data: users, error } = await query;
+
+        if (error) {
+            console.error('User search error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error searching users'
             });
         }
-        
+
+        res.json({
+            success: true,
+            users
+        });
+
+    } catch (error) {
+        console.error('User search error:', error);
         res.status(500).json({
             success: false,
-            message: 'Error updating profile'
+            message: 'Server error searching users'
         });
     }
 });
 
 // @route   POST /api/users/:userId/follow
-// @desc    Follow/unfollow a user
+// @desc    Follow a user (following twice is a no-op). Not allowed across a
+//          block, in either direction.
 // @access  Private
 router.post('/:userId/follow', authenticateToken, userRateLimit(20, 60 * 60 * 1000), async (req, res) => {
     try {
-        const { userId } = req.params;
-        
-        if (userId === req.user._id.toString()) {
-            return res.status(400).json({
+        const user = await checkTargetUser(req, res, 'follow');
+        if (!user) return;
+
+        if (await isBlockedBetween(req.user.userId, user.id)) {
+            return res.status(403).json({
                 success: false,
-                message: 'You cannot follow yourself'
+                message: 'You cannot follow this user'
             });
         }
-        
-        const userToFollow = await User.findById(userId);
-        const currentUser = await User.findById(req.user._id);
-        
-        if (!userToFollow || userToFollow.isDeleted) {
-            return res.status(404).json({
+
+        const { error } = await supabase
+            .from('follows')
+            .upsert({
+                follower_id: req.user.userId,
+                following_id: user.id
+            }, { onConflict: 'follower_id,following_id', ignoreDuplicates: true });
+
+        if (error) {
+            console.error('Follow user error:', error);
+            return res.status(500).json({
                 success: false,
-                message: 'User not found'
-            });
-        }
-        
-        const isFollowing = currentUser.following.includes(userId);
-        
-        if (isFollowing) {
-            // Unfollow
-            currentUser.following = currentUser.following.filter(
-                id => id.toString() !== userId
-            );
-            userToFollow.followers = userToFollow.followers.filter(
-                id => id.toString() !== req.user._id.toString()
-            );
-            
-            // Update stats
-            currentUser.stats.followingCount = Math.max(0, currentUser.stats.followingCount - 1);
-            userToFollow.stats.followersCount = Math.max(0, userToFollow.stats.followersCount - 1);
-            
-            await Promise.all([currentUser.save(), userToFollow.save()]);
-            
-            res.json({
-                success: true,
-                message: 'User unfollowed successfully',
-                data: { following: false, followersCount: userToFollow.stats.followersCount }
-            });
-        } else {
-            // Follow
-            currentUser.following.push(userId);
-            userToFollow.followers.push(req.user._id);
-            
-            // Update stats
-            currentUser.stats.followingCount += 1;
-            userToFollow.stats.followersCount += 1;
-            
-            await Promise.all([currentUser.save(), userToFollow.save()]);
-            
-            res.json({
-                success: true,
-                message: 'User followed successfully',
-                data: { following: true, followersCount: userToFollow.stats.followersCount }
+                message: 'Error following user'
             });
         }
-        
+
+        res.json({
+            success: true,
+            message: 'User followed successfully',
+            following: true,
+            followerCount: await getFollowerCount(user.id)
+        });
+
     } catch (error) {
         console.error('Follow user error:', error);
         res.status(500).json({
             success: false,
-            message: 'Error following/unfollowing user'
+            message: 'Server error following user'
         });
     }
 });
 
-// @route   GET /api/users/:username/posts
-// @desc    Get user's posts
-// @access  Public
-router.get('/:username/posts', async (req, res) => {
+// @route   DELETE /api/users/:userId/follow
+// @desc    Unfollow a user
+// @access  Private
+router.delete('/:userId/follow', authenticateToken, userRateLimit(20, 60 * 60 * 1000), async (req, res) => {
     try {
-        const { username } = req.params;
-        const { page = 1, limit = 10, sort = 'new' } = req.query;
-        
-        const pageNum = parseInt(page);
-        const limitNum = parseInt(limit);
-        const skip = (pageNum - 1) * limitNum;
-        
-        const user = await User.findOne({ username });
-        if (!user || user.isDeleted) {
-            return res.status(404).json({
+        const user = await checkTargetUser(req, res, 'follow');
+        if (!user) return;
+
+        const { error } = await supabase
+            .from('follows')
+            .delete()
+            .eq('follower_id', req.user.userId)
+            .eq('following_id', user.id);
+
+        if (error) {
+            console.error('Unfollow user error:', error);
+            return res.status(500).json({
                 success: false,
-                message: 'User not found'
+                message: 'Error unfollowing user'
             });
         }
-        
-        let sortQuery = {};
-        switch (sort) {
-            case 'new':
-                sortQuery = { createdAt: -1 };
-                break;
-            case 'top':
-                sortQuery = { 'votes.score': -1, createdAt: -1 };
-                break;
-            case 'old':
-                sortQuery = { createdAt: 1 };
-                break;
-            default:
-                sortQuery = { createdAt: -1 };
-        }
-        
-        const posts = await Post.find({
-            author: user._id,
-            isDeleted: false
-        })
-        .populate('author', 'name username avatar branch year')
-        .sort(sortQuery)
-        .skip(skip)
-        .limit(limitNum);
-        
-        const total = await Post.countDocuments({
-            author: user._id,
-            isDeleted: false
-        });
-        
+
         res.json({
             success: true,
-            data: {
-                posts,
-                user: {
-                    name: user.name,
-                    username: user.username,
-                    avatar: user.avatar
-                },
-                pagination: {
-                    page: pageNum,
-                    limit: limitNum,
-                    total,
-                    pages: Math.ceil(total / limitNum),
-                    hasNext: pageNum * limitNum < total,
-                    hasPrev: pageNum > 1
-                }
-            }
+            message: 'User unfollowed successfully',
+            following: false,
+            followerCount: await getFollowerCount(user.id)
         });
-        
+
     } catch (error) {
-        console.error('Get user posts error:', error);
+        console.error('Unfollow user error:', error);
         res.status(500).json({
             success: false,
-            message: 'Error fetching user posts'
+            message: 'Server error unfollowing user'
         });
     }
 });
 
-// @route   GET /api/users/:username/comments
-// @desc    Get user's comments
-// @access  Public
-router.get('/:username/comments', async (req, res) => {
+// @route   POST /api/users/:userId/block
+// @route   POST /api/users/:userId/mute
+// @desc    Block a user (hides their content, stops replies and
+//          notifications between you and unfollows both ways) or mute them
+//          (only hides their content)
+// @access  Private
+router.post('/:userId/:action(block|mute)', authenticateToken, userRateLimit(20, 60 * 60 * 1000), async (req, res) => {
     try {
-        const { username } = req.params;
-        const { page = 1, limit = 20 } = req.query;
-        
-        const pageNum = parseInt(page);
-        const limitNum = parseInt(limit);
-        const skip = (pageNum - 1) * limitNum;
-        
-        const user = await User.findOne({ username });
-        if (!user || user.isDeleted) {
-            return res.status(404).json({
+        const { action } = req.params;
+        const { table, ownColumn, otherColumn, done, doing } = USER_ACTIONS[action];
+
+        const user = await checkTargetUser(req, res, action);
+        if (!user) return;
+
+        const { error } = await supabase
+            .from(table)
+            .upsert({
+                [ownColumn]: req.user.userId,
+                [otherColumn]: user.id
+            }, { onConflict: `${ownColumn},${otherColumn}`, ignoreDuplicates: true });
+
+        if (error) {
+            console.error(`User ${action} error:`, error);
+            return res.status(500).json({
                 success: false,
-                message: 'User not found'
+                message: `Error ${doing} user`
             });
         }
-        
-        const comments = await Comment.find({
-            author: user._id,
-            isDeleted: false
-        })
-        .populate('author', 'name username avatar branch year')
-        .populate('post', 'title category')
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(limitNum);
-        
-        const total = await Comment.countDocuments({
-            author: user._id,
-            isDeleted: false
-        });
-        
+
+        if (action === 'block') {
+            const { error: unfollowError } = await supabase
+                .from('follows')
+                .delete()
+                .or(`and(follower_id.eq.${req.user.userId},following_id.eq.${user.id}),and(follower_id.eq.${user.id},following_id.eq.${req.user.userId})`);
+
+            if (unfollowError) {
+                console.error('Block unfollow error:', unfollowError);
+            }
+        }
+
         res.json({
             success: true,
-            data: {
-                comments,
-                user: {
-                    name: user.name,
-                    username: user.username,
-                    avatar: user.avatar
-                },
-                pagination: {
-                    page: pageNum,
-                    limit: limitNum,
-                    total,
-                    pages: Math.ceil(total / limitNum),
-                    hasNext: pageNum * limitNum < total,
-                    hasPrev: pageNum > 1
-                }
-            }
+            message: `User ${done}`,
+            [done]: true
         });
-        
+
     } catch (error) {
-        console.error('Get user comments error:', error);
+        console.error(`User ${req.params.action} error:`, error);
         res.status(500).json({
             success: false,
-            message: 'Error fetching user comments'
+            message: `Server error ${USER_ACTIONS[req.params.action].doing} user`
         });
     }
 });
 
-// @route   GET /api/users/me/saved
-// @desc    Get user's saved posts
+// @route   DELETE /api/users/:userId/block
+// @route   DELETE /api/users/:userId/mute
+// @desc    Unblock / unmute a user
 // @access  Private
-router.get('/me/saved', authenticateToken, async (req, res) => {
+router.delete('/:userId/:action(block|mute)', authenticateToken, userRateLimit(20, 60 * 60 * 1000), async (req, res) => {
     try {
-        const { page = 1, limit = 10 } = req.query;
-        
-        const pageNum = parseInt(page);
-        const limitNum = parseInt(limit);
-        const skip = (pageNum - 1) * limitNum;
-        
-        const user = await User.findById(req.user._id)
-            .populate({
-                path: 'savedPosts',
-                match: { isDeleted: false },
-                populate: { path: 'author', select: 'name username avatar branch year' },
-                options: {
-                    sort: { createdAt: -1 },
-                    skip: skip,
-                    limit: limitNum
-                }
+        const { action } = req.params;
+        const { table, ownColumn, otherColumn, done, doing } = USER_ACTIONS[action];
+
+        const user = await checkTargetUser(req, res, action);
+        if (!user) return;
+
+        const { error } = await supabase
+            .from(table)
+            .delete()
+            .eq(ownColumn, req.user.userId)
+            .eq(otherColumn, user.id);
+
+        if (error) {
+            console.error(`User un${action} error:`, error);
+            return res.status(500).json({
+                success: false,
+                message: `Error un${doing} user`
             });
-        
-        const totalSaved = await User.aggregate([
-            { $match: { _id: req.user._id } },
-            {
-                $lookup: {
-                    from: 'posts',
-                    localField: 'savedPosts',
-                    foreignField: '_id',
-                    as: 'savedPostsData'
-                }
-            },
-            {
-                $project: {
-                    savedCount: {
-                        $size: {
-                            $filter: {
-                                input: '$savedPostsData',
-                                cond: { $eq: ['$$this.isDeleted', false] }
-                            }
-                        }
-                    }
-                }
-            }
-        ]);
-        
-        const total = totalSaved[0]?.savedCount || 0;
-        
+        }
+
         res.json({
             success: true,
-            data: {
-                posts: user.savedPosts,
-                pagination: {
-                    page: pageNum,
-                    limit: limitNum,
-                    total,
-                    pages: Math.ceil(total / limitNum),
-                    hasNext: pageNum * limitNum < total,
-                    hasPrev: pageNum > 1
-                }
-            }
+            message: `User un${done}`,
+            [done]: false
         });
-        
+
     } catch (error) {
-        console.error('Get saved posts error:', error);
+        console.error(`User un${req.params.action} error:`, error);
         res.status(500).json({
             success: false,
-            message: 'Error fetching saved posts'
+            message: `Server error un${USER_ACTIONS[req.params.action].doing} user`
         });
     }
 });
 
-// @route   GET /api/users/me/feed
-// @desc    Get personalized feed for current user
-// @access  Private
-router.get('/me/feed', authenticateToken, async (req, res) => {
+// @route   GET /api/users/:username/followers
+// @route   GET /api/users/:username/following
+// @desc    A user's followers / the users they follow, most recent first
+//          (cursor paginated)
+// @access  Public
+router.get('/:username/:list(followers|following)', optionalAuth, async (req, res) => {
     try {
-        const { page = 1, limit = 10 } = req.query;
-        
-        const pageNum = parseInt(page);
-        const limitNum = parseInt(limit);
-        const skip = (pageNum - 1) * limitNum;
-        
-        const user = await User.findById(req.user._id);
-        
-        // Get posts from followed users and user's interests
-        let query = {
-            isDeleted: false,
-            $or: []
-        };
-        
-        // Posts from followed users
-        if (user.following.length > 0) {
-            query.$or.push({ author: { $in: user.following } });
+        const { username, list } = req.params;
+        const { after } = req.query;
+        const { ownColumn, otherColumn } = FOLLOW_LISTS[list];
+        const limit = pageSize(req);
+
+        const { data: user } = await supabase
+            .from('users')
+            .select('id, follower_count, following_count')
+            .eq('username', username)
+            .single();
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const { query, error: cursorError } = applyKeysetCursor(
+            supabase
+                .from('follows')
+                .select(`created_at, user:users!follows_${otherColumn}_fkey(${PUBLIC_USER_FIELDS})`)
+                .eq(ownColumn, user.id)
+                .order('created_at', { ascending: false })
+                .order(otherColumn, { ascending: false })
+                .limit(limit + 1),
+            after,
+            otherColumn
+        );
+
+        if (cursorError) {
+            return res.status(400).json({
+                success: false,
+                message: cursorError
+            });
+        }
+
+        const { data: rows, error } = await query;
+
+        if (error) {
+            console.error('Follow list fetch error:', error);
+            return res.status(500).json({
+                success: false,
+                message: `Error fetching ${list}`
+            });
         }
-        
-        // Posts from user's interest categories
-        if (user.interests.length > 0) {
-            query.$or.push({ category: { $in: user.interests } });
+
+        const { pageRows, pagination } = toPage(rows, limit, row => row.user.id);
+        const followedIds = await getFollowedIds(req.user?.userId, pageRows.map(row => row.user.id));
+
+        res.json({
+            success: true,
+            users: pageRows.map(row => ({
+                ...row.user,
+                followed_at: row.created_at,
+                is_following: followedIds.has(row.user.id)
+            })),
+            total: list === 'followers' ? user.follower_count : user.following_count,
+            pagination
+        });
+
+    } catch (error) {
+        console.error('Follow list fetch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching follow list'
+        });
+    }
+});
+
+// @route   GET /api/users/:username
+// @desc    Public profile: karma split into post and comment karma, cake day,
+//          branch/year badges (unless hidden) and follower counts
+// @access  Public
+router.get('/:username', optionalAuth, async (req, res) => {
+    try {
+        const { data: user } = await supabase
+            .from('users')
+            .select(PROFILE_FIELDS)
+            .eq('username', req.params.username)
+            .single();
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
         }
-        
-        // If no following or interests, get general posts
-        if (query.$or.length === 0) {
-            delete query.$or;
+
+        const viewerId = req.user?.userId;
+        const isSelf = user.id === viewerId;
+
+        const [{ data: karmaRows, error: karmaError }, followedIds, relation] = await Promise.all([
+            supabase.rpc('get_user_karma', { p_user_id: user.id }),
+            getFollowedIds(isSelf ? null : viewerId, [user.id]),
+            getViewerRelation(viewerId, user.id)
+        ]);
+
+        if (karmaError) {
+            console.error('Karma fetch error:', karmaError);
         }
-        
-        const posts = await Post.find(query)
-            .populate('author', 'name username avatar branch year')
-            .sort({ createdAt: -1 })
-            .skip(skip)
-            .limit(limitNum);
-        
-        // Add user vote information
-        const postsWithVotes = posts.map(post => {
-            const postObj = post.toObject();
-            postObj.userVote = post.getUserVote(req.user._id);
-            return postObj;
-        });
-        
-        const total = await Post.countDocuments(query);
-        
+
+        const karma = karmaRows?.[0] || { post_karma: 0, comment_karma: 0 };
+        const showBranch = isSelf || !user.hide_branch;
+        const studyYear = showBranch ? yearOfStudy(user.year) : null;
+        const joined = new Date(user.created_at);
+        const today = new Date();
+
         res.json({
             success: true,
-            data: {
-                posts: postsWithVotes,
-                pagination: {
-                    page: pageNum,
-                    limit: limitNum,
-                    total,
-                    pages: Math.ceil(total / limitNum),
-                    hasNext: pageNum * limitNum < total,
-                    hasPrev: pageNum > 1
-                }
+            profile: {
+                id: user.id,
+                name: user.name,
+                username: user.username,
+                avatar_url: user.avatar_url,
+                bio: user.bio,
+                is_verified: user.is_verified,
+                karma: {
+                    post: karma.post_karma,
+                    comment: karma.comment_karma,
+                    total: karma.post_karma + karma.comment_karma
+                },
+                cake_day: user.created_at,
+                is_cake_day: joined.getUTCMonth() === today.getUTCMonth() &&
+                    joined.getUTCDate() === today.getUTCDate() &&
+                    joined.getUTCFullYear() < today.getUTCFullYear(),
+                branch: showBranch ? user.branch || null : null,
+                year_of_study: studyYear,
+                year_label: YEAR_LABELS[studyYear] || null,
+                follower_count: user.follower_count,
+                following_count: user.following_count,
+                activity_hidden: user.hide_activity && !isSelf,
+                is_self: isSelf,
+                is_following: followedIds.has(user.id),
+                is_blocked: relation.isBlocked,
+                is_muted: relation.isMuted,
+                ...(isSelf && {
+                    privacy: {
+                        hideActivity: user.hide_activity,
+                        hideBranch: user.hide_branch
+                    }
+                })
             }
         });
-        
+
     } catch (error) {
-        console.error('Get user feed error:', error);
+        console.error('Profile fetch error:', error);
         res.status(500).json({
             success: false,
-            message: 'Error fetching user feed'
+            message: 'Server error fetching profile'
         });
     }
 });
 
-// @route   DELETE /api/users/me
-// @desc    Delete user account (soft delete)
-// @access  Private
-router.delete('/me', authenticateToken, async (req, res) => {
+// @route   GET /api/users/:username/posts
+// @desc    A user's published posts, newest first (cursor paginated)
+// @access  Public (unless the user hides their activity)
+router.get('/:username/posts', optionalAuth, async (req, res) => {
     try {
-        const { password } = req.body;
-        
-        if (!password) {
+        const user = await findActivityOwner(req, res);
+        if (!user) return;
+
+        const limit = pageSize(req);
+        const { query, error: cursorError } = applyKeysetCursor(
+            supabase
+                .from('posts')
+                .select('id, created_at')
+                .eq('author_id', user.id)
+                .eq('is_deleted', false)
+                .eq('status', 'published')
+                .order('created_at', { ascending: false })
+                .order('id', { ascending: false })
+                .limit(limit + 1),
+            req.query.after,
+            'id'
+        );
+
+        if (cursorError) {
             return res.status(400).json({
                 success: false,
-                message: 'Password is required to delete account'
+                message: cursorError
             });
         }
-        
-        const user = await User.findById(req.user._id).select('+password');
-        
-        // Verify password
-        const isPasswordValid = await user.comparePassword(password);
-        if (!isPasswordValid) {
-            return res.status(400).json({
+
+        const { data: rows, error } = await query;
+
+        if (error) {
+            console.error('User posts fetch error:', error);
+            return res.status(500).json({
                 success: false,
-                message: 'Invalid password'
+                message: 'Error fetching posts'
             });
         }
-        
-        // Soft delete user
-        user.isDeleted = true;
-        user.deletedAt = new Date();
-        user.email = `deleted_${user._id}@deleted.com`; // Anonymize email
-        user.username = `deleted_user_${user._id}`;
-        
-        await user.save();
-        
+
+        const { pageRows, pagination } = toPage(rows, limit, row => row.id);
+        const { posts, error: loadError } = await loadFeedPosts(pageRows.map(row => row.id), req.user?.userId);
+
+        if (loadError) {
+            console.error('User posts fetch error:', loadError);
+            return res.status(500).json({
+                success: false,
+                message: 'Error fetching posts'
+            });
+        }
+
         res.json({
             success: true,
-            message: 'Account deleted successfully'
+            posts,
+            pagination
         });
-        
+
     } catch (error) {
-        console.error('Delete user account error:', error);
+        console.error('User posts fetch error:', error);
         res.status(500).json({
             success: false,
-            message: 'Error deleting account'
+            message: 'Server error fetching posts'
         });
     }
 });
 
-// @route   GET /api/users/search
-// @desc    Search users by name or username
-// @access  Public
-router.get('/search', async (req, res) => {
+// @route   GET /api/users/:username/comments
+// @desc    A user's comments on live posts, newest first (cursor paginated)
+// @access  Public (unless the user hides their activity)
+router.get('/:username/comments', optionalAuth, async (req, res) => {
     try {
-        const { q, limit = 10 } = req.query;
-        
-        if (!q || q.trim().length < 2) {
+        const user = await findActivityOwner(req, res);
+        if (!user) return;
+
+        const limit = pageSize(req);
+        const { query, error: cursorError } = applyKeysetCursor(
+            supabase
+                .from('comments')
+                .select(`
+                    id, content, content_html, post_id, parent_id, upvotes, downvotes, score, created_at,
+                    post:posts!inner(id, title, category)
+                `)
+                .eq('author_id', user.id)
+                .eq('is_deleted', false)
+                .eq('post.is_deleted', false)
+                .eq('post.status', 'published')
+                .order('created_at', { ascending: false })
+                .order('id', { ascending: false })
+                .limit(limit + 1),
+            req.query.after,
+            'id'
+        );
+
+        if (cursorError) {
             return res.status(400).json({
                 success: false,
-                message: 'Search query must be at least 2 characters long'
+                message: cursorError
+            });
+        }
+
+        const { data: rows, error } = await query;
+
+        if (error) {
+            console.error('User comments fetch error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error fetching comments'
             });
         }
-        
-        const searchRegex = new RegExp(q.trim(), 'i');
-        
-        const users = await User.find({
-            isDeleted: false,
-            $or: [
-                { name: { $regex: searchRegex } },
-                { username: { $regex: searchRegex } }
-            ]
-        })
-        .select('name username avatar branch year stats.karmaScore')
-        .limit(parseInt(limit))
-        .sort({ 'stats.karmaScore': -1 });
-        
+
+        const { pageRows, pagination } = toPage(rows, limit, row => row.id);
+
+        pageRows.forEach(comment => {
+            if (comment.content_html == null) {
+                comment.content_html = renderMarkdown(comment.content);
+            }
+        });
+
         res.json({
             success: true,
-            data: {
-                users,
-                query: q.trim()
-            }
+            comments: pageRows,
+            pagination
         });
-        
+
     } catch (error) {
-        console.error('Search users error:', error);
+        console.error('User comments fetch error:', error);
         res.status(500).json({
             success: false,
-            message: 'Error searching users'
+            message: 'Server error fetching comments'
         });
     }
 });
 
-// @route   GET /api/users/leaderboard
-// @desc    Get user leaderboard by karma
-// @access  Public
-router.get('/leaderboard', async (req, res) => {
+// @route   GET /api/users/:username/events
+// @desc    Events the user attended, most recent first (cursor paginated)
+// @access  Public (unless the user hides their activity)
+router.get('/:username/events', optionalAuth, async (req, res) => {
     try {
-        const { limit = 20, timeframe = 'all' } = req.query;
-        
-        let dateFilter = {};
-        if (timeframe !== 'all') {
-            let days = 30; // Default to 30 days
-            switch (timeframe) {
-                case 'week': days = 7; break;
-                case 'month': days = 30; break;
-                case 'year': days = 365; break;
-            }
-            
-            dateFilter.createdAt = {
-                $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000)
-            };
+        const user = await findActivityOwner(req, res);
+        if (!user) return;
+
+        const limit = pageSize(req);
+        const { query, error: cursorError } = applyKeysetCursor(
+            supabase
+                .from('event_attendees')
+                .select('event_id, created_at, event:events(id, title, date, location, category, image_url)')
+                .eq('user_id', user.id)
+                .order('created_at', { ascending: false })
+                .order('event_id', { ascending: false })
+                .limit(limit + 1),
+            req.query.after,
+            'event_id'
+        );
+
+        if (cursorError) {
+            return res.status(400).json({
+                success: false,
+                message: cursorError
+            });
         }
-        
-        const users = await User.find({
-            isDeleted: false,
-            ...dateFilter
-        })
-        .select('name username avatar branch year stats')
-        .sort({ 'stats.karmaScore': -1 })
-        .limit(parseInt(limit));
-        
+
+        const { data: rows, error } = await query;
+
+        if (error) {
+            console.error('User events fetch error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Error fetching events'
+            });
+        }
+
+        const { pageRows, pagination } = toPage(rows, limit, row => row.event_id);
+
         res.json({
             success: true,
-            data: {
-                users,
-                timeframe
-            }
+            events: pageRows.map(row => ({ ...row.event, attended_at: row.created_at })),
+            pagination
         });
-        
+
     } catch (error) {
-        console.error('Get leaderboard error:', error);
+        console.error('User events fetch error:', error);
         res.status(500).json({
             success: false,
-            message: 'Error fetching leaderboard'
+            message: 'Server error fetching events'
         });
     }
 });
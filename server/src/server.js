@@ -15,14 +15,27 @@ const authSimpleRoutes = require('./routes/authSimple');
 const emergencyRoutes = require('./routes/emergency');
 const testRoutes = require('./routes/test');
 const postsRoutes = require('./routes/posts');
-// const usersRoutes = require('./routes/users');
-// const commentsRoutes = require('./routes/comments');
+const draftsRoutes = require('./routes/drafts');
+const uploadsRoutes = require('./routes/uploads');
+const categoriesRoutes = require('./routes/categories');
+const savedRoutes = require('./routes/saved');
+const commentsRoutes = require('./routes/comments');
+const notificationsRoutes = require('./routes/notifications');
+const { router: realtimeRoutes, closeStreams } = require('./routes/realtime');
+const postPagesRoutes = require('./routes/postPages');
+const usersRoutes = require('./routes/users');
 // const eventsRoutes = require('./routes/events');
 // const newsRoutes = require('./routes/news');
 // const restaurantsRoutes = require('./routes/restaurants');
 // const searchRoutes = require('./routes/search');
 // const { router: analyticsRoutes } = require('./routes/analytics');
 
+// Import storage (local uploads are served from /uploads)
+const { getStorage } = require('./storage');
+
+// Import scheduled jobs
+const { startJobs, stopJobs } = require('./jobs');
+
 // Import middleware
 const { authenticateToken } = require('./middleware/auth');
 const errorHandler = require('./middleware/errorHandler');
@@ -150,12 +163,30 @@ app.use('/api/test', testRoutes);
 app.use('/api/auth', authLimiter, authRoutes);
 app.use('/api/auth/supabase', authLimiter, authSupabaseRoutes);
 app.use('/api/auth/simple', authLimiter, authSimpleRoutes);
+app.use('/api/posts/drafts', draftsRoutes); // before /api/posts so /:id doesn't match "drafts"
 app.use('/api/posts', postsRoutes);
+app.use('/api/uploads', uploadsRoutes);
+app.use('/api/categories', categoriesRoutes);
+app.use('/api/saved', savedRoutes);
+app.use('/api/comments', commentsRoutes);
+app.use('/api/notifications', notificationsRoutes);
+app.use('/api/realtime', realtimeRoutes);
+app.use('/api/users', usersRoutes);
+
+// Shareable post links with OpenGraph tags (before the client catch-all)
+app.use('/p', postPagesRoutes);
+
+// Locally stored uploads (STORAGE_DRIVER=local)
+const storage = getStorage();
+if (storage.name === 'local') {
+    app.use(storage.publicPath, express.static(storage.uploadDir, {
+        maxAge: '1y',
+        immutable: true
+    }));
+}
 
 // Static files - serve client files (AFTER API routes)
 app.use(express.static(path.join(__dirname, '../../client')));
-// app.use('/api/users', usersRoutes);
-// app.use('/api/comments', commentsRoutes);
 // app.use('/api/events', eventsRoutes);
 // app.use('/api/news', newsRoutes);
 // app.use('/api/restaurants', restaurantsRoutes);
@@ -172,8 +203,13 @@ app.get('/api', (req, res) => {
         endpoints: {
             auth: '/api/auth',
             posts: '/api/posts',
+            uploads: '/api/uploads',
+            categories: '/api/categories',
+            saved: '/api/saved',
             users: '/api/users',
             comments: '/api/comments',
+            notifications: '/api/notifications',
+            realtime: '/api/realtime',
             events: '/api/events',
             news: '/api/news',
             restaurants: '/api/restaurants',
@@ -200,12 +236,16 @@ const startServer = async () => {
             console.log(`🔍 Health Check: http://0.0.0.0:${PORT}/health`);
             console.log(`🩺 API Health: http://0.0.0.0:${PORT}/api/health`);
             console.log(`✅ Supabase client initialized`);
+            startJobs();
         });
 
         // Handle server shutdown gracefully
         const gracefulShutdown = async (signal) => {
             console.log(`🔄 ${signal} received. Shutting down gracefully...`);
+            stopJobs();
             
+            // Open event streams would otherwise keep the server from closing
+            closeStreams();
             server.close(() => {
                 console.log('✅ Server closed.');
                 process.exit(0);
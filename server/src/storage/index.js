@@ -0,0 +1,27 @@
+// Pluggable file storage
+// STORAGE_DRIVER picks the adapter: "local" (default) or "supabase".
+// Every adapter exposes: name, save(key, buffer, contentType) -> { key, url },
+// remove(key) and getPublicUrl(key).
+
+const drivers = {
+    local: () => require('./localDisk'),
+    supabase: () => require('./supabaseStorage')
+};
+
+let storage = null;
+
+const getStorage = () => {
+    if (!storage) {
+        const driver = (process.env.STORAGE_DRIVER || 'local').toLowerCase();
+
+        if (!drivers[driver]) {
+            throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected one of: ${Object.keys(drivers).join(', ')})`);
+        }
+
+        storage = drivers[driver]();
+    }
+
+    return storage;
+};
+
+module.exports = { getStorage };
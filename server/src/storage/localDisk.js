@@ -0,0 +1,38 @@
+// Local disk storage adapter
+// Files are written under UPLOAD_DIR and served by server.js at /uploads.
+const fs = require('fs/promises');
+const path = require('path');
+
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '../../uploads'));
+const PUBLIC_PATH = '/uploads';
+
+// Keys are generated by us, but never let one escape the upload directory
+const resolveKey = (key) => {
+    const filePath = path.resolve(UPLOAD_DIR, key);
+    if (!filePath.startsWith(UPLOAD_DIR + path.sep)) {
+        throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+};
+
+const save = async (key, buffer) => {
+    const filePath = resolveKey(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+    return { key, url: getPublicUrl(key) };
+};
+
+const remove = async (key) => {
+    await fs.rm(resolveKey(key), { force: true });
+};
+
+const getPublicUrl = (key) => `${PUBLIC_PATH}/${key}`;
+
+module.exports = {
+    name: 'local',
+    uploadDir: UPLOAD_DIR,
+    publicPath: PUBLIC_PATH,
+    save,
+    remove,
+    getPublicUrl
+};
@@ -0,0 +1,40 @@
+// Supabase Storage adapter
+// Uses a public bucket (SUPABASE_STORAGE_BUCKET, default "media").
+const supabase = require('../config/supabaseClient');
+
+const BUCKET = process.env.SUPABASE_STORAGE_BUCKET || 'media';
+
+const save = async (key, buffer, contentType) => {
+    const { error } = await supabase.storage
+        .from(BUCKET)
+        .upload(key, buffer, {
+            contentType,
+            cacheControl: '31536000',
+            upsert: false
+        });
+
+    if (error) {
+        throw error;
+    }
+
+    return { key, url: getPublicUrl(key) };
+};
+
+const remove = async (key) => {
+    const { error } = await supabase.storage.from(BUCKET).remove([key]);
+    if (error) {
+        throw error;
+    }
+};
+
+const getPublicUrl = (key) => {
+    return supabase.storage.from(BUCKET).getPublicUrl(key).data.publicUrl;
+};
+
+module.exports = {
+    name: 'supabase',
+    bucket: BUCKET,
+    save,
+    remove,
+    getPublicUrl
+};
@@ -0,0 +1,124 @@
+// Blocking and muting (see migrations/*_blocks_mutes.sql). Blocking hides a
+// user's content from the blocker and stops the two interacting; muting a
+// user or a category only hides content.
+const supabase = require('../config/supabaseClient');
+
+// What a user shouldn't see: the users they blocked or muted and the
+// categories they muted. Lookup failures hide nothing.
+const getHiddenContent = async (userId) => {
+    if (!userId) return { userIds: [], categories: [] };
+
+    const [{ data: users, error: usersError }, { data: categories, error: categoriesError }] = await Promise.all([
+        supabase.rpc('get_hidden_user_ids', { p_user_id: userId }),
+        supabase
+            .from('category_mutes')
+            .select('category_slug')
+            .eq('user_id', userId)
+    ]);
+
+    if (usersError || categoriesError) {
+        console.error('Hidden content fetch error:', usersError || categoriesError);
+    }
+
+    return {
+        userIds: (users || []).map(user => user.id),
+        categories: (categories || []).map(category => category.category_slug)
+    };
+};
+
+// Users who blocked `userId` (left out of their search results)
+const getBlockedByIds = async (userId) => {
+    if (!userId) return [];
+
+    const { data: blocks, error } = await supabase
+        .from('user_blocks')
+        .select('blocker_id')
+        .eq('blocked_id', userId);
+
+    if (error) {
+        console.error('Blocked-by fetch error:', error);
+        return [];
+    }
+
+    return blocks.map(block => block.blocker_id);
+};
+
+// Whether either user blocked the other
+const isBlockedBetween = async (userId, otherId) => {
+    if (!userId || !otherId || userId === otherId) return false;
+
+    const { data: blocks, error } = await supabase
+        .from('user_blocks')
+        .select('blocker_id')
+        .or(`and(blocker_id.eq.${userId},blocked_id.eq.${otherId}),and(blocker_id.eq.${otherId},blocked_id.eq.${userId})`)
+        .limit(1);
+
+    if (error) throw error;
+
+    return blocks.length > 0;
+};
+
+// Of `otherIds`, the users `userId` blocked or was blocked by, as a Set
+const getBlockedBetweenIds = async (userId, otherIds) => {
+    const others = otherIds.filter(otherId => otherId && otherId !== userId);
+    if (!userId || others.length === 0) return new Set();
+
+    const list = others.join(',');
+    const { data: blocks, error } = await supabase
+        .from('user_blocks')
+        .select('blocker_id, blocked_id')
+        .or(`and(blocker_id.eq.${userId},blocked_id.in.(${list})),and(blocked_id.eq.${userId},blocker_id.in.(${list}))`);
+
+    if (error) throw error;
+
+    return new Set(blocks.map(block => (block.blocker_id === userId ? block.blocked_id : block.blocker_id)));
+};
+
+// Of the [userId, otherId] pairs, the ones where the two shouldn't interact:
+// either blocked the other, or userId muted otherId. Returns a Set of
+// `${userId}:${otherId}` keys.
+const getHiddenPairs = async (pairs) => {
+    const pairList = pairs.filter(([userId, otherId]) => userId && otherId && userId !== otherId);
+    if (pairList.length === 0) return new Set();
+
+    const userIds = [...new Set(pairList.map(([userId]) => userId))];
+    const otherIds = [...new Set(pairList.map(([, otherId]) => otherId))];
+    const everyone = [...new Set([...userIds, ...otherIds])];
+
+    const [{ data: blocks }, { data: mutes }] = await Promise.all([
+        supabase
+            .from('user_blocks')
+            .select('blocker_id, blocked_id')
+            .in('blocker_id', everyone)
+            .in('blocked_id', everyone),
+        supabase
+            .from('user_mutes')
+            .select('muter_id, muted_id')
+            .in('muter_id', userIds)
+            .in('muted_id', otherIds)
+    ]);
+
+    const hidden = new Set();
+
+    (blocks || []).forEach(block => {
+        hidden.add(`${block.blocker_id}:${block.blocked_id}`);
+        hidden.add(`${block.blocked_id}:${block.blocker_id}`);
+    });
+    (mutes || []).forEach(mute => {
+        hidden.add(`${mute.muter_id}:${mute.muted_id}`);
+    });
+
+    return hidden;
+};
+
+// A quoted list for PostgREST `in` / `not.in` filters
+const toFilterList = (values) => `(${values.map(value => `"${value}"`).join(',')})`;
+
+module.exports = {
+    getHiddenContent,
+    getBlockedByIds,
+    isBlockedBetween,
+    getBlockedBetweenIds,
+    getHiddenPairs,
+    toFilterList
+};
@@ -0,0 +1,143 @@
+// Comment nesting and per-level pagination for the comments routes.
+// Ordering and paging happen in get_comment_page (see
+// migrations/*_comment_pages.sql); this assembles its pages into a tree.
+const {
+    UUID_PATTERN,
+    TIMESTAMP_PATTERN,
+    encodeCursor,
+    decodeCursor
+} = require('./cursor');
+
+const COMMENT_SORTS = ['best', 'top', 'new', 'old', 'controversial'];
+
+// Replies nested deeper than this (relative to the top of the tree being
+// rendered) are replaced by a "continue thread" link
+const MAX_DEPTH = 6;
+
+// Replies shown under each comment before a "load more replies" stub
+const REPLY_PAGE_SIZE = 5;
+
+// Cursors are only valid for the listing (parent and sort) that issued them.
+// They carry the last comment's sort key, created_at and id.
+const parseCommentCursor = (after, { sort, parentId = null }) => {
+    const cursor = decodeCursor(after);
+
+    if (!cursor
+        || cursor.s !== sort
+        || cursor.p !== parentId
+        || !Number.isFinite(cursor.k)
+        || typeof cursor.t !== 'string'
+        || !TIMESTAMP_PATTERN.test(cursor.t)
+        || typeof cursor.i !== 'string'
+        || !UUID_PATTERN.test(cursor.i)) {
+        return null;
+    }
+
+    return { k: cursor.k, t: cursor.t, i: cursor.i };
+};
+
+// Deleted comments keep their place in the thread but lose their content
+const redact = (comment) => ({
+    ...comment,
+    content: '[deleted]',
+    content_html: null,
+    author_id: null,
+    users: null
+});
+
+// Comments by users the viewer blocked or muted are handled like deleted ones,
+// flagged so the client can say why
+const hide = (comment) => ({
+    ...redact(comment),
+    content: '[hidden]',
+    is_deleted: true,
+    is_hidden: true
+});
+
+// What a viewer may see of a comment
+const maskComment = (comment, isHidden) => (
+    comment.is_deleted ? redact(comment)
+        : isHidden ? hide(comment)
+        : { ...comment }
+);
+
+// Nest get_comment_page rows under rootId (null = the post itself).
+//
+// `levels[0]` is the page of rootId's children, `levels[n]` the first replies
+// to the comments in `levels[n - 1]`; `commentsById` holds the comment rows.
+// Returns the nodes of the first level and `more` ({ count, cursor }) when
+// siblings are left. Nodes carry their replies and, when there are more, a
+// `moreReplies` stub. Nodes at the depth cap carry `continueThread` instead
+// of replies.
+const buildCommentTree = (levels, commentsById, {
+    sort = 'best',
+    rootId = null,
+    maxDepth = MAX_DEPTH
+} = {}) => {
+    const childrenByParent = new Map();
+
+    levels.slice(1).flat().forEach(row => {
+        if (!childrenByParent.has(row.parent_id)) {
+            childrenByParent.set(row.parent_id, []);
+        }
+        childrenByParent.get(row.parent_id).push(row);
+    });
+
+    // sibling_count includes the rows on this page
+    const moreAfter = (parentId, rows) => {
+        const last = rows[rows.length - 1];
+        const remaining = last ? last.sibling_count - rows.length : 0;
+
+        return remaining > 0
+            ? { count: remaining, cursor: encodeCursor({ p: parentId, s: sort, k: last.sort_key, t: last.created_at, i: last.id }) }
+            : null;
+    };
+
+    const buildNodes = (rows, level) => rows
+        // Rows deleted outright between the two queries are skipped
+        .filter(row => commentsById.has(row.id))
+        .map(row => buildNode(row, level));
+
+    const buildNode = (row, level) => {
+        const node = maskComment(commentsById.get(row.id), row.is_hidden);
+        node.replies = [];
+
+        if (row.reply_count === 0) {
+            return node;
+        }
+
+        if (level + 1 >= maxDepth) {
+            node.continueThread = { commentId: row.id, replyCount: row.reply_count };
+            return node;
+        }
+
+        const replies = childrenByParent.get(row.id) || [];
+        const more = moreAfter(row.id, replies);
+        node.replies = buildNodes(replies, level + 1);
+        if (more) {
+            node.moreReplies = more;
+        }
+
+        return node;
+    };
+
+    const rows = levels[0] || [];
+
+    return {
+        nodes: buildNodes(rows, 0),
+        more: moreAfter(rootId, rows)
+    };
+};
+
+// Every node of a built tree, depth first
+const flattenTree = (nodes) => nodes.flatMap(node => [node, ...flattenTree(node.replies)]);
+
+module.exports = {
+    COMMENT_SORTS,
+    MAX_DEPTH,
+    REPLY_PAGE_SIZE,
+    parseCommentCursor,
+    maskComment,
+    buildCommentTree,
+    flattenTree
+};
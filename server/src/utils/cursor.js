@@ -0,0 +1,33 @@
+// Opaque pagination cursors
+// Cursors are base64url-encoded JSON so clients treat them as plain strings
+// and never depend on what is inside.
+
+// For validating the ids and timestamps inside decoded cursors
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+// Cursors carry the raw created_at string so microseconds survive the round trip
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}[T ][\d:.]+(Z|[+-]\d{2}(:?\d{2})?)?$/;
+
+const encodeCursor = (payload) => {
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+// Returns null for anything that isn't a cursor we issued
+const decodeCursor = (cursor) => {
+    if (!cursor || typeof cursor !== 'string') {
+        return null;
+    }
+
+    try {
+        const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        return payload && typeof payload === 'object' ? payload : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+module.exports = {
+    UUID_PATTERN,
+    TIMESTAMP_PATTERN,
+    encodeCursor,
+    decodeCursor
+};
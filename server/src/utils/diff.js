@@ -0,0 +1,74 @@
+// Line-level text diff for post revisions
+// Uses a longest-common-subsequence table after trimming the shared prefix and
+// suffix, which keeps typical edits (a few changed lines) cheap.
+
+// Above this many changed lines on both sides the LCS table gets too large,
+// so the middle section is reported as a plain remove/add block
+const MAX_LCS_CELLS = 4 * 1000 * 1000;
+
+const splitLines = (text) => (text ? String(text).replace(/\r\n/g, '\n').split('\n') : []);
+
+// Returns [{ type: 'unchanged' | 'added' | 'removed', line }]
+const diffLines = (before, after) => {
+    const a = splitLines(before);
+    const b = splitLines(after);
+
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) {
+        start++;
+    }
+
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const prefix = a.slice(0, start).map(line => ({ type: 'unchanged', line }));
+    const suffix = a.slice(endA).map(line => ({ type: 'unchanged', line }));
+    const midA = a.slice(start, endA);
+    const midB = b.slice(start, endB);
+
+    if (midA.length * midB.length > MAX_LCS_CELLS) {
+        return [
+            ...prefix,
+            ...midA.map(line => ({ type: 'removed', line })),
+            ...midB.map(line => ({ type: 'added', line })),
+            ...suffix
+        ];
+    }
+
+    // lengths[i][j] = LCS length of midA[i:] and midB[j:]
+    const lengths = Array.from({ length: midA.length + 1 }, () => new Uint32Array(midB.length + 1));
+    for (let i = midA.length - 1; i >= 0; i--) {
+        for (let j = midB.length - 1; j >= 0; j--) {
+            lengths[i][j] = midA[i] === midB[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const middle = [];
+    let i = 0;
+    let j = 0;
+    while (i < midA.length && j < midB.length) {
+        if (midA[i] === midB[j]) {
+            middle.push({ type: 'unchanged', line: midA[i] });
+            i++;
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            middle.push({ type: 'removed', line: midA[i++] });
+        } else {
+            middle.push({ type: 'added', line: midB[j++] });
+        }
+    }
+    while (i < midA.length) middle.push({ type: 'removed', line: midA[i++] });
+    while (j < midB.length) middle.push({ type: 'added', line: midB[j++] });
+
+    return [...prefix, ...middle, ...suffix];
+};
+
+module.exports = {
+    diffLines
+};
@@ -0,0 +1,36 @@
+// Near-duplicate detection for new posts (see migrations/*_duplicate_detection.sql)
+const supabase = require('../config/supabaseClient');
+
+const SIMILARITY_THRESHOLD = 0.5;
+const DUPLICATE_WINDOW_DAYS = 30;
+const MAX_SIMILAR_POSTS = 5;
+
+// Recent posts in the same category that look like this one.
+// Lookup failures return no matches; they must never block posting.
+const findSimilarPosts = async ({ category, title, content = '', excludeId = null }) => {
+    if (!category || !title?.trim()) return [];
+
+    const { data: similarPosts, error } = await supabase.rpc('find_similar_posts', {
+        p_category: category,
+        p_title: title.trim(),
+        p_content: content?.trim() || null,
+        p_exclude_id: excludeId,
+        p_days: DUPLICATE_WINDOW_DAYS,
+        p_threshold: SIMILARITY_THRESHOLD,
+        p_limit: MAX_SIMILAR_POSTS
+    });
+
+    if (error) {
+        console.error('Similar posts lookup error:', error);
+        return [];
+    }
+
+    return similarPosts.map(post => ({
+        ...post,
+        similarity: Math.round(post.similarity * 100) / 100
+    }));
+};
+
+module.exports = {
+    findSimilarPosts
+};
@@ -0,0 +1,163 @@
+// Feed pagination and post hydration shared by the home feed (posts routes)
+// and the following feed (users routes)
+const supabase = require('../config/supabaseClient');
+const {
+    UUID_PATTERN,
+    TIMESTAMP_PATTERN,
+    encodeCursor,
+    decodeCursor
+} = require('./cursor');
+const { renderMarkdown } = require('./markdown');
+const { attachPolls } = require('./polls');
+const { attachSavedState } = require('./saved');
+
+// Cursor pagination is keyset on the feed's sort columns: a cursor holds the
+// position (sort value, created_at, id) of the last post on its page, and the
+// next page is the posts ranked after it. Nothing is stored per request, and
+// the feed's own query (with the viewer's filters and hidden users) is rerun
+// for every page.
+
+// The original a crosspost links back to (null for regular posts)
+const ORIGINAL_POST_FIELDS = `
+    original:posts!posts_crosspost_of_fkey(
+        id, title, category, status, is_deleted,
+        users!posts_author_id_fkey(username)
+    )
+`;
+
+const FEED_POST_FIELDS = `
+    *,
+    users!posts_author_id_fkey(id, name, username, avatar_url, reputation),
+    flair:flairs(id, name, colour),
+    ${ORIGINAL_POST_FIELDS}
+`;
+
+// Don't leak the title of an original that has since been deleted
+const withOriginal = (post) => {
+    if (post.original && (post.original.is_deleted || post.original.status !== 'published')) {
+        post.original = { id: post.original.id, is_deleted: true };
+    }
+    return post;
+};
+
+// Posts written before markdown rendering was cached have no content_html yet
+const withContentHtml = (post) => {
+    if (post.content_html == null) {
+        post.content_html = renderMarkdown(post.content);
+    }
+    return post;
+};
+
+// Where a post sits in a feed sorted by `sortColumn`, then created_at and id
+// (v is null when the feed sorts by created_at alone)
+const feedPosition = (post, sortColumn) => ({
+    v: sortColumn === 'created_at' ? null : post[sortColumn],
+    t: post.created_at,
+    i: post.id
+});
+
+const isFeedPosition = (position) => (
+    (position.v === null || Number.isFinite(position.v))
+    && TIMESTAMP_PATTERN.test(String(position.t))
+    && UUID_PATTERN.test(String(position.i))
+);
+
+// Posts ranked after `position` in a feed sorted by `sortColumn` (every
+// column descending)
+const applyFeedPosition = (query, sortColumn, { v, t, i }) => {
+    const olderThan = `created_at.lt."${t}",and(created_at.eq."${t}",id.lt.${i})`;
+
+    if (sortColumn === 'created_at') {
+        return query.or(olderThan);
+    }
+
+    return query.or(`${sortColumn}.lt.${v},and(${sortColumn}.eq.${v},or(${olderThan}))`);
+};
+
+// Read an `after` cursor. Returns { position, exclude } (exclude lists post
+// ids the first page put ahead of the ranking, e.g. pins), or null for
+// anything that isn't a feed cursor.
+const parseFeedCursor = (after) => {
+    const cursor = decodeCursor(after);
+
+    if (!cursor?.k || typeof cursor.k !== 'object' || !isFeedPosition(cursor.k)) {
+        return null;
+    }
+
+    const exclude = cursor.x || [];
+    if (!Array.isArray(exclude) || !exclude.every(id => UUID_PATTERN.test(String(id)))) {
+        return null;
+    }
+
+    return { position: cursor.k, exclude };
+};
+
+// The ids on a keyset page (rows fetched with limit + 1) and the cursor for
+// the next one
+const paginateKeyset = (rows, limit, sortColumn, exclude = []) => {
+    const pageRows = rows.slice(0, limit);
+    const lastRow = pageRows[pageRows.length - 1];
+
+    return {
+        pageIds: pageRows.map(row => row.id),
+        nextCursor: rows.length > limit
+            ? encodeCursor({
+                k: feedPosition(lastRow, sortColumn),
+                ...(exclude.length > 0 && { x: exclude })
+            })
+            : null
+    };
+};
+
+// Fetch a page of posts in `pageIds` order, with the viewer's votes, poll
+// state and saved state. Posts deleted or unpublished since ranking drop out.
+const loadFeedPosts = async (pageIds, userId = null) => {
+    if (pageIds.length === 0) {
+        return { posts: [] };
+    }
+
+    const { data: pagePosts, error } = await supabase
+        .from('posts')
+        .select(FEED_POST_FIELDS)
+        .in('id', pageIds)
+        .eq('is_deleted', false)
+        .eq('status', 'published');
+
+    if (error) {
+        return { error };
+    }
+
+    const postsById = new Map(pagePosts.map(post => [post.id, post]));
+    const posts = pageIds.map(id => postsById.get(id)).filter(Boolean).map(withContentHtml).map(withOriginal);
+
+    if (userId && posts.length > 0) {
+        const { data: userVotes } = await supabase
+            .from('votes')
+            .select('target_id, vote_type')
+            .eq('user_id', userId)
+            .eq('target_type', 'post')
+            .in('target_id', posts.map(post => post.id));
+
+        const voteMap = new Map((userVotes || []).map(vote => [vote.target_id, vote.vote_type]));
+
+        posts.forEach(post => {
+            post.user_vote = voteMap.get(post.id) || 0;
+        });
+    }
+
+    await attachPolls(posts, userId);
+    await attachSavedState(posts, 'post', userId);
+
+    return { posts };
+};
+
+module.exports = {
+    ORIGINAL_POST_FIELDS,
+    withOriginal,
+    withContentHtml,
+    feedPosition,
+    applyFeedPosition,
+    parseFeedCursor,
+    paginateKeyset,
+    loadFeedPosts
+};
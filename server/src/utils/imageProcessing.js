@@ -0,0 +1,115 @@
+// Image upload processing
+// Uploads are identified by their magic bytes (never the client's MIME type or
+// file extension), re-encoded with sharp so EXIF/GPS and other metadata are
+// dropped, and turned into the size variants the client needs.
+const sharp = require('sharp');
+
+const MAX_DIMENSION = 2048;
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+// Allowed types can be narrowed with ALLOWED_FILE_TYPES (see .env.example)
+const SUPPORTED_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+const ALLOWED_TYPES = (process.env.ALLOWED_FILE_TYPES || SUPPORTED_TYPES.join(','))
+    .split(',')
+    .map(type => type.trim().toLowerCase().replace('image/jpg', 'image/jpeg'))
+    .filter(type => SUPPORTED_TYPES.includes(type));
+
+const EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/gif': 'gif',
+    'image/webp': 'webp'
+};
+
+// Variants generated per upload kind
+const VARIANTS = {
+    post: [
+        { name: 'original', maxSize: MAX_DIMENSION },
+        { name: 'webp', maxSize: MAX_DIMENSION, format: 'webp' },
+        { name: 'thumbnail', maxSize: 320, format: 'webp' }
+    ],
+    avatar: [
+        { name: 'original', maxSize: 512, square: true },
+        { name: 'webp', maxSize: 256, square: true, format: 'webp' },
+        { name: 'thumbnail', maxSize: 64, square: true, format: 'webp' }
+    ]
+};
+
+// Sniff the real image type from the first bytes of the file
+const detectImageType = (buffer) => {
+    if (!buffer || buffer.length < 12) return null;
+
+    if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+        return 'image/jpeg';
+    }
+    if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+        return 'image/png';
+    }
+    if (['GIF87a', 'GIF89a'].includes(buffer.toString('ascii', 0, 6))) {
+        return 'image/gif';
+    }
+    if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+        return 'image/webp';
+    }
+
+    return null;
+};
+
+const isAllowedType = (mimeType) => ALLOWED_TYPES.includes(mimeType);
+
+const encode = (pipeline, format) => {
+    switch (format) {
+        case 'jpeg': return pipeline.jpeg({ quality: 85, mozjpeg: true });
+        case 'png': return pipeline.png({ compressionLevel: 9 });
+        case 'gif': return pipeline.gif();
+        case 'webp':
+        default:
+            return pipeline.webp({ quality: 80 });
+    }
+};
+
+// Produce the variants for an upload. Resolves to
+// [{ name, buffer, mimeType, extension, width, height, size }]
+// Throws if sharp cannot decode the file.
+const processImage = async (buffer, mimeType, kind = 'post') => {
+    const animated = mimeType === 'image/gif' || mimeType === 'image/webp';
+    const sourceFormat = EXTENSIONS[mimeType] === 'jpg' ? 'jpeg' : EXTENSIONS[mimeType];
+
+    // Fail early on corrupt files and decompression bombs
+    await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+
+    return Promise.all(VARIANTS[kind].map(async (variant) => {
+        const format = variant.format || sourceFormat;
+
+        // .rotate() bakes in the EXIF orientation; sharp writes no metadata
+        // (EXIF, GPS, XMP, ICC comments) unless asked to, so it is all dropped
+        let pipeline = sharp(buffer, {
+            animated: animated && !variant.square,
+            limitInputPixels: MAX_INPUT_PIXELS
+        }).rotate();
+
+        pipeline = variant.square
+            ? pipeline.resize(variant.maxSize, variant.maxSize, { fit: 'cover', position: 'attention' })
+            : pipeline.resize(variant.maxSize, variant.maxSize, { fit: 'inside', withoutEnlargement: true });
+
+        const { data, info } = await encode(pipeline, format).toBuffer({ resolveWithObject: true });
+        const outputType = `image/${format}`;
+
+        return {
+            name: variant.name,
+            buffer: data,
+            mimeType: outputType,
+            extension: EXTENSIONS[outputType],
+            width: info.width,
+            height: info.pageHeight || info.height,
+            size: info.size
+        };
+    }));
+};
+
+module.exports = {
+    SUPPORTED_TYPES,
+    detectImageType,
+    isAllowedType,
+    processImage
+};
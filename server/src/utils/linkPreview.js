@@ -0,0 +1,398 @@
+// Link preview unfurling for link posts
+// Fetches a page's OpenGraph / Twitter card / oEmbed metadata with strict
+// limits. Every connection goes through a DNS lookup that refuses private,
+// loopback and link-local addresses (SSRF protection), redirects are followed
+// manually so each hop is re-checked, and bodies are cut off after a size cap.
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const fetch = require('node-fetch');
+const supabase = require('../config/supabaseClient');
+
+const FETCH_TIMEOUT_MS = 5000;
+const MAX_HTML_BYTES = 512 * 1024;
+const MAX_OEMBED_BYTES = 64 * 1024;
+const MAX_REDIRECTS = 3;
+const CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+const FAILURE_CACHE_TTL_MS = 60 * 60 * 1000;
+const USER_AGENT = 'MITRedditBot/1.0 (+link previews)';
+
+// Address ranges we never connect to
+const blockedAddresses = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+    ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+    ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+// NAT64 (64:ff9b::/96, 64:ff9b:1::/48) and 6to4 (2002::/16) addresses embed
+// an IPv4 address that may be private; both are refused whole
+[
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['100::', 64],
+    ['2001:db8::', 32], ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+const isPublicAddress = (address) => {
+    const family = net.isIP(address);
+    if (family === 0) return false;
+
+    // IPv4-mapped IPv6 (::ffff:10.0.0.1) is judged by its IPv4 part
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) {
+        return !blockedAddresses.check(mapped[1], 'ipv4');
+    }
+    if (/^::ffff:/i.test(address)) {
+        return false;
+    }
+
+    return !blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+// dns.lookup wrapper used by the HTTP agents; fails the connection if the
+// hostname resolves to a non-public address. `resolve` is dns.lookup unless a
+// caller swaps it out (e.g. tests).
+const createSafeLookup = (resolve = dns.lookup) => (hostname, options, callback) => {
+    resolve(hostname, options, (err, address, family) => {
+        if (err) return callback(err);
+
+        const addresses = Array.isArray(address) ? address : [{ address, family }];
+        const blocked = addresses.find(entry => !isPublicAddress(entry.address));
+
+        if (blocked) {
+            const error = new Error(`Refusing to connect to non-public address ${blocked.address}`);
+            error.code = 'EADDRBLOCKED';
+            return callback(error);
+        }
+
+        callback(null, address, family);
+    });
+};
+
+const createAgents = (resolve) => {
+    const lookup = createSafeLookup(resolve);
+    return {
+        'http:': new http.Agent({ lookup }),
+        'https:': new https.Agent({ lookup })
+    };
+};
+
+const defaultAgents = createAgents();
+
+// Returns a URL object for any http(s) link a post may store, or null.
+// Stored links can point anywhere (other ports, intranet hosts); only
+// fetching them is restricted.
+const parseLinkUrl = (rawUrl) => {
+    let url;
+    try {
+        url = new URL(String(rawUrl).trim());
+    } catch (error) {
+        return null;
+    }
+
+    if (!['http:', 'https:'].includes(url.protocol) || !url.hostname) return null;
+    if (url.username || url.password) return null;
+
+    return url;
+};
+
+// Returns a normalised URL object, or null if the URL may not be fetched.
+// Hosts in `allowHosts` ('host:port', as in url.host) skip the port and
+// address checks.
+const parseFetchableUrl = (rawUrl, allowHosts = []) => {
+    const url = parseLinkUrl(rawUrl);
+    if (!url) return null;
+
+    if (allowHosts.includes(url.host)) {
+        url.hash = '';
+        return url;
+    }
+
+    if (url.port && !['80', '443'].includes(url.port)) return null;
+
+    // IP literals never go through DNS, so check them directly
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(hostname) && !isPublicAddress(hostname)) return null;
+    if (hostname === 'localhost' || hostname.endsWith('.localhost') || hostname.endsWith('.local')) return null;
+
+    url.hash = '';
+    return url;
+};
+
+// Read at most maxBytes of the body, then drop the connection
+const readLimitedBody = async (response, maxBytes) => {
+    const chunks = [];
+    let received = 0;
+
+    for await (const chunk of response.body) {
+        const remaining = maxBytes - received;
+        chunks.push(chunk.length > remaining ? chunk.subarray(0, remaining) : chunk);
+        received += Math.min(chunk.length, remaining);
+
+        if (received >= maxBytes) {
+            response.body.destroy();
+            break;
+        }
+    }
+
+    return Buffer.concat(chunks).toString('utf8');
+};
+
+// Run a fetch-and-read task with one overall deadline. node-fetch's own
+// timeout does not cover bodies we stream ourselves, so abort instead.
+const withDeadline = async (task, timeoutMs = FETCH_TIMEOUT_MS) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+        return await task(controller.signal);
+    } finally {
+        clearTimeout(timer);
+    }
+};
+
+// GET a URL, following redirects by hand so every hop is validated
+const safeFetch = async (rawUrl, accept, signal, options = {}) => {
+    const { lookup, allowHosts = [] } = options;
+    const agents = lookup ? createAgents(lookup) : defaultAgents;
+    let url = parseFetchableUrl(rawUrl, allowHosts);
+
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+        if (!url) {
+            throw new Error('URL is not allowed');
+        }
+
+        const response = await fetch(url.href, {
+            method: 'GET',
+            redirect: 'manual',
+            signal,
+            compress: true,
+            agent: agents[url.protocol],
+            headers: {
+                'User-Agent': USER_AGENT,
+                'Accept': accept
+            }
+        });
+
+        if (response.status >= 300 && response.status < 400 && response.headers.get('location')) {
+            response.body.resume();
+            url = parseFetchableUrl(new URL(response.headers.get('location'), url).href, allowHosts);
+            continue;
+        }
+
+        return { response, finalUrl: url };
+    }
+
+    throw new Error('Too many redirects');
+};
+
+const decodeEntities = (text) => {
+    return text
+        .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (match, dec) => String.fromCodePoint(parseInt(dec, 10)))
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;|&apos;/g, '\'')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&');
+};
+
+const parseAttributes = (tag) => {
+    const attributes = {};
+    const attributeRegex = /([a-zA-Z:_-]+)\s*=\s*("([^"]*)"|'([^']*)'|([^\s"'>]+))/g;
+    let match;
+
+    while ((match = attributeRegex.exec(tag)) !== null) {
+        const value = match[3] ?? match[4] ?? match[5] ?? '';
+        attributes[match[1].toLowerCase()] = decodeEntities(value).trim();
+    }
+
+    return attributes;
+};
+
+const cleanText = (value, maxLength) => {
+    if (!value) return null;
+    const text = value.replace(/\s+/g, ' ').trim();
+    if (!text) return null;
+    return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+};
+
+// Only keep absolute http(s) URLs for images and links in the metadata
+const resolveHttpUrl = (value, baseUrl) => {
+    if (!value) return null;
+    try {
+        const resolved = new URL(value, baseUrl);
+        return ['http:', 'https:'].includes(resolved.protocol) ? resolved.href : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+// Pull OpenGraph, Twitter card and plain HTML metadata out of a document head
+const parseHtmlMetadata = (html, baseUrl) => {
+    const meta = {};
+    const links = [];
+
+    (html.match(/<meta\b[^>]*>/gi) || []).forEach(tag => {
+        const attributes = parseAttributes(tag);
+        const key = (attributes.property || attributes.name || '').toLowerCase();
+        if (key && attributes.content && !(key in meta)) {
+            meta[key] = attributes.content;
+        }
+    });
+
+    (html.match(/<link\b[^>]*>/gi) || []).forEach(tag => links.push(parseAttributes(tag)));
+
+    const titleMatch = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+    const canonical = links.find(link => (link.rel || '').toLowerCase() === 'canonical');
+    const icon = links.find(link => /(^|\s)icon(\s|$)/i.test(link.rel || ''));
+    const oembed = links.find(link => (link.type || '').toLowerCase() === 'application/json+oembed');
+
+    return {
+        title: cleanText(meta['og:title'] || meta['twitter:title'] || (titleMatch && decodeEntities(titleMatch[1])), 300),
+        description: cleanText(meta['og:description'] || meta['twitter:description'] || meta.description, 500),
+        image: resolveHttpUrl(meta['og:image:secure_url'] || meta['og:image'] || meta['twitter:image'] || meta['twitter:image:src'], baseUrl),
+        siteName: cleanText(meta['og:site_name'] || meta['application-name'], 100),
+        type: cleanText(meta['og:type'], 50),
+        canonicalUrl: resolveHttpUrl(meta['og:url'] || canonical?.href, baseUrl),
+        favicon: resolveHttpUrl(icon?.href, baseUrl),
+        oembedUrl: resolveHttpUrl(oembed?.href, baseUrl)
+    };
+};
+
+// oEmbed fills gaps (e.g. YouTube titles and thumbnails). Embed HTML is never
+// stored - we only render our own card.
+const fetchOembed = async (oembedUrl, options) => {
+    try {
+        const data = await withDeadline(async (signal) => {
+            const { response } = await safeFetch(oembedUrl, 'application/json', signal, options);
+            if (!response.ok) return null;
+            return JSON.parse(await readLimitedBody(response, MAX_OEMBED_BYTES));
+        }, options.timeoutMs);
+
+        if (!data) return null;
+
+        return {
+            title: cleanText(data.title, 300),
+            image: resolveHttpUrl(data.thumbnail_url, oembedUrl),
+            siteName: cleanText(data.provider_name, 100),
+            author: cleanText(data.author_name, 100)
+        };
+    } catch (error) {
+        return null;
+    }
+};
+
+// Fetch and parse metadata for a URL (no caching). Options are for tests:
+//   lookup     - dns.lookup-compatible resolver behind the address check
+//   allowHosts - 'host:port' entries exempt from the URL checks
+//   timeoutMs  - deadline for the page and again for the oEmbed request
+const fetchLinkMetadata = async (rawUrl, options = {}) => {
+    const page = await withDeadline(async (signal) => {
+        const { response, finalUrl } = await safeFetch(rawUrl, 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.5', signal, options);
+
+        if (!response.ok) {
+            response.body.resume();
+            throw new Error(`Link responded with HTTP ${response.status}`);
+        }
+
+        const contentType = (response.headers.get('content-type') || '').toLowerCase();
+
+        if (!contentType.includes('html')) {
+            response.body.resume();
+            return { finalUrl, contentType, html: null };
+        }
+
+        return { finalUrl, contentType, html: await readLimitedBody(response, MAX_HTML_BYTES) };
+    }, options.timeoutMs);
+
+    const { finalUrl, contentType, html } = page;
+    const metadata = {
+        url: finalUrl.href,
+        domain: finalUrl.hostname.replace(/^www\./, ''),
+        title: null,
+        description: null,
+        image: null,
+        siteName: null,
+        type: null,
+        author: null,
+        favicon: null
+    };
+
+    // Direct links to images preview as the image itself
+    if (contentType.startsWith('image/')) {
+        return { ...metadata, image: finalUrl.href, type: 'image' };
+    }
+
+    if (!html) {
+        return metadata;
+    }
+
+    const parsed = parseHtmlMetadata(html, finalUrl.href);
+    const oembed = parsed.oembedUrl ? await fetchOembed(parsed.oembedUrl, options) : null;
+
+    return {
+        ...metadata,
+        url: parsed.canonicalUrl || metadata.url,
+        title: parsed.title || oembed?.title || null,
+        description: parsed.description,
+        image: parsed.image || oembed?.image || null,
+        siteName: parsed.siteName || oembed?.siteName || null,
+        type: parsed.type,
+        author: oembed?.author || null,
+        favicon: parsed.favicon
+    };
+};
+
+// Get a link preview, using the link_previews cache when it is fresh.
+// Returns null when the URL is not allowed or could not be unfurled.
+const getLinkPreview = async (rawUrl) => {
+    const url = parseFetchableUrl(rawUrl);
+    if (!url) return null;
+
+    const { data: cached } = await supabase
+        .from('link_previews')
+        .select('metadata, status, fetched_at')
+        .eq('url', url.href)
+        .single();
+
+    if (cached) {
+        const age = Date.now() - new Date(cached.fetched_at).getTime();
+        const ttl = cached.status === 'ok' ? CACHE_TTL_MS : FAILURE_CACHE_TTL_MS;
+        if (age < ttl) {
+            return cached.status === 'ok' ? cached.metadata : null;
+        }
+    }
+
+    let metadata = null;
+    try {
+        metadata = await fetchLinkMetadata(url.href);
+    } catch (error) {
+        console.warn(`Link preview failed for ${url.href}:`, error.message);
+    }
+
+    const { error: cacheError } = await supabase
+        .from('link_previews')
+        .upsert({
+            url: url.href,
+            metadata,
+            status: metadata ? 'ok' : 'failed',
+            fetched_at: new Date().toISOString()
+        });
+
+    if (cacheError) {
+        console.error('Link preview cache error:', cacheError);
+    }
+
+    return metadata;
+};
+
+module.exports = {
+    getLinkPreview,
+    fetchLinkMetadata,
+    parseLinkUrl,
+    parseFetchableUrl,
+    parseHtmlMetadata,
+    isPublicAddress
+};
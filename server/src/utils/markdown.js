@@ -0,0 +1,220 @@
+// Markdown rendering for posts and comments
+// CommonMark + GFM (tables, fenced code, strikethrough, autolinks) via
+// markdown-it, plus Reddit-style >!spoilers!< and @mentions. Raw HTML in the source is
+// escaped by the parser, and the output is run through a strict allowlist
+// sanitizer before it is stored or sent to the browser.
+const MarkdownIt = require('markdown-it');
+const sanitizeHtml = require('sanitize-html');
+
+const md = new MarkdownIt('commonmark', {
+    html: false,
+    linkify: true,
+    breaks: true
+}).enable(['table', 'strikethrough', 'linkify']);
+
+// >!hidden text!< becomes <span class="md-spoiler">hidden text</span>
+const spoilerRule = (state, silent) => {
+    const start = state.pos;
+
+    if (state.src.slice(start, start + 2) !== '>!') return false;
+
+    const end = state.src.indexOf('!<', start + 2);
+    if (end === -1 || end === start + 2) return false;
+
+    if (!silent) {
+        state.push('spoiler_open', 'span', 1).attrSet('class', 'md-spoiler');
+
+        // Parse the inside so **bold** etc. still works within spoilers
+        const oldMax = state.posMax;
+        state.pos = start + 2;
+        state.posMax = end;
+        state.md.inline.tokenize(state);
+        state.posMax = oldMax;
+
+        state.push('spoiler_close', 'span', -1);
+    }
+
+    state.pos = end + 2;
+    return true;
+};
+
+md.inline.ruler.before('emphasis', 'spoiler', spoilerRule);
+
+// A line starting with >! is a spoiler, not a blockquote
+const blockquoteRule = md.block.ruler.__rules__.find(rule => rule.name === 'blockquote').fn;
+md.block.ruler.at('blockquote', (state, startLine, endLine, silent) => {
+    const lineStart = state.bMarks[startLine] + state.tShift[startLine];
+    if (state.src.slice(lineStart, lineStart + 2) === '>!') return false;
+    return blockquoteRule(state, startLine, endLine, silent);
+}, { alt: ['paragraph', 'reference', 'blockquote', 'list'] });
+
+// @username, u/username or /u/username, not inside a word, email or URL path
+const MENTION_PATTERN = /(?<![\w@/])(?:@|\/?u\/)([a-z0-9_]{2,50})(?!\w)/gi;
+
+// Plain text outside links, where a mention can appear
+const forEachMentionText = (tokens, callback) => {
+    tokens.forEach(blockToken => {
+        if (blockToken.type !== 'inline') return;
+
+        let linkDepth = 0;
+
+        blockToken.children.forEach((token, index) => {
+            if (token.type === 'link_open') linkDepth++;
+            if (token.type === 'link_close') linkDepth--;
+
+            if (token.type === 'text' && linkDepth === 0) {
+                callback(token, index, blockToken);
+            }
+        });
+    });
+};
+
+// Mentions become profile links, but only for usernames the caller resolved
+// to real users (env.mentions); anything else stays plain text
+const mentionRule = (state) => {
+    const mentions = state.env?.mentions;
+    if (!mentions || mentions.size === 0) return;
+
+    const replacements = [];
+
+    forEachMentionText(state.tokens, (token, index, blockToken) => {
+        const parts = [];
+        let lastIndex = 0;
+
+        for (const match of token.content.matchAll(MENTION_PATTERN)) {
+            const username = match[1].toLowerCase();
+            if (!mentions.has(username)) continue;
+
+            if (match.index > lastIndex) {
+                const text = new state.Token('text', '', 0);
+                text.content = token.content.slice(lastIndex, match.index);
+                parts.push(text);
+            }
+
+            const open = new state.Token('link_open', 'a', 1);
+            open.attrs = [['href', `/#user-${username}`], ['class', 'md-mention']];
+            const label = new state.Token('text', '', 0);
+            label.content = match[0];
+            parts.push(open, label, new state.Token('link_close', 'a', -1));
+
+            lastIndex = match.index + match[0].length;
+        }
+
+        if (parts.length === 0) return;
+
+        if (lastIndex < token.content.length) {
+            const text = new state.Token('text', '', 0);
+            text.content = token.content.slice(lastIndex);
+            parts.push(text);
+        }
+
+        replacements.push({ blockToken, index, parts });
+    });
+
+    // Splice from the end so earlier indexes stay valid
+    replacements.reverse().forEach(({ blockToken, index, parts }) => {
+        blockToken.children.splice(index, 1, ...parts);
+    });
+};
+
+md.core.ruler.after('linkify', 'mention', mentionRule);
+
+// Lowercased usernames mentioned in the source, in order of first mention.
+// Mentions inside code or links don't count.
+const extractMentions = (source) => {
+    if (!source) return [];
+
+    const usernames = new Set();
+
+    forEachMentionText(md.parse(String(source), {}), (token) => {
+        for (const match of token.content.matchAll(MENTION_PATTERN)) {
+            usernames.add(match[1].toLowerCase());
+        }
+    });
+
+    return [...usernames];
+};
+
+const SANITIZE_OPTIONS = {
+    allowedTags: [
+        'p', 'br', 'hr', 'strong', 'em', 's', 'del', 'code', 'pre', 'blockquote',
+        'ul', 'ol', 'li', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'a', 'span',
+        'table', 'thead', 'tbody', 'tr', 'th', 'td'
+    ],
+    allowedAttributes: {
+        a: ['href', 'title', 'rel', 'target'],
+        ol: ['start'],
+        span: ['class'],
+        code: ['class'],
+        th: ['style'],
+        td: ['style']
+    },
+    allowedClasses: {
+        a: ['md-mention'],
+        span: ['md-spoiler'],
+        code: ['language-*']
+    },
+    allowedStyles: {
+        th: { 'text-align': [/^(left|right|center)$/] },
+        td: { 'text-align': [/^(left|right|center)$/] }
+    },
+    allowedSchemes: ['http', 'https', 'mailto'],
+    allowProtocolRelative: false,
+    transformTags: {
+        // Mentions stay in the app; every other link opens in a new tab
+        a: (tagName, attribs) => ({
+            tagName,
+            attribs: attribs.class === 'md-mention'
+                ? attribs
+                : { ...attribs, rel: 'nofollow noopener noreferrer', target: '_blank' }
+        })
+    }
+};
+
+// Render user-written markdown to sanitized HTML. `mentions` lists the
+// usernames that should link to profiles (see utils/mentions.js).
+const renderMarkdown = (source, { mentions = [] } = {}) => {
+    if (!source) return '';
+    const env = { mentions: new Set(mentions.map(username => username.toLowerCase())) };
+    return sanitizeHtml(md.render(String(source), env), SANITIZE_OPTIONS);
+};
+
+// Flatten markdown to a short plain-text summary (link previews, meta tags).
+// Spoilers are replaced rather than leaked into the summary.
+const toPlainText = (source, maxLength = 200) => {
+    if (!source) return '';
+
+    const parts = [];
+    let spoilerDepth = 0;
+
+    const collect = (tokens) => {
+        tokens.forEach(token => {
+            if (token.type === 'spoiler_open') {
+                if (spoilerDepth === 0) parts.push('[spoiler]');
+                spoilerDepth++;
+            } else if (token.type === 'spoiler_close') {
+                spoilerDepth--;
+            } else if (spoilerDepth > 0) {
+                return;
+            } else if (token.children) {
+                collect(token.children);
+            } else if (['text', 'code_inline', 'code_block', 'fence'].includes(token.type)) {
+                parts.push(token.content);
+            } else if (['softbreak', 'hardbreak', 'paragraph_close', 'heading_close', 'list_item_close'].includes(token.type)) {
+                parts.push(' ');
+            }
+        });
+    };
+
+    collect(md.parse(String(source), {}));
+
+    const text = parts.join('').replace(/\s+/g, ' ').trim();
+    return text.length > maxLength ? `${text.slice(0, maxLength - 1).trimEnd()}…` : text;
+};
+
+module.exports = {
+    SANITIZE_OPTIONS,
+    renderMarkdown,
+    toPlainText,
+    extractMentions
+};
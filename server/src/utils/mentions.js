@@ -0,0 +1,106 @@
+// @mentions in posts and comments (see migrations/*_mentions.sql)
+const supabase = require('../config/supabaseClient');
+const { extractMentions } = require('./markdown');
+const { createNotifications } = require('./notifications');
+const { getBlockedBetweenIds } = require('./blocks');
+
+// Only the first MAX_MENTIONS distinct usernames in a post or comment count,
+// so one body can't ping half the campus
+const MAX_MENTIONS = 10;
+
+// Users mentioned in `content` that exist, as { id, username }. Users who
+// blocked `authorId` or were blocked by them are left out, so their names
+// stay plain text and they aren't notified.
+// Lookup failures resolve to no mentions; they must never block posting.
+const resolveMentions = async (content, authorId = null) => {
+    const usernames = extractMentions(content).slice(0, MAX_MENTIONS);
+    if (usernames.length === 0) return [];
+
+    const { data: users, error } = await supabase
+        .from('users')
+        .select('id, username')
+        .in('username', usernames);
+
+    if (error) {
+        console.error('Mention lookup error:', error);
+        return [];
+    }
+
+    try {
+        const blocked = await getBlockedBetweenIds(authorId, users.map(user => user.id));
+        return users.filter(user => !blocked.has(user.id));
+    } catch (blockError) {
+        console.error('Mention block lookup error:', blockError);
+        return [];
+    }
+};
+
+const mentionNotification = (mention) => ({
+    user_id: mention.mentioned_user_id,
+    type: 'mention',
+    actor_id: mention.author_id,
+    post_id: mention.post_id,
+    comment_id: mention.source_type === 'comment' ? mention.source_id : null
+});
+
+// Record who a post or comment mentions. Only people who weren't already
+// mentioned by it are notified, and mentions in unpublished (scheduled) posts
+// wait for notifyPendingMentions.
+const recordMentions = async ({ sourceType, sourceId, postId, authorId, users, published = true }) => {
+    const rows = users
+        .filter(user => user.id !== authorId)
+        .map(user => ({
+            source_type: sourceType,
+            source_id: sourceId,
+            post_id: postId,
+            mentioned_user_id: user.id,
+            author_id: authorId,
+            notified_at: published ? new Date().toISOString() : null
+        }));
+
+    if (rows.length === 0) return;
+
+    const { data: added, error } = await supabase
+        .from('mentions')
+        .upsert(rows, { onConflict: 'source_type,source_id,mentioned_user_id', ignoreDuplicates: true })
+        .select('source_type, source_id, post_id, mentioned_user_id, author_id');
+
+    if (error) {
+        console.error('Mention record error:', error);
+        return;
+    }
+
+    if (published) {
+        await createNotifications(added.map(mentionNotification));
+    }
+};
+
+// Notify mentions in scheduled posts that have since been published
+const notifyPendingMentions = async () => {
+    const { data: pending, error } = await supabase
+        .from('mentions')
+        .select('id, source_type, source_id, post_id, mentioned_user_id, author_id, post:posts!inner(status, is_deleted)')
+        .is('notified_at', null)
+        .eq('post.status', 'published')
+        .eq('post.is_deleted', false)
+        .limit(500);
+
+    if (error) throw error;
+    if (pending.length === 0) return 0;
+
+    await supabase
+        .from('mentions')
+        .update({ notified_at: new Date().toISOString() })
+        .in('id', pending.map(mention => mention.id));
+
+    await createNotifications(pending.map(mentionNotification));
+
+    return pending.length;
+};
+
+module.exports = {
+    MAX_MENTIONS,
+    resolveMentions,
+    recordMentions,
+    notifyPendingMentions
+};
@@ -0,0 +1,148 @@
+// Notification helpers (see migrations/*_notifications.sql)
+const supabase = require('../config/supabaseClient');
+const { publish } = require('./realtime');
+const { getHiddenPairs } = require('./blocks');
+
+// label is shown in the mute settings
+const NOTIFICATION_TYPES = {
+    comment_reply: { label: 'Replies to your comments' },
+    post_reply: { label: 'Replies to your posts' },
+    mention: { label: 'Mentions' },
+    event_reminder: { label: 'Event reminders' },
+    study_buddy_response: { label: 'Study buddy responses' },
+    moderation: { label: 'Moderation actions' }
+};
+
+const MODERATION_MESSAGES = {
+    locked: 'A moderator locked your post',
+    unlocked: 'A moderator unlocked your post',
+    merged: 'A moderator merged your post into an existing thread',
+    comment_removed: 'A moderator removed your comment'
+};
+
+// Notifications that should collapse into one entry share a key. Keys are
+// permanent; the list groups unread rows apart from read ones, so new activity
+// starts a fresh entry instead of reviving an old one.
+const groupKeyFor = (notification) => {
+    switch (notification.type) {
+        case 'post_reply':
+            return `post_reply:${notification.post_id}`;
+        case 'comment_reply':
+            return `comment_reply:${notification.data?.parent_comment_id}`;
+        case 'mention':
+            return `mention:${notification.comment_id || notification.post_id}`;
+        case 'study_buddy_response':
+            return `study_buddy_response:${notification.data?.request_id}`;
+        default:
+            return null;
+    }
+};
+
+// Insert notifications, skipping anyone notified about their own action,
+// anyone who muted the type and anyone blocking, blocked by or muting the
+// actor. Failures are logged and swallowed; they must
+// never fail the action itself.
+const createNotifications = async (notifications) => {
+    let rows = notifications.filter(notification => (
+        notification.user_id && notification.user_id !== notification.actor_id
+    ));
+
+    if (rows.length === 0) return [];
+
+    const { data: mutes } = await supabase
+        .from('notification_mutes')
+        .select('user_id, type')
+        .in('user_id', [...new Set(rows.map(row => row.user_id))])
+        .in('type', [...new Set(rows.map(row => row.type))]);
+
+    const muted = new Set((mutes || []).map(mute => `${mute.user_id}:${mute.type}`));
+    rows = rows.filter(row => !muted.has(`${row.user_id}:${row.type}`));
+
+    const hiddenPairs = await getHiddenPairs(rows.map(row => [row.user_id, row.actor_id]));
+    rows = rows.filter(row => !hiddenPairs.has(`${row.user_id}:${row.actor_id}`));
+
+    if (rows.length === 0) return [];
+
+    const { data: created, error } = await supabase
+        .from('notifications')
+        .insert(rows.map(row => ({ ...row, group_key: groupKeyFor(row) })))
+        .select();
+
+    if (error) {
+        console.error('Notification error:', error);
+        return [];
+    }
+
+    // Open clients refresh their badge
+    created.forEach(notification => {
+        publish(`user:${notification.user_id}`, 'notification', { id: notification.id, type: notification.type });
+    });
+
+    return created;
+};
+
+const createNotification = async (notification) => {
+    const [created] = await createNotifications([notification]);
+    return created || null;
+};
+
+// Tell the owner of a study buddy request that someone responded to it
+const notifyStudyBuddyResponse = async (requestId, responderId) => {
+    const { data: request } = await supabase
+        .from('study_buddy_requests')
+        .select('id, requester_id, title')
+        .eq('id', requestId)
+        .single();
+
+    if (!request) return null;
+
+    return createNotification({
+        user_id: request.requester_id,
+        type: 'study_buddy_response',
+        actor_id: responderId,
+        data: { request_id: request.id, title: request.title }
+    });
+};
+
+// "u/alice", "u/alice and u/bob", "u/alice and 4 others"
+const describeActors = (group, actors) => {
+    const names = actors.map(actor => `u/${actor.username}`);
+    const others = group.actor_count - 1;
+
+    if (names.length === 0) return 'Someone';
+    if (group.actor_count === 2 && names.length >= 2) return `${names[0]} and ${names[1]}`;
+    if (others === 1) return `${names[0]} and 1 other`;
+    if (others > 1) return `${names[0]} and ${others} others`;
+    return names[0];
+};
+
+// One-line text for a notification group
+const describeNotification = (group, actors) => {
+    const who = describeActors(group, actors);
+    const plural = group.actor_count > 1;
+
+    switch (group.type) {
+        case 'comment_reply':
+            return `${who} replied to your comment`;
+        case 'post_reply':
+            return `${who} replied to your post`;
+        case 'mention':
+            return `${who} mentioned you in a ${group.comment_id ? 'comment' : 'post'}`;
+        case 'study_buddy_response':
+            return `${who} ${plural ? 'have' : 'has'} responded to your study buddy request`;
+        case 'event_reminder':
+            return `Reminder: ${group.data?.title || 'an event you registered for'} is coming up`;
+        case 'moderation':
+            return MODERATION_MESSAGES[group.data?.action] || 'A moderator took action on your content';
+        default:
+            return 'You have a new notification';
+    }
+};
+
+module.exports = {
+    NOTIFICATION_TYPES,
+    createNotifications,
+    createNotification,
+    notifyStudyBuddyResponse,
+    describeNotification
+};
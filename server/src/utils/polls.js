@@ -0,0 +1,142 @@
+// Poll helpers shared by the posts routes
+const supabase = require('../config/supabaseClient');
+
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 10;
+const MAX_OPTION_LENGTH = 100;
+const MAX_DURATION_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Validate the `poll` body of a create-post request.
+// Returns { error } or { poll: { options, allowsMultiple, closesAt } }
+const validatePollInput = (input) => {
+    if (!input || !Array.isArray(input.options)) {
+        return { error: 'Polls need a list of options' };
+    }
+
+    const options = input.options.map(option => String(option ?? '').trim());
+
+    if (options.length < MIN_OPTIONS || options.length > MAX_OPTIONS) {
+        return { error: `Polls need between ${MIN_OPTIONS} and ${MAX_OPTIONS} options` };
+    }
+
+    if (options.some(option => !option)) {
+        return { error: 'Poll options cannot be empty' };
+    }
+
+    if (options.some(option => option.length > MAX_OPTION_LENGTH)) {
+        return { error: `Poll options must be ${MAX_OPTION_LENGTH} characters or less` };
+    }
+
+    if (new Set(options.map(option => option.toLowerCase())).size !== options.length) {
+        return { error: 'Poll options must be unique' };
+    }
+
+    let closesAt = null;
+    if (input.closesAt) {
+        const closeTime = new Date(input.closesAt);
+
+        if (Number.isNaN(closeTime.getTime()) || closeTime.getTime() <= Date.now()) {
+            return { error: 'Poll closing time must be in the future' };
+        }
+
+        if (closeTime.getTime() - Date.now() > MAX_DURATION_MS) {
+            return { error: 'Polls can run for at most 30 days' };
+        }
+
+        closesAt = closeTime.toISOString();
+    }
+
+    return {
+        poll: {
+            options,
+            allowsMultiple: Boolean(input.allowMultiple),
+            closesAt
+        }
+    };
+};
+
+// Create the poll rows for a freshly inserted poll post
+const createPoll = async (postId, poll) => {
+    const { error: pollError } = await supabase
+        .from('polls')
+        .insert({
+            post_id: postId,
+            allows_multiple: poll.allowsMultiple,
+            closes_at: poll.closesAt
+        });
+
+    if (pollError) {
+        throw pollError;
+    }
+
+    const { error: optionsError } = await supabase
+        .from('poll_options')
+        .insert(poll.options.map((label, position) => ({
+            post_id: postId,
+            label,
+            position
+        })));
+
+    if (optionsError) {
+        throw optionsError;
+    }
+};
+
+// Shape a poll for the API. Counts are only included once the viewer has
+// voted or the poll has closed, so early results can't sway the vote.
+const formatPoll = (poll, options, ballot) => {
+    const isClosed = Boolean(poll.closes_at && new Date(poll.closes_at) <= new Date());
+    const resultsVisible = isClosed || Boolean(ballot);
+
+    return {
+        allowsMultiple: poll.allows_multiple,
+        closesAt: poll.closes_at,
+        isClosed,
+        hasVoted: Boolean(ballot),
+        userChoices: ballot ? ballot.option_ids : [],
+        resultsVisible,
+        totalVoters: resultsVisible ? poll.total_voters : null,
+        options: options
+            .sort((a, b) => a.position - b.position)
+            .map(option => ({
+                id: option.id,
+                label: option.label,
+                ...(resultsVisible && { votes: option.vote_count })
+            }))
+    };
+};
+
+// Add a `poll` field to every poll post in the list (in place)
+const attachPolls = async (posts, userId = null) => {
+    const pollPosts = posts.filter(post => post.type === 'poll');
+    if (pollPosts.length === 0) return posts;
+
+    const postIds = pollPosts.map(post => post.id);
+
+    const [{ data: polls }, { data: options }, { data: ballots }] = await Promise.all([
+        supabase.from('polls').select('*').in('post_id', postIds),
+        supabase.from('poll_options').select('*').in('post_id', postIds),
+        userId
+            ? supabase.from('poll_ballots').select('post_id, option_ids').eq('user_id', userId).in('post_id', postIds)
+            : Promise.resolve({ data: [] })
+    ]);
+
+    pollPosts.forEach(post => {
+        const poll = polls?.find(row => row.post_id === post.id);
+        if (!poll) return;
+
+        post.poll = formatPoll(
+            poll,
+            (options || []).filter(option => option.post_id === post.id),
+            ballots?.find(ballot => ballot.post_id === post.id)
+        );
+    });
+
+    return posts;
+};
+
+module.exports = {
+    validatePollInput,
+    createPoll,
+    attachPolls
+};
@@ -0,0 +1,242 @@
+// Validation for post bodies, shared by publishing (posts routes) and
+// drafts (drafts routes). Validators return { error } or the checked fields.
+const supabase = require('../config/supabaseClient');
+const { getLinkPreview, parseLinkUrl } = require('./linkPreview');
+const { validatePollInput } = require('./polls');
+const { renderMarkdown } = require('./markdown');
+const { resolveMentions } = require('./mentions');
+const { normalizeTags, resolveTaxonomy } = require('./taxonomy');
+
+const POST_TYPES = ['text', 'image', 'link', 'poll'];
+const MAX_TITLE_LENGTH = 300;
+const MAX_CONTENT_LENGTH = 40000;
+const MAX_SCHEDULE_DAYS = 90;
+
+// The image must be a post upload owned by the author
+const resolveImageAsset = async (assetId, userId) => {
+    const { data: asset } = await supabase
+        .from('media_assets')
+        .select('id, owner_id, kind, variants')
+        .eq('id', assetId)
+        .single();
+
+    if (!asset || asset.owner_id !== userId || asset.kind !== 'post') {
+        return null;
+    }
+
+    return asset;
+};
+
+// Full validation for a post that is about to be published (or scheduled).
+// Resolves to { error } or { fields, pollInput, mentions } where fields are
+// posts columns and mentions the users the body mentions.
+const preparePost = async (body, userId) => {
+    const { title, content, category, flair_id, tags, type = 'text', link_url, image_asset_id, poll } = body;
+
+    if (typeof title !== 'string' || !title.trim()) {
+        return { error: 'Title is required' };
+    }
+
+    if (content != null && typeof content !== 'string') {
+        return { error: 'Content must be text' };
+    }
+
+    if (!category) {
+        return { error: 'Category is required' };
+    }
+
+    if (title.length > MAX_TITLE_LENGTH) {
+        return { error: `Title must be less than ${MAX_TITLE_LENGTH} characters` };
+    }
+
+    if (content && content.length > MAX_CONTENT_LENGTH) {
+        return { error: `Content must be less than ${MAX_CONTENT_LENGTH} characters` };
+    }
+
+    const taxonomy = await resolveTaxonomy(category, flair_id);
+    if (taxonomy.error) {
+        return { error: taxonomy.error };
+    }
+
+    const { tags: postTags, error: tagsError } = normalizeTags(tags);
+    if (tagsError) {
+        return { error: tagsError };
+    }
+
+    if (!POST_TYPES.includes(type)) {
+        return { error: 'Invalid post type' };
+    }
+
+    let linkUrl = null;
+    let linkMetadata = null;
+
+    if (type === 'link') {
+        const parsedUrl = link_url && parseLinkUrl(link_url);
+
+        if (!parsedUrl) {
+            return { error: 'Link posts need a valid http(s) URL' };
+        }
+
+        linkUrl = parsedUrl.href;
+        // A failed (or refused) unfurl never blocks the post; the card just falls back to the URL
+        linkMetadata = await getLinkPreview(linkUrl);
+    }
+
+    let imageAsset = null;
+
+    if (type === 'image') {
+        if (!image_asset_id) {
+            return { error: 'Image posts need an uploaded image' };
+        }
+
+        imageAsset = await resolveImageAsset(image_asset_id, userId);
+
+        if (!imageAsset) {
+            return { error: 'Invalid image upload' };
+        }
+    }
+
+    let pollInput = null;
+
+    if (type === 'poll') {
+        const { poll: validPoll, error: pollError } = validatePollInput(poll);
+
+        if (pollError) {
+            return { error: pollError };
+        }
+
+        pollInput = validPoll;
+    }
+
+    const mentions = await resolveMentions(content, userId);
+
+    return {
+        fields: {
+            title: title.trim(),
+            content: content?.trim() || '',
+            content_html: renderMarkdown(content?.trim(), { mentions: mentions.map(user => user.username) }),
+            category: taxonomy.category.slug,
+            flair_id: taxonomy.flair?.id || null,
+            tags: postTags,
+            type: type,
+            image_asset_id: imageAsset?.id || null,
+            image_url: imageAsset?.variants.webp.url || '',
+            link_url: linkUrl,
+            link_metadata: linkMetadata
+        },
+        pollInput,
+        mentions
+    };
+};
+
+// Lenient validation for autosaved drafts: every field is optional, but
+// whatever is present must be well-formed. Only the given fields are returned,
+// so partial autosaves don't wipe the rest of the draft.
+const prepareDraft = async (body, userId) => {
+    const fields = {};
+
+    if (body.title !== undefined) {
+        const title = String(body.title ?? '');
+        if (title.length > MAX_TITLE_LENGTH) {
+            return { error: `Title must be less than ${MAX_TITLE_LENGTH} characters` };
+        }
+        fields.title = title.trim();
+    }
+
+    if (body.content !== undefined) {
+        const content = String(body.content ?? '');
+        if (content.length > MAX_CONTENT_LENGTH) {
+            return { error: `Content must be less than ${MAX_CONTENT_LENGTH} characters` };
+        }
+        fields.content = content.trim();
+        fields.content_html = renderMarkdown(fields.content);
+    }
+
+    if (body.category !== undefined || body.flair_id !== undefined) {
+        if (body.category) {
+            const taxonomy = await resolveTaxonomy(body.category, body.flair_id || null);
+            if (taxonomy.error) {
+                return { error: taxonomy.error };
+            }
+            fields.category = taxonomy.category.slug;
+            fields.flair_id = taxonomy.flair?.id || null;
+        } else {
+            fields.category = null;
+            fields.flair_id = null;
+        }
+    }
+
+    if (body.tags !== undefined) {
+        const { tags, error } = normalizeTags(body.tags);
+        if (error) {
+            return { error };
+        }
+        fields.tags = tags;
+    }
+
+    if (body.type !== undefined) {
+        if (!POST_TYPES.includes(body.type)) {
+            return { error: 'Invalid post type' };
+        }
+        fields.type = body.type;
+    }
+
+    if (body.link_url !== undefined) {
+        // Half-typed URLs are kept as typed; they are checked on publish
+        fields.link_url = body.link_url ? String(body.link_url).slice(0, 2048) : null;
+    }
+
+    if (body.image_asset_id !== undefined) {
+        if (body.image_asset_id) {
+            const asset = await resolveImageAsset(body.image_asset_id, userId);
+            if (!asset) {
+                return { error: 'Invalid image upload' };
+            }
+            fields.image_asset_id = asset.id;
+            fields.image_url = asset.variants.webp.url;
+        } else {
+            fields.image_asset_id = null;
+            fields.image_url = '';
+        }
+    }
+
+    if (body.poll !== undefined) {
+        const options = Array.isArray(body.poll?.options) ? body.poll.options : [];
+        fields.poll_draft = body.poll ? {
+            options: options.slice(0, 10).map(option => String(option ?? '').slice(0, 100)),
+            allowMultiple: Boolean(body.poll.allowMultiple),
+            closesAt: body.poll.closesAt || null
+        } : null;
+    }
+
+    return { fields };
+};
+
+// Check a requested publish time. Resolves to { publishAt } (null = now) or { error }
+const parsePublishAt = (value) => {
+    if (!value) return { publishAt: null };
+
+    const publishAt = new Date(value);
+
+    if (Number.isNaN(publishAt.getTime())) {
+        return { error: 'Invalid publish time' };
+    }
+
+    // A time that has already passed just means "publish now"
+    if (publishAt.getTime() <= Date.now()) {
+        return { publishAt: null };
+    }
+
+    if (publishAt.getTime() - Date.now() > MAX_SCHEDULE_DAYS * 24 * 60 * 60 * 1000) {
+        return { error: `Posts can be scheduled at most ${MAX_SCHEDULE_DAYS} days ahead` };
+    }
+
+    return { publishAt: publishAt.toISOString() };
+};
+
+module.exports = {
+    MAX_CONTENT_LENGTH,
+    preparePost,
+    prepareDraft,
+    parsePublishAt
+};
@@ -0,0 +1,96 @@
+// In-process event hub behind the /api/realtime event stream.
+//
+// Events are published to channels:
+//   feed           new posts and post vote counts (every connection)
+//   post:<id>      new comments and comment vote counts on an open post
+//   user:<id>      that user's new notifications
+//
+// Recent events are kept so a client that reconnects with the id of the last
+// event it saw gets what it missed. Event ids carry the server's boot id, so
+// ids from before a restart are recognised and answered with a resync.
+// The hub lives in one process; running several API instances needs a shared
+// broker in front of it.
+
+const BOOT_ID = Date.now().toString(36);
+
+// Backfill covers whichever is shorter
+const BACKLOG_SIZE = 1000;
+const BACKLOG_MAX_AGE_MS = 10 * 60 * 1000;
+
+let sequence = 0;
+const backlog = [];
+const subscribers = new Set();
+
+const eventId = (seq) => `${BOOT_ID}-${seq}`;
+
+const pruneBacklog = () => {
+    const cutoff = Date.now() - BACKLOG_MAX_AGE_MS;
+
+    while (backlog.length > BACKLOG_SIZE || (backlog.length > 0 && backlog[0].at < cutoff)) {
+        backlog.shift();
+    }
+};
+
+// Id of the newest event, for a connection's starting point
+const currentEventId = () => eventId(sequence);
+
+// Publish an event; delivery to open connections is synchronous
+const publish = (channel, event, data) => {
+    sequence += 1;
+
+    const entry = { id: eventId(sequence), seq: sequence, channel, event, data, at: Date.now() };
+    backlog.push(entry);
+    pruneBacklog();
+
+    subscribers.forEach(subscriber => {
+        if (subscriber.channels.has(channel)) {
+            subscriber.send(entry);
+        }
+    });
+
+    return entry;
+};
+
+// Receive events on `channels` (a Set) until the returned function is called
+const subscribe = (channels, send) => {
+    const subscriber = { channels, send };
+    subscribers.add(subscriber);
+
+    return () => subscribers.delete(subscriber);
+};
+
+// Events on `channels` published after lastEventId, oldest first. Null when
+// they can't all be replayed (unknown id, restarted server, or events already
+// dropped from the backlog); the client should then refetch.
+const eventsSince = (lastEventId, channels) => {
+    const match = /^([a-z0-9]+)-(\d+)$/.exec(String(lastEventId));
+    if (!match || match[1] !== BOOT_ID) return null;
+
+    const lastSeq = Number(match[2]);
+    if (lastSeq > sequence) return null;
+
+    pruneBacklog();
+
+    const oldestSeq = backlog.length > 0 ? backlog[0].seq : sequence + 1;
+    if (lastSeq + 1 < oldestSeq) return null;
+
+    return backlog.filter(entry => entry.seq > lastSeq && channels.has(entry.channel));
+};
+
+const connectionCount = () => subscribers.size;
+
+// Announce newly published posts to home feeds ("3 new posts")
+const publishNewPosts = (posts) => {
+    posts.forEach(post => {
+        publish('feed', 'post', { id: post.id, category: post.category, authorId: post.author_id });
+    });
+};
+
+module.exports = {
+    currentEventId,
+    publish,
+    publishNewPosts,
+    subscribe,
+    eventsSince,
+    connectionCount
+};
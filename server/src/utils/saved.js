@@ -0,0 +1,36 @@
+// Saved-item helpers shared by the saved, posts and comments routes
+const supabase = require('../config/supabaseClient');
+
+const SAVE_TARGETS = ['post', 'comment'];
+
+// Set `is_saved` on every post or comment in the list (in place)
+const attachSavedState = async (items, targetType, userId = null) => {
+    if (items.length === 0) return items;
+
+    if (!userId) {
+        items.forEach(item => {
+            item.is_saved = false;
+        });
+        return items;
+    }
+
+    const { data: saves } = await supabase
+        .from('saved_items')
+        .select('target_id')
+        .eq('user_id', userId)
+        .eq('target_type', targetType)
+        .in('target_id', items.map(item => item.id));
+
+    const savedIds = new Set((saves || []).map(save => save.target_id));
+
+    items.forEach(item => {
+        item.is_saved = savedIds.has(item.id);
+    });
+
+    return items;
+};
+
+module.exports = {
+    SAVE_TARGETS,
+    attachSavedState
+};
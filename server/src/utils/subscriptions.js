@@ -0,0 +1,66 @@
+// Category subscriptions: what a user's home feed shows by default, and the
+// categories suggested to new users during onboarding
+const supabase = require('../config/supabaseClient');
+
+// Suggested to everyone
+const BASE_SUGGESTIONS = ['academics', 'events', 'news', 'general'];
+
+// By year of study (1-4; postgraduates count as 5)
+const YEAR_SUGGESTIONS = {
+    1: ['hostels', 'clubs', 'restaurants', 'sports'],
+    2: ['clubs', 'sports'],
+    3: ['placements', 'clubs'],
+    4: ['placements'],
+    5: ['placements']
+};
+
+// By branch (matched against the signup form's branch names)
+const BRANCH_SUGGESTIONS = [
+    { pattern: /computer|information technology|electronics|electrical/i, categories: ['tech'] }
+];
+
+// Slugs the user is subscribed to
+const getSubscribedCategories = async (userId) => {
+    const { data: subscriptions, error } = await supabase
+        .from('category_subscriptions')
+        .select('category_slug')
+        .eq('user_id', userId);
+
+    if (error) {
+        console.error('Subscriptions fetch error:', error);
+        return [];
+    }
+
+    return subscriptions.map(subscription => subscription.category_slug);
+};
+
+// users.year holds either the year of study (1-4) or, from the signup form,
+// the year the student joined; academic years start in July
+const yearOfStudy = (year, now = new Date()) => {
+    const value = parseInt(year);
+    if (!value || value < 1) return null;
+    if (value < 1000) return Math.min(value, 5);
+
+    const academicYear = now.getMonth() >= 6 ? now.getFullYear() : now.getFullYear() - 1;
+    return Math.min(Math.max(academicYear - value + 1, 1), 5);
+};
+
+// Category slugs to suggest for a user's branch and year, most relevant first
+const suggestCategories = ({ branch, year }) => {
+    const studyYear = yearOfStudy(year);
+    const suggestions = [
+        ...(YEAR_SUGGESTIONS[studyYear] || []),
+        ...BRANCH_SUGGESTIONS
+            .filter(rule => branch && rule.pattern.test(branch))
+            .flatMap(rule => rule.categories),
+        ...BASE_SUGGESTIONS
+    ];
+
+    return [...new Set(suggestions)];
+};
+
+module.exports = {
+    getSubscribedCategories,
+    suggestCategories,
+    yearOfStudy
+};
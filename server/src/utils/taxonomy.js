@@ -0,0 +1,66 @@
+// Category, flair and tag validation shared by the posts and categories routes
+const supabase = require('../config/supabaseClient');
+
+const MAX_TAGS = 5;
+const MAX_TAG_LENGTH = 30;
+const SLUG_PATTERN = /^[a-z0-9-]+$/;
+const COLOUR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+// Lowercase, strip a leading #, turn spaces into dashes and drop duplicates.
+// Returns { tags } or { error }
+const normalizeTags = (input) => {
+    if (input === undefined || input === null || input === '') return { tags: [] };
+
+    const raw = Array.isArray(input) ? input : String(input).split(',');
+    const tags = [...new Set(raw
+        .map(tag => String(tag).trim().toLowerCase().replace(/^#/, '').replace(/\s+/g, '-'))
+        .filter(Boolean))];
+
+    if (tags.length > MAX_TAGS) {
+        return { error: `Posts can have at most ${MAX_TAGS} tags` };
+    }
+
+    if (tags.some(tag => tag.length > MAX_TAG_LENGTH || !SLUG_PATTERN.test(tag))) {
+        return { error: `Tags may only use letters, numbers and dashes (max ${MAX_TAG_LENGTH} characters)` };
+    }
+
+    return { tags };
+};
+
+// Check a category slug and optional flair id against the taxonomy.
+// Returns { category, flair } or { error }
+const resolveTaxonomy = async (categorySlug, flairId = null) => {
+    const { data: category } = await supabase
+        .from('categories')
+        .select('slug, name, is_active')
+        .eq('slug', String(categorySlug))
+        .single();
+
+    if (!category || !category.is_active) {
+        return { error: 'Unknown category' };
+    }
+
+    if (!flairId) {
+        return { category, flair: null };
+    }
+
+    const { data: flair } = await supabase
+        .from('flairs')
+        .select('id, category_slug, name, colour')
+        .eq('id', flairId)
+        .single();
+
+    if (!flair || flair.category_slug !== category.slug) {
+        return { error: `That flair isn't available in ${category.name}` };
+    }
+
+    return { category, flair };
+};
+
+module.exports = {
+    MAX_TAGS,
+    SLUG_PATTERN,
+    COLOUR_PATTERN,
+    normalizeTags,
+    resolveTaxonomy
+};
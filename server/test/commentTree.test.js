@@ -0,0 +1,202 @@
+// Comment tree assembly and per-level cursors.
+// Run with `npm test` (node --test); no database is needed. pageOf below
+// stands in for get_comment_page, with the same ordering and cursor filter.
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { encodeCursor } = require('../src/utils/cursor');
+const { buildCommentTree, parseCommentCursor, flattenTree } = require('../src/utils/commentTree');
+
+const POST_ID = '00000000-0000-4000-8000-00000000aaaa';
+const idFor = (n) => `00000000-0000-4000-8000-${String(n).padStart(12, '0')}`;
+
+// A comment row plus what get_comment_page would say about it
+const comment = (n, parent, sortKey, createdAt, extra = {}) => ({
+    id: idFor(n),
+    parent_id: parent === null ? null : idFor(parent),
+    post_id: POST_ID,
+    content: `comment ${n}`,
+    author_id: idFor(900 + n),
+    is_deleted: false,
+    sort_key: sortKey,
+    created_at: createdAt,
+    ...extra
+});
+
+// sort_key DESC, created_at DESC, id ASC, as in get_comment_page
+const compareRows = (a, b) => (
+    b.sort_key - a.sort_key
+    || (a.created_at < b.created_at ? 1 : a.created_at > b.created_at ? -1 : 0)
+    || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0)
+);
+
+const isAfter = (row, { k, t, i }) => (
+    row.sort_key < k
+    || (row.sort_key === k && (row.created_at < t || (row.created_at === t && row.id > i)))
+);
+
+// One page of parentId's children, shaped like get_comment_page rows
+const pageOf = (comments, parentId, limit, cursor = null) => {
+    const children = comments
+        .filter(c => c.parent_id === parentId)
+        .filter(c => !cursor || isAfter(c, cursor))
+        .sort(compareRows);
+
+    return children.slice(0, limit).map(c => ({
+        id: c.id,
+        parent_id: c.parent_id,
+        sort_key: c.sort_key,
+        created_at: c.created_at,
+        is_hidden: Boolean(c.is_hidden),
+        reply_count: comments.filter(r => r.parent_id === c.id).length,
+        sibling_count: children.length
+    }));
+};
+
+// get_comment_page for each level in turn, as the comments routes call it
+const loadLevels = (comments, rootId, limit, depth) => {
+    const levels = [pageOf(comments, rootId, limit)];
+
+    for (let level = 1; level < depth; level++) {
+        const parents = levels[level - 1].filter(row => row.reply_count > 0);
+        levels.push(parents.flatMap(row => pageOf(comments, row.id, limit)));
+    }
+
+    return levels;
+};
+
+const byId = (comments) => new Map(comments.map(c => [c.id, c]));
+
+test('replies nest under their parents', () => {
+    const comments = [
+        comment(1, null, 5, '2025-09-10T10:00:00Z'),
+        comment(2, null, 3, '2025-09-10T11:00:00Z'),
+        comment(3, 1, 2, '2025-09-10T12:00:00Z'),
+        comment(4, 3, 1, '2025-09-10T13:00:00Z')
+    ];
+
+    const { nodes, more } = buildCommentTree(loadLevels(comments, null, 5, 6), byId(comments));
+
+    assert.deepStrictEqual(nodes.map(node => node.id), [idFor(1), idFor(2)]);
+    assert.deepStrictEqual(nodes[0].replies.map(node => node.id), [idFor(3)]);
+    assert.deepStrictEqual(nodes[0].replies[0].replies.map(node => node.id), [idFor(4)]);
+    assert.deepStrictEqual(nodes[1].replies, []);
+    assert.strictEqual(more, null);
+    assert.deepStrictEqual(flattenTree(nodes).map(node => node.id), [1, 3, 4, 2].map(idFor));
+});
+
+test('ties on sort key go newest first, then by id', () => {
+    const comments = [
+        comment(3, null, 1, '2025-09-10T10:00:00Z'),
+        comment(1, null, 1, '2025-09-10T10:00:00Z'),
+        comment(2, null, 1, '2025-09-10T12:00:00Z'),
+        comment(4, null, 2, '2025-09-01T00:00:00Z')
+    ];
+
+    const { nodes } = buildCommentTree(loadLevels(comments, null, 10, 1), byId(comments));
+
+    assert.deepStrictEqual(nodes.map(node => node.id), [4, 2, 1, 3].map(idFor));
+});
+
+test('paging by cursor visits every sibling once, in order', () => {
+    // Lots of ties, so the cursor has to use all three columns
+    const comments = Array.from({ length: 13 }, (_, n) => comment(
+        n + 1,
+        null,
+        n % 3,
+        `2025-09-10T1${n % 2}:00:00Z`
+    ));
+    const expected = [...comments].sort(compareRows).map(c => c.id);
+
+    const seen = [];
+    let cursor = null;
+
+    do {
+        const rows = pageOf(comments, null, 5, cursor);
+        const { nodes, more } = buildCommentTree([rows], byId(comments));
+        seen.push(...nodes.map(node => node.id));
+
+        cursor = more && parseCommentCursor(more.cursor, { sort: 'best', parentId: null });
+        if (more) {
+            assert.strictEqual(more.count, expected.length - seen.length);
+            assert.ok(cursor);
+        }
+    } while (cursor);
+
+    assert.deepStrictEqual(seen, expected);
+});
+
+test('replies past the page size leave a moreReplies stub for their parent', () => {
+    const comments = [
+        comment(1, null, 1, '2025-09-10T10:00:00Z'),
+        ...Array.from({ length: 7 }, (_, n) => comment(10 + n, 1, 0, `2025-09-10T11:0${n}:00Z`))
+    ];
+
+    const { nodes } = buildCommentTree(loadLevels(comments, null, 5, 2), byId(comments), { sort: 'new' });
+    const { moreReplies } = nodes[0];
+
+    assert.strictEqual(nodes[0].replies.length, 5);
+    assert.strictEqual(moreReplies.count, 2);
+
+    const cursor = parseCommentCursor(moreReplies.cursor, { sort: 'new', parentId: idFor(1) });
+    const lastShown = comments.find(c => c.id === nodes[0].replies[4].id);
+    assert.deepStrictEqual(cursor, { k: 0, t: lastShown.created_at, i: lastShown.id });
+
+    // The stub's cursor belongs to that parent and sort only
+    assert.strictEqual(parseCommentCursor(moreReplies.cursor, { sort: 'best', parentId: idFor(1) }), null);
+    assert.strictEqual(parseCommentCursor(moreReplies.cursor, { sort: 'new', parentId: null }), null);
+});
+
+test('threads deeper than maxDepth end in continueThread', () => {
+    // A single chain 1 -> 2 -> 3 -> 4 -> 5
+    const comments = [1, 2, 3, 4, 5].map(n => comment(n, n === 1 ? null : n - 1, 0, '2025-09-10T10:00:00Z'));
+
+    const { nodes } = buildCommentTree(loadLevels(comments, null, 5, 3), byId(comments), { maxDepth: 3 });
+    const third = nodes[0].replies[0].replies[0];
+
+    assert.strictEqual(third.id, idFor(3));
+    assert.deepStrictEqual(third.replies, []);
+    assert.deepStrictEqual(third.continueThread, { commentId: idFor(3), replyCount: 1 });
+    assert.strictEqual(nodes[0].continueThread, undefined);
+
+    // Continuing from there starts a new tree rooted at that comment
+    const continued = buildCommentTree(loadLevels(comments, idFor(3), 5, 3), byId(comments), { rootId: idFor(3), maxDepth: 3 });
+    assert.deepStrictEqual(flattenTree(continued.nodes).map(node => node.id), [idFor(4), idFor(5)]);
+});
+
+test('deleted and hidden comments keep their place without their content', () => {
+    const comments = [
+        comment(1, null, 2, '2025-09-10T10:00:00Z', { is_deleted: true }),
+        comment(2, 1, 1, '2025-09-10T11:00:00Z', { is_hidden: true }),
+        comment(3, 2, 0, '2025-09-10T12:00:00Z')
+    ];
+
+    const { nodes } = buildCommentTree(loadLevels(comments, null, 5, 3), byId(comments));
+    const [deleted] = nodes;
+    const [hidden] = deleted.replies;
+
+    assert.strictEqual(deleted.content, '[deleted]');
+    assert.strictEqual(deleted.author_id, null);
+    assert.strictEqual(hidden.content, '[hidden]');
+    assert.strictEqual(hidden.is_hidden, true);
+    assert.strictEqual(hidden.replies[0].content, 'comment 3');
+});
+
+test('malformed comment cursors are refused', () => {
+    const valid = { p: null, s: 'best', k: 0.5, t: '2025-09-10T10:00:00.123456+00:00', i: idFor(1) };
+    const options = { sort: 'best', parentId: null };
+
+    assert.deepStrictEqual(parseCommentCursor(encodeCursor(valid), options), { k: 0.5, t: valid.t, i: valid.i });
+
+    [
+        undefined,
+        'garbage',
+        encodeCursor({ ...valid, k: 'NaN' }),
+        encodeCursor({ ...valid, k: null }),
+        encodeCursor({ ...valid, t: 'yesterday' }),
+        encodeCursor({ ...valid, t: 12 }),
+        encodeCursor({ ...valid, i: 'not-a-uuid' }),
+        encodeCursor({ ...valid, s: 'top' }),
+        encodeCursor({ ...valid, p: idFor(2) })
+    ].forEach(cursor => assert.strictEqual(parseCommentCursor(cursor, options), null, String(cursor)));
+});
@@ -0,0 +1,79 @@
+// Line diffs for post revisions.
+// Run with `npm test` (node --test).
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { diffLines } = require('../src/utils/diff');
+
+// Both sides of the text, read back out of a diff
+const sides = (diff) => ({
+    before: diff.filter(entry => entry.type !== 'added').map(entry => entry.line),
+    after: diff.filter(entry => entry.type !== 'removed').map(entry => entry.line)
+});
+
+const count = (diff, type) => diff.filter(entry => entry.type === type).length;
+
+test('identical text is all unchanged', () => {
+    const diff = diffLines('one\ntwo', 'one\ntwo');
+
+    assert.deepStrictEqual(diff, [
+        { type: 'unchanged', line: 'one' },
+        { type: 'unchanged', line: 'two' }
+    ]);
+});
+
+test('empty or missing text has no lines', () => {
+    assert.deepStrictEqual(diffLines('', ''), []);
+    assert.deepStrictEqual(diffLines(null, 'new'), [{ type: 'added', line: 'new' }]);
+    assert.deepStrictEqual(diffLines('old', undefined), [{ type: 'removed', line: 'old' }]);
+});
+
+test('Windows line endings compare equal to Unix ones', () => {
+    assert.strictEqual(count(diffLines('a\r\nb\r\nc', 'a\nb\nc'), 'unchanged'), 3);
+});
+
+test('an edited line shows as removed then added, in place', () => {
+    const diff = diffLines('title\nold line\nfooter', 'title\nnew line\nfooter');
+
+    assert.deepStrictEqual(diff, [
+        { type: 'unchanged', line: 'title' },
+        { type: 'removed', line: 'old line' },
+        { type: 'added', line: 'new line' },
+        { type: 'unchanged', line: 'footer' }
+    ]);
+});
+
+test('the middle diff keeps the longest run of common lines', () => {
+    const before = 'a\nb\nc\nd\ne\nf';
+    const after = 'a\nx\nc\ny\ne\nf\ng';
+    const diff = diffLines(before, after);
+
+    assert.deepStrictEqual(sides(diff), { before: before.split('\n'), after: after.split('\n') });
+    // a, c, e, f are shared
+    assert.strictEqual(count(diff, 'unchanged'), 4);
+    assert.strictEqual(count(diff, 'removed'), 2);
+    assert.strictEqual(count(diff, 'added'), 3);
+});
+
+test('moved lines are not lost', () => {
+    const before = 'intro\nfirst\nsecond\nthird';
+    const after = 'intro\nthird\nfirst\nsecond';
+    const diff = diffLines(before, after);
+
+    assert.deepStrictEqual(sides(diff), { before: before.split('\n'), after: after.split('\n') });
+    assert.strictEqual(count(diff, 'unchanged'), 3);
+});
+
+test('huge rewrites fall back to one remove/add block', () => {
+    const before = Array.from({ length: 2100 }, (_, n) => `old ${n}`);
+    // One line in common, which a full LCS would keep as unchanged
+    const after = Array.from({ length: 2100 }, (_, n) => (n === 1000 ? 'old 1000' : `new ${n}`));
+    const diff = diffLines(['same', ...before, 'end'].join('\n'), ['same', ...after, 'end'].join('\n'));
+
+    assert.deepStrictEqual(diff[0], { type: 'unchanged', line: 'same' });
+    assert.deepStrictEqual(diff[diff.length - 1], { type: 'unchanged', line: 'end' });
+    assert.deepStrictEqual(diff.slice(1, -1).map(entry => entry.type), [
+        ...before.map(() => 'removed'),
+        ...after.map(() => 'added')
+    ]);
+});
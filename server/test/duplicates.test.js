@@ -0,0 +1,101 @@
+// Similar-post lookups for duplicate detection.
+// Run with `npm test` (node --test). The trigram scoring itself runs in
+// find_similar_posts (migrations/*_duplicate_detection.sql); a local fixture
+// stands in for that RPC here, so these cover what findSimilarPosts asks for
+// and how it reports the scores.
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+// RPC calls the fixture saw, and what it answers next
+let calls = [];
+let reply;
+
+let server;
+let findSimilarPosts;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            calls.push({ path: new URL(req.url, 'http://fixture').pathname, params: JSON.parse(body || '{}') });
+            res.writeHead(reply.status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(reply.body));
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    // Point the Supabase client at the fixture before anything loads it
+    process.env.SUPABASE_URL = `http://127.0.0.1:${server.address().port}`;
+    process.env.SUPABASE_SERVICE_KEY = 'test';
+    ({ findSimilarPosts } = require('../src/utils/duplicates'));
+});
+
+after(() => {
+    server.closeAllConnections();
+    server.close();
+});
+
+beforeEach(() => {
+    calls = [];
+    reply = { status: 200, body: [] };
+});
+
+test('recent posts in the category are scored against the new one', async () => {
+    await findSimilarPosts({
+        category: 'academics',
+        title: '  Is 6.006 curved?  ',
+        content: ' asking for a friend ',
+        excludeId: '00000000-0000-4000-8000-000000000001'
+    });
+
+    assert.deepStrictEqual(calls, [{
+        path: '/rest/v1/rpc/find_similar_posts',
+        params: {
+            p_category: 'academics',
+            p_title: 'Is 6.006 curved?',
+            p_content: 'asking for a friend',
+            p_exclude_id: '00000000-0000-4000-8000-000000000001',
+            p_days: 30,
+            p_threshold: 0.5,
+            p_limit: 5
+        }
+    }]);
+});
+
+test('an empty body is scored on the title alone', async () => {
+    await findSimilarPosts({ category: 'academics', title: 'Curve?', content: '   ' });
+    await findSimilarPosts({ category: 'academics', title: 'Curve?' });
+
+    assert.deepStrictEqual(calls.map(call => call.params.p_content), [null, null]);
+    assert.deepStrictEqual(calls.map(call => call.params.p_exclude_id), [null, null]);
+});
+
+test('scores come back rounded to two places, in ranked order', async () => {
+    reply.body = [
+        { id: 'a', title: 'Is 6.006 curved', similarity: 0.87654 },
+        { id: 'b', title: '6.006 curve', similarity: 0.5 },
+        { id: 'c', title: 'curved?', similarity: 0.504999 }
+    ];
+
+    const similar = await findSimilarPosts({ category: 'academics', title: 'Is 6.006 curved?' });
+
+    assert.deepStrictEqual(similar.map(post => [post.id, post.similarity]), [['a', 0.88], ['b', 0.5], ['c', 0.5]]);
+    assert.strictEqual(similar[0].title, 'Is 6.006 curved');
+});
+
+test('nothing is looked up without a category and title', async () => {
+    assert.deepStrictEqual(await findSimilarPosts({ category: 'academics', title: '   ' }), []);
+    assert.deepStrictEqual(await findSimilarPosts({ category: null, title: 'Curve?' }), []);
+    assert.deepStrictEqual(calls, []);
+});
+
+test('a failed lookup finds no duplicates', async () => {
+    reply = { status: 500, body: { message: 'boom' } };
+
+    assert.deepStrictEqual(await findSimilarPosts({ category: 'academics', title: 'Curve?' }), []);
+});
@@ -0,0 +1,103 @@
+// Feed cursors: encoding, validation and keyset pages.
+// Run with `npm test` (node --test); no database is needed.
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+// The Supabase client is built when feed loads; it only needs settings
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://127.0.0.1:9';
+process.env.SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY || 'test';
+
+const { encodeCursor, decodeCursor } = require('../src/utils/cursor');
+const { applyFeedPosition, parseFeedCursor, paginateKeyset } = require('../src/utils/feed');
+
+const ids = [
+    '00000000-0000-4000-8000-000000000003',
+    '00000000-0000-4000-8000-000000000002',
+    '00000000-0000-4000-8000-000000000001'
+];
+
+const rows = [
+    { id: ids[0], hot_score: 12.5, created_at: '2025-09-10T12:00:00.123456+00:00' },
+    { id: ids[1], hot_score: 12.5, created_at: '2025-09-10T11:00:00+00:00' },
+    { id: ids[2], hot_score: 3, created_at: '2025-09-09T08:30:00+00:00' }
+];
+
+test('cursors round-trip as opaque strings', () => {
+    const payload = { k: { v: 1.5, t: '2025-09-10T12:00:00.123456+00:00', i: ids[0] } };
+    const cursor = encodeCursor(payload);
+
+    assert.match(cursor, /^[A-Za-z0-9_-]+$/);
+    assert.deepStrictEqual(decodeCursor(cursor), payload);
+});
+
+test('anything that is not a cursor decodes to null', () => {
+    [
+        undefined,
+        '',
+        ['a'],
+        'not base64 json',
+        Buffer.from('"a string"').toString('base64url'),
+        Buffer.from('null').toString('base64url'),
+        Buffer.from('{"k":').toString('base64url')
+    ].forEach(value => assert.strictEqual(decodeCursor(value), null, String(value)));
+});
+
+test('a keyset page ends with a cursor at its last post', () => {
+    const page = paginateKeyset(rows, 2, 'hot_score');
+
+    assert.deepStrictEqual(page.pageIds, [ids[0], ids[1]]);
+    assert.deepStrictEqual(parseFeedCursor(page.nextCursor), {
+        position: { v: 12.5, t: rows[1].created_at, i: ids[1] },
+        exclude: []
+    });
+});
+
+test('the last page has no cursor', () => {
+    const page = paginateKeyset(rows, 3, 'hot_score');
+
+    assert.strictEqual(page.pageIds.length, 3);
+    assert.strictEqual(page.nextCursor, null);
+    assert.deepStrictEqual(paginateKeyset([], 10, 'hot_score'), { pageIds: [], nextCursor: null });
+});
+
+test('newest-first feeds leave the sort value out', () => {
+    const { nextCursor } = paginateKeyset(rows, 1, 'created_at');
+    assert.strictEqual(parseFeedCursor(nextCursor).position.v, null);
+});
+
+test('excluded ids travel with the cursor', () => {
+    const { nextCursor } = paginateKeyset(rows, 1, 'hot_score', [ids[2]]);
+    assert.deepStrictEqual(parseFeedCursor(nextCursor).exclude, [ids[2]]);
+});
+
+test('malformed feed cursors are refused', () => {
+    const position = { v: 1, t: rows[0].created_at, i: ids[0] };
+
+    [
+        'garbage',
+        encodeCursor({ s: ids[0], o: 10 }),
+        encodeCursor({ k: 'position' }),
+        encodeCursor({ k: { ...position, v: 'NaN' } }),
+        encodeCursor({ k: { ...position, v: '1);drop' } }),
+        encodeCursor({ k: { ...position, t: 'yesterday' } }),
+        encodeCursor({ k: { ...position, t: '2025-09-10T12:00:00Z",id.gt.0' } }),
+        encodeCursor({ k: { ...position, i: 'not-a-uuid' } }),
+        encodeCursor({ k: position, x: 'not a list' }),
+        encodeCursor({ k: position, x: ['not-a-uuid'] })
+    ].forEach(cursor => assert.strictEqual(parseFeedCursor(cursor), null, cursor));
+});
+
+test('the keyset filter ranks by the sort column, then created_at, then id', () => {
+    const filters = [];
+    const query = { or: filter => filters.push(filter) };
+    const position = { v: 12.5, t: rows[1].created_at, i: ids[1] };
+
+    applyFeedPosition(query, 'hot_score', position);
+    applyFeedPosition(query, 'created_at', { ...position, v: null });
+
+    const olderThan = `created_at.lt."${position.t}",and(created_at.eq."${position.t}",id.lt.${ids[1]})`;
+    assert.deepStrictEqual(filters, [
+        `hot_score.lt.12.5,and(hot_score.eq.12.5,or(${olderThan}))`,
+        olderThan
+    ]);
+});
@@ -0,0 +1,211 @@
+// Link preview fetching against a local fixture server.
+// Run with `npm test` (node --test); no database is needed, getLinkPreview's
+// cache is never touched.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+// The Supabase client is built when linkPreview loads; it only needs settings
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://127.0.0.1:9';
+process.env.SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY || 'test';
+
+const { fetchLinkMetadata, isPublicAddress, parseFetchableUrl, parseLinkUrl } = require('../src/utils/linkPreview');
+
+const pages = {
+    '/og': `<html><head>
+        <title>Plain title</title>
+        <meta property="og:title" content="OG &amp; title">
+        <meta property="og:description" content="OG description">
+        <meta property="og:image" content="/cover.png">
+        <meta property="og:site_name" content="Fixture">
+        <meta property="og:type" content="article">
+        <link rel="canonical" href="/og-canonical">
+        <link rel="icon" href="/favicon.ico">
+    </head></html>`,
+    '/twitter': `<html><head>
+        <meta name="twitter:title" content="Card title">
+        <meta name="twitter:description" content="Card description">
+        <meta name="twitter:image" content="https://cdn.example.com/card.jpg">
+    </head></html>`,
+    '/oembed-page': `<html><head>
+        <meta property="og:description" content="Only a description">
+        <link rel="alternate" type="application/json+oembed" href="/oembed.json">
+    </head></html>`
+};
+
+let server;
+let origin;
+let allowHosts;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        const path = req.url;
+
+        if (pages[path]) {
+            res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+            return res.end(pages[path]);
+        }
+
+        if (path === '/oembed.json') {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            return res.end(JSON.stringify({
+                title: 'Embedded video',
+                thumbnail_url: `${origin}/thumb.jpg`,
+                provider_name: 'VideoSite',
+                author_name: 'Uploader'
+            }));
+        }
+
+        if (path === '/redirect-private') {
+            res.writeHead(302, { Location: 'http://10.0.0.1/' });
+            return res.end();
+        }
+
+        if (path === '/redirect-loopback') {
+            res.writeHead(302, { Location: 'http://127.0.0.1/admin' });
+            return res.end();
+        }
+
+        if (path === '/endless') {
+            // Never ends on its own; only the size cap stops the read
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            res.write('<html><head><title>Endless</title></head><body>');
+            const chunk = `<p>${'x'.repeat(16 * 1024)}</p>`;
+            const pump = () => {
+                if (res.destroyed) return;
+                res.write(chunk, () => setImmediate(pump));
+            };
+            return pump();
+        }
+
+        if (path === '/slow') {
+            // Headers never arrive
+            return;
+        }
+
+        res.writeHead(404);
+        res.end();
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    origin = `http://127.0.0.1:${server.address().port}`;
+    allowHosts = [new URL(origin).host];
+});
+
+after(() => {
+    server.closeAllConnections();
+    server.close();
+});
+
+test('stored links may use any port or host, fetched links may not', () => {
+    assert.ok(parseLinkUrl('http://example.com:8080/page'));
+    assert.ok(parseLinkUrl('https://intranet.local/'));
+    assert.strictEqual(parseLinkUrl('ftp://example.com/'), null);
+    assert.strictEqual(parseLinkUrl('javascript:alert(1)'), null);
+
+    assert.strictEqual(parseFetchableUrl('http://example.com:8080/page'), null);
+    assert.strictEqual(parseFetchableUrl('https://intranet.local/'), null);
+    assert.ok(parseFetchableUrl('https://example.com/page'));
+});
+
+test('private and loopback addresses are refused', async () => {
+    [
+        'http://127.0.0.1/',
+        'http://10.1.2.3/',
+        'http://192.168.0.10/',
+        'http://169.254.169.254/latest/meta-data/',
+        'http://[::1]/',
+        'http://[::ffff:10.0.0.1]/',
+        'http://[64:ff9b::a00:1]/',
+        'http://[2002:a00:1::1]/',
+        'http://localhost/',
+        'http://printer.localhost/'
+    ].forEach(url => assert.strictEqual(parseFetchableUrl(url), null, url));
+
+    // The fixture itself is loopback, so it is refused unless allowed
+    await assert.rejects(fetchLinkMetadata(`${origin}/og`), /URL is not allowed/);
+});
+
+test('NAT64 and 6to4 addresses are refused whatever IPv4 address they embed', () => {
+    [
+        '64:ff9b::7f00:1',
+        '64:ff9b::808:808',
+        '64:ff9b:1::a00:1',
+        '2002:7f00:1::',
+        '2002:a9fe:a9fe::1',
+        '2002:808:808::1'
+    ].forEach(address => assert.strictEqual(isPublicAddress(address), false, address));
+
+    assert.strictEqual(isPublicAddress('2606:4700:4700::1111'), true);
+    assert.strictEqual(isPublicAddress('8.8.8.8'), true);
+});
+
+test('hostnames that resolve to a private address are refused', async () => {
+    const lookup = (hostname, options, callback) => {
+        if (options.all) return callback(null, [{ address: '10.0.0.7', family: 4 }]);
+        callback(null, '10.0.0.7', 4);
+    };
+
+    await assert.rejects(
+        fetchLinkMetadata('http://intranet.example.com/', { lookup }),
+        /non-public address 10\.0\.0\.7/
+    );
+
+    // The same address behind a 6to4 prefix
+    const lookup6to4 = (hostname, options, callback) => {
+        if (options.all) return callback(null, [{ address: '2002:a00:7::1', family: 6 }]);
+        callback(null, '2002:a00:7::1', 6);
+    };
+
+    await assert.rejects(
+        fetchLinkMetadata('http://intranet.example.com/', { lookup: lookup6to4 }),
+        /non-public address 2002:a00:7::1/
+    );
+});
+
+test('redirects to private addresses are refused', async () => {
+    await assert.rejects(fetchLinkMetadata(`${origin}/redirect-private`, { allowHosts }), /URL is not allowed/);
+    await assert.rejects(fetchLinkMetadata(`${origin}/redirect-loopback`, { allowHosts }), /URL is not allowed/);
+});
+
+test('oversize bodies are cut off', async () => {
+    const metadata = await fetchLinkMetadata(`${origin}/endless`, { allowHosts, timeoutMs: 3000 });
+    assert.strictEqual(metadata.title, 'Endless');
+});
+
+test('the timeout aborts a server that never answers', async () => {
+    const started = Date.now();
+    await assert.rejects(fetchLinkMetadata(`${origin}/slow`, { allowHosts, timeoutMs: 200 }), { name: 'AbortError' });
+    assert.ok(Date.now() - started < 2000);
+});
+
+test('OpenGraph metadata is parsed', async () => {
+    const metadata = await fetchLinkMetadata(`${origin}/og`, { allowHosts });
+
+    assert.strictEqual(metadata.title, 'OG & title');
+    assert.strictEqual(metadata.description, 'OG description');
+    assert.strictEqual(metadata.image, `${origin}/cover.png`);
+    assert.strictEqual(metadata.siteName, 'Fixture');
+    assert.strictEqual(metadata.type, 'article');
+    assert.strictEqual(metadata.url, `${origin}/og-canonical`);
+    assert.strictEqual(metadata.favicon, `${origin}/favicon.ico`);
+    assert.strictEqual(metadata.domain, '127.0.0.1');
+});
+
+test('Twitter card metadata is parsed', async () => {
+    const metadata = await fetchLinkMetadata(`${origin}/twitter`, { allowHosts });
+
+    assert.strictEqual(metadata.title, 'Card title');
+    assert.strictEqual(metadata.description, 'Card description');
+    assert.strictEqual(metadata.image, 'https://cdn.example.com/card.jpg');
+});
+
+test('oEmbed fills in what the page leaves out', async () => {
+    const metadata = await fetchLinkMetadata(`${origin}/oembed-page`, { allowHosts });
+
+    assert.strictEqual(metadata.title, 'Embedded video');
+    assert.strictEqual(metadata.description, 'Only a description');
+    assert.strictEqual(metadata.image, `${origin}/thumb.jpg`);
+    assert.strictEqual(metadata.siteName, 'VideoSite');
+    assert.strictEqual(metadata.author, 'Uploader');
+});
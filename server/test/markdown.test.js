@@ -0,0 +1,109 @@
+// Markdown rendering and the sanitizer allowlist behind it.
+// Run with `npm test` (node --test); no database is needed.
+const { test } = require('node:test');
+const assert = require('node:assert');
+const sanitizeHtml = require('sanitize-html');
+
+const { SANITIZE_OPTIONS, renderMarkdown, toPlainText } = require('../src/utils/markdown');
+
+const sanitize = (html) => sanitizeHtml(html, SANITIZE_OPTIONS);
+
+test('javascript: and data: links are not rendered as links', () => {
+    [
+        '[click](javascript:alert(1))',
+        '[click](JavaScript:alert(1))',
+        '[click](data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==)',
+        '<javascript:alert(1)>'
+    ].forEach(source => {
+        const html = renderMarkdown(source);
+        assert.doesNotMatch(html, /href/i, source);
+    });
+
+    // The sanitizer drops them too when they get past the parser
+    assert.strictEqual(sanitize('<a href="javascript:alert(1)">x</a>'), '<a rel="nofollow noopener noreferrer" target="_blank">x</a>');
+    assert.doesNotMatch(sanitize('<a href="data:text/html,x">x</a>'), /href/);
+    assert.doesNotMatch(sanitize('<a href="//evil.example.com/">x</a>'), /href/);
+});
+
+test('ordinary links open in a new tab without a referrer', () => {
+    assert.strictEqual(
+        renderMarkdown('[MIT](https://mit.edu)'),
+        '<p><a href="https://mit.edu" rel="nofollow noopener noreferrer" target="_blank">MIT</a></p>\n'
+    );
+});
+
+test('raw HTML in the source is escaped', () => {
+    const html = renderMarkdown('<img src=x onerror="alert(1)"> and <script>alert(1)</script>');
+
+    assert.doesNotMatch(html, /<img|<script/);
+    assert.match(html, /&lt;img src=x onerror="alert\(1\)"&gt;/);
+});
+
+test('the sanitizer strips tags and handlers outside the allowlist', () => {
+    assert.strictEqual(sanitize('<img src=x onerror="alert(1)">'), '');
+    assert.strictEqual(sanitize('<p onclick="alert(1)">hi</p>'), '<p>hi</p>');
+    assert.strictEqual(sanitize('<script>alert(1)</script>'), '');
+    assert.strictEqual(sanitize('<iframe src="https://example.com"></iframe>'), '');
+});
+
+test('only allowlisted classes survive', () => {
+    assert.strictEqual(sanitize('<span class="md-spoiler other">x</span>'), '<span class="md-spoiler">x</span>');
+    assert.strictEqual(sanitize('<span class="evil">x</span>'), '<span>x</span>');
+    assert.strictEqual(sanitize('<a href="/#user-tim" class="md-mention">@tim</a>'), '<a href="/#user-tim" class="md-mention">@tim</a>');
+    assert.strictEqual(sanitize('<code class="language-js">x</code>'), '<code class="language-js">x</code>');
+    assert.strictEqual(sanitize('<code class="md-spoiler">x</code>'), '<code>x</code>');
+    assert.strictEqual(sanitize('<p class="md-spoiler">x</p>'), '<p>x</p>');
+
+    assert.match(renderMarkdown('```python\nprint(1)\n```'), /<code class="language-python">/);
+});
+
+test('table cells keep only left, right or center alignment', () => {
+    assert.strictEqual(sanitize('<td style="text-align:center">x</td>'), '<td style="text-align:center">x</td>');
+    assert.strictEqual(sanitize('<td style="text-align:justify">x</td>'), '<td>x</td>');
+    assert.strictEqual(sanitize('<th style="text-align:left;background:url(x)">x</th>'), '<th style="text-align:left">x</th>');
+    assert.strictEqual(sanitize('<p style="text-align:center">x</p>'), '<p>x</p>');
+
+    const html = renderMarkdown('| a | b |\n|:-:|--:|\n| 1 | 2 |');
+    assert.match(html, /<th style="text-align:center">a<\/th>/);
+    assert.match(html, /<td style="text-align:right">2<\/td>/);
+});
+
+test('spoilers render as spoiler spans', () => {
+    assert.strictEqual(
+        renderMarkdown('the ending is >!**a twist**!< really'),
+        '<p>the ending is <span class="md-spoiler"><strong>a twist</strong></span> really</p>\n'
+    );
+
+    // Empty or unclosed markers stay text
+    assert.doesNotMatch(renderMarkdown('>!!< and >!open'), /md-spoiler/);
+});
+
+test('a line starting with >! is a spoiler, not a blockquote', () => {
+    const html = renderMarkdown('>!hidden!<');
+
+    assert.doesNotMatch(html, /<blockquote>/);
+    assert.strictEqual(html, '<p><span class="md-spoiler">hidden</span></p>\n');
+
+    assert.match(renderMarkdown('> quoted'), /<blockquote>/);
+});
+
+test('mentions link only to resolved usernames', () => {
+    const html = renderMarkdown('hi @Tim and @nobody', { mentions: ['tim'] });
+
+    assert.match(html, /<a href="\/#user-tim" class="md-mention">@Tim<\/a>/);
+    assert.doesNotMatch(html, /#user-nobody/);
+});
+
+test('plain text summaries do not leak spoilers', () => {
+    const text = toPlainText('Guess what: >!the butler **did it**!<\n\n>!whole line secret!<');
+
+    assert.strictEqual(text, 'Guess what: [spoiler] [spoiler]');
+    assert.doesNotMatch(text, /butler|secret/);
+});
+
+test('plain text summaries are cut to length', () => {
+    const text = toPlainText('word '.repeat(100), 20);
+
+    assert.ok(text.length <= 20);
+    assert.ok(text.endsWith('…'));
+});
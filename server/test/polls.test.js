@@ -0,0 +1,62 @@
+// Poll input validation for create-post requests.
+// Run with `npm test` (node --test); no database is needed.
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+// The Supabase client is built when polls loads; it only needs settings
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://127.0.0.1:9';
+process.env.SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY || 'test';
+
+const { validatePollInput } = require('../src/utils/polls');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+test('a valid poll comes back trimmed and normalised', () => {
+    const closesAt = new Date(Date.now() + 2 * HOUR_MS);
+    const { poll, error } = validatePollInput({
+        options: ['  Yes ', 'No'],
+        allowMultiple: 'yes',
+        closesAt: closesAt.toISOString()
+    });
+
+    assert.strictEqual(error, undefined);
+    assert.deepStrictEqual(poll, {
+        options: ['Yes', 'No'],
+        allowsMultiple: true,
+        closesAt: closesAt.toISOString()
+    });
+});
+
+test('polls without a closing time stay open', () => {
+    const { poll } = validatePollInput({ options: ['a', 'b'] });
+
+    assert.strictEqual(poll.closesAt, null);
+    assert.strictEqual(poll.allowsMultiple, false);
+});
+
+test('options must be a list of two to ten', () => {
+    [undefined, null, {}, { options: 'a,b' }].forEach(input => {
+        assert.strictEqual(validatePollInput(input).error, 'Polls need a list of options');
+    });
+
+    assert.match(validatePollInput({ options: ['only'] }).error, /between 2 and 10/);
+    assert.match(validatePollInput({ options: Array.from({ length: 11 }, (_, n) => `option ${n}`) }).error, /between 2 and 10/);
+    assert.ok(validatePollInput({ options: Array.from({ length: 10 }, (_, n) => `option ${n}`) }).poll);
+});
+
+test('options must be non-empty, short and unique', () => {
+    assert.strictEqual(validatePollInput({ options: ['a', '   '] }).error, 'Poll options cannot be empty');
+    assert.strictEqual(validatePollInput({ options: ['a', null] }).error, 'Poll options cannot be empty');
+    assert.match(validatePollInput({ options: ['a', 'x'.repeat(101)] }).error, /100 characters or less/);
+    assert.ok(validatePollInput({ options: ['a', 'x'.repeat(100)] }).poll);
+    assert.strictEqual(validatePollInput({ options: ['Yes', ' yes'] }).error, 'Poll options must be unique');
+});
+
+test('closing times must be in the next 30 days', () => {
+    const at = (offsetMs) => new Date(Date.now() + offsetMs).toISOString();
+
+    assert.match(validatePollInput({ options: ['a', 'b'], closesAt: 'next week' }).error, /in the future/);
+    assert.match(validatePollInput({ options: ['a', 'b'], closesAt: at(-HOUR_MS) }).error, /in the future/);
+    assert.match(validatePollInput({ options: ['a', 'b'], closesAt: at(31 * 24 * HOUR_MS) }).error, /at most 30 days/);
+    assert.ok(validatePollInput({ options: ['a', 'b'], closesAt: at(29 * 24 * HOUR_MS) }).poll);
+});
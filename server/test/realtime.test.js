@@ -0,0 +1,98 @@
+// Event hub backlog replay for reconnecting /api/realtime clients.
+// Run with `npm test` (node --test). The hub is module state, so tests build on
+// the events earlier ones published.
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const {
+    currentEventId,
+    publish,
+    subscribe,
+    eventsSince,
+    connectionCount
+} = require('../src/utils/realtime');
+
+const channels = (...names) => new Set(names);
+
+test('published events reach subscribers of their channel only', () => {
+    const received = [];
+    const unsubscribe = subscribe(channels('feed', 'user:1'), entry => received.push(entry.event));
+
+    publish('feed', 'post', { id: 'p1' });
+    publish('user:2', 'notification', {});
+    publish('user:1', 'notification', {});
+    assert.strictEqual(connectionCount(), 1);
+
+    unsubscribe();
+    publish('feed', 'post', { id: 'p2' });
+
+    assert.deepStrictEqual(received, ['post', 'notification']);
+    assert.strictEqual(connectionCount(), 0);
+});
+
+test('a reconnect replays what was missed on its channels, oldest first', () => {
+    const lastSeen = currentEventId();
+
+    publish('feed', 'post', { id: 'p3' });
+    publish('post:9', 'comment', { id: 'c1' });
+    publish('feed', 'vote', { id: 'p3', score: 2 });
+
+    const missed = eventsSince(lastSeen, channels('feed'));
+
+    assert.deepStrictEqual(missed.map(entry => [entry.event, entry.data.id]), [['post', 'p3'], ['vote', 'p3']]);
+    assert.ok(missed[0].seq < missed[1].seq);
+    assert.deepStrictEqual(eventsSince(lastSeen, channels('post:9')).map(entry => entry.data.id), ['c1']);
+});
+
+test('an up-to-date client gets nothing', () => {
+    assert.deepStrictEqual(eventsSince(currentEventId(), channels('feed')), []);
+});
+
+test('ids the hub did not issue ask for a resync', () => {
+    const [bootId, seq] = currentEventId().split('-');
+
+    [
+        undefined,
+        '',
+        'garbage',
+        `${bootId}`,
+        `${bootId}-x`,
+        `other-${seq}`,
+        `${bootId}-${Number(seq) + 1}`
+    ].forEach(id => assert.strictEqual(eventsSince(id, channels('feed')), null, String(id)));
+});
+
+test('events older than ten minutes are dropped, so older ids resync', () => {
+    const lastSeen = currentEventId();
+    publish('feed', 'post', { id: 'old' });
+
+    const realNow = Date.now;
+    Date.now = () => realNow() + 11 * 60 * 1000;
+
+    try {
+        assert.strictEqual(eventsSince(lastSeen, channels('feed')), null);
+
+        // Anything published since is still replayed
+        const fresh = currentEventId();
+        publish('feed', 'post', { id: 'new' });
+        assert.deepStrictEqual(eventsSince(fresh, channels('feed')).map(entry => entry.data.id), ['new']);
+    } finally {
+        Date.now = realNow;
+    }
+});
+
+test('the backlog keeps the last 1000 events', () => {
+    const lastSeen = currentEventId();
+
+    for (let n = 0; n < 1000; n++) {
+        publish('feed', 'vote', { n });
+    }
+    // Exactly the backlog's worth is still replayable
+    assert.strictEqual(eventsSince(lastSeen, channels('feed')).length, 1000);
+
+    publish('feed', 'vote', { n: 1000 });
+    assert.strictEqual(eventsSince(lastSeen, channels('feed')), null);
+
+    const [bootId, seq] = currentEventId().split('-');
+    assert.strictEqual(eventsSince(`${bootId}-${Number(seq) - 1000}`, channels('feed')).length, 1000);
+});
@@ -0,0 +1,160 @@
+// Which targets can be saved, through the saved routes and attachSavedState.
+// Run with `npm test` (node --test). The routes talk to a local fixture
+// standing in for the Supabase REST API, never to a real database.
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const express = require('express');
+
+const USER_ID = '00000000-0000-4000-8000-000000000001';
+const POST_ID = '00000000-0000-4000-8000-000000000002';
+const COMMENT_ID = '00000000-0000-4000-8000-000000000003';
+
+// Requests the fixture saw, as "METHOD table"
+let calls = [];
+
+let restServer;
+let appServer;
+let apiOrigin;
+let token;
+let SAVE_TARGETS;
+let attachSavedState;
+
+const send = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+};
+
+before(async () => {
+    restServer = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://fixture');
+        const table = url.pathname.replace('/rest/v1/', '');
+        calls.push(`${req.method} ${table}`);
+
+        if (table === 'users') {
+            return send(res, 200, { id: USER_ID, name: 'Tim', email: 'tim@mit.edu', username: 'tim', is_verified: true });
+        }
+
+        if (table === 'posts' || table === 'comments') {
+            return send(res, 200, { id: url.searchParams.get('id').slice(3) });
+        }
+
+        if (table === 'saved_items' && req.method === 'GET') {
+            // The user saved the post only
+            return send(res, 200, [{ target_id: POST_ID }]);
+        }
+
+        if (table === 'saved_items' && req.method === 'POST') {
+            return send(res, 201, { id: 'save-1', target_type: 'post', target_id: POST_ID, collection_id: null });
+        }
+
+        if (table === 'saved_items' && req.method === 'DELETE') {
+            return send(res, 204);
+        }
+
+        send(res, 404, { message: 'not in the fixture' });
+    });
+
+    await new Promise(resolve => restServer.listen(0, '127.0.0.1', resolve));
+
+    // Point the Supabase client at the fixture before anything loads it
+    process.env.SUPABASE_URL = `http://127.0.0.1:${restServer.address().port}`;
+    process.env.SUPABASE_SERVICE_KEY = 'test';
+
+    const savedRoutes = require('../src/routes/saved');
+    const { generateToken } = require('../src/middleware/auth');
+    ({ SAVE_TARGETS, attachSavedState } = require('../src/utils/saved'));
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/saved', savedRoutes);
+
+    appServer = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => appServer.once('listening', resolve));
+    apiOrigin = `http://127.0.0.1:${appServer.address().port}`;
+    token = generateToken(USER_ID);
+});
+
+after(() => {
+    appServer.close();
+    restServer.closeAllConnections();
+    restServer.close();
+});
+
+beforeEach(() => {
+    calls = [];
+});
+
+const api = async (method, path, body) => {
+    const response = await fetch(`${apiOrigin}/api/saved${path}`, {
+        method,
+        headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+        body: body && JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+};
+
+test('only posts and comments can be saved', () => {
+    assert.deepStrictEqual(SAVE_TARGETS, ['post', 'comment']);
+});
+
+test('saving anything else is refused before touching saved_items', async () => {
+    for (const targetType of ['user', 'Post', '', undefined, ['post']]) {
+        const { status, body } = await api('POST', '/', { targetType, targetId: POST_ID });
+
+        assert.strictEqual(status, 400, String(targetType));
+        assert.strictEqual(body.message, 'targetType must be post or comment');
+    }
+
+    assert.ok(!calls.some(call => call.endsWith('saved_items')));
+});
+
+test('posts and comments are saved', async () => {
+    const { status, body } = await api('POST', '/', { targetType: 'post', targetId: POST_ID });
+
+    assert.strictEqual(status, 201);
+    assert.strictEqual(body.savedItem.target_id, POST_ID);
+    assert.ok(calls.includes('GET posts'));
+    assert.ok(calls.includes('POST saved_items'));
+
+    calls = [];
+    assert.strictEqual((await api('POST', '/', { targetType: 'comment', targetId: COMMENT_ID })).status, 201);
+    assert.ok(calls.includes('GET comments'));
+});
+
+test('a malformed target id is not found', async () => {
+    const { status, body } = await api('POST', '/', { targetType: 'comment', targetId: 'not-a-uuid' });
+
+    assert.strictEqual(status, 404);
+    assert.strictEqual(body.message, 'Comment not found');
+    assert.ok(!calls.includes('GET comments'));
+});
+
+test('unsaving checks the target type and id', async () => {
+    assert.strictEqual((await api('DELETE', `/user/${POST_ID}`)).status, 400);
+    assert.strictEqual((await api('DELETE', '/post/not-a-uuid')).status, 400);
+    assert.ok(!calls.includes('DELETE saved_items'));
+
+    assert.strictEqual((await api('DELETE', `/post/${POST_ID}`)).status, 200);
+    assert.ok(calls.includes('DELETE saved_items'));
+});
+
+test('listing by an unknown type is refused', async () => {
+    const { status, body } = await api('GET', '/?type=user');
+
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.message, 'Invalid type');
+});
+
+test('attachSavedState marks what the viewer saved', async () => {
+    const items = [{ id: POST_ID }, { id: COMMENT_ID }];
+
+    await attachSavedState(items, 'post', USER_ID);
+    assert.deepStrictEqual(items.map(item => item.is_saved), [true, false]);
+
+    // Nothing is saved for anonymous viewers, and nothing is looked up
+    calls = [];
+    await attachSavedState(items, 'post', null);
+    assert.deepStrictEqual(items.map(item => item.is_saved), [false, false]);
+    assert.deepStrictEqual(calls, []);
+});
@@ -0,0 +1,64 @@
+// Year-of-study parsing and onboarding category suggestions.
+// Run with `npm test` (node --test); no database is needed.
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+// The Supabase client is built when subscriptions loads; it only needs settings
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://127.0.0.1:9';
+process.env.SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY || 'test';
+
+const { yearOfStudy, suggestCategories } = require('../src/utils/subscriptions');
+
+// Months are zero-based: September is in the academic year starting that July
+const september2025 = new Date(2025, 8, 1);
+const march2026 = new Date(2026, 2, 1);
+
+test('years of study are taken as they are, postgraduates capped at 5', () => {
+    assert.strictEqual(yearOfStudy(1), 1);
+    assert.strictEqual(yearOfStudy('3'), 3);
+    assert.strictEqual(yearOfStudy(4), 4);
+    assert.strictEqual(yearOfStudy(7), 5);
+});
+
+test('joining years count from the July the academic year starts', () => {
+    assert.strictEqual(yearOfStudy(2025, september2025), 1);
+    assert.strictEqual(yearOfStudy(2025, march2026), 1);
+    assert.strictEqual(yearOfStudy(2025, new Date(2026, 6, 1)), 2);
+    assert.strictEqual(yearOfStudy('2022', september2025), 4);
+    assert.strictEqual(yearOfStudy(2015, september2025), 5);
+});
+
+test('joining years in the future count as first year', () => {
+    assert.strictEqual(yearOfStudy(2027, september2025), 1);
+});
+
+test('missing or nonsense years have no year of study', () => {
+    [undefined, null, '', 'first', 0, '0', -2, NaN].forEach(year => {
+        assert.strictEqual(yearOfStudy(year, september2025), null, String(year));
+    });
+});
+
+test('suggestions put the year first, then the branch, then the basics', () => {
+    assert.deepStrictEqual(suggestCategories({ branch: 'Computer Science and Engineering', year: 1 }), [
+        'hostels', 'clubs', 'restaurants', 'sports', 'tech', 'academics', 'events', 'news', 'general'
+    ]);
+    assert.deepStrictEqual(suggestCategories({ branch: 'Mechanical', year: 3 }), [
+        'placements', 'clubs', 'academics', 'events', 'news', 'general'
+    ]);
+});
+
+test('branch names match without regard to case', () => {
+    assert.ok(suggestCategories({ branch: 'information technology', year: null }).includes('tech'));
+    assert.ok(suggestCategories({ branch: 'ELECTRICAL AND ELECTRONICS', year: null }).includes('tech'));
+    assert.ok(!suggestCategories({ branch: 'Civil', year: null }).includes('tech'));
+});
+
+test('without a branch or year only the basics are suggested', () => {
+    assert.deepStrictEqual(suggestCategories({}), ['academics', 'events', 'news', 'general']);
+    assert.deepStrictEqual(suggestCategories({ branch: '', year: 'n/a' }), ['academics', 'events', 'news', 'general']);
+});
+
+test('suggestions never repeat', () => {
+    const suggestions = suggestCategories({ branch: 'Electronics', year: 5 });
+    assert.strictEqual(new Set(suggestions).size, suggestions.length);
+});
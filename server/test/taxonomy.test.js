@@ -0,0 +1,107 @@
+// Tag normalisation and category/flair checks.
+// Run with `npm test` (node --test). resolveTaxonomy talks to a local fixture
+// standing in for the Supabase REST API, never to a real database.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+const rows = {
+    categories: [
+        { slug: 'academics', name: 'Academics', is_active: true },
+        { slug: 'archived', name: 'Archived', is_active: false },
+        { slug: 'housing', name: 'Housing', is_active: true }
+    ],
+    flairs: [
+        { id: '00000000-0000-4000-8000-000000000001', category_slug: 'academics', name: 'Question', colour: '#3366ff' },
+        { id: '00000000-0000-4000-8000-000000000002', category_slug: 'housing', name: 'Sublet', colour: '#22aa55' }
+    ]
+};
+
+let server;
+let normalizeTags;
+let resolveTaxonomy;
+
+before(async () => {
+    // Answers `.eq(column, value).single()` lookups like PostgREST does
+    server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://fixture');
+        const table = url.pathname.replace('/rest/v1/', '');
+        const filters = [...url.searchParams].filter(([key]) => key !== 'select');
+        const matches = (rows[table] || []).filter(row => filters.every(([column, filter]) => (
+            filter.startsWith('eq.') && String(row[column]) === filter.slice(3)
+        )));
+
+        if (matches.length !== 1) {
+            res.writeHead(406, { 'Content-Type': 'application/json' });
+            return res.end(JSON.stringify({ code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' }));
+        }
+
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(matches[0]));
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    // Point the Supabase client at the fixture before anything loads it
+    process.env.SUPABASE_URL = `http://127.0.0.1:${server.address().port}`;
+    process.env.SUPABASE_SERVICE_KEY = 'test';
+    ({ normalizeTags, resolveTaxonomy } = require('../src/utils/taxonomy'));
+});
+
+after(() => {
+    server.closeAllConnections();
+    server.close();
+});
+
+test('tags are lowercased, de-hashed, dashed and deduplicated', () => {
+    assert.deepStrictEqual(normalizeTags(['#Finals', 'problem set', 'finals', '  ']), {
+        tags: ['finals', 'problem-set']
+    });
+    // Form posts send a comma-separated string
+    assert.deepStrictEqual(normalizeTags('cs, #MIT,  cs '), { tags: ['cs', 'mit'] });
+});
+
+test('missing tags are an empty list', () => {
+    [undefined, null, '', []].forEach(input => {
+        assert.deepStrictEqual(normalizeTags(input), { tags: [] });
+    });
+});
+
+test('at most five tags are allowed', () => {
+    assert.strictEqual(normalizeTags(['a', 'b', 'c', 'd', 'e']).tags.length, 5);
+    assert.strictEqual(normalizeTags(['a', 'b', 'c', 'd', 'e', 'f']).error, 'Posts can have at most 5 tags');
+    // Duplicates don't count twice
+    assert.strictEqual(normalizeTags(['a', 'A', '#a', 'b', 'c', 'd', 'e']).tags.length, 5);
+});
+
+test('tags may only use letters, numbers and dashes', () => {
+    ['c++', 'dorm/room', 'naïve', 'x'.repeat(31), 'emoji🎉'].forEach(tag => {
+        assert.match(normalizeTags([tag]).error, /letters, numbers and dashes/, tag);
+    });
+    assert.deepStrictEqual(normalizeTags(['x'.repeat(30)]).tags, ['x'.repeat(30)]);
+});
+
+test('active categories resolve, with or without a flair', async () => {
+    assert.deepStrictEqual(await resolveTaxonomy('academics'), {
+        category: rows.categories[0],
+        flair: null
+    });
+    assert.deepStrictEqual(await resolveTaxonomy('academics', rows.flairs[0].id), {
+        category: rows.categories[0],
+        flair: rows.flairs[0]
+    });
+});
+
+test('unknown and inactive categories are refused', async () => {
+    assert.deepStrictEqual(await resolveTaxonomy('nope'), { error: 'Unknown category' });
+    assert.deepStrictEqual(await resolveTaxonomy('archived'), { error: 'Unknown category' });
+});
+
+test('flairs must belong to the chosen category', async () => {
+    assert.deepStrictEqual(await resolveTaxonomy('academics', rows.flairs[1].id), {
+        error: 'That flair isn\'t available in Academics'
+    });
+    assert.deepStrictEqual(await resolveTaxonomy('housing', '00000000-0000-4000-8000-000000000099'), {
+        error: 'That flair isn\'t available in Housing'
+    });
+});
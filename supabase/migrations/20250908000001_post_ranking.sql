@@ -0,0 +1,95 @@
+-- Stored ranking data for the posts feed
+-- Replaces the Mongoose hotScore/controversyScore virtuals with columns that are
+-- recalculated whenever a post's votes or comment count change.
+
+ALTER TABLE public.posts
+ADD COLUMN IF NOT EXISTS hot_score DOUBLE PRECISION DEFAULT 0,
+ADD COLUMN IF NOT EXISTS rising_score DOUBLE PRECISION DEFAULT 0,
+ADD COLUMN IF NOT EXISTS controversy_score DOUBLE PRECISION DEFAULT 0,
+ADD COLUMN IF NOT EXISTS last_activity_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+
+-- Reddit-like hot score: log-scaled votes plus a time bonus, so a post needs
+-- e times the score to keep its rank for every 12.5 hours it ages
+CREATE OR REPLACE FUNCTION calculate_hot_score(p_score INTEGER, p_created_at TIMESTAMP WITH TIME ZONE)
+RETURNS DOUBLE PRECISION AS $$
+BEGIN
+    RETURN ROUND((
+        LN(GREATEST(ABS(COALESCE(p_score, 0)), 1)) * SIGN(COALESCE(p_score, 0))
+        + EXTRACT(EPOCH FROM (p_created_at - TIMESTAMP WITH TIME ZONE '2024-01-01 00:00:00+00')) / 45000
+    )::NUMERIC, 7)::DOUBLE PRECISION;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Rising score: same shape as hot, but keyed on the latest activity with a much
+-- shorter decay so posts gaining votes and comments right now float up
+CREATE OR REPLACE FUNCTION calculate_rising_score(
+    p_score INTEGER,
+    p_comment_count INTEGER,
+    p_last_activity_at TIMESTAMP WITH TIME ZONE
+)
+RETURNS DOUBLE PRECISION AS $$
+DECLARE
+    engagement INTEGER := COALESCE(p_score, 0) + COALESCE(p_comment_count, 0);
+BEGIN
+    RETURN ROUND((
+        LN(GREATEST(ABS(engagement), 1)) * SIGN(engagement)
+        + EXTRACT(EPOCH FROM (p_last_activity_at - TIMESTAMP WITH TIME ZONE '2024-01-01 00:00:00+00')) / 7200
+    )::NUMERIC, 7)::DOUBLE PRECISION;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Controversy score: large vote totals that are evenly split rank highest
+CREATE OR REPLACE FUNCTION calculate_controversy_score(p_upvotes INTEGER, p_downvotes INTEGER)
+RETURNS DOUBLE PRECISION AS $$
+DECLARE
+    ups INTEGER := COALESCE(p_upvotes, 0);
+    downs INTEGER := COALESCE(p_downvotes, 0);
+BEGIN
+    IF ups <= 0 OR downs <= 0 THEN
+        RETURN 0;
+    END IF;
+
+    RETURN POWER(ups + downs, LEAST(ups, downs)::DOUBLE PRECISION / GREATEST(ups, downs));
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION update_post_ranking()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        NEW.last_activity_at = COALESCE(NEW.created_at, NOW());
+    ELSIF NEW.upvotes IS DISTINCT FROM OLD.upvotes
+       OR NEW.downvotes IS DISTINCT FROM OLD.downvotes
+       OR NEW.comment_count IS DISTINCT FROM OLD.comment_count THEN
+        NEW.last_activity_at = NOW();
+    END IF;
+
+    NEW.hot_score = calculate_hot_score(NEW.score, COALESCE(NEW.created_at, NOW()));
+    NEW.rising_score = calculate_rising_score(NEW.score, NEW.comment_count, NEW.last_activity_at);
+    NEW.controversy_score = calculate_controversy_score(NEW.upvotes, NEW.downvotes);
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS update_posts_ranking ON public.posts;
+CREATE TRIGGER update_posts_ranking
+    BEFORE INSERT OR UPDATE OF upvotes, downvotes, score, comment_count, created_at ON public.posts
+    FOR EACH ROW EXECUTE FUNCTION update_post_ranking();
+
+-- Backfill existing posts
+UPDATE public.posts SET
+    last_activity_at = COALESCE(updated_at, created_at),
+    hot_score = calculate_hot_score(score, created_at),
+    rising_score = calculate_rising_score(score, comment_count, COALESCE(updated_at, created_at)),
+    controversy_score = calculate_controversy_score(upvotes, downvotes);
+
+-- Feed indexes (id is the tie-breaker that keeps pagination stable)
+CREATE INDEX IF NOT EXISTS idx_posts_hot ON public.posts(hot_score DESC, id DESC) WHERE is_deleted = FALSE;
+CREATE INDEX IF NOT EXISTS idx_posts_rising ON public.posts(rising_score DESC, id DESC) WHERE is_deleted = FALSE;
+CREATE INDEX IF NOT EXISTS idx_posts_controversy ON public.posts(controversy_score DESC, id DESC) WHERE is_deleted = FALSE;
+CREATE INDEX IF NOT EXISTS idx_posts_category_hot ON public.posts(category, hot_score DESC, id DESC) WHERE is_deleted = FALSE;
+
+COMMENT ON COLUMN public.posts.hot_score IS 'Time-decayed ranking used by sort=hot';
+COMMENT ON COLUMN public.posts.rising_score IS 'Activity-decayed ranking used by sort=rising';
+COMMENT ON COLUMN public.posts.controversy_score IS 'Split-vote ranking used by sort=controversial';
+COMMENT ON COLUMN public.posts.last_activity_at IS 'Last time votes or comments changed on the post';
@@ -0,0 +1,15 @@
+-- Feed snapshots for cursor pagination
+-- The first page of GET /api/posts stores the ordered list of matching post ids;
+-- later pages (?after=cursor) slice that list, so posts inserted or re-ranked by
+-- votes while a user scrolls never cause duplicates or skipped posts.
+
+CREATE TABLE IF NOT EXISTS public.feed_snapshots (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID REFERENCES public.users(id) ON DELETE CASCADE,
+    post_ids UUID[] NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_feed_snapshots_created ON public.feed_snapshots(created_at);
+
+COMMENT ON TABLE public.feed_snapshots IS 'Ordered post ids backing opaque feed cursors';
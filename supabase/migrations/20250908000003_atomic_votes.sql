@@ -0,0 +1,178 @@
+-- Atomic voting
+-- cast_vote() writes the votes ledger row and adjusts the target's counters and
+-- the author's reputation in a single transaction. The target row is locked
+-- first, so concurrent votes on the same post or comment are serialised
+-- instead of overwriting each other's counts.
+
+CREATE OR REPLACE FUNCTION cast_vote(
+    p_user_id UUID,
+    p_target_type VARCHAR,
+    p_target_id UUID,
+    p_vote_type INTEGER
+)
+RETURNS JSON AS $$
+DECLARE
+    v_author_id UUID;
+    v_old_vote INTEGER := 0;
+    v_up_delta INTEGER;
+    v_down_delta INTEGER;
+    v_result JSON;
+BEGIN
+    IF p_vote_type NOT IN (-1, 0, 1) THEN
+        RAISE EXCEPTION 'INVALID_VOTE_TYPE';
+    END IF;
+
+    -- Lock the target row for the rest of the transaction
+    IF p_target_type = 'post' THEN
+        SELECT author_id INTO v_author_id
+        FROM posts WHERE id = p_target_id AND is_deleted = FALSE
+        FOR UPDATE;
+    ELSIF p_target_type = 'comment' THEN
+        SELECT author_id INTO v_author_id
+        FROM comments WHERE id = p_target_id AND is_deleted = FALSE
+        FOR UPDATE;
+    ELSE
+        RAISE EXCEPTION 'INVALID_TARGET_TYPE';
+    END IF;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'TARGET_NOT_FOUND';
+    END IF;
+
+    IF v_author_id = p_user_id THEN
+        RAISE EXCEPTION 'SELF_VOTE';
+    END IF;
+
+    SELECT vote_type INTO v_old_vote
+    FROM votes
+    WHERE user_id = p_user_id AND target_id = p_target_id AND target_type = p_target_type;
+
+    v_old_vote := COALESCE(v_old_vote, 0);
+
+    IF p_vote_type = 0 THEN
+        DELETE FROM votes
+        WHERE user_id = p_user_id AND target_id = p_target_id AND target_type = p_target_type;
+    ELSE
+        INSERT INTO votes (user_id, target_id, target_type, vote_type)
+        VALUES (p_user_id, p_target_id, p_target_type, p_vote_type)
+        ON CONFLICT (user_id, target_id, target_type)
+        DO UPDATE SET vote_type = EXCLUDED.vote_type;
+    END IF;
+
+    v_up_delta := (p_vote_type = 1)::INTEGER - (v_old_vote = 1)::INTEGER;
+    v_down_delta := (p_vote_type = -1)::INTEGER - (v_old_vote = -1)::INTEGER;
+
+    IF p_target_type = 'post' THEN
+        UPDATE posts SET
+            upvotes = upvotes + v_up_delta,
+            downvotes = downvotes + v_down_delta,
+            score = score + (p_vote_type - v_old_vote)
+        WHERE id = p_target_id
+        RETURNING json_build_object(
+            'upvotes', upvotes,
+            'downvotes', downvotes,
+            'score', score,
+            'user_vote', p_vote_type
+        ) INTO v_result;
+    ELSE
+        UPDATE comments SET
+            upvotes = upvotes + v_up_delta,
+            downvotes = downvotes + v_down_delta,
+            score = score + (p_vote_type - v_old_vote)
+        WHERE id = p_target_id
+        RETURNING json_build_object(
+            'upvotes', upvotes,
+            'downvotes', downvotes,
+            'score', score,
+            'user_vote', p_vote_type
+        ) INTO v_result;
+    END IF;
+
+    IF v_author_id IS NOT NULL AND p_vote_type <> v_old_vote THEN
+        UPDATE users SET reputation = reputation + (p_vote_type - v_old_vote)
+        WHERE id = v_author_id;
+    END IF;
+
+    RETURN v_result;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Rebuild every vote counter and reputation total from the votes ledger.
+-- Only rows that have drifted are written. Returns how many rows were fixed.
+CREATE OR REPLACE FUNCTION recalculate_vote_counters()
+RETURNS JSON AS $$
+DECLARE
+    v_posts_fixed INTEGER;
+    v_comments_fixed INTEGER;
+    v_users_fixed INTEGER;
+BEGIN
+    WITH tallies AS (
+        SELECT p.id,
+            COUNT(v.id) FILTER (WHERE v.vote_type = 1)::INTEGER AS ups,
+            COUNT(v.id) FILTER (WHERE v.vote_type = -1)::INTEGER AS downs
+        FROM posts p
+        LEFT JOIN votes v ON v.target_id = p.id AND v.target_type = 'post'
+        GROUP BY p.id
+    )
+    UPDATE posts p SET
+        upvotes = t.ups,
+        downvotes = t.downs,
+        score = t.ups - t.downs
+    FROM tallies t
+    WHERE p.id = t.id
+      AND (p.upvotes, p.downvotes, p.score) IS DISTINCT FROM (t.ups, t.downs, t.ups - t.downs);
+    GET DIAGNOSTICS v_posts_fixed = ROW_COUNT;
+
+    WITH tallies AS (
+        SELECT c.id,
+            COUNT(v.id) FILTER (WHERE v.vote_type = 1)::INTEGER AS ups,
+            COUNT(v.id) FILTER (WHERE v.vote_type = -1)::INTEGER AS downs
+        FROM comments c
+        LEFT JOIN votes v ON v.target_id = c.id AND v.target_type = 'comment'
+        GROUP BY c.id
+    )
+    UPDATE comments c SET
+        upvotes = t.ups,
+        downvotes = t.downs,
+        score = t.ups - t.downs
+    FROM tallies t
+    WHERE c.id = t.id
+      AND (c.upvotes, c.downvotes, c.score) IS DISTINCT FROM (t.ups, t.downs, t.ups - t.downs);
+    GET DIAGNOSTICS v_comments_fixed = ROW_COUNT;
+
+    WITH received AS (
+        SELECT p.author_id AS user_id, v.vote_type
+        FROM votes v JOIN posts p ON p.id = v.target_id
+        WHERE v.target_type = 'post'
+        UNION ALL
+        SELECT c.author_id AS user_id, v.vote_type
+        FROM votes v JOIN comments c ON c.id = v.target_id
+        WHERE v.target_type = 'comment'
+    ),
+    totals AS (
+        SELECT u.id, COALESCE(SUM(r.vote_type), 0)::INTEGER AS reputation
+        FROM users u
+        LEFT JOIN received r ON r.user_id = u.id
+        GROUP BY u.id
+    )
+    UPDATE users u SET reputation = t.reputation
+    FROM totals t
+    WHERE u.id = t.id AND u.reputation IS DISTINCT FROM t.reputation;
+    GET DIAGNOSTICS v_users_fixed = ROW_COUNT;
+
+    RETURN json_build_object(
+        'posts', v_posts_fixed,
+        'comments', v_comments_fixed,
+        'users', v_users_fixed
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Only the API server (service role) may call these; the browser's anon key must not
+REVOKE EXECUTE ON FUNCTION cast_vote(UUID, VARCHAR, UUID, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION recalculate_vote_counters() FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION cast_vote(UUID, VARCHAR, UUID, INTEGER) TO service_role;
+GRANT EXECUTE ON FUNCTION recalculate_vote_counters() TO service_role;
+
+COMMENT ON FUNCTION cast_vote(UUID, VARCHAR, UUID, INTEGER) IS 'Record a vote and update counters and reputation atomically';
+COMMENT ON FUNCTION recalculate_vote_counters() IS 'Rebuild vote counters and reputation from the votes ledger';
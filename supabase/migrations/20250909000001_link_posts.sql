@@ -0,0 +1,26 @@
+-- Link posts and cached link previews
+
+ALTER TABLE public.posts
+ADD COLUMN IF NOT EXISTS type VARCHAR(20) DEFAULT 'text',
+ADD COLUMN IF NOT EXISTS link_url TEXT,
+ADD COLUMN IF NOT EXISTS link_metadata JSONB;
+
+ALTER TABLE public.posts DROP CONSTRAINT IF EXISTS posts_type_check;
+ALTER TABLE public.posts ADD CONSTRAINT posts_type_check
+    CHECK (type IN ('text', 'image', 'link'));
+
+-- Unfurled OpenGraph/Twitter/oEmbed metadata, keyed by normalised URL.
+-- Failed fetches are cached too (status = 'failed') so we don't hammer dead links.
+CREATE TABLE IF NOT EXISTS public.link_previews (
+    url TEXT PRIMARY KEY,
+    metadata JSONB,
+    status VARCHAR(20) NOT NULL DEFAULT 'ok' CHECK (status IN ('ok', 'failed')),
+    fetched_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_posts_link_url ON public.posts(link_url) WHERE link_url IS NOT NULL;
+
+COMMENT ON COLUMN public.posts.type IS 'Post type: text, image or link';
+COMMENT ON COLUMN public.posts.link_url IS 'Target URL of a link post';
+COMMENT ON COLUMN public.posts.link_metadata IS 'Link preview captured when the post was created';
+COMMENT ON TABLE public.link_previews IS 'Cache of unfurled link preview metadata';
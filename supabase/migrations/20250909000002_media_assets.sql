@@ -0,0 +1,33 @@
+-- Uploaded images (post images and avatars)
+-- Each asset row records the processed variants (original, webp, thumbnail)
+-- and where they are stored; posts and profiles reference assets by id.
+
+CREATE TABLE IF NOT EXISTS public.media_assets (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    owner_id UUID REFERENCES public.users(id) ON DELETE CASCADE,
+    kind VARCHAR(20) NOT NULL CHECK (kind IN ('post', 'avatar')),
+    mime_type VARCHAR(50) NOT NULL,
+    width INTEGER,
+    height INTEGER,
+    size_bytes INTEGER,
+    storage_driver VARCHAR(20) NOT NULL DEFAULT 'local',
+    variants JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_media_assets_owner ON public.media_assets(owner_id, created_at DESC);
+
+ALTER TABLE public.posts
+ADD COLUMN IF NOT EXISTS image_asset_id UUID REFERENCES public.media_assets(id) ON DELETE RESTRICT;
+
+ALTER TABLE public.users
+ADD COLUMN IF NOT EXISTS avatar_asset_id UUID REFERENCES public.media_assets(id) ON DELETE RESTRICT;
+
+-- Public bucket used when STORAGE_DRIVER=supabase
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('media', 'media', TRUE)
+ON CONFLICT (id) DO NOTHING;
+
+COMMENT ON TABLE public.media_assets IS 'Uploaded images and their processed variants';
+COMMENT ON COLUMN public.posts.image_asset_id IS 'Uploaded image shown on an image post';
+COMMENT ON COLUMN public.users.avatar_asset_id IS 'Uploaded avatar image';
@@ -0,0 +1,102 @@
+-- Poll posts
+-- A poll post has 2-10 options, may allow several choices and may close at a
+-- set time. Each user casts exactly one ballot, recorded in poll_ballots.
+
+ALTER TABLE public.posts DROP CONSTRAINT IF EXISTS posts_type_check;
+ALTER TABLE public.posts ADD CONSTRAINT posts_type_check
+    CHECK (type IN ('text', 'image', 'link', 'poll'));
+
+CREATE TABLE IF NOT EXISTS public.polls (
+    post_id UUID PRIMARY KEY REFERENCES public.posts(id) ON DELETE CASCADE,
+    allows_multiple BOOLEAN NOT NULL DEFAULT FALSE,
+    closes_at TIMESTAMP WITH TIME ZONE,
+    total_voters INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS public.poll_options (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    post_id UUID NOT NULL REFERENCES public.polls(post_id) ON DELETE CASCADE,
+    label VARCHAR(100) NOT NULL,
+    position INTEGER NOT NULL,
+    vote_count INTEGER NOT NULL DEFAULT 0,
+    UNIQUE(post_id, position)
+);
+
+CREATE TABLE IF NOT EXISTS public.poll_ballots (
+    post_id UUID NOT NULL REFERENCES public.polls(post_id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    option_ids UUID[] NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (post_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_poll_options_post ON public.poll_options(post_id, position);
+CREATE INDEX IF NOT EXISTS idx_poll_ballots_user ON public.poll_ballots(user_id);
+
+-- Record a ballot and bump the option counters in one transaction
+CREATE OR REPLACE FUNCTION cast_poll_ballot(
+    p_user_id UUID,
+    p_post_id UUID,
+    p_option_ids UUID[]
+)
+RETURNS VOID AS $$
+DECLARE
+    v_poll polls%ROWTYPE;
+    v_choices UUID[];
+    v_valid_count INTEGER;
+BEGIN
+    SELECT pl.* INTO v_poll
+    FROM polls pl
+    JOIN posts p ON p.id = pl.post_id AND p.is_deleted = FALSE
+    WHERE pl.post_id = p_post_id
+    FOR UPDATE OF pl;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'POLL_NOT_FOUND';
+    END IF;
+
+    IF v_poll.closes_at IS NOT NULL AND v_poll.closes_at <= NOW() THEN
+        RAISE EXCEPTION 'POLL_CLOSED';
+    END IF;
+
+    SELECT ARRAY(SELECT DISTINCT unnest(p_option_ids)) INTO v_choices;
+
+    IF COALESCE(array_length(v_choices, 1), 0) = 0 THEN
+        RAISE EXCEPTION 'INVALID_OPTIONS';
+    END IF;
+
+    IF NOT v_poll.allows_multiple AND array_length(v_choices, 1) > 1 THEN
+        RAISE EXCEPTION 'SINGLE_CHOICE_ONLY';
+    END IF;
+
+    SELECT COUNT(*) INTO v_valid_count
+    FROM poll_options
+    WHERE post_id = p_post_id AND id = ANY(v_choices);
+
+    IF v_valid_count <> array_length(v_choices, 1) THEN
+        RAISE EXCEPTION 'INVALID_OPTIONS';
+    END IF;
+
+    BEGIN
+        INSERT INTO poll_ballots (post_id, user_id, option_ids)
+        VALUES (p_post_id, p_user_id, v_choices);
+    EXCEPTION WHEN unique_violation THEN
+        RAISE EXCEPTION 'ALREADY_VOTED';
+    END;
+
+    UPDATE poll_options SET vote_count = vote_count + 1
+    WHERE post_id = p_post_id AND id = ANY(v_choices);
+
+    UPDATE polls SET total_voters = total_voters + 1
+    WHERE post_id = p_post_id;
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE EXECUTE ON FUNCTION cast_poll_ballot(UUID, UUID, UUID[]) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION cast_poll_ballot(UUID, UUID, UUID[]) TO service_role;
+
+COMMENT ON TABLE public.polls IS 'Poll settings for posts of type poll';
+COMMENT ON TABLE public.poll_options IS 'Poll choices with running vote counts';
+COMMENT ON TABLE public.poll_ballots IS 'One ballot per user per poll';
+COMMENT ON FUNCTION cast_poll_ballot(UUID, UUID, UUID[]) IS 'Cast a poll ballot atomically';
@@ -0,0 +1,60 @@
+-- Post edit history
+-- Every edit to a post's title or content keeps the previous version in
+-- post_revisions and marks the post as edited. Revision 1 is the original post;
+-- the current version lives on the post itself.
+
+ALTER TABLE public.posts
+    ADD COLUMN IF NOT EXISTS is_edited BOOLEAN DEFAULT FALSE,
+    ADD COLUMN IF NOT EXISTS edited_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS edited_by UUID REFERENCES public.users(id) ON DELETE SET NULL;
+
+CREATE TABLE IF NOT EXISTS public.post_revisions (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    post_id UUID NOT NULL REFERENCES public.posts(id) ON DELETE CASCADE,
+    revision INTEGER NOT NULL,
+    title VARCHAR(300) NOT NULL,
+    content TEXT,
+    -- Who wrote this version and when
+    edited_by UUID REFERENCES public.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    UNIQUE(post_id, revision)
+);
+
+CREATE INDEX IF NOT EXISTS idx_post_revisions_post ON public.post_revisions(post_id, revision);
+
+-- Archive the outgoing version whenever title or content changes. The row lock
+-- taken by the UPDATE serialises concurrent edits, so revision numbers can't collide.
+CREATE OR REPLACE FUNCTION record_post_revision()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_revision INTEGER;
+BEGIN
+    SELECT COALESCE(MAX(revision), 0) + 1 INTO v_revision
+    FROM post_revisions
+    WHERE post_id = OLD.id;
+
+    INSERT INTO post_revisions (post_id, revision, title, content, edited_by, created_at)
+    VALUES (
+        OLD.id,
+        v_revision,
+        OLD.title,
+        OLD.content,
+        COALESCE(OLD.edited_by, OLD.author_id),
+        COALESCE(OLD.edited_at, OLD.created_at)
+    );
+
+    NEW.is_edited = TRUE;
+    NEW.edited_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS record_post_revision ON public.posts;
+CREATE TRIGGER record_post_revision
+    BEFORE UPDATE OF title, content ON public.posts
+    FOR EACH ROW
+    WHEN (OLD.title IS DISTINCT FROM NEW.title OR OLD.content IS DISTINCT FROM NEW.content)
+    EXECUTE FUNCTION record_post_revision();
+
+COMMENT ON TABLE public.post_revisions IS 'Previous versions of edited posts';
+COMMENT ON COLUMN public.posts.edited_by IS 'User who made the latest edit';
@@ -0,0 +1,86 @@
+-- Post trash
+-- Soft-deleted posts stay restorable for a retention window and are then
+-- hard-deleted together with their comments and votes by purge_deleted_posts().
+
+ALTER TABLE public.posts
+    ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS deleted_by UUID REFERENCES public.users(id) ON DELETE SET NULL;
+
+-- Posts deleted before this migration start their retention window now
+UPDATE public.posts SET deleted_at = NOW()
+WHERE is_deleted = TRUE AND deleted_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_posts_trash ON public.posts(author_id, deleted_at DESC) WHERE is_deleted = TRUE;
+
+-- Hard-delete posts that have been in the trash longer than the retention
+-- window. Votes have no foreign key to their target, so they are removed
+-- (and their reputation effect reversed) here; comments and poll rows cascade.
+-- Returns the purged image asset ids so the caller can remove stored files.
+CREATE OR REPLACE FUNCTION purge_deleted_posts(p_retention_days INTEGER DEFAULT 30)
+RETURNS JSON AS $$
+DECLARE
+    v_post_ids UUID[];
+    v_comment_ids UUID[];
+    v_asset_ids UUID[];
+    v_votes_removed INTEGER;
+    v_comments_removed INTEGER;
+BEGIN
+    SELECT
+        COALESCE(array_agg(id), '{}'),
+        COALESCE(array_agg(image_asset_id) FILTER (WHERE image_asset_id IS NOT NULL), '{}')
+    INTO v_post_ids, v_asset_ids
+    FROM (
+        SELECT id, image_asset_id FROM posts
+        WHERE is_deleted = TRUE
+          AND deleted_at < NOW() - make_interval(days => p_retention_days)
+        FOR UPDATE
+    ) expired;
+
+    IF array_length(v_post_ids, 1) IS NULL THEN
+        RETURN json_build_object('posts', 0, 'comments', 0, 'votes', 0, 'image_asset_ids', '[]'::JSON);
+    END IF;
+
+    SELECT COALESCE(array_agg(id), '{}') INTO v_comment_ids
+    FROM comments
+    WHERE post_id = ANY(v_post_ids);
+
+    -- Keep reputation in step with the votes ledger (see recalculate_vote_counters)
+    WITH removed AS (
+        DELETE FROM votes
+        WHERE (target_type = 'post' AND target_id = ANY(v_post_ids))
+           OR (target_type = 'comment' AND target_id = ANY(v_comment_ids))
+        RETURNING target_type, target_id, vote_type
+    ),
+    received AS (
+        SELECT COALESCE(p.author_id, c.author_id) AS user_id, SUM(r.vote_type)::INTEGER AS delta
+        FROM removed r
+        LEFT JOIN posts p ON r.target_type = 'post' AND p.id = r.target_id
+        LEFT JOIN comments c ON r.target_type = 'comment' AND c.id = r.target_id
+        GROUP BY 1
+    ),
+    reputation AS (
+        UPDATE users u SET reputation = u.reputation - received.delta
+        FROM received
+        WHERE u.id = received.user_id AND received.delta <> 0
+    )
+    SELECT COUNT(*) INTO v_votes_removed FROM removed;
+
+    v_comments_removed := COALESCE(array_length(v_comment_ids, 1), 0);
+
+    DELETE FROM posts WHERE id = ANY(v_post_ids);
+
+    RETURN json_build_object(
+        'posts', array_length(v_post_ids, 1),
+        'comments', v_comments_removed,
+        'votes', v_votes_removed,
+        'image_asset_ids', to_json(v_asset_ids)
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE EXECUTE ON FUNCTION purge_deleted_posts(INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION purge_deleted_posts(INTEGER) TO service_role;
+
+COMMENT ON COLUMN public.posts.deleted_at IS 'When the post was moved to the trash';
+COMMENT ON COLUMN public.posts.deleted_by IS 'Who deleted the post (author or moderator)';
+COMMENT ON FUNCTION purge_deleted_posts(INTEGER) IS 'Hard-delete posts past the trash retention window';
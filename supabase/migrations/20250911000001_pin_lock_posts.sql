@@ -0,0 +1,115 @@
+-- Pinned and locked posts
+-- Moderators pin posts globally (top of the main feed) or within a category,
+-- up to a per-scope cap enforced by pin_post(). Locked posts take no new
+-- comments, votes or poll ballots; enforce_post_lock() guards those tables.
+
+ALTER TABLE public.posts
+    ADD COLUMN IF NOT EXISTS pinned_scope VARCHAR(20) CHECK (pinned_scope IN ('global', 'category')),
+    ADD COLUMN IF NOT EXISTS pinned_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS pinned_by UUID REFERENCES public.users(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS is_locked BOOLEAN DEFAULT FALSE,
+    ADD COLUMN IF NOT EXISTS locked_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS locked_by UUID REFERENCES public.users(id) ON DELETE SET NULL;
+
+-- Posts pinned before scopes existed were effectively global
+UPDATE public.posts SET pinned_scope = 'global', pinned_at = COALESCE(pinned_at, updated_at)
+WHERE is_pinned = TRUE AND pinned_scope IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_posts_pinned ON public.posts(pinned_scope, category, pinned_at DESC)
+    WHERE is_pinned = TRUE AND is_deleted = FALSE;
+
+-- Pin a post, refusing once the scope already has p_max pinned posts
+CREATE OR REPLACE FUNCTION pin_post(
+    p_post_id UUID,
+    p_scope VARCHAR,
+    p_moderator_id UUID,
+    p_max INTEGER
+)
+RETURNS VOID AS $$
+DECLARE
+    v_post posts%ROWTYPE;
+    v_pinned_count INTEGER;
+BEGIN
+    IF p_scope NOT IN ('global', 'category') THEN
+        RAISE EXCEPTION 'INVALID_PIN_SCOPE';
+    END IF;
+
+    -- Serialise pinning so two moderators can't both take the last slot
+    PERFORM pg_advisory_xact_lock(hashtext('pin_post'));
+
+    SELECT * INTO v_post
+    FROM posts
+    WHERE id = p_post_id AND is_deleted = FALSE
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'POST_NOT_FOUND';
+    END IF;
+
+    SELECT COUNT(*) INTO v_pinned_count
+    FROM posts
+    WHERE is_pinned = TRUE
+      AND is_deleted = FALSE
+      AND pinned_scope = p_scope
+      AND (p_scope = 'global' OR category = v_post.category)
+      AND id <> p_post_id;
+
+    IF v_pinned_count >= p_max THEN
+        RAISE EXCEPTION 'PIN_LIMIT_REACHED';
+    END IF;
+
+    UPDATE posts SET
+        is_pinned = TRUE,
+        pinned_scope = p_scope,
+        pinned_at = NOW(),
+        pinned_by = p_moderator_id
+    WHERE id = p_post_id;
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE EXECUTE ON FUNCTION pin_post(UUID, VARCHAR, UUID, INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION pin_post(UUID, VARCHAR, UUID, INTEGER) TO service_role;
+
+-- Reject new comments, votes and poll ballots on locked posts. Removing a
+-- vote is still allowed.
+CREATE OR REPLACE FUNCTION enforce_post_lock()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_post_id UUID;
+BEGIN
+    IF TG_TABLE_NAME = 'votes' THEN
+        IF NEW.target_type = 'post' THEN
+            v_post_id := NEW.target_id;
+        ELSE
+            SELECT post_id INTO v_post_id FROM comments WHERE id = NEW.target_id;
+        END IF;
+    ELSE
+        v_post_id := NEW.post_id;
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM posts WHERE id = v_post_id AND is_locked = TRUE) THEN
+        RAISE EXCEPTION 'POST_LOCKED';
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS enforce_post_lock ON public.votes;
+CREATE TRIGGER enforce_post_lock
+    BEFORE INSERT OR UPDATE ON public.votes
+    FOR EACH ROW EXECUTE FUNCTION enforce_post_lock();
+
+DROP TRIGGER IF EXISTS enforce_post_lock ON public.comments;
+CREATE TRIGGER enforce_post_lock
+    BEFORE INSERT ON public.comments
+    FOR EACH ROW EXECUTE FUNCTION enforce_post_lock();
+
+DROP TRIGGER IF EXISTS enforce_post_lock ON public.poll_ballots;
+CREATE TRIGGER enforce_post_lock
+    BEFORE INSERT ON public.poll_ballots
+    FOR EACH ROW EXECUTE FUNCTION enforce_post_lock();
+
+COMMENT ON COLUMN public.posts.pinned_scope IS 'global = main feed, category = the post''s category feed';
+COMMENT ON COLUMN public.posts.is_locked IS 'Locked posts take no new comments, votes or poll ballots';
+COMMENT ON FUNCTION pin_post(UUID, VARCHAR, UUID, INTEGER) IS 'Pin a post within the per-scope cap';
@@ -0,0 +1,11 @@
+-- Rendered markdown cache
+-- Post and comment bodies are written in markdown. The sanitized HTML produced
+-- by the API (server/src/utils/markdown.js) is stored next to the source so
+-- feeds don't re-render on every read. Rows written before this migration have
+-- NULL content_html and are rendered on read.
+
+ALTER TABLE public.posts ADD COLUMN IF NOT EXISTS content_html TEXT;
+ALTER TABLE public.comments ADD COLUMN IF NOT EXISTS content_html TEXT;
+
+COMMENT ON COLUMN public.posts.content_html IS 'Sanitized HTML rendered from content';
+COMMENT ON COLUMN public.comments.content_html IS 'Sanitized HTML rendered from content';
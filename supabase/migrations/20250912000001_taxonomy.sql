@@ -0,0 +1,89 @@
+-- Managed post taxonomy
+-- Categories live in their own table (posts.category references the slug),
+-- each category defines its own flairs, and posts carry up to 5 free-form tags.
+
+CREATE TABLE IF NOT EXISTS public.categories (
+    slug VARCHAR(50) PRIMARY KEY CHECK (slug ~ '^[a-z0-9-]+$'),
+    name VARCHAR(50) NOT NULL,
+    description TEXT DEFAULT '',
+    colour VARCHAR(7) NOT NULL DEFAULT '#878a8c' CHECK (colour ~ '^#[0-9a-fA-F]{6}$'),
+    icon VARCHAR(50) NOT NULL DEFAULT 'fa-comments',
+    emoji VARCHAR(16) DEFAULT '',
+    position INTEGER NOT NULL DEFAULT 0,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS public.flairs (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    category_slug VARCHAR(50) NOT NULL REFERENCES public.categories(slug) ON UPDATE CASCADE ON DELETE CASCADE,
+    name VARCHAR(50) NOT NULL,
+    colour VARCHAR(7) NOT NULL DEFAULT '#0079d3' CHECK (colour ~ '^#[0-9a-fA-F]{6}$'),
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(category_slug, name)
+);
+
+-- The categories the client has always offered
+INSERT INTO public.categories (slug, name, description, colour, icon, emoji, position) VALUES
+    ('academics', 'Academics', 'Courses, exams, notes and faculty', '#2563eb', 'fa-book', '📚', 1),
+    ('events', 'Events', 'Fests, workshops and campus happenings', '#7c3aed', 'fa-calendar', '📅', 2),
+    ('parties', 'Parties', 'Where the night is at', '#db2777', 'fa-glass-cheers', '🎉', 3),
+    ('restaurants', 'Food & Restaurants', 'Messes, cafes and late-night food', '#ea580c', 'fa-utensils', '🍕', 4),
+    ('news', 'Campus News', 'Announcements and news from around campus', '#0891b2', 'fa-newspaper', '📰', 5),
+    ('placements', 'Placements', 'Internships, interviews and offers', '#059669', 'fa-briefcase', '💼', 6),
+    ('hostels', 'Hostels', 'Blocks, rooms, wardens and hostel life', '#b45309', 'fa-bed', '🏠', 7),
+    ('clubs', 'Clubs & Societies', 'Student clubs, recruitments and projects', '#9333ea', 'fa-users', '👥', 8),
+    ('sports', 'Sports', 'Teams, tournaments and the gym', '#16a34a', 'fa-football-ball', '⚽', 9),
+    ('tech', 'Tech Talk', 'Programming, gadgets and side projects', '#4f46e5', 'fa-laptop-code', '💻', 10),
+    ('general', 'General', 'Everything else', '#878a8c', 'fa-comments', '💬', 11)
+ON CONFLICT (slug) DO NOTHING;
+
+-- Categories used by existing posts must exist before the foreign key
+INSERT INTO public.categories (slug, name, position)
+SELECT DISTINCT p.category, initcap(p.category), 100
+FROM public.posts p
+WHERE p.category ~ '^[a-z0-9-]+$'
+ON CONFLICT (slug) DO NOTHING;
+
+INSERT INTO public.flairs (category_slug, name, colour, position)
+SELECT c.slug, f.name, f.colour, f.position
+FROM public.categories c
+CROSS JOIN (VALUES
+    ('Question', '#0079d3', 1),
+    ('Discussion', '#878a8c', 2),
+    ('PSA', '#dc2626', 3)
+) AS f(name, colour, position)
+ON CONFLICT (category_slug, name) DO NOTHING;
+
+INSERT INTO public.flairs (category_slug, name, colour, position) VALUES
+    ('general', 'Lost & Found', '#d97706', 4),
+    ('hostels', 'Lost & Found', '#d97706', 4),
+    ('academics', 'Resources', '#059669', 4),
+    ('placements', 'Interview Experience', '#7c3aed', 4),
+    ('clubs', 'Recruitment', '#db2777', 4)
+ON CONFLICT (category_slug, name) DO NOTHING;
+
+ALTER TABLE public.posts
+    ADD COLUMN IF NOT EXISTS flair_id UUID REFERENCES public.flairs(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';
+
+ALTER TABLE public.posts DROP CONSTRAINT IF EXISTS posts_tags_check;
+ALTER TABLE public.posts ADD CONSTRAINT posts_tags_check CHECK (cardinality(tags) <= 5);
+
+-- NOT VALID: enforce for new and edited posts without failing on legacy rows
+ALTER TABLE public.posts DROP CONSTRAINT IF EXISTS posts_category_fkey;
+ALTER TABLE public.posts ADD CONSTRAINT posts_category_fkey
+    FOREIGN KEY (category) REFERENCES public.categories(slug) ON UPDATE CASCADE NOT VALID;
+
+CREATE INDEX IF NOT EXISTS idx_flairs_category ON public.flairs(category_slug, position);
+CREATE INDEX IF NOT EXISTS idx_posts_flair ON public.posts(flair_id) WHERE is_deleted = FALSE;
+CREATE INDEX IF NOT EXISTS idx_posts_tags ON public.posts USING GIN(tags);
+
+CREATE TRIGGER update_categories_updated_at BEFORE UPDATE ON public.categories
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE public.categories IS 'Post categories (posts.category references slug)';
+COMMENT ON TABLE public.flairs IS 'Per-category post flairs';
+COMMENT ON COLUMN public.posts.tags IS 'Up to 5 lowercase free-form tags';
@@ -0,0 +1,90 @@
+-- Draft and scheduled posts
+-- posts.status separates drafts (autosaved, incomplete), scheduled posts
+-- (complete, waiting for publish_at) and published posts. Only published posts
+-- appear in feeds, take votes and comments, or keep an edit history.
+
+ALTER TABLE public.posts
+    ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'published'
+        CHECK (status IN ('draft', 'scheduled', 'published')),
+    ADD COLUMN IF NOT EXISTS publish_at TIMESTAMP WITH TIME ZONE,
+    -- Poll options of a draft, turned into poll rows when it is published
+    ADD COLUMN IF NOT EXISTS poll_draft JSONB;
+
+-- Drafts may be saved before a category is chosen
+ALTER TABLE public.posts ALTER COLUMN category DROP NOT NULL;
+ALTER TABLE public.posts DROP CONSTRAINT IF EXISTS posts_category_required;
+ALTER TABLE public.posts ADD CONSTRAINT posts_category_required
+    CHECK (status = 'draft' OR category IS NOT NULL);
+
+ALTER TABLE public.posts DROP CONSTRAINT IF EXISTS posts_publish_at_check;
+ALTER TABLE public.posts ADD CONSTRAINT posts_publish_at_check
+    CHECK (status <> 'scheduled' OR publish_at IS NOT NULL);
+
+CREATE INDEX IF NOT EXISTS idx_posts_scheduled ON public.posts(publish_at) WHERE status = 'scheduled';
+CREATE INDEX IF NOT EXISTS idx_posts_drafts ON public.posts(author_id, updated_at DESC) WHERE status <> 'published';
+
+-- Publish every scheduled post whose time has come. created_at moves to the
+-- publish time so the post ranks as new (the ranking trigger recomputes scores).
+CREATE OR REPLACE FUNCTION publish_scheduled_posts()
+RETURNS INTEGER AS $$
+DECLARE
+    v_published INTEGER;
+BEGIN
+    UPDATE posts SET
+        status = 'published',
+        created_at = NOW(),
+        updated_at = NOW()
+    WHERE status = 'scheduled'
+      AND publish_at <= NOW()
+      AND is_deleted = FALSE;
+
+    GET DIAGNOSTICS v_published = ROW_COUNT;
+    RETURN v_published;
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE EXECUTE ON FUNCTION publish_scheduled_posts() FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION publish_scheduled_posts() TO service_role;
+
+-- Unpublished posts take no votes, comments or poll ballots
+CREATE OR REPLACE FUNCTION enforce_post_lock()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_post_id UUID;
+    v_post posts%ROWTYPE;
+BEGIN
+    IF TG_TABLE_NAME = 'votes' THEN
+        IF NEW.target_type = 'post' THEN
+            v_post_id := NEW.target_id;
+        ELSE
+            SELECT post_id INTO v_post_id FROM comments WHERE id = NEW.target_id;
+        END IF;
+    ELSE
+        v_post_id := NEW.post_id;
+    END IF;
+
+    SELECT * INTO v_post FROM posts WHERE id = v_post_id;
+
+    IF FOUND AND v_post.status <> 'published' THEN
+        RAISE EXCEPTION 'TARGET_NOT_FOUND';
+    END IF;
+
+    IF FOUND AND v_post.is_locked THEN
+        RAISE EXCEPTION 'POST_LOCKED';
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Autosaving a draft is not an edit; only published posts keep revisions
+DROP TRIGGER IF EXISTS record_post_revision ON public.posts;
+CREATE TRIGGER record_post_revision
+    BEFORE UPDATE OF title, content ON public.posts
+    FOR EACH ROW
+    WHEN (OLD.status = 'published' AND (OLD.title IS DISTINCT FROM NEW.title OR OLD.content IS DISTINCT FROM NEW.content))
+    EXECUTE FUNCTION record_post_revision();
+
+COMMENT ON COLUMN public.posts.status IS 'draft, scheduled (waiting for publish_at) or published';
+COMMENT ON COLUMN public.posts.publish_at IS 'When a scheduled post goes live';
+COMMENT ON FUNCTION publish_scheduled_posts() IS 'Publish scheduled posts that are due';
@@ -0,0 +1,127 @@
+-- Crossposts and share tracking
+-- A crosspost is a regular post in another category that copies the original's
+-- body and links back to it through crosspost_of. Shares are counted per
+-- channel (copy link, WhatsApp, ...) with a running total on the post.
+
+ALTER TABLE public.posts
+    ADD COLUMN IF NOT EXISTS crosspost_of UUID REFERENCES public.posts(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS share_count INTEGER NOT NULL DEFAULT 0;
+
+-- A post can be crossposted into each category once
+CREATE UNIQUE INDEX IF NOT EXISTS idx_posts_crosspost_unique
+    ON public.posts(crosspost_of, category)
+    WHERE crosspost_of IS NOT NULL AND is_deleted = FALSE;
+
+CREATE TABLE IF NOT EXISTS public.post_share_counts (
+    post_id UUID NOT NULL REFERENCES public.posts(id) ON DELETE CASCADE,
+    channel VARCHAR(20) NOT NULL
+        CHECK (channel IN ('native', 'copy_link', 'whatsapp', 'telegram', 'twitter', 'email', 'other')),
+    count INTEGER NOT NULL DEFAULT 0,
+    last_shared_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (post_id, channel)
+);
+
+ALTER TABLE public.post_share_counts ENABLE ROW LEVEL SECURITY;
+
+-- Count one share of a published post. Returns the post's new share total.
+CREATE OR REPLACE FUNCTION record_post_share(p_post_id UUID, p_channel VARCHAR)
+RETURNS INTEGER AS $$
+DECLARE
+    v_total INTEGER;
+BEGIN
+    UPDATE posts SET share_count = share_count + 1
+    WHERE id = p_post_id
+      AND status = 'published'
+      AND is_deleted = FALSE
+    RETURNING share_count INTO v_total;
+
+    IF v_total IS NULL THEN
+        RAISE EXCEPTION 'TARGET_NOT_FOUND';
+    END IF;
+
+    INSERT INTO post_share_counts (post_id, channel, count, last_shared_at)
+    VALUES (p_post_id, p_channel, 1, NOW())
+    ON CONFLICT (post_id, channel) DO UPDATE SET
+        count = post_share_counts.count + 1,
+        last_shared_at = NOW();
+
+    RETURN v_total;
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE EXECUTE ON FUNCTION record_post_share(UUID, VARCHAR) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION record_post_share(UUID, VARCHAR) TO service_role;
+
+-- Crossposts share the original's image asset, so the purge only hands back
+-- assets that no remaining post still uses.
+CREATE OR REPLACE FUNCTION purge_deleted_posts(p_retention_days INTEGER DEFAULT 30)
+RETURNS JSON AS $$
+DECLARE
+    v_post_ids UUID[];
+    v_comment_ids UUID[];
+    v_asset_ids UUID[];
+    v_votes_removed INTEGER;
+    v_comments_removed INTEGER;
+BEGIN
+    SELECT
+        COALESCE(array_agg(id), '{}'),
+        COALESCE(array_agg(DISTINCT image_asset_id) FILTER (WHERE image_asset_id IS NOT NULL), '{}')
+    INTO v_post_ids, v_asset_ids
+    FROM (
+        SELECT id, image_asset_id FROM posts
+        WHERE is_deleted = TRUE
+          AND deleted_at < NOW() - make_interval(days => p_retention_days)
+        FOR UPDATE
+    ) expired;
+
+    IF array_length(v_post_ids, 1) IS NULL THEN
+        RETURN json_build_object('posts', 0, 'comments', 0, 'votes', 0, 'image_asset_ids', '[]'::JSON);
+    END IF;
+
+    SELECT COALESCE(array_agg(id), '{}') INTO v_comment_ids
+    FROM comments
+    WHERE post_id = ANY(v_post_ids);
+
+    -- Keep reputation in step with the votes ledger (see recalculate_vote_counters)
+    WITH removed AS (
+        DELETE FROM votes
+        WHERE (target_type = 'post' AND target_id = ANY(v_post_ids))
+           OR (target_type = 'comment' AND target_id = ANY(v_comment_ids))
+        RETURNING target_type, target_id, vote_type
+    ),
+    received AS (
+        SELECT COALESCE(p.author_id, c.author_id) AS user_id, SUM(r.vote_type)::INTEGER AS delta
+        FROM removed r
+        LEFT JOIN posts p ON r.target_type = 'post' AND p.id = r.target_id
+        LEFT JOIN comments c ON r.target_type = 'comment' AND c.id = r.target_id
+        GROUP BY 1
+    ),
+    reputation AS (
+        UPDATE users u SET reputation = u.reputation - received.delta
+        FROM received
+        WHERE u.id = received.user_id AND received.delta <> 0
+    )
+    SELECT COUNT(*) INTO v_votes_removed FROM removed;
+
+    v_comments_removed := COALESCE(array_length(v_comment_ids, 1), 0);
+
+    DELETE FROM posts WHERE id = ANY(v_post_ids);
+
+    SELECT COALESCE(array_agg(asset_id), '{}') INTO v_asset_ids
+    FROM unnest(v_asset_ids) AS asset_id
+    WHERE NOT EXISTS (SELECT 1 FROM posts WHERE image_asset_id = asset_id);
+
+    RETURN json_build_object(
+        'posts', array_length(v_post_ids, 1),
+        'comments', v_comments_removed,
+        'votes', v_votes_removed,
+        'image_asset_ids', to_json(v_asset_ids)
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE EXECUTE ON FUNCTION purge_deleted_posts(INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION purge_deleted_posts(INTEGER) TO service_role;
+
+COMMENT ON COLUMN public.posts.crosspost_of IS 'The original post this post was crossposted from';
+COMMENT ON COLUMN public.posts.share_count IS 'Total recorded shares across all channels';
@@ -0,0 +1,57 @@
+-- Saved posts/comments and private collections
+-- Each save can sit in at most one of the user's collections (or none).
+-- Collections are only ever visible to their owner.
+
+CREATE TABLE IF NOT EXISTS public.saved_collections (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    name VARCHAR(50) NOT NULL CHECK (char_length(btrim(name)) > 0),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_saved_collections_name
+    ON public.saved_collections(user_id, lower(name));
+
+-- Like votes, target_id points at either posts.id or comments.id
+CREATE TABLE IF NOT EXISTS public.saved_items (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    target_type VARCHAR(20) NOT NULL CHECK (target_type IN ('post', 'comment')),
+    target_id UUID NOT NULL,
+    -- Deleting a collection keeps its saves, they just become unsorted
+    collection_id UUID REFERENCES public.saved_collections(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (user_id, target_type, target_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_saved_items_user ON public.saved_items(user_id, created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_saved_items_collection ON public.saved_items(collection_id, created_at DESC, id DESC)
+    WHERE collection_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_saved_items_target ON public.saved_items(target_type, target_id);
+
+ALTER TABLE public.saved_collections ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.saved_items ENABLE ROW LEVEL SECURITY;
+
+-- Saves have no foreign key to their target, so drop them when a post or
+-- comment is hard-deleted (trash purge, draft discard, cascades)
+CREATE OR REPLACE FUNCTION delete_saved_items()
+RETURNS TRIGGER AS $$
+BEGIN
+    DELETE FROM saved_items
+    WHERE target_type = TG_ARGV[0]
+      AND target_id = OLD.id;
+
+    RETURN OLD;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS delete_saved_posts ON public.posts;
+CREATE TRIGGER delete_saved_posts
+    AFTER DELETE ON public.posts
+    FOR EACH ROW EXECUTE FUNCTION delete_saved_items('post');
+
+DROP TRIGGER IF EXISTS delete_saved_comments ON public.comments;
+CREATE TRIGGER delete_saved_comments
+    AFTER DELETE ON public.comments
+    FOR EACH ROW EXECUTE FUNCTION delete_saved_items('comment');
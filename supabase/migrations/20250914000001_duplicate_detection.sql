@@ -0,0 +1,151 @@
+-- Duplicate post detection and merging
+-- New posts are compared against recent posts in the same category using
+-- pg_trgm trigram similarity on the title (and body, when both have one).
+-- Moderators can merge a duplicate into the original: its comments move over
+-- and the duplicate is trashed with merged_into pointing at the original.
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+ALTER TABLE public.posts
+    ADD COLUMN IF NOT EXISTS merged_into UUID REFERENCES public.posts(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS merged_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS merged_by UUID REFERENCES public.users(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_posts_title_trgm ON public.posts USING GIN (lower(title) gin_trgm_ops)
+    WHERE is_deleted = FALSE AND status = 'published';
+
+-- Recent published posts in p_category that look like the given title/body.
+-- A matching body can lift a loosely matching title, but never pull a
+-- matching title down.
+CREATE OR REPLACE FUNCTION find_similar_posts(
+    p_category VARCHAR,
+    p_title TEXT,
+    p_content TEXT DEFAULT NULL,
+    p_exclude_id UUID DEFAULT NULL,
+    p_days INTEGER DEFAULT 30,
+    p_threshold REAL DEFAULT 0.5,
+    p_limit INTEGER DEFAULT 5
+)
+RETURNS TABLE (
+    id UUID,
+    title TEXT,
+    category VARCHAR,
+    comment_count INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE,
+    similarity REAL
+) AS $$
+    SELECT * FROM (
+        SELECT
+            p.id,
+            p.title::TEXT,
+            p.category,
+            p.comment_count,
+            p.created_at,
+            GREATEST(
+                similarity(lower(p.title), lower(p_title)),
+                CASE
+                    WHEN COALESCE(p.content, '') <> '' AND COALESCE(p_content, '') <> '' THEN
+                        (similarity(lower(p.title), lower(p_title))
+                            + similarity(lower(left(p.content, 2000)), lower(left(p_content, 2000)))) / 2
+                    ELSE 0
+                END
+            )::REAL AS similarity
+        FROM posts p
+        WHERE p.category = p_category
+          AND p.is_deleted = FALSE
+          AND p.status = 'published'
+          AND p.created_at > NOW() - make_interval(days => p_days)
+          AND (p_exclude_id IS NULL OR p.id <> p_exclude_id)
+    ) scored
+    WHERE scored.similarity >= p_threshold
+    ORDER BY scored.similarity DESC, scored.created_at DESC
+    LIMIT p_limit;
+$$ LANGUAGE sql STABLE;
+
+REVOKE EXECUTE ON FUNCTION find_similar_posts(VARCHAR, TEXT, TEXT, UUID, INTEGER, REAL, INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION find_similar_posts(VARCHAR, TEXT, TEXT, UUID, INTEGER, REAL, INTEGER) TO service_role;
+
+-- Merge p_duplicate_id into p_original_id. Comments (and their votes) move to
+-- the original, saves follow, and the duplicate is trashed by the moderator so
+-- its author can't restore it.
+CREATE OR REPLACE FUNCTION merge_posts(
+    p_duplicate_id UUID,
+    p_original_id UUID,
+    p_moderator_id UUID
+)
+RETURNS JSON AS $$
+DECLARE
+    v_duplicate posts%ROWTYPE;
+    v_original posts%ROWTYPE;
+    v_comments_moved INTEGER;
+BEGIN
+    IF p_duplicate_id = p_original_id THEN
+        RAISE EXCEPTION 'SAME_POST';
+    END IF;
+
+    -- Lock both rows in a fixed order so concurrent merges can't deadlock
+    PERFORM 1 FROM posts
+    WHERE id IN (p_duplicate_id, p_original_id)
+    ORDER BY id
+    FOR UPDATE;
+
+    SELECT * INTO v_duplicate FROM posts
+    WHERE id = p_duplicate_id AND is_deleted = FALSE AND status = 'published';
+
+    SELECT * INTO v_original FROM posts
+    WHERE id = p_original_id AND is_deleted = FALSE AND status = 'published';
+
+    IF v_duplicate.id IS NULL OR v_original.id IS NULL THEN
+        RAISE EXCEPTION 'POST_NOT_FOUND';
+    END IF;
+
+    UPDATE comments SET post_id = p_original_id
+    WHERE post_id = p_duplicate_id;
+
+    GET DIAGNOSTICS v_comments_moved = ROW_COUNT;
+
+    UPDATE posts SET
+        comment_count = (
+            SELECT COUNT(*) FROM comments
+            WHERE post_id = p_original_id AND is_deleted = FALSE
+        ),
+        last_activity_at = NOW()
+    WHERE id = p_original_id;
+
+    -- Saves of the duplicate become saves of the original (once per user)
+    DELETE FROM saved_items dup
+    WHERE dup.target_type = 'post'
+      AND dup.target_id = p_duplicate_id
+      AND EXISTS (
+          SELECT 1 FROM saved_items orig
+          WHERE orig.user_id = dup.user_id
+            AND orig.target_type = 'post'
+            AND orig.target_id = p_original_id
+      );
+
+    UPDATE saved_items SET target_id = p_original_id
+    WHERE target_type = 'post' AND target_id = p_duplicate_id;
+
+    UPDATE posts SET
+        merged_into = p_original_id,
+        merged_at = NOW(),
+        merged_by = p_moderator_id,
+        comment_count = 0,
+        is_pinned = FALSE,
+        pinned_scope = NULL,
+        pinned_at = NULL,
+        pinned_by = NULL,
+        is_deleted = TRUE,
+        deleted_at = NOW(),
+        deleted_by = p_moderator_id,
+        updated_at = NOW()
+    WHERE id = p_duplicate_id;
+
+    RETURN json_build_object('comments_moved', v_comments_moved);
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE EXECUTE ON FUNCTION merge_posts(UUID, UUID, UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION merge_posts(UUID, UUID, UUID) TO service_role;
+
+COMMENT ON COLUMN public.posts.merged_into IS 'The original thread this duplicate was merged into';
@@ -0,0 +1,90 @@
+-- Threaded comments
+-- Each comment records its depth (filled from the parent on insert) so the API
+-- can cap nesting without walking the tree, and posts.comment_count follows
+-- the post's visible (not deleted) comments.
+
+ALTER TABLE public.comments
+    ADD COLUMN IF NOT EXISTS depth INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS is_edited BOOLEAN NOT NULL DEFAULT FALSE,
+    ADD COLUMN IF NOT EXISTS edited_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_comments_post_created ON public.comments(post_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_comments_parent ON public.comments(parent_id);
+
+-- Backfill depth for existing comments
+WITH RECURSIVE tree AS (
+    SELECT id, 0 AS depth FROM comments WHERE parent_id IS NULL
+    UNION ALL
+    SELECT c.id, tree.depth + 1 FROM comments c JOIN tree ON c.parent_id = tree.id
+)
+UPDATE comments c SET depth = tree.depth
+FROM tree
+WHERE c.id = tree.id AND c.depth <> tree.depth;
+
+-- Replies inherit depth from their parent, which must be on the same post
+CREATE OR REPLACE FUNCTION set_comment_depth()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_parent comments%ROWTYPE;
+BEGIN
+    IF NEW.parent_id IS NULL THEN
+        NEW.depth := 0;
+        RETURN NEW;
+    END IF;
+
+    SELECT * INTO v_parent FROM comments WHERE id = NEW.parent_id;
+
+    IF NOT FOUND OR v_parent.post_id <> NEW.post_id THEN
+        RAISE EXCEPTION 'PARENT_NOT_FOUND';
+    END IF;
+
+    NEW.depth := v_parent.depth + 1;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS set_comment_depth ON public.comments;
+CREATE TRIGGER set_comment_depth
+    BEFORE INSERT ON public.comments
+    FOR EACH ROW EXECUTE FUNCTION set_comment_depth();
+
+-- Keep posts.comment_count in step with visible comments. A comment leaves
+-- the count when it is deleted (soft or hard) or moved to another post.
+CREATE OR REPLACE FUNCTION sync_post_comment_count()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP IN ('UPDATE', 'DELETE') AND NOT OLD.is_deleted
+       AND (TG_OP = 'DELETE' OR NEW.is_deleted OR NEW.post_id <> OLD.post_id) THEN
+        UPDATE posts SET comment_count = GREATEST(comment_count - 1, 0)
+        WHERE id = OLD.post_id;
+    END IF;
+
+    IF TG_OP IN ('INSERT', 'UPDATE') AND NOT NEW.is_deleted
+       AND (TG_OP = 'INSERT' OR OLD.is_deleted OR NEW.post_id <> OLD.post_id) THEN
+        UPDATE posts SET
+            comment_count = comment_count + 1,
+            last_activity_at = NOW()
+        WHERE id = NEW.post_id;
+    END IF;
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS sync_post_comment_count ON public.comments;
+CREATE TRIGGER sync_post_comment_count
+    AFTER INSERT OR UPDATE OF is_deleted, post_id OR DELETE ON public.comments
+    FOR EACH ROW EXECUTE FUNCTION sync_post_comment_count();
+
+-- One-time recount; counts were never maintained before this migration
+UPDATE posts p SET comment_count = counted.total
+FROM (
+    SELECT p2.id, COUNT(c.id)::INTEGER AS total
+    FROM posts p2
+    LEFT JOIN comments c ON c.post_id = p2.id AND c.is_deleted = FALSE
+    GROUP BY p2.id
+) counted
+WHERE p.id = counted.id AND p.comment_count IS DISTINCT FROM counted.total;
+
+COMMENT ON COLUMN public.comments.depth IS '0 for top-level comments, parent depth + 1 for replies';
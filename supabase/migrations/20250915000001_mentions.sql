@@ -0,0 +1,42 @@
+-- @mentions and notifications
+-- Mentions of existing users in a post or comment body are recorded once per
+-- (source, user), so editing a post never pings the same person twice.
+-- Mentions in scheduled posts wait (notified_at IS NULL) until the post is
+-- published. Notifications start with mentions; more types build on the table.
+
+CREATE TABLE IF NOT EXISTS public.notifications (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    type VARCHAR(30) NOT NULL,
+    actor_id UUID REFERENCES public.users(id) ON DELETE SET NULL,
+    post_id UUID REFERENCES public.posts(id) ON DELETE CASCADE,
+    comment_id UUID REFERENCES public.comments(id) ON DELETE CASCADE,
+    is_read BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_user ON public.notifications(user_id, created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_notifications_unread ON public.notifications(user_id)
+    WHERE is_read = FALSE;
+
+CREATE TABLE IF NOT EXISTS public.mentions (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    source_type VARCHAR(20) NOT NULL CHECK (source_type IN ('post', 'comment')),
+    source_id UUID NOT NULL,
+    -- The post itself, or the post the comment is on; removes mentions with it
+    post_id UUID NOT NULL REFERENCES public.posts(id) ON DELETE CASCADE,
+    mentioned_user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    author_id UUID REFERENCES public.users(id) ON DELETE CASCADE,
+    notified_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (source_type, source_id, mentioned_user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_mentions_user ON public.mentions(mentioned_user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_mentions_pending ON public.mentions(post_id)
+    WHERE notified_at IS NULL;
+
+ALTER TABLE public.notifications ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.mentions ENABLE ROW LEVEL SECURITY;
+
+COMMENT ON COLUMN public.mentions.notified_at IS 'NULL while the source post is unpublished (scheduled)';
@@ -0,0 +1,92 @@
+-- Notification centre
+-- Notifications are typed, and rows that share a group_key (e.g. every reply
+-- to the same post) are listed as one entry: "5 people replied to your post".
+-- Users can mute whole notification types; muted types are never created.
+
+ALTER TABLE public.notifications
+    ADD COLUMN IF NOT EXISTS group_key TEXT,
+    ADD COLUMN IF NOT EXISTS data JSONB NOT NULL DEFAULT '{}';
+
+ALTER TABLE public.notifications DROP CONSTRAINT IF EXISTS notifications_type_check;
+ALTER TABLE public.notifications ADD CONSTRAINT notifications_type_check
+    CHECK (type IN ('comment_reply', 'post_reply', 'mention', 'event_reminder', 'study_buddy_response', 'moderation'));
+
+UPDATE notifications SET group_key = 'mention:' || COALESCE(comment_id, post_id)::TEXT
+WHERE type = 'mention' AND group_key IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_notifications_group ON public.notifications(user_id, group_key)
+    WHERE group_key IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS public.notification_mutes (
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    type VARCHAR(30) NOT NULL
+        CHECK (type IN ('comment_reply', 'post_reply', 'mention', 'event_reminder', 'study_buddy_response', 'moderation')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (user_id, type)
+);
+
+ALTER TABLE public.notification_mutes ENABLE ROW LEVEL SECURITY;
+
+-- One row per group, newest activity first. Rows without a group_key stand
+-- alone. Keyset-paged on (latest_at, group_key).
+CREATE OR REPLACE FUNCTION get_notification_groups(
+    p_user_id UUID,
+    p_limit INTEGER DEFAULT 20,
+    p_before_at TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    p_before_key TEXT DEFAULT NULL,
+    p_unread_only BOOLEAN DEFAULT FALSE
+)
+RETURNS TABLE (
+    group_key TEXT,
+    id UUID,
+    type VARCHAR,
+    post_id UUID,
+    comment_id UUID,
+    data JSONB,
+    latest_at TIMESTAMP WITH TIME ZONE,
+    total INTEGER,
+    actor_count INTEGER,
+    actor_ids UUID[],
+    is_read BOOLEAN
+) AS $$
+    SELECT * FROM (
+        SELECT
+            COALESCE(n.group_key, n.id::TEXT) AS group_key,
+            (array_agg(n.id ORDER BY n.created_at DESC, n.id DESC))[1] AS id,
+            MIN(n.type) AS type,
+            (array_agg(n.post_id ORDER BY n.created_at DESC, n.id DESC))[1] AS post_id,
+            (array_agg(n.comment_id ORDER BY n.created_at DESC, n.id DESC))[1] AS comment_id,
+            (array_agg(n.data ORDER BY n.created_at DESC, n.id DESC))[1] AS data,
+            MAX(n.created_at) AS latest_at,
+            COUNT(*)::INTEGER AS total,
+            COUNT(DISTINCT n.actor_id)::INTEGER AS actor_count,
+            (array_agg(n.actor_id ORDER BY n.created_at DESC, n.id DESC))[1:10] AS actor_ids,
+            bool_and(n.is_read) AS is_read
+        FROM notifications n
+        WHERE n.user_id = p_user_id
+        GROUP BY COALESCE(n.group_key, n.id::TEXT)
+    ) groups
+    WHERE (NOT p_unread_only OR NOT groups.is_read)
+      AND (p_before_at IS NULL
+           OR groups.latest_at < p_before_at
+           OR (groups.latest_at = p_before_at AND groups.group_key < p_before_key))
+    ORDER BY groups.latest_at DESC, groups.group_key DESC
+    LIMIT p_limit;
+$$ LANGUAGE sql STABLE;
+
+REVOKE EXECUTE ON FUNCTION get_notification_groups(UUID, INTEGER, TIMESTAMP WITH TIME ZONE, TEXT, BOOLEAN) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION get_notification_groups(UUID, INTEGER, TIMESTAMP WITH TIME ZONE, TEXT, BOOLEAN) TO service_role;
+
+-- Unread badge: counts groups, matching what the list shows
+CREATE OR REPLACE FUNCTION count_unread_notifications(p_user_id UUID)
+RETURNS INTEGER AS $$
+    SELECT COUNT(DISTINCT COALESCE(group_key, id::TEXT))::INTEGER
+    FROM notifications
+    WHERE user_id = p_user_id AND is_read = FALSE;
+$$ LANGUAGE sql STABLE;
+
+REVOKE EXECUTE ON FUNCTION count_unread_notifications(UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION count_unread_notifications(UUID) TO service_role;
+
+COMMENT ON COLUMN public.notifications.group_key IS 'Notifications with the same key are shown as one entry';
+COMMENT ON COLUMN public.notifications.data IS 'Type-specific details, e.g. the moderation action or event';
@@ -0,0 +1,20 @@
+-- Realtime feed updates
+-- publish_scheduled_posts returns the posts it published (instead of a count)
+-- so the scheduler can announce them to open home feeds.
+
+DROP FUNCTION IF EXISTS publish_scheduled_posts();
+
+CREATE FUNCTION publish_scheduled_posts()
+RETURNS TABLE (id UUID, category VARCHAR, author_id UUID) AS $$
+    UPDATE posts SET
+        status = 'published',
+        created_at = NOW(),
+        updated_at = NOW()
+    WHERE status = 'scheduled'
+      AND publish_at <= NOW()
+      AND is_deleted = FALSE
+    RETURNING posts.id, posts.category, posts.author_id;
+$$ LANGUAGE sql;
+
+REVOKE EXECUTE ON FUNCTION publish_scheduled_posts() FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION publish_scheduled_posts() TO service_role;
@@ -0,0 +1,69 @@
+-- Following users and subscribing to categories
+-- The following feed (GET /api/users/me/feed) merges posts by followed users
+-- with posts in subscribed categories, ranked like the home feed's hot sort.
+
+CREATE TABLE IF NOT EXISTS public.follows (
+    follower_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    following_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (follower_id, following_id),
+    CHECK (follower_id <> following_id)
+);
+
+-- Follower/following lists page newest first
+CREATE INDEX IF NOT EXISTS idx_follows_follower ON public.follows(follower_id, created_at DESC, following_id DESC);
+CREATE INDEX IF NOT EXISTS idx_follows_following ON public.follows(following_id, created_at DESC, follower_id DESC);
+
+CREATE TABLE IF NOT EXISTS public.category_subscriptions (
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    category_slug VARCHAR(50) NOT NULL REFERENCES public.categories(slug) ON UPDATE CASCADE ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (user_id, category_slug)
+);
+
+ALTER TABLE public.follows ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.category_subscriptions ENABLE ROW LEVEL SECURITY;
+
+-- Denormalised counts for profiles
+ALTER TABLE public.users ADD COLUMN IF NOT EXISTS follower_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE public.users ADD COLUMN IF NOT EXISTS following_count INTEGER NOT NULL DEFAULT 0;
+
+CREATE OR REPLACE FUNCTION update_follow_counts()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        UPDATE users SET following_count = following_count + 1 WHERE id = NEW.follower_id;
+        UPDATE users SET follower_count = follower_count + 1 WHERE id = NEW.following_id;
+        RETURN NEW;
+    END IF;
+
+    UPDATE users SET following_count = GREATEST(following_count - 1, 0) WHERE id = OLD.follower_id;
+    UPDATE users SET follower_count = GREATEST(follower_count - 1, 0) WHERE id = OLD.following_id;
+    RETURN OLD;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS update_follow_counts ON public.follows;
+CREATE TRIGGER update_follow_counts
+    AFTER INSERT OR DELETE ON public.follows
+    FOR EACH ROW EXECUTE FUNCTION update_follow_counts();
+
+-- Ranked ids for the first page of a user's following feed (later pages come
+-- from a feed snapshot). Ordered like GET /api/posts?sort=hot.
+CREATE OR REPLACE FUNCTION get_following_feed(p_user_id UUID, p_limit INTEGER)
+RETURNS TABLE(id UUID) AS $$
+    SELECT p.id
+    FROM posts p
+    WHERE p.status = 'published'
+      AND p.is_deleted = false
+      AND p.author_id <> p_user_id
+      AND (
+          p.author_id IN (SELECT f.following_id FROM follows f WHERE f.follower_id = p_user_id)
+          OR p.category IN (SELECT s.category_slug FROM category_subscriptions s WHERE s.user_id = p_user_id)
+      )
+    ORDER BY p.hot_score DESC, p.created_at DESC, p.id DESC
+    LIMIT p_limit;
+$$ LANGUAGE sql STABLE;
+
+REVOKE EXECUTE ON FUNCTION get_following_feed(UUID, INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION get_following_feed(UUID, INTEGER) TO service_role;
@@ -0,0 +1,7 @@
+-- Category subscriptions (see 20250916000002_follows.sql) also scope the home
+-- feed of logged-in users. New users pick theirs during onboarding; this
+-- records that they've been through it (saving or skipping).
+
+ALTER TABLE public.users ADD COLUMN IF NOT EXISTS categories_onboarded_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_category_subscriptions_category ON public.category_subscriptions(category_slug);
@@ -0,0 +1,32 @@
+-- Public profiles: privacy settings, karma split into post and comment karma,
+-- and the events a user attended.
+
+-- hide_activity hides the posts/comments/events tabs, hide_branch the branch
+-- and year badges; owners always see their own
+ALTER TABLE public.users ADD COLUMN IF NOT EXISTS hide_activity BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE public.users ADD COLUMN IF NOT EXISTS hide_branch BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Attendance is recorded by event check-in once events move to Supabase
+CREATE TABLE IF NOT EXISTS public.event_attendees (
+    event_id UUID NOT NULL REFERENCES public.events(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (event_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_event_attendees_user ON public.event_attendees(user_id, created_at DESC, event_id DESC);
+
+ALTER TABLE public.event_attendees ENABLE ROW LEVEL SECURITY;
+
+-- Karma is the score of everything the user has written. Like reputation
+-- (which is the two added together) it includes deleted posts and comments
+-- until the trash purge removes their votes; drafts have no votes.
+CREATE OR REPLACE FUNCTION get_user_karma(p_user_id UUID)
+RETURNS TABLE(post_karma INTEGER, comment_karma INTEGER) AS $$
+    SELECT
+        (SELECT COALESCE(SUM(score), 0)::INTEGER FROM posts WHERE author_id = p_user_id),
+        (SELECT COALESCE(SUM(score), 0)::INTEGER FROM comments WHERE author_id = p_user_id);
+$$ LANGUAGE sql STABLE;
+
+REVOKE EXECUTE ON FUNCTION get_user_karma(UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION get_user_karma(UUID) TO service_role;
@@ -0,0 +1,119 @@
+-- Blocking and muting
+-- Blocking a user hides their posts, comments and mentions from the blocker,
+-- stops replies and notifications between the two, and hides the blocker from
+-- the blocked user's search. Muting a user or a category only hides content.
+
+CREATE TABLE IF NOT EXISTS public.user_blocks (
+    blocker_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    blocked_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (blocker_id, blocked_id),
+    CHECK (blocker_id <> blocked_id)
+);
+
+-- Search looks up who blocked the searcher
+CREATE INDEX IF NOT EXISTS idx_user_blocks_blocked ON public.user_blocks(blocked_id);
+
+CREATE TABLE IF NOT EXISTS public.user_mutes (
+    muter_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    muted_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (muter_id, muted_id),
+    CHECK (muter_id <> muted_id)
+);
+
+CREATE TABLE IF NOT EXISTS public.category_mutes (
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    category_slug VARCHAR(50) NOT NULL REFERENCES public.categories(slug) ON UPDATE CASCADE ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (user_id, category_slug)
+);
+
+ALTER TABLE public.user_blocks ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.user_mutes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.category_mutes ENABLE ROW LEVEL SECURITY;
+
+-- Users whose content p_user_id doesn't see: the ones they blocked or muted
+CREATE OR REPLACE FUNCTION get_hidden_user_ids(p_user_id UUID)
+RETURNS TABLE(id UUID) AS $$
+    SELECT blocked_id FROM user_blocks WHERE blocker_id = p_user_id
+    UNION
+    SELECT muted_id FROM user_mutes WHERE muter_id = p_user_id;
+$$ LANGUAGE sql STABLE;
+
+REVOKE EXECUTE ON FUNCTION get_hidden_user_ids(UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION get_hidden_user_ids(UUID) TO service_role;
+
+-- The following feed leaves out blocked and muted users and muted categories
+CREATE OR REPLACE FUNCTION get_following_feed(p_user_id UUID, p_limit INTEGER)
+RETURNS TABLE(id UUID) AS $$
+    SELECT p.id
+    FROM posts p
+    WHERE p.status = 'published'
+      AND p.is_deleted = false
+      AND p.author_id <> p_user_id
+      AND (
+          p.author_id IN (SELECT f.following_id FROM follows f WHERE f.follower_id = p_user_id)
+          OR p.category IN (SELECT s.category_slug FROM category_subscriptions s WHERE s.user_id = p_user_id)
+      )
+      AND p.author_id NOT IN (SELECT h.id FROM get_hidden_user_ids(p_user_id) h)
+      AND p.category NOT IN (SELECT m.category_slug FROM category_mutes m WHERE m.user_id = p_user_id)
+    ORDER BY p.hot_score DESC, p.created_at DESC, p.id DESC
+    LIMIT p_limit;
+$$ LANGUAGE sql STABLE;
+
+-- Notifications from blocked or muted users (sent before the block or mute)
+-- drop out of the list and the unread badge
+CREATE OR REPLACE FUNCTION get_notification_groups(
+    p_user_id UUID,
+    p_limit INTEGER DEFAULT 20,
+    p_before_at TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    p_before_key TEXT DEFAULT NULL,
+    p_unread_only BOOLEAN DEFAULT FALSE
+)
+RETURNS TABLE (
+    group_key TEXT,
+    id UUID,
+    type VARCHAR,
+    post_id UUID,
+    comment_id UUID,
+    data JSONB,
+    latest_at TIMESTAMP WITH TIME ZONE,
+    total INTEGER,
+    actor_count INTEGER,
+    actor_ids UUID[],
+    is_read BOOLEAN
+) AS $$
+    SELECT * FROM (
+        SELECT
+            COALESCE(n.group_key, n.id::TEXT) AS group_key,
+            (array_agg(n.id ORDER BY n.created_at DESC, n.id DESC))[1] AS id,
+            MIN(n.type) AS type,
+            (array_agg(n.post_id ORDER BY n.created_at DESC, n.id DESC))[1] AS post_id,
+            (array_agg(n.comment_id ORDER BY n.created_at DESC, n.id DESC))[1] AS comment_id,
+            (array_agg(n.data ORDER BY n.created_at DESC, n.id DESC))[1] AS data,
+            MAX(n.created_at) AS latest_at,
+            COUNT(*)::INTEGER AS total,
+            COUNT(DISTINCT n.actor_id)::INTEGER AS actor_count,
+            (array_agg(n.actor_id ORDER BY n.created_at DESC, n.id DESC))[1:10] AS actor_ids,
+            bool_and(n.is_read) AS is_read
+        FROM notifications n
+        WHERE n.user_id = p_user_id
+          AND (n.actor_id IS NULL OR n.actor_id NOT IN (SELECT h.id FROM get_hidden_user_ids(p_user_id) h))
+        GROUP BY COALESCE(n.group_key, n.id::TEXT)
+    ) groups
+    WHERE (NOT p_unread_only OR NOT groups.is_read)
+      AND (p_before_at IS NULL
+           OR groups.latest_at < p_before_at
+           OR (groups.latest_at = p_before_at AND groups.group_key < p_before_key))
+    ORDER BY groups.latest_at DESC, groups.group_key DESC
+    LIMIT p_limit;
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION count_unread_notifications(p_user_id UUID)
+RETURNS INTEGER AS $$
+    SELECT COUNT(DISTINCT COALESCE(group_key, id::TEXT))::INTEGER
+    FROM notifications
+    WHERE user_id = p_user_id AND is_read = FALSE
+      AND (actor_id IS NULL OR actor_id NOT IN (SELECT h.id FROM get_hidden_user_ids(p_user_id) h));
+$$ LANGUAGE sql STABLE;
@@ -0,0 +1,66 @@
+-- Indexed candidates for duplicate detection
+-- find_similar_posts used to score every post in the category from the last
+-- p_days, because a threshold on a computed similarity() can't use an index.
+-- Candidates now come from the trigram `%` operator: titles that match on
+-- their own (idx_posts_title_trgm), plus posts whose body matches on its own,
+-- which can still lift a loosely matching title.
+
+CREATE INDEX IF NOT EXISTS idx_posts_content_trgm ON public.posts USING GIN (lower(left(content, 2000)) gin_trgm_ops)
+    WHERE is_deleted = FALSE AND status = 'published';
+
+CREATE OR REPLACE FUNCTION find_similar_posts(
+    p_category VARCHAR,
+    p_title TEXT,
+    p_content TEXT DEFAULT NULL,
+    p_exclude_id UUID DEFAULT NULL,
+    p_days INTEGER DEFAULT 30,
+    p_threshold REAL DEFAULT 0.5,
+    p_limit INTEGER DEFAULT 5
+)
+RETURNS TABLE (
+    id UUID,
+    title TEXT,
+    category VARCHAR,
+    comment_count INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE,
+    similarity REAL
+) AS $$
+#variable_conflict use_column
+BEGIN
+    -- `%` matches at the pg_trgm similarity limit
+    PERFORM set_limit(p_threshold);
+
+    RETURN QUERY
+    SELECT * FROM (
+        SELECT
+            p.id,
+            p.title::TEXT,
+            p.category,
+            p.comment_count,
+            p.created_at,
+            GREATEST(
+                similarity(lower(p.title), lower(p_title)),
+                CASE
+                    WHEN COALESCE(p.content, '') <> '' AND COALESCE(p_content, '') <> '' THEN
+                        (similarity(lower(p.title), lower(p_title))
+                            + similarity(lower(left(p.content, 2000)), lower(left(p_content, 2000)))) / 2
+                    ELSE 0
+                END
+            )::REAL AS similarity
+        FROM posts p
+        WHERE p.category = p_category
+          AND p.is_deleted = FALSE
+          AND p.status = 'published'
+          AND p.created_at > NOW() - make_interval(days => p_days)
+          AND (p_exclude_id IS NULL OR p.id <> p_exclude_id)
+          AND (
+              lower(p.title) % lower(p_title)
+              -- NULL (no body given) matches nothing
+              OR lower(left(p.content, 2000)) % NULLIF(lower(left(p_content, 2000)), '')
+          )
+    ) scored
+    WHERE scored.similarity >= p_threshold
+    ORDER BY scored.similarity DESC, scored.created_at DESC
+    LIMIT p_limit;
+END;
+$$ LANGUAGE plpgsql;
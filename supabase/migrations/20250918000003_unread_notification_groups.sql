@@ -0,0 +1,51 @@
+-- Unread notifications group on their own
+-- Group keys are permanent (e.g. every reply to a post), so one new reply used
+-- to turn an old, read group back into an unread "u/x and 14 others replied".
+-- Unread rows now form their own group, listed under the group key with an
+-- ':unread' suffix; once read they fold back into the read group.
+
+CREATE OR REPLACE FUNCTION get_notification_groups(
+    p_user_id UUID,
+    p_limit INTEGER DEFAULT 20,
+    p_before_at TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    p_before_key TEXT DEFAULT NULL,
+    p_unread_only BOOLEAN DEFAULT FALSE
+)
+RETURNS TABLE (
+    group_key TEXT,
+    id UUID,
+    type VARCHAR,
+    post_id UUID,
+    comment_id UUID,
+    data JSONB,
+    latest_at TIMESTAMP WITH TIME ZONE,
+    total INTEGER,
+    actor_count INTEGER,
+    actor_ids UUID[],
+    is_read BOOLEAN
+) AS $$
+    SELECT * FROM (
+        SELECT
+            COALESCE(n.group_key, n.id::TEXT) || CASE WHEN n.is_read THEN '' ELSE ':unread' END AS group_key,
+            (array_agg(n.id ORDER BY n.created_at DESC, n.id DESC))[1] AS id,
+            MIN(n.type) AS type,
+            (array_agg(n.post_id ORDER BY n.created_at DESC, n.id DESC))[1] AS post_id,
+            (array_agg(n.comment_id ORDER BY n.created_at DESC, n.id DESC))[1] AS comment_id,
+            (array_agg(n.data ORDER BY n.created_at DESC, n.id DESC))[1] AS data,
+            MAX(n.created_at) AS latest_at,
+            COUNT(*)::INTEGER AS total,
+            COUNT(DISTINCT n.actor_id)::INTEGER AS actor_count,
+            (array_agg(n.actor_id ORDER BY n.created_at DESC, n.id DESC))[1:10] AS actor_ids,
+            bool_and(n.is_read) AS is_read
+        FROM notifications n
+        WHERE n.user_id = p_user_id
+          AND (n.actor_id IS NULL OR n.actor_id NOT IN (SELECT h.id FROM get_hidden_user_ids(p_user_id) h))
+        GROUP BY COALESCE(n.group_key, n.id::TEXT), n.is_read
+    ) groups
+    WHERE (NOT p_unread_only OR NOT groups.is_read)
+      AND (p_before_at IS NULL
+           OR groups.latest_at < p_before_at
+           OR (groups.latest_at = p_before_at AND groups.group_key < p_before_key))
+    ORDER BY groups.latest_at DESC, groups.group_key DESC
+    LIMIT p_limit;
+$$ LANGUAGE sql STABLE;
@@ -0,0 +1,154 @@
+-- Comment listings paged in the database
+-- The comments routes used to read a post's whole comment list (oldest first,
+-- cut off at 5000) on every request and sort it in Node. get_comment_page
+-- returns one page of one tree level instead: the children of some parents in
+-- sort order after a keyset cursor (parent, sort key, created_at, id), with
+-- counts of visible replies and of the siblings left for "more replies" stubs.
+
+-- Lower bound of the 80% Wilson score interval for the share of upvotes
+CREATE OR REPLACE FUNCTION comment_wilson_lower_bound(p_upvotes INTEGER, p_downvotes INTEGER)
+RETURNS DOUBLE PRECISION AS $$
+    SELECT CASE WHEN v.n = 0 THEN 0 ELSE
+        (v.p + v.z * v.z / (2 * v.n) - v.z * sqrt((v.p * (1 - v.p) + v.z * v.z / (4 * v.n)) / v.n))
+            / (1 + v.z * v.z / v.n)
+    END
+    FROM (
+        SELECT
+            1.281551565545::DOUBLE PRECISION AS z,
+            (p_upvotes + p_downvotes)::DOUBLE PRECISION AS n,
+            p_upvotes::DOUBLE PRECISION / NULLIF(p_upvotes + p_downvotes, 0) AS p
+    ) v;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- A comment's key in each sort; higher keys come first (then newer, then id).
+-- controversial is the vote count raised to the up/down balance (1 when even).
+CREATE OR REPLACE FUNCTION comment_sort_key(
+    p_sort TEXT,
+    p_upvotes INTEGER,
+    p_downvotes INTEGER,
+    p_score INTEGER,
+    p_created_at TIMESTAMP WITH TIME ZONE
+)
+RETURNS DOUBLE PRECISION AS $$
+    SELECT CASE p_sort
+        WHEN 'top' THEN COALESCE(p_score, 0)::DOUBLE PRECISION
+        WHEN 'new' THEN EXTRACT(EPOCH FROM p_created_at)::DOUBLE PRECISION
+        WHEN 'old' THEN -EXTRACT(EPOCH FROM p_created_at)::DOUBLE PRECISION
+        WHEN 'controversial' THEN
+            CASE WHEN COALESCE(p_upvotes, 0) = 0 OR COALESCE(p_downvotes, 0) = 0 THEN 0
+            ELSE power((p_upvotes + p_downvotes)::DOUBLE PRECISION,
+                       LEAST(p_upvotes, p_downvotes)::DOUBLE PRECISION / GREATEST(p_upvotes, p_downvotes))
+            END
+        ELSE comment_wilson_lower_bound(COALESCE(p_upvotes, 0), COALESCE(p_downvotes, 0))
+    END;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- One index per sort, in listing order, so a page reads only its own rows
+CREATE INDEX IF NOT EXISTS idx_comments_page_best ON public.comments
+    (post_id, parent_id, comment_sort_key('best', upvotes, downvotes, score, created_at) DESC, created_at DESC, id);
+CREATE INDEX IF NOT EXISTS idx_comments_page_top ON public.comments
+    (post_id, parent_id, comment_sort_key('top', upvotes, downvotes, score, created_at) DESC, created_at DESC, id);
+CREATE INDEX IF NOT EXISTS idx_comments_page_new ON public.comments
+    (post_id, parent_id, comment_sort_key('new', upvotes, downvotes, score, created_at) DESC, created_at DESC, id);
+CREATE INDEX IF NOT EXISTS idx_comments_page_old ON public.comments
+    (post_id, parent_id, comment_sort_key('old', upvotes, downvotes, score, created_at) DESC, created_at DESC, id);
+CREATE INDEX IF NOT EXISTS idx_comments_page_controversial ON public.comments
+    (post_id, parent_id, comment_sort_key('controversial', upvotes, downvotes, score, created_at) DESC, created_at DESC, id);
+
+-- Whether a deleted or hidden comment still has something to show below it:
+-- a live reply, at any depth, by an author not in p_hidden_ids
+CREATE OR REPLACE FUNCTION comment_has_visible_replies(p_comment_id UUID, p_hidden_ids UUID[])
+RETURNS BOOLEAN AS $$
+    WITH RECURSIVE descendants AS (
+        SELECT c.id, c.author_id, c.is_deleted FROM comments c WHERE c.parent_id = p_comment_id
+        UNION ALL
+        SELECT c.id, c.author_id, c.is_deleted FROM comments c JOIN descendants d ON c.parent_id = d.id
+    )
+    SELECT EXISTS (
+        SELECT 1 FROM descendants d
+        WHERE d.is_deleted IS NOT TRUE AND NOT COALESCE(d.author_id = ANY(p_hidden_ids), FALSE)
+    );
+$$ LANGUAGE sql STABLE;
+
+-- Up to p_limit visible children of each of p_parent_ids (NULL = top-level
+-- comments of the post), after the cursor when one is given. Deleted comments
+-- and comments by users p_viewer_id blocked or muted are listed only when
+-- they have visible replies; is_hidden marks the latter. reply_count counts
+-- visible direct replies; sibling_count counts the parent's visible children
+-- from the cursor on, this page included.
+CREATE OR REPLACE FUNCTION get_comment_page(
+    p_post_id UUID,
+    p_parent_ids UUID[] DEFAULT NULL,
+    p_sort TEXT DEFAULT 'best',
+    p_limit INTEGER DEFAULT 5,
+    p_after_key DOUBLE PRECISION DEFAULT NULL,
+    p_after_at TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    p_after_id UUID DEFAULT NULL,
+    p_viewer_id UUID DEFAULT NULL
+)
+RETURNS TABLE (
+    id UUID,
+    parent_id UUID,
+    sort_key DOUBLE PRECISION,
+    created_at TIMESTAMP WITH TIME ZONE,
+    is_hidden BOOLEAN,
+    reply_count INTEGER,
+    sibling_count INTEGER
+) AS $$
+DECLARE
+    v_hidden_ids UUID[];
+    -- Templates: %1$s is the table alias, %2$L the sort
+    v_key TEXT := 'comment_sort_key(%2$L, %1$s.upvotes, %1$s.downvotes, %1$s.score, %1$s.created_at)';
+    v_visible TEXT := '((%1$s.is_deleted IS NOT TRUE AND NOT COALESCE(%1$s.author_id = ANY($7), FALSE))
+        OR comment_has_visible_replies(%1$s.id, $7))';
+    v_filter TEXT;
+BEGIN
+    IF p_sort NOT IN ('best', 'top', 'new', 'old', 'controversial') THEN
+        RAISE EXCEPTION 'INVALID_SORT';
+    END IF;
+
+    SELECT COALESCE(array_agg(h.id), '{}') INTO v_hidden_ids FROM get_hidden_user_ids(p_viewer_id) h;
+
+    -- Separate top-level and reply forms, so both can use the page indexes
+    v_filter := '%1$s.post_id = $1 AND '
+        || CASE WHEN p_parent_ids IS NULL THEN '%1$s.parent_id IS NULL'
+                ELSE '%1$s.parent_id = parents.parent_id' END
+        || ' AND ' || v_visible;
+
+    IF p_after_key IS NOT NULL THEN
+        v_filter := v_filter || ' AND (' || v_key || ' < $4 OR (' || v_key || ' = $4 AND (%1$s.created_at < $5
+            OR (%1$s.created_at = $5 AND %1$s.id > $6))))';
+    END IF;
+
+    RETURN QUERY EXECUTE format(
+        'SELECT page.id, page.parent_id, page.sort_key, page.created_at, page.is_hidden,
+                page.reply_count, siblings.total
+         FROM unnest(COALESCE($2, ARRAY[NULL::UUID])) AS parents(parent_id)
+         CROSS JOIN LATERAL (
+             SELECT COUNT(*)::INTEGER AS total FROM comments c WHERE %3$s
+         ) siblings
+         CROSS JOIN LATERAL (
+             SELECT
+                 c.id,
+                 c.parent_id,
+                 %1$s AS sort_key,
+                 c.created_at,
+                 (c.is_deleted IS NOT TRUE AND COALESCE(c.author_id = ANY($7), FALSE)) AS is_hidden,
+                 (SELECT COUNT(*)::INTEGER FROM comments r WHERE r.parent_id = c.id AND %2$s) AS reply_count
+             FROM comments c
+             WHERE %3$s
+             ORDER BY %1$s DESC, c.created_at DESC, c.id
+             LIMIT $3
+         ) page',
+        format(v_key, 'c', p_sort),
+        format(v_visible, 'r'),
+        format(v_filter, 'c', p_sort)
+    )
+    USING p_post_id, p_parent_ids, p_limit, p_after_key, p_after_at, p_after_id, v_hidden_ids;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+REVOKE EXECUTE ON FUNCTION comment_has_visible_replies(UUID, UUID[]) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION comment_has_visible_replies(UUID, UUID[]) TO service_role;
+REVOKE EXECUTE ON FUNCTION get_comment_page(UUID, UUID[], TEXT, INTEGER, DOUBLE PRECISION, TIMESTAMP WITH TIME ZONE, UUID, UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION get_comment_page(UUID, UUID[], TEXT, INTEGER, DOUBLE PRECISION, TIMESTAMP WITH TIME ZONE, UUID, UUID) TO service_role;
@@ -0,0 +1,42 @@
+-- Feeds past the end of their snapshot
+-- A feed snapshot holds the first 500 ranked posts, and scrolling used to stop
+-- there. A snapshot that was cut short now records how to carry on: the
+-- feed's filters and the position (sort value, created_at, id) of its last
+-- ranked post. Later pages continue by keyset from that position.
+
+ALTER TABLE public.feed_snapshots
+    ADD COLUMN IF NOT EXISTS continuation JSONB;
+
+COMMENT ON COLUMN public.feed_snapshots.continuation IS 'Filters and last position for keyset pages after the snapshot; null when it holds the whole feed';
+
+-- The following feed pages by keyset too, so it returns its sort columns and
+-- takes a position to start after. The return type changes, hence the drop.
+DROP FUNCTION IF EXISTS get_following_feed(UUID, INTEGER);
+
+CREATE FUNCTION get_following_feed(
+    p_user_id UUID,
+    p_limit INTEGER,
+    p_after_score DOUBLE PRECISION DEFAULT NULL,
+    p_after_at TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    p_after_id UUID DEFAULT NULL
+)
+RETURNS TABLE(id UUID, hot_score DOUBLE PRECISION, created_at TIMESTAMP WITH TIME ZONE) AS $$
+    SELECT p.id, p.hot_score, p.created_at
+    FROM posts p
+    WHERE p.status = 'published'
+      AND p.is_deleted = false
+      AND p.author_id <> p_user_id
+      AND (
+          p.author_id IN (SELECT f.following_id FROM follows f WHERE f.follower_id = p_user_id)
+          OR p.category IN (SELECT s.category_slug FROM category_subscriptions s WHERE s.user_id = p_user_id)
+      )
+      AND p.author_id NOT IN (SELECT h.id FROM get_hidden_user_ids(p_user_id) h)
+      AND p.category NOT IN (SELECT m.category_slug FROM category_mutes m WHERE m.user_id = p_user_id)
+      AND (p_after_id IS NULL
+           OR (p.hot_score, p.created_at, p.id) < (p_after_score, p_after_at, p_after_id))
+    ORDER BY p.hot_score DESC, p.created_at DESC, p.id DESC
+    LIMIT p_limit;
+$$ LANGUAGE sql STABLE;
+
+REVOKE EXECUTE ON FUNCTION get_following_feed(UUID, INTEGER, DOUBLE PRECISION, TIMESTAMP WITH TIME ZONE, UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION get_following_feed(UUID, INTEGER, DOUBLE PRECISION, TIMESTAMP WITH TIME ZONE, UUID) TO service_role;
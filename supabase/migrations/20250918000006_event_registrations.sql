@@ -0,0 +1,20 @@
+-- Event registrations and reminders
+-- Users registered for an event get an event_reminder notification once, in
+-- the 24 hours before it starts (jobs/sendEventReminders.js). reminded_at
+-- records that the reminder went out.
+
+CREATE TABLE IF NOT EXISTS public.event_registrations (
+    event_id UUID NOT NULL REFERENCES public.events(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    reminded_at TIMESTAMP WITH TIME ZONE,
+    PRIMARY KEY (event_id, user_id)
+);
+
+-- The reminder job only looks at registrations still waiting for one
+CREATE INDEX IF NOT EXISTS idx_event_registrations_pending ON public.event_registrations(event_id)
+    WHERE reminded_at IS NULL;
+
+ALTER TABLE public.event_registrations ENABLE ROW LEVEL SECURITY;
+
+COMMENT ON COLUMN public.event_registrations.reminded_at IS 'When the event_reminder notification was sent';
@@ -0,0 +1,7 @@
+-- Feeds page by keyset from the first page
+-- Every multi-page feed request used to store a snapshot of up to 500 ranked
+-- post ids, anonymous ones included. Cursors now carry the position of the
+-- last post on their page and each page reruns the feed query after it, so
+-- nothing reads the snapshots any more.
+
+DROP TABLE IF EXISTS public.feed_snapshots;
@@ -0,0 +1,14 @@
+-- Feed indexes in feed order
+-- Feeds sort by their ranking column, then created_at, then id (all
+-- descending), and page by keyset on those three columns. The ranking indexes
+-- skipped created_at, so every page re-sorted the rows tied on score.
+
+DROP INDEX IF EXISTS public.idx_posts_hot;
+DROP INDEX IF EXISTS public.idx_posts_rising;
+DROP INDEX IF EXISTS public.idx_posts_controversy;
+DROP INDEX IF EXISTS public.idx_posts_category_hot;
+
+CREATE INDEX idx_posts_hot ON public.posts(hot_score DESC, created_at DESC, id DESC) WHERE is_deleted = FALSE;
+CREATE INDEX idx_posts_rising ON public.posts(rising_score DESC, created_at DESC, id DESC) WHERE is_deleted = FALSE;
+CREATE INDEX idx_posts_controversy ON public.posts(controversy_score DESC, created_at DESC, id DESC) WHERE is_deleted = FALSE;
+CREATE INDEX idx_posts_category_hot ON public.posts(category, hot_score DESC, created_at DESC, id DESC) WHERE is_deleted = FALSE;